@@ -0,0 +1,91 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+/*
+ * Move generation benchmark, on the positions of the performance tests (see `test/07_position_performance.js`).
+ *
+ * Usage: `node scripts/benchmark.js [path/to/lib]`, the library being loaded from `dist/lib` by default. Passing the path of a build
+ * of another revision allows to compare the speed of both revisions.
+ */
+
+
+const fs = require('fs');
+const path = require('path');
+const process = require('process');
+
+const NODE_COUNT_MAX = 5000000; // Deepest depth for which the number of nodes does not exceed this value.
+const RUN_COUNT = 3; // Best time over several runs.
+
+const { Position } = require(path.resolve(process.argv[2] ?? path.resolve(__dirname, '../dist/lib')));
+
+
+function readCSV(filename, parser) {
+    const lines = fs.readFileSync(path.resolve(__dirname, '../test/resources', filename), 'utf8').split('\n');
+    return lines.slice(1).filter(line => line !== '').map(line => parser(line.split('\t')));
+}
+
+
+function generateSuccessors(pos, depth) {
+    let result = 1;
+    if (depth > 0) {
+        for (const move of pos.moves()) {
+            const nextPos = new Position(pos);
+            nextPos.play(move);
+            result += generateSuccessors(nextPos, depth - 1);
+        }
+    }
+    return result;
+}
+
+
+function runBenchmark(label, nodeCounts, fun) {
+    let depth = 0;
+    while (depth + 1 < nodeCounts.length && nodeCounts[depth + 1] <= NODE_COUNT_MAX) {
+        ++depth;
+    }
+    let bestTime = Infinity;
+    for (let run = 0; run < RUN_COUNT; ++run) {
+        const start = process.hrtime.bigint();
+        const nodeCount = fun(depth);
+        const time = Number(process.hrtime.bigint() - start) / 1e6;
+        if (nodeCount !== nodeCounts[depth]) {
+            throw new Error(`${label}: ${nodeCount} nodes found at depth ${depth}, ${nodeCounts[depth]} expected.`);
+        }
+        bestTime = Math.min(bestTime, time);
+    }
+    console.log(`${label} (depth ${depth}): ${bestTime.toFixed(0)} ms, ${(nodeCounts[depth] / bestTime).toFixed(0)} kN/s`);
+}
+
+
+console.log('Recursive move generation');
+for (const fields of readCSV('performance.csv', fields => fields)) {
+    const initialPos = new Position(fields[0]);
+    runBenchmark(`  ${fields[0]}`, fields.slice(1).map(value => parseInt(value)), depth => generateSuccessors(initialPos, depth));
+}
+
+console.log('Perft');
+for (const fields of readCSV('perft.csv', fields => fields)) {
+    const initialPos = new Position(fields[0], fields[1]);
+    runBenchmark(`  ${fields[0]}:${fields[1]}`, [ 1, ...fields.slice(2).map(value => parseInt(value)) ], depth => initialPos.perft(depth));
+}
@@ -136,8 +136,13 @@ export type GameResult = '1-0' | '1/2-1/2' | '0-1' | '*';
  * - `'black-king-only'` (chess position with no white king)
  * - `'antichess'` ([Antichess](https://en.wikipedia.org/wiki/Losing_chess), also known as losing chess, giveaway chess, suicide chess...)
  * - `'horde'` ([Horde chess](https://en.wikipedia.org/wiki/Dunsany%27s_chess#Horde_chess), following Lichess/Chess.com rules)
+ * - `'three-check'` ([Three-check chess](https://en.wikipedia.org/wiki/Three-check_chess), following Lichess rules)
+ * - `'king-of-the-hill'` ([King of the Hill](https://lichess.org/variant/kingOfTheHill), following Lichess rules)
+ * - `'racing-kings'` ([Racing Kings](https://en.wikipedia.org/wiki/V._R._Parton#Racing_Kings), following Lichess rules)
+ * - `'crazyhouse'` ([Crazyhouse](https://en.wikipedia.org/wiki/Crazyhouse), following Lichess rules)
  *
  * Variants `'no-king'`, `'white-king-only'` and `'black-king-only'` do not correspond to "real" games. They are mainly provided
  * to create games explaining a particular piece scheme, concept, or sequence of moves... with a reduced number of pieces.
  */
-export type GameVariant = 'regular' | 'chess960' | 'no-king' | 'white-king-only' | 'black-king-only' | 'antichess' | 'horde';
+export type GameVariant = 'regular' | 'chess960' | 'no-king' | 'white-king-only' | 'black-king-only' | 'antichess' | 'horde' | 'three-check' |
+    'king-of-the-hill' | 'racing-kings' | 'crazyhouse';
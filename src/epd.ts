@@ -0,0 +1,83 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { GameVariant } from './base_types';
+import { IllegalArgument } from './exception';
+import { isGameVariant } from './helper';
+
+import { EPDRecord, readEPD } from './private_epd/epd_read_impl';
+import { isEPDRecord, writeRecord } from './private_epd/epd_write_impl';
+
+
+/**
+ * [EPD](https://www.chessprogramming.org/Extended_Position_Description) parsing function.
+ *
+ * Each non-empty line of the given text is parsed as an EPD record: the 4 first fields describe the position (as in a FEN string),
+ * and are followed by the operations (`opcode operand1 operand2 ...;`). The semicolon may be omitted after the last operation.
+ *
+ * Example:
+ * ```
+ * const records = epdRead('r1b1k2r/ppppnppp/2n2q2/2b5/3NP3/2P1B3/PP3PPP/RN1QKB1R w KQkq - bm Nf5; id "WAC.003";');
+ * records[0].bm; // -> [ Nf5 (as a MoveDescriptor) ]
+ * records[0].id; // -> 'WAC.003'
+ * ```
+ *
+ * @param text - EPD text to parse.
+ * @param variant - Chess game variant of the positions. `'regular'` by default.
+ * @throws {@link exception.InvalidEPD} if one of the lines cannot be parsed.
+ */
+export function epdRead(text: string, variant?: GameVariant): EPDRecord[] {
+    if (typeof text !== 'string' || (variant !== undefined && !isGameVariant(variant))) {
+        throw new IllegalArgument('epdRead()');
+    }
+    return readEPD(text, variant ?? 'regular');
+}
+
+
+/**
+ * EPD writing function.
+ *
+ * The operations are written in the ASCII order of their opcodes, and moves are written using
+ * [SAN](https://en.wikipedia.org/wiki/Algebraic_notation_(chess)). The returned string does not end with a line break.
+ */
+export function epdWrite(record: EPDRecord): string;
+
+/**
+ * EPD writing function.
+ *
+ * @param records - Records to write (one per line). Each line of the returned string, including the last one, ends with a line break.
+ */
+export function epdWrite(records: EPDRecord[]): string;
+
+export function epdWrite(recordOrRecords: EPDRecord | EPDRecord[]) {
+    if (isEPDRecord(recordOrRecords)) {
+        return writeRecord(recordOrRecords);
+    }
+    else if (Array.isArray(recordOrRecords) && recordOrRecords.every(record => isEPDRecord(record))) {
+        return recordOrRecords.map(record => writeRecord(record) + '\n').join('');
+    }
+    else {
+        throw new IllegalArgument('epdWrite()');
+    }
+}
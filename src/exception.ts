@@ -136,6 +136,35 @@ export class InvalidPGN {
 }
 
 
+/**
+ * Exception thrown by the EPD parsing functions.
+ */
+export class InvalidEPD {
+
+    /** EPD record (i.e. line of the EPD text) that causes the error. */
+    epd: string;
+
+    /** Index (1-based) of the line in the EPD text where the parsing fails. */
+    lineNumber: number;
+
+    /** Human-readable message describing the error. */
+    message: string;
+
+    constructor(epd: string, lineNumber: number, message: string, ...tokens: unknown[]) {
+        this.epd = epd;
+        this.lineNumber = lineNumber;
+        this.message = buildMessage(message, tokens);
+    }
+
+    /**
+     * @ignore
+     */
+    toString(): string {
+        return toStringImpl('InvalidEPD', `[line=${this.lineNumber}] ${this.message}`);
+    }
+}
+
+
 /**
  * Exception thrown by the POJO deserializing functions.
  */
@@ -24,7 +24,7 @@
 
 import { Color, GameResult, GameVariant } from './base_types';
 import { DateValue } from './date_value';
-import { IllegalArgument, InvalidPOJO } from './exception';
+import { IllegalArgument, InvalidPGN, InvalidPOJO } from './exception';
 import { GamePOJO, PlayerPOJO } from './game_pojo';
 import { isValidECO, nagSymbol, variantWithCanonicalStartPosition } from './helper';
 import { i18n } from './i18n';
@@ -34,6 +34,7 @@ import { Position } from './position';
 import { trimAndCollapseSpaces, isPositiveInteger } from './private_game/common';
 import { MoveTreeRoot } from './private_game/node_variation_impl';
 import { POJOExceptionBuilder, decodeStringField, decodeNumberField, decodeObjectField } from './private_game/pojo_util';
+import { TerminationStatus, computeTerminationStatus } from './private_game/termination';
 
 import { ColorImpl, GameResultImpl, colorFromString, resultFromString, resultToString } from './private_position/base_types_impl';
 
@@ -66,10 +67,14 @@ export class Game {
     private _openingSubVariation?: string;
     private _termination?: string;
     private _result: GameResultImpl;
+    private _customHeaders: Map<string, string>;
 
     // Moves
     private _moveTreeRoot: MoveTreeRoot;
 
+    // Problems repaired by the lenient PGN parser
+    private _pgnWarnings: InvalidPGN[];
+
 
     constructor() {
         this._playerName = [ undefined, undefined ];
@@ -77,7 +82,9 @@ export class Game {
         this._playerTitle = [ undefined, undefined ];
         this._round = [ undefined, undefined, undefined ];
         this._result = GameResultImpl.LINE;
+        this._customHeaders = new Map();
         this._moveTreeRoot = new MoveTreeRoot();
+        this._pgnWarnings = [];
     }
 
 
@@ -102,6 +109,7 @@ export class Game {
         this._openingSubVariation = undefined;
         this._termination = undefined;
         this._result = GameResultImpl.LINE;
+        this._customHeaders.clear();
     }
 
 
@@ -543,6 +551,51 @@ export class Game {
     }
 
 
+    /**
+     * Return the keys of the custom headers, i.e. the headers that are not natively supported by {@link Game}
+     * (for instance `TimeControl`, `WhiteFideId`, `UTCTime`...).
+     *
+     * Custom headers are preserved when reading and writing PGN. Their keys must be non-empty, can contain only alphanumeric or underscore characters,
+     * and must not correspond to a natively supported header (such as `White`, `Event`, `FEN`, `PlyCount`...).
+     *
+     * @returns array sorted in increasing order.
+     */
+    headers(): string[] {
+        return [ ...this._customHeaders.keys() ].sort();
+    }
+
+    /**
+     * Get the value of the given custom header.
+     *
+     * @see {@link Game.headers} for more details on custom headers.
+     */
+    header(key: string): string | undefined;
+
+    /**
+     * Set the value of the given custom header.
+     *
+     * @see {@link Game.headers} for more details on custom headers.
+     *
+     * @param value - If `undefined`, the existing value (if any) is erased.
+     */
+    header(key: string, value: string | undefined): void;
+
+    header(key: string, value?: string | undefined) {
+        if (!isValidCustomHeaderKey(key)) {
+            throw new IllegalArgument('Game.header()');
+        }
+        if (arguments.length === 1) {
+            return this._customHeaders.get(key);
+        }
+        else if (value === undefined || value === null) {
+            this._customHeaders.delete(key);
+        }
+        else {
+            this._customHeaders.set(key, String(value));
+        }
+    }
+
+
     /**
      * Get the result of the game.
      */
@@ -567,6 +620,17 @@ export class Game {
     }
 
 
+    /**
+     * Get the problems that have been repaired when the game has been parsed in lenient mode (see {@link PGNReadOptions.lenient}),
+     * in the order in which they have been encountered.
+     *
+     * The returned array is empty if the game has not been parsed in lenient mode, or if no problem has been encountered.
+     */
+    pgnWarnings(): InvalidPGN[] {
+        return [ ...this._pgnWarnings ];
+    }
+
+
     /**
      * Get the chess game variant of the game.
      */
@@ -583,10 +647,11 @@ export class Game {
      * Set the initial position of the game.
      *
      * @param fullMoveNumber - 1 by default
+     * @param fiftyMoveClock - Number of half-moves since the last pawn move or capture at the beginning of the game. 0 by default.
      */
-    initialPosition(initialPosition: Position, fullMoveNumber?: number): void;
+    initialPosition(initialPosition: Position, fullMoveNumber?: number, fiftyMoveClock?: number): void;
 
-    initialPosition(initialPosition?: Position, fullMoveNumber?: number) {
+    initialPosition(initialPosition?: Position, fullMoveNumber?: number, fiftyMoveClock?: number) {
         if (arguments.length === 0) {
             return new Position(this._moveTreeRoot._position);
         }
@@ -603,6 +668,15 @@ export class Game {
             else {
                 this._moveTreeRoot._fullMoveNumber = 1;
             }
+            if (arguments.length >= 3) {
+                if (!Number.isInteger(fiftyMoveClock) || fiftyMoveClock! < 0) {
+                    throw new IllegalArgument('Game.initialPosition()');
+                }
+                this._moveTreeRoot._fiftyMoveClock = fiftyMoveClock!;
+            }
+            else {
+                this._moveTreeRoot._fiftyMoveClock = 0;
+            }
             this._moveTreeRoot._position = new Position(initialPosition);
             this._moveTreeRoot.clearTree();
         }
@@ -612,11 +686,11 @@ export class Game {
     /**
      * [FEN](https://en.wikipedia.org/wiki/Forsyth%E2%80%93Edwards_Notation) representation of the chess position at the beginning of the game.
      *
-     * The fifty-move clock and full-move number are set according to the move history in the string returned by this method.
+     * The fifty-move clock and full-move number of the returned string are those defined with {@link Game.initialPosition}.
      */
     initialFEN(): string {
         return this._moveTreeRoot._position.fen({
-            fiftyMoveClock: 0,
+            fiftyMoveClock: this._moveTreeRoot._fiftyMoveClock,
             fullMoveNumber: this._moveTreeRoot._fullMoveNumber,
         });
     }
@@ -690,6 +764,43 @@ export class Game {
     }
 
 
+    /**
+     * Whether the game is over (or can be declared as drawn by one of the players) at the end of the main variation, and why.
+     *
+     * @param uscfRules - `true` to use the USCF rules to detect dead positions, `false` to use the FIDE rules (see {@link Position.isDead}).
+     * @returns `undefined` if the game is not over.
+     * @see {@link Node.terminationStatus} for more details.
+     */
+    terminationStatus(uscfRules = false): TerminationStatus | undefined {
+        const nodes = this._moveTreeRoot.mainVariation().nodes();
+        if (nodes.length === 0) {
+            return computeTerminationStatus(new Position(this._moveTreeRoot._position), this._moveTreeRoot._fiftyMoveClock, () => 1, uscfRules);
+        }
+        else {
+            return nodes[nodes.length - 1].terminationStatus(uscfRules);
+        }
+    }
+
+
+    /**
+     * Set the {@link Game.result} and {@link Game.termination} headers according to {@link Game.terminationStatus}.
+     *
+     * The {@link Game.termination} header is set to `'normal'` (as specified by the PGN standard). Draws that must be claimed
+     * (threefold repetition and fifty-move rule) are assumed to have been claimed. If the game is not over, nothing is modified.
+     *
+     * @param uscfRules - `true` to use the USCF rules to detect dead positions, `false` to use the FIDE rules (see {@link Position.isDead}).
+     * @returns The termination status of the game, or `undefined` if the game is not over.
+     */
+    fillResultAndTermination(uscfRules = false): TerminationStatus | undefined {
+        const status = this.terminationStatus(uscfRules);
+        if (status !== undefined) {
+            this._result = resultFromString(status.result);
+            this._termination = 'normal';
+        }
+        return status;
+    }
+
+
     /**
      * Return the node or variation corresponding to the given ID (see {@link Node.id | Node.id} and {@link Variation.id | Variation.id}
      * to retrieve the ID of a node or variation).
@@ -750,6 +861,12 @@ export class Game {
         if (this._openingSubVariation !== undefined) { pojo.openingSubVariation = this._openingSubVariation; }
         if (this._termination !== undefined) { pojo.termination = this._termination; }
         if (this._result !== GameResultImpl.LINE) { pojo.result = this.result(); }
+        if (this._customHeaders.size > 0) {
+            pojo.headers = {};
+            for (const key of this.headers()) {
+                pojo.headers[key] = this._customHeaders.get(key)!;
+            }
+        }
 
         // Moves
         this._moveTreeRoot.getPojo(pojo);
@@ -823,6 +940,23 @@ export class Game {
             }
             game._result = resultCode;
         });
+        decodeObjectField(pojo, 'headers', exceptionBuilder, value => {
+            for (const key in value) {
+                if (!isValidCustomHeaderKey(key)) {
+                    exceptionBuilder.push(key); // no-pop
+                    throw exceptionBuilder.build(i18n.INVALID_CUSTOM_HEADER_IN_POJO, key);
+                }
+                const headerValue = value[key];
+                if (headerValue === undefined) {
+                    continue;
+                }
+                else if (typeof headerValue !== 'string') {
+                    exceptionBuilder.push(key); // no-pop
+                    throw exceptionBuilder.build(i18n.INVALID_CUSTOM_HEADER_IN_POJO, key);
+                }
+                game._customHeaders.set(key, headerValue);
+            }
+        });
 
         // Moves
         game._moveTreeRoot.setPojo(pojo, exceptionBuilder);
@@ -853,6 +987,9 @@ export class Game {
         pushIfDefined(formatSimpleHeader('ECO', this._eco));
         pushIfDefined(formatOpening(this._opening, this._openingVariation, this._openingSubVariation));
         pushIfDefined(formatSimpleHeader('Termination', this._termination));
+        for (const key of this.headers()) {
+            pushIfDefined(formatSimpleHeader(key, this._customHeaders.get(key)));
+        }
 
         // Variant & initial position
         const variant = this._moveTreeRoot._position.variant();
@@ -920,6 +1057,28 @@ export class Game {
 }
 
 
+/**
+ * Attach to the given game the problems that have been repaired when parsing it in lenient mode (see {@link Game.pgnWarnings}).
+ *
+ * Reserved for the PGN reader: this function is not exposed by the library.
+ */
+export function setPGNWarnings(game: Game, warnings: InvalidPGN[]) {
+    game['_pgnWarnings'] = warnings;
+}
+
+
+/**
+ * Headers natively supported by {@link Game} (or automatically generated when writing PGN), that cannot be used as custom headers.
+ */
+const RESERVED_HEADER_KEYS = new Set([ 'Annotator', 'Black', 'BlackElo', 'BlackTitle', 'Date', 'ECO', 'Event', 'FEN', 'Opening', 'PlyCount', 'Result',
+    'Round', 'SetUp', 'Site', 'SubVariation', 'Termination', 'Variant', 'Variation', 'White', 'WhiteElo', 'WhiteTitle' ]);
+
+
+function isValidCustomHeaderKey(key: string) {
+    return typeof key === 'string' && /^\w+$/.test(key) && !RESERVED_HEADER_KEYS.has(key);
+}
+
+
 function sanitizeStringHeader(value: unknown) {
     return value === undefined || value === null ? undefined : String(value);
 }
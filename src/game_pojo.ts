@@ -57,6 +57,7 @@ export type GamePOJO = {
     openingSubVariation?: string,
     termination?: string,
     result?: GameResult,
+    headers?: Record<string, string>,
 
     // Moves
     variant?: GameVariant,
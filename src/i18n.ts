@@ -42,11 +42,25 @@ export let WRONG_RANK_IN_EN_PASSANT_FIELD            = 'The rank number indicate
 export let INEFFECTIVE_EN_PASSANT_FIELD              = 'No en-passant capture can happen on file {0} in the position defined in the FEN string.';
 export let INVALID_HALF_MOVE_COUNT_FIELD             = 'The 5th field of a FEN string must be a number, indicating the number of half-move since the last pawn move or capture.';
 export let INVALID_MOVE_NUMBER_FIELD                 = 'The 6th field of a FEN string must be a number, indicating the move number of the game.';
+export let INVALID_CHECK_COUNT_FIELD                 = 'The 7th field of a three-check FEN string must be of the form `+N+M`, indicating the number of checks given by each player.';
+export let INVALID_POCKET_IN_BOARD_FIELD             = 'The 1st field of a crazyhouse FEN string must end with the pieces held by the players between square brackets (e.g. `[Qn]`, kings excluded).';
+export let TOO_MANY_PIECES_IN_POCKET                 = 'A pocket cannot hold more than {0} pieces of the same type.';
 export let INVALID_VARIANT_PREFIX                    = 'Invalid variant prefix: `{0}`.';
 
 // Notation & UCI parsing error messages
 export let INVALID_UCI_NOTATION_SYNTAX         = 'The syntax of the UCI notation is invalid.';
 export let ILLEGAL_UCI_MOVE                    = 'The UCI move is not legal.';
+export let INVALID_ICCF_NOTATION_SYNTAX        = 'The syntax of the ICCF numeric notation is invalid.';
+export let ILLEGAL_ICCF_MOVE                   = 'The ICCF numeric move is not legal.';
+export let INVALID_SMITH_NOTATION_SYNTAX       = 'The syntax of the Smith notation is invalid.';
+export let ILLEGAL_SMITH_MOVE                  = 'The Smith move is not legal.';
+export let WRONG_SMITH_INDICATOR               = 'Wrong capture/castling indicator (expected: `{0}`, observed: `{1}`).';
+export let INVALID_DESCRIPTIVE_SYNTAX          = 'The syntax of the descriptive notation is invalid.';
+export let ILLEGAL_DESCRIPTIVE_MOVE            = 'The descriptive move is not legal.';
+export let AMBIGUOUS_DESCRIPTIVE_MOVE          = 'Several legal moves correspond to the descriptive notation.';
+export let NON_CANONICAL_DESCRIPTIVE_NOTATION  = 'Non-canonical descriptive notation (expected: `{0}`).';
+export let UNRECOGNIZED_MOVE_INPUT             = 'The move input does not correspond to any supported notation.';
+export let NO_MOVE_MATCHING_INPUT              = 'No legal move corresponds to the move input.';
 export let INVALID_MOVE_NOTATION_SYNTAX        = 'The syntax of the move notation is invalid.';
 export let ILLEGAL_POSITION                    = 'The position is not legal.';
 export let ILLEGAL_NO_KING_CASTLING            = 'Castling is not legal in the considered position as it has no king.';
@@ -59,10 +73,16 @@ export let WRONG_DISAMBIGUATION_SYMBOL         = 'Wrong disambiguation symbol (e
 export let CASTLING_MOVE_ENCODED_WITH_ZERO     = 'Capital O must be used for castling moves (instead of digit 0).';
 export let TRYING_TO_CAPTURE_YOUR_OWN_PIECES   = 'Capturing its own pieces is not legal.';
 export let CAPTURE_IS_MANDATORY                = 'Capture is mandatory.';
+export let GAME_OVER_BY_VARIANT_RULE           = 'The game is already over according to the rules of the variant.';
+export let CHECK_NOT_ALLOWED                   = 'Giving check is not allowed in racing kings.';
 export let INVALID_PIECE_SYMBOL                = 'Character `{0}` is not a valid piece symbol.';
 export let INVALID_PIECE_SYMBOL_COLOR          = 'Invalid color for piece symbol `{0}`.';
 export let INVALID_CAPTURING_PAWN_MOVE         = 'Invalid capturing pawn move.';
 export let INVALID_NON_CAPTURING_PAWN_MOVE     = 'Invalid non-capturing pawn move.';
+export let NO_PIECE_TO_DROP                    = 'The dropped piece is not available in the pocket of the player.';
+export let DROP_ON_OCCUPIED_SQUARE             = 'Pieces can only be dropped on empty squares.';
+export let INVALID_PAWN_DROP                   = 'Pawns cannot be dropped on the 1st or 8th rank.';
+export let MISSING_PAWN_DROP_SYMBOL            = 'A piece symbol is required for pawn drops (e.g. `P@e4`).';
 export let NOT_SAFE_FOR_WHITE_KING             = 'This move would let the white king in check.';
 export let NOT_SAFE_FOR_BLACK_KING             = 'This move would let the black king in check.';
 export let MISSING_PROMOTION                   = 'A promoted piece must be specified for this move.';
@@ -89,6 +109,15 @@ export let INVALID_GAME_INDEX            = 'Game index {0} is invalid (only {1}
 export let UNKNOWN_VARIANT               = 'Unknown chess game variant ({0}).';
 export let VARIANT_WITHOUT_FEN           = 'For game variant {0}, the FEN header is mandatory.';
 
+// EPD parsing error messages
+export let WRONG_NUMBER_OF_EPD_FIELDS     = 'An EPD record must start with 4 space-separated fields.';
+export let INVALID_FEN_IN_EPD             = 'Invalid position fields. {0}';
+export let INVALID_EPD_OPCODE             = 'Invalid EPD opcode `{0}`.';
+export let DUPLICATED_EPD_OPCODE          = 'EPD opcode `{0}` is used several times.';
+export let UNTERMINATED_EPD_STRING        = 'Unterminated string operand in EPD operation `{0}`.';
+export let INVALID_EPD_OPERANDS           = 'Invalid operand(s) for EPD opcode `{0}`.';
+export let INVALID_MOVE_IN_EPD            = 'Invalid move in EPD operation `{0}` ({1}). {2}';
+
 // POJO deserializing error messages
 export let POJO_MUST_BE_AN_OBJECT            = 'Unexpected non-object value passed as POJO.';
 export let INVALID_POJO_STRING_FIELD         = 'Invalid value (must be a string).';
@@ -104,6 +133,7 @@ export let INVALID_RESULT_IN_POJO            = 'Ill-formed result.';
 export let INVALID_VARIANT_IN_POJO           = 'Ill-formed variant.';
 export let INVALID_NAG_IN_POJO               = 'Invalid NAG ({0}).';
 export let INVALID_TAG_IN_POJO               = 'Invalid tag ({0}).';
+export let INVALID_CUSTOM_HEADER_IN_POJO     = 'Invalid custom header ({0}).';
 export let INVALID_MOVE_IN_POJO              = 'Invalid move ({0}). {1}';
 export let INVALID_FEN_IN_POJO               = 'Invalid initial position FEN. {0}';
 export let MISSING_INITIAL_POSITION_IN_POJO  = 'For game variant {0}, the initial position field is mandatory.';
@@ -30,14 +30,24 @@ export { isColor, isPiece, isColoredPiece, isFile, isRank, isSquare, isSquareCou
     squareColor, squareToCoordinates, coordinatesToSquare, oppositeColor, variantWithCanonicalStartPosition, nagSymbol, isValidECO } from './helper';
 export { DateValue } from './date_value';
 
-export { PositionAsciiOptions } from './private_position/fen';
+export { CastlingStyle, PositionAsciiOptions } from './private_position/fen';
+export { NotationLocale } from './private_position/notation';
 
 export { MoveDescriptor, isMoveDescriptor } from './move_descriptor';
-export { Position, RegularMoveFactory, PromotionMoveFactory } from './position';
+export { Position, RegularMoveFactory, PromotionMoveFactory, PinnedPiece } from './position';
+export { AnnotationColor, Arrow, Evaluation, SquareHighlight } from './private_game/annotation_tags';
+export { TerminationReason, TerminationStatus } from './private_game/termination';
 export { AbstractNode, Node, Variation } from './node_variation';
 export { GamePOJO, PlayerPOJO, AbstractNodePOJO, NodePOJO, VariationPOJO } from './game_pojo';
 export { Game } from './game';
 export { Database } from './database';
 
+export { PGNReadOptions, PGNStreamSource } from './private_pgn/pgn_read_impl';
 export { PGNWriteOptions } from './private_pgn/pgn_write_impl';
-export { pgnRead, pgnWrite } from './pgn';
+export { pgnRead, pgnReadStream, pgnWarnings, pgnWrite } from './pgn';
+
+export { EPDRecord } from './private_epd/epd_read_impl';
+export { epdRead, epdWrite } from './epd';
+
+export { PolyglotWriteOptions } from './private_polyglot/polyglot_write_impl';
+export { PolyglotBook, PolyglotBookEntry, polyglotWrite } from './polyglot_book';
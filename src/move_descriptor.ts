@@ -55,8 +55,15 @@ export abstract class MoveDescriptor {
      */
     abstract isPromotion(): boolean;
 
+    /**
+     * Whether the current move is a drop (i.e. a piece taken from the pocket of the player and put on the board, in crazyhouse) or not.
+     */
+    abstract isDrop(): boolean;
+
     /**
      * Origin square of the moving piece. In case of castling, this is the origin square of the king.
+     *
+     * @throws {@link exception.IllegalArgument} if the current move is a drop, i.e. if {@link isDrop} returns `true`.
      */
     abstract from(): Square;
 
@@ -133,6 +140,9 @@ export abstract class MoveDescriptor {
      * @ignore
      */
     toString(): string {
+        if (this.isDrop()) {
+            return this.movingPiece().toUpperCase() + '@' + this.to();
+        }
         let result = this.from() + this.to();
         if (this.isPromotion()) {
             result += this.promotion().toUpperCase();
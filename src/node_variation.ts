@@ -22,9 +22,13 @@
  * -------------------------------------------------------------------------- */
 
 
-import { Color } from './base_types';
+import { Color, Square, SquareCouple } from './base_types';
 import { Position } from './position';
 
+import { AnnotationColor, Arrow, Evaluation, SquareHighlight } from './private_game/annotation_tags';
+import { TerminationStatus } from './private_game/termination';
+import { NotationLocale } from './private_position/notation';
+
 
 /**
  * Base class for {@link Node} and {@link Variation}.
@@ -158,16 +162,107 @@ export abstract class AbstractNode {
      */
     abstract isLongComment(): boolean;
 
+    /**
+     * Clock time (in milliseconds) remaining to the player that has just played, as stored in the `[%clk ...]` tag.
+     *
+     * @returns `undefined` if there is no such tag, or if its value cannot be parsed.
+     */
+    abstract clock(): number | undefined;
+
+    /**
+     * Set the clock time (in milliseconds) remaining to the player that has just played. The value is stored in the `[%clk ...]` tag,
+     * formatted as `H:MM:SS` (with a fractional part for the seconds if necessary).
+     *
+     * @param value - Must be a non-negative integer. If `undefined`, the existing value (if any) is erased.
+     */
+    abstract clock(value: number | undefined): void;
+
+    /**
+     * Time (in milliseconds) spent on the move, as stored in the `[%emt ...]` tag.
+     *
+     * @returns `undefined` if there is no such tag, or if its value cannot be parsed.
+     */
+    abstract elapsedMoveTime(): number | undefined;
+
+    /**
+     * Set the time (in milliseconds) spent on the move. The value is stored in the `[%emt ...]` tag, formatted as for {@link AbstractNode.clock}.
+     *
+     * @param value - Must be a non-negative integer. If `undefined`, the existing value (if any) is erased.
+     */
+    abstract elapsedMoveTime(value: number | undefined): void;
+
+    /**
+     * Engine evaluation of the position, as stored in the `[%eval ...]` tag.
+     *
+     * @returns `undefined` if there is no such tag, or if its value cannot be parsed.
+     */
+    abstract evaluation(): Evaluation | undefined;
+
+    /**
+     * Set the engine evaluation of the position. The value is stored in the `[%eval ...]` tag, formatted as `1.23` (in pawns)
+     * or `#-3` (mate), optionally followed by `,depth`.
+     *
+     * @param value - If `undefined`, the existing value (if any) is erased.
+     */
+    abstract evaluation(value: Evaluation | undefined): void;
+
+    /**
+     * Arrows drawn on the board, as stored in the `[%cal ...]` tag.
+     *
+     * @returns array in the order in which the arrows appear in the tag (items of the tag that cannot be parsed are ignored).
+     */
+    abstract arrows(): Arrow[];
+
+    /**
+     * Add an arrow to the current node or variation. If there is already an arrow between the same squares, its color is replaced.
+     *
+     * @param squares - Origin and destination squares of the arrow (e.g. `'e2e4'`).
+     */
+    abstract addArrow(color: AnnotationColor, squares: SquareCouple): void;
+
+    /**
+     * Remove the arrow (if any) between the given squares from the current node or variation.
+     */
+    abstract removeArrow(squares: SquareCouple): void;
+
+    /**
+     * Remove all the arrows from the current node or variation.
+     */
+    abstract clearArrows(): void;
+
+    /**
+     * Colored squares, as stored in the `[%csl ...]` tag.
+     *
+     * @returns array in the order in which the squares appear in the tag (items of the tag that cannot be parsed are ignored).
+     */
+    abstract squareHighlights(): SquareHighlight[];
+
+    /**
+     * Highlight the given square on the current node or variation. If the square is already highlighted, its color is replaced.
+     */
+    abstract addSquareHighlight(color: AnnotationColor, square: Square): void;
+
+    /**
+     * Remove the highlight (if any) of the given square from the current node or variation.
+     */
+    abstract removeSquareHighlight(square: Square): void;
+
+    /**
+     * Remove all the square highlights from the current node or variation.
+     */
+    abstract clearSquareHighlights(): void;
+
     /**
      * Create a new node representing the given move, and append it to the current node or variation.
      *
      * If there are some pre-existing subsequent nodes, they are all erased.
      *
      * @param move - [SAN](https://en.wikipedia.org/wiki/Algebraic_notation_(chess)) representation of the move, or `'--'` for a null-move.
+     * @param locale - Locale of the piece letters used in `move` (see {@link NotationLocale}). If omitted, English piece letters are expected.
      * @returns The newly created {@link Node}.
      * @throws {@link exception.InvalidNotation} if the move notation cannot be parsed, or if the parsed move would correspond to an illegal move.
      */
-    abstract play(move: string): Node;
+    abstract play(move: string, locale?: NotationLocale): Node;
 }
 
 
@@ -248,6 +343,41 @@ export abstract class Node extends AbstractNode {
      */
     abstract moveColor(): Color;
 
+    /**
+     * Number of times the position obtained after the current move has been reached along the line leading to the current move
+     * (the current occurrence included, so that the returned value is always greater or equal to 1).
+     *
+     * The moves of the parent variations are taken into account if the current node belongs to a sub-variation.
+     * Positions are compared as in {@link Position.isEqual}, i.e. they must have the same pieces on the same squares,
+     * the same player about to play, and the same effective castling and *en-passant* flags.
+     */
+    abstract repetitionCount(): number;
+
+    /**
+     * Whether the position obtained after the current move has been reached at least 3 times (see {@link Node.repetitionCount}),
+     * allowing a player to claim a draw.
+     */
+    abstract isThreefoldRepetition(): boolean;
+
+    /**
+     * Whether the position obtained after the current move has been reached at least 5 times (see {@link Node.repetitionCount}),
+     * in which case the game is automatically drawn according to the FIDE rules.
+     */
+    abstract isFivefoldRepetition(): boolean;
+
+    /**
+     * Whether the game is over (or can be declared as drawn by one of the players) after the current move, and why.
+     *
+     * The following situations are detected: checkmate, stalemate, dead position (see {@link Position.isDead}), 50-move and 75-move rules
+     * (see {@link Node.fiftyMoveClock}), threefold and fivefold repetitions (see {@link Node.repetitionCount}), and variant-specific
+     * winning conditions (no piece left in antichess, all pawns captured in horde chess, third check in three-check, king on a central square
+     * in king of the hill, king on the 8th rank in racing kings).
+     *
+     * @param uscfRules - `true` to use the USCF rules to detect dead positions, `false` to use the FIDE rules (see {@link Position.isDead}).
+     * @returns `undefined` if the game is not over.
+     */
+    abstract terminationStatus(uscfRules?: boolean): TerminationStatus | undefined;
+
     /**
      * Alternative variations that can be followed instead of the current move.
      */
@@ -23,11 +23,13 @@
 
 
 import { Database, isValidGameIndex } from './database';
-import { IllegalArgument } from './exception';
+import { IllegalArgument, InvalidPGN } from './exception';
 import { Game } from './game';
 
-import { readDatabase, readOneGame } from './private_pgn/pgn_read_impl';
+import { isPGNStreamSource, readDatabase, readOneGame, readStream, PGNReadOptions, PGNStreamSource } from './private_pgn/pgn_read_impl';
 import { writeGame, writeGames, PGNWriteOptions } from './private_pgn/pgn_write_impl';
+import { isCastlingStyle } from './private_position/fen';
+import { isNotationLocale } from './private_position/notation';
 
 
 /**
@@ -35,7 +37,7 @@ import { writeGame, writeGames, PGNWriteOptions } from './private_pgn/pgn_write_
  *
  * @param pgnString - String to parse.
  */
-export function pgnRead(pgnString: string): Database;
+export function pgnRead(pgnString: string, options?: PGNReadOptions): Database;
 
 /**
  * PGN parsing function.
@@ -44,22 +46,77 @@ export function pgnRead(pgnString: string): Database;
  * @param gameIndex - Only the game corresponding to this index is parsed. Must be between 0 (inclusive) and the number of games in the PGN (exclusive).
  * @throws {@link exception.InvalidPGN} if the corresponding game cannot be parsed, or if the given game index is larger than the number of games in the underlying PGN string.
  */
-export function pgnRead(pgnString: string, gameIndex: number): Game;
+export function pgnRead(pgnString: string, gameIndex: number, options?: PGNReadOptions): Game;
 
-export function pgnRead(pgnString: string, gameIndex?: number) {
+export function pgnRead(pgnString: string, gameIndexOrOptions?: number | PGNReadOptions, options?: PGNReadOptions) {
     if (typeof pgnString !== 'string') {
         throw new IllegalArgument('pgnRead()');
     }
 
     if (arguments.length === 1) { // Parse all games (and return a Database object)...
-        return readDatabase(pgnString);
+        return readDatabase(pgnString, {});
+    }
+    else if (isPGNReadOptions(gameIndexOrOptions)) { // Parse all games with custom options...
+        return readDatabase(pgnString, validatePGNReadOptions(gameIndexOrOptions, 'pgnRead()'));
     }
     else { // Parse one game...
-        if (!isValidGameIndex(gameIndex)) {
+        if (!isValidGameIndex(gameIndexOrOptions)) {
             throw new IllegalArgument('pgnRead()');
         }
-        return readOneGame(pgnString, gameIndex!);
+        return readOneGame(pgnString, gameIndexOrOptions as number, validatePGNReadOptions(options ?? {}, 'pgnRead()'));
+    }
+}
+
+
+function isPGNReadOptions(value: unknown): value is PGNReadOptions {
+    return typeof value === 'object' && value !== null;
+}
+
+
+function validatePGNReadOptions(options: PGNReadOptions, functionName: string) {
+    if (options.notationLocale !== undefined && !isNotationLocale(options.notationLocale)) {
+        throw new IllegalArgument(functionName);
+    }
+    return options;
+}
+
+
+/**
+ * Streaming PGN parsing function, for PGN data that are too large to be loaded in a single string.
+ *
+ * The PGN data is read chunk by chunk from the given source, and the games are yielded as soon as they have been entirely received.
+ * Example, to print the name of the players of all the games within a PGN file:
+ * ```
+ * const stream = fs.createReadStream('games.pgn');
+ * for await (const game of pgnReadStream(stream)) {
+ *   console.log(game.playerName('w') + ' - ' + game.playerName('b'));
+ * }
+ * ```
+ *
+ * As with {@link Database.games}, the games that cannot be parsed are ignored.
+ *
+ * @param source - Source of PGN data.
+ */
+export function pgnReadStream(source: PGNStreamSource, options?: PGNReadOptions): AsyncIterable<Game> {
+    if (!isPGNStreamSource(source)) {
+        throw new IllegalArgument('pgnReadStream()');
     }
+    return readStream(source, validatePGNReadOptions(options ?? {}, 'pgnReadStream()'));
+}
+
+
+/**
+ * Return the problems that have been repaired when the given game has been parsed in lenient mode (see {@link PGNReadOptions.lenient}),
+ * in the order in which they have been encountered.
+ *
+ * The returned array is empty if the game has not been parsed in lenient mode, or if no problem has been encountered.
+ * Equivalent to {@link Game.pgnWarnings}.
+ */
+export function pgnWarnings(game: Game): InvalidPGN[] {
+    if (!(game instanceof Game)) {
+        throw new IllegalArgument('pgnWarnings()');
+    }
+    return game.pgnWarnings();
 }
 
 
@@ -79,6 +136,12 @@ export function pgnWrite(gameOrGames: Game | Game[], options?: PGNWriteOptions)
     if (options === undefined || options === null) {
         options = {};
     }
+    if ((options.maxLineLength !== undefined && !(Number.isInteger(options.maxLineLength) && options.maxLineLength > 0)) ||
+        (options.notation !== undefined && options.notation !== 'standard' && options.notation !== 'figurine') ||
+        (options.castlingStyle !== undefined && !isCastlingStyle(options.castlingStyle)) ||
+        (options.notationLocale !== undefined && !isNotationLocale(options.notationLocale))) {
+        throw new IllegalArgument('pgnWrite()');
+    }
     if (gameOrGames instanceof Game) {
         return writeGame(gameOrGames, options);
     }
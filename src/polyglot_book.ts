@@ -0,0 +1,193 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { Database } from './database';
+import { IllegalArgument, InvalidNotation } from './exception';
+import { Game } from './game';
+import { MoveDescriptor } from './move_descriptor';
+import { Position } from './position';
+
+import { writeBook, PolyglotWriteOptions } from './private_polyglot/polyglot_write_impl';
+import { squareToString } from './private_position/base_types_impl';
+
+
+const ENTRY_SIZE = 16;
+const PROMOTION_SYMBOL = [ '', 'n', 'b', 'r', 'q' ];
+
+
+/**
+ * Move proposed by a {@link PolyglotBook} for a given position.
+ */
+export interface PolyglotBookEntry {
+
+    /**
+     * Proposed move.
+     */
+    move: MoveDescriptor,
+
+    /**
+     * Weight of the move (the higher, the more often the move should be played), between 0 and 65535 inclusive.
+     */
+    weight: number,
+
+    /**
+     * Learning data attached to the move (usually 0), between 0 and 2^32-1 inclusive.
+     */
+    learn: number,
+}
+
+
+/**
+ * Opening book in [Polyglot](http://hgm.nubati.net/book_format.html) format (aka. `.bin` file).
+ *
+ * Example, to print the book moves available in the starting position:
+ * ```
+ * const book = new PolyglotBook(fs.readFileSync('book.bin'));
+ * const position = new Position();
+ * for (const entry of book.entries(position)) {
+ *   console.log(position.notation(entry.move), entry.weight);
+ * }
+ * ```
+ */
+export class PolyglotBook {
+
+    private _data: DataView;
+
+    /**
+     * @param data - Raw content of the book. It must be made of 16-byte entries, sorted by position key (as any valid Polyglot book).
+     * @throws {@link exception.IllegalArgument} if the size of the given data is not a multiple of 16 bytes.
+     */
+    constructor(data: Uint8Array) {
+        if (!(data instanceof Uint8Array) || data.byteLength % ENTRY_SIZE !== 0) {
+            throw new IllegalArgument('PolyglotBook()');
+        }
+        this._data = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    }
+
+    /**
+     * Number of entries in the book (all positions included).
+     */
+    entryCount(): number {
+        return this._data.byteLength / ENTRY_SIZE;
+    }
+
+    /**
+     * Return the moves proposed by the book for the given position, in the order they appear in the book.
+     *
+     * Entries corresponding to moves that are not legal in the given position (which may happen in case of key collision)
+     * are ignored. Castling moves, that are encoded as "king-take-rook" in Polyglot books, are decoded into regular castling
+     * {@link MoveDescriptor} objects.
+     */
+    entries(position: Position): PolyglotBookEntry[] {
+        if (!(position instanceof Position)) {
+            throw new IllegalArgument('PolyglotBook.entries()');
+        }
+        const key = position.polyglotKey();
+
+        // Binary search of the first entry whose key is greater or equal to the target key.
+        let begin = 0;
+        let end = this.entryCount();
+        while (begin < end) {
+            const middle = Math.trunc((begin + end) / 2);
+            if (this._data.getBigUint64(middle * ENTRY_SIZE) < key) {
+                begin = middle + 1;
+            }
+            else {
+                end = middle;
+            }
+        }
+
+        // Decode the entries corresponding to the target key.
+        const result: PolyglotBookEntry[] = [];
+        for (let offset = begin * ENTRY_SIZE; offset < this._data.byteLength && this._data.getBigUint64(offset) === key; offset += ENTRY_SIZE) {
+            const move = decodeMove(position, this._data.getUint16(offset + 8));
+            if (move) {
+                result.push({ move: move, weight: this._data.getUint16(offset + 10), learn: this._data.getUint32(offset + 12) });
+            }
+        }
+        return result;
+    }
+}
+
+
+/**
+ * Generate a [Polyglot](http://hgm.nubati.net/book_format.html) opening book (aka. `.bin` file) from the moves played in the given games.
+ *
+ * Example, to build a book from a PGN file:
+ * ```
+ * const database = pgnRead(fs.readFileSync('games.pgn', 'utf8'));
+ * fs.writeFileSync('book.bin', polyglotWrite(database, { maxPly: 20, minGameCount: 2 }));
+ * ```
+ *
+ * Games in variants other than regular chess and Chess960 are ignored. Games that cannot be parsed are ignored too
+ * (see {@link Database.games}).
+ *
+ * @param games - Games to process.
+ * @returns Raw content of the book, that can be read with {@link PolyglotBook}.
+ */
+export function polyglotWrite(games: Database | Game[], options?: PolyglotWriteOptions): Uint8Array {
+    if (options === undefined || options === null) {
+        options = {};
+    }
+    if ((options.maxPly !== undefined && !(Number.isInteger(options.maxPly) && options.maxPly >= 0)) ||
+        (options.minGameCount !== undefined && !(Number.isInteger(options.minGameCount) && options.minGameCount > 0))) {
+        throw new IllegalArgument('polyglotWrite()');
+    }
+    if (games instanceof Database) {
+        return writeBook(games.games(), options);
+    }
+    else if (Array.isArray(games) && games.every(game => game instanceof Game)) {
+        return writeBook(games, options);
+    }
+    else {
+        throw new IllegalArgument('polyglotWrite()');
+    }
+}
+
+
+/**
+ * Decode a Polyglot move, or return `false` if it does not correspond to a legal move in the given position.
+ */
+function decodeMove(position: Position, move: number): MoveDescriptor | false {
+    const to = ((move >> 3) & 0x7) * 16 + (move & 0x7);
+    const from = ((move >> 9) & 0x7) * 16 + ((move >> 6) & 0x7);
+    const promotion = (move >> 12) & 0x7;
+    if (promotion >= PROMOTION_SYMBOL.length) {
+        return false;
+    }
+
+    // Castling moves are encoded as "king-take-rook", which is understood by the (non-strict) UCI parser whatever the variant.
+    try {
+        return position.uci(squareToString(from) + squareToString(to) + PROMOTION_SYMBOL[promotion], false);
+    }
+    catch (err) {
+        // istanbul ignore else
+        if (err instanceof InvalidNotation) {
+            return false;
+        }
+        else {
+            throw err;
+        }
+    }
+}
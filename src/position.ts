@@ -22,22 +22,32 @@
  * -------------------------------------------------------------------------- */
 
 
-import { Color, Piece, ColoredPiece, File, Square, Castle, Castle960, GameVariant } from './base_types';
+import { Color, Piece, ColoredPiece, File, Square, Castle, Castle960, GameResult, GameVariant } from './base_types';
 import { IllegalArgument, InvalidFEN, InvalidNotation } from './exception';
-import { isCastle, isCastle960 } from './helper';
+import { forEachSquare, isCastle, isCastle960 } from './helper';
 import { i18n } from './i18n';
 import { MoveDescriptor } from './move_descriptor';
 
+import { parseAnyMove } from './private_position/any_move';
 import { isAttacked, getAttacks } from './private_position/attacks';
-import { SpI, GameVariantImpl, colorFromString, colorToString, pieceFromString, coloredPieceFromString, coloredPieceToString,
-    fileFromString, fileToString, squareFromString, squareToString, variantFromString, variantToString } from './private_position/base_types_impl';
-import { PositionAsciiOptions, ascii, getFEN, parseFEN } from './private_position/fen';
-import { PositionImpl, makeCopy, makeEmpty, makeInitial, make960FromScharnagl, hasCanonicalStartPosition } from './private_position/impl';
+import { CpI, SpI, GameResultImpl, GameVariantImpl, colorFromString, colorToString, pieceFromString, pieceToString, coloredPieceFromString, coloredPieceToString,
+    fileFromString, fileToString, resultToString, squareFromString, squareToString, variantFromString, variantToString } from './private_position/base_types_impl';
+import { getAttackMap, getCheckers, getPinnedPieces, givesCheck, isDiscoveredCheck } from './private_position/checks';
+import { getICCFNotation, parseICCFNotation, getSmithNotation, parseSmithNotation } from './private_position/coordinate_notation';
+import { getDescriptiveNotation, parseDescriptiveNotation } from './private_position/descriptive';
+import { CastlingStyle, PositionAsciiOptions, ascii, getEPD, getFEN, isCastlingStyle, parseFEN } from './private_position/fen';
+import { MAX_POCKET_COUNT, PositionImpl, makeCopy, makeEmpty, makeInitial, make960FromScharnagl, hasCanonicalStartPosition } from './private_position/impl';
 import { isLegal, refreshLegalFlagAndKingSquares, refreshEffectiveEnPassant, isEqual, refreshEffectiveCastling } from './private_position/legality';
+import { PIECE_VALUE, getPieces, getMaterialCount, getMaterialSignature, getMaterialBalance, hasBishopPair,
+    hasOppositeColoredBishops } from './private_position/material';
 import { MoveDescriptorImpl } from './private_position/move_descriptor_impl';
-import { isCheck, isCheckmate, isStalemate, isDead, hasMove, moves, isMoveLegal, play, isNullMoveLegal, playNullMove } from './private_position/move_generation';
-import { getNotation, parseNotation } from './private_position/notation';
+import { UndoInfo, isCheck, isCheckmate, isStalemate, isDead, getVariantResult, hasMove, moves, isMoveLegal, play, isNullMoveLegal, playNullMove, makeUndoInfo, undo } from './private_position/move_generation';
+import { NotationLocale, getNotation, parseNotation, getLongNotation, parseLongNotation, isNotationLocale } from './private_position/notation';
+import { perft, divide } from './private_position/perft';
+import { getPolyglotKey } from './private_position/polyglot';
+import { see } from './private_position/see';
 import { getUCINotation, parseUCINotation } from './private_position/uci';
+import { getZobristKey } from './private_position/zobrist';
 
 
 /**
@@ -50,6 +60,7 @@ import { getUCINotation, parseUCINotation } from './private_position/uci';
 export class Position {
 
     private _impl: PositionImpl;
+    private _history: UndoInfo[] = [];
 
 
     // -------------------------------------------------------------------------
@@ -73,7 +84,7 @@ export class Position {
      *
      * Warning: only chess game variants with a canonical start position can be used here (see {@link variantWithCanonicalStartPosition}).
      */
-    constructor(variant: 'regular' | 'antichess' | 'horde', state?: 'start');
+    constructor(variant: 'regular' | 'antichess' | 'horde' | 'three-check' | 'king-of-the-hill' | 'racing-kings' | 'crazyhouse', state?: 'start');
 
     /**
      * Instantiate a new {@link Position} configured for the given chess game variant, and initialized with an empty board.
@@ -216,6 +227,7 @@ export class Position {
             throw new IllegalArgument('Position.clear()');
         }
         this._impl = makeEmpty(variantCode);
+        this._history = [];
     }
 
 
@@ -224,6 +236,7 @@ export class Position {
      */
     reset(): void {
         this._impl = makeInitial(GameVariantImpl.REGULAR_CHESS);
+        this._history = [];
     }
 
 
@@ -238,6 +251,7 @@ export class Position {
             throw new IllegalArgument('Position.reset960()');
         }
         this._impl = make960FromScharnagl(scharnaglCode);
+        this._history = [];
     }
 
 
@@ -246,6 +260,7 @@ export class Position {
      */
     resetAntichess(): void {
         this._impl = makeInitial(GameVariantImpl.ANTICHESS);
+        this._history = [];
     }
 
 
@@ -254,18 +269,84 @@ export class Position {
      */
     resetHorde(): void {
         this._impl = makeInitial(GameVariantImpl.HORDE);
+        this._history = [];
+    }
+
+
+    /**
+     * Set the position to the starting state of the three-check variant.
+     */
+    resetThreeCheck(): void {
+        this._impl = makeInitial(GameVariantImpl.THREE_CHECK);
+        this._history = [];
+    }
+
+
+    /**
+     * Set the position to the starting state of the king of the hill variant.
+     */
+    resetKingOfTheHill(): void {
+        this._impl = makeInitial(GameVariantImpl.KING_OF_THE_HILL);
+        this._history = [];
+    }
+
+
+    /**
+     * Set the position to the starting state of the racing kings variant.
+     */
+    resetRacingKings(): void {
+        this._impl = makeInitial(GameVariantImpl.RACING_KINGS);
+        this._history = [];
+    }
+
+
+    /**
+     * Set the position to the starting state of the crazyhouse variant.
+     */
+    resetCrazyhouse(): void {
+        this._impl = makeInitial(GameVariantImpl.CRAZYHOUSE);
+        this._history = [];
     }
 
 
     /**
      * Check whether both given objects represent the same chess position (i.e. the same chess variant, same board,
-     * and same turn/castling/en-passant flags).
+     * same turn/castling/en-passant flags, for three-check, same check counters, and for crazyhouse, same pockets and promoted pieces).
      */
     static isEqual(pos1: unknown, pos2: unknown): boolean {
         return pos1 instanceof Position && pos2 instanceof Position && isEqual(pos1._impl, pos2._impl);
     }
 
 
+    /**
+     * Return a 64-bit [Zobrist](https://www.chessprogramming.org/Zobrist_Hashing) key identifying the current position.
+     *
+     * Two positions that are equal according to {@link Position.isEqual} always have the same key: in particular, the chess game variant,
+     * the effective castling flags (see {@link Position.effectiveCastling}), the effective *en-passant* flag (see {@link Position.effectiveEnPassant}),
+     * the check counters (see {@link Position.checkCount}) and the pockets (see {@link Position.pocketCount}) are taken into account, while the raw
+     * castling and *en-passant* flags and the promoted pieces (crazyhouse) are not. The key is updated incrementally when a move is played,
+     * so that computing it on each node of a game is cheap.
+     *
+     * WARNING: the values returned by this method are specific to Kokopu (in particular, they are NOT compatible with Polyglot opening books).
+     */
+    zobristKey(): bigint {
+        return getZobristKey(this._impl);
+    }
+
+
+    /**
+     * Return the 64-bit key identifying the current position in [Polyglot](http://hgm.nubati.net/book_format.html) opening books.
+     *
+     * The key follows the Polyglot specification, which differs from {@link Position.zobristKey} in a few points: the chess game variant
+     * is not taken into account, castling flags are encoded by side (king-side or queen-side), and the *en-passant* flag is taken into account
+     * as soon as a pawn of the player about to play lies next to the pawn that has just been pushed by two squares (even if the corresponding
+     * *en-passant* capture is not legal).
+     */
+    polyglotKey(): bigint {
+        return getPolyglotKey(this._impl);
+    }
+
+
     // -------------------------------------------------------------------------
     // FEN & ASCII conversion
     // -------------------------------------------------------------------------
@@ -309,6 +390,12 @@ export class Position {
     /**
      * Get the [FEN](https://en.wikipedia.org/wiki/Forsyth%E2%80%93Edwards_Notation) representation of the current {@link Position}.
      *
+     * For three-check, the number of checks given by each player (see {@link Position.checkCount}) is appended as a 7th field,
+     * with the form `+N+M` (`N` being the number of checks given by white, and `M` the number of checks given by black).
+     *
+     * For crazyhouse, the pieces held by each player (see {@link Position.pocketCount}) are appended to the 1st field between square brackets
+     * (for instance `[QPPn]` if white holds a queen and two pawns, and black a knight), and promoted pieces are followed by `~` (for instance `Q~`).
+     *
      * @param options.fiftyMoveClock - Value of the fifty move clock counter (5th field) in the generated FEN string. `0` by default.
      * @param options.fullMoveNumber - Value of the full move number counter (6th field) in the generated FEN string. `1` by default.
      * @param options.withVariant - If `true`, a prefix containing the name of the chess game variant + `:` is prepend to the generated FEN string.
@@ -316,19 +403,28 @@ export class Position {
      * @param options.regularFENIfPossible - For Chess960 only: if `true`, the castling flags are rendered using the regular-FEN style (i.e. `KQkq`)
      *                                       if no ambiguity is possible; if `false` or if there is an ambiguity, X-FEN style (i.e. `AHah`) is used instead.
      *                                       For non-Chess960 variants, this flag has no effect (regular FEN-style is always used in these cases).
-     *                                       `false` by default.
+     *                                       `false` by default. Setting this flag to `true` is equivalent to setting `options.castlingStyle` to `'standard'`.
+     * @param options.castlingStyle - For Chess960 only: style used to render the castling flags (see {@link CastlingStyle}). If defined,
+     *                                it takes precedence over `options.regularFENIfPossible`. For non-Chess960 variants, this option has no effect.
      */
-    fen(options?: { fiftyMoveClock?: number, fullMoveNumber?: number, withVariant?: boolean, regularFENIfPossible?: boolean }): string;
+    fen(options?: { fiftyMoveClock?: number, fullMoveNumber?: number, withVariant?: boolean, regularFENIfPossible?: boolean, castlingStyle?: CastlingStyle }): string;
 
     /**
      * Parse the given [FEN](https://en.wikipedia.org/wiki/Forsyth%E2%80%93Edwards_Notation) string and set the position accordingly.
      *
+     * For three-check, the FEN string may contain a 7th field of the form `+N+M`, indicating the number of checks given by each player
+     * (this field is mandatory in strict mode, and `+0+0` is assumed if it is omitted in non-strict mode).
+     *
+     * For crazyhouse, the 1st field may end with the pieces held by each player between square brackets (this suffix is mandatory
+     * in strict mode, and empty pockets are assumed if it is omitted in non-strict mode), and promoted pieces may be followed by `~`.
+     *
      * @param strict - If `true`, only perfectly formatted FEN strings are accepted. `false` by default.
      * @throws {@link exception.InvalidFEN} if the given string cannot be parsed as a valid FEN string.
      */
     fen(fen: string, strict?: boolean): { fiftyMoveClock: number, fullMoveNumber: number };
 
-    fen(fenOrOptions?: string | { fiftyMoveClock?: number, fullMoveNumber?: number, withVariant?: boolean, regularFENIfPossible?: boolean }, strict?: boolean) {
+    fen(fenOrOptions?: string | { fiftyMoveClock?: number, fullMoveNumber?: number, withVariant?: boolean, regularFENIfPossible?: boolean, castlingStyle?: CastlingStyle },
+        strict?: boolean) {
 
         // Getter, without options.
         if (arguments.length === 0) {
@@ -341,14 +437,15 @@ export class Position {
             const fiftyMoveClock = validate('fiftyMoveClock', 0, val => Number.isInteger(val));
             const fullMoveNumber = validate('fullMoveNumber', 1, val => Number.isInteger(val));
             const withVariant = validate('withVariant', false, val => typeof val === 'boolean');
-            const regularFENIfPossible = validate('regularFENIfPossible', false, val => typeof val === 'boolean');
-            return (withVariant ? variantToString(this._impl.variant) + ':' : '') + getFEN(this._impl, fiftyMoveClock, fullMoveNumber, regularFENIfPossible);
+            const castlingStyle = validateCastlingStyle(validate);
+            return (withVariant ? variantToString(this._impl.variant) + ':' : '') + getFEN(this._impl, fiftyMoveClock, fullMoveNumber, castlingStyle);
         }
 
         // Setter, without strict option.
         else if (arguments.length === 1 && typeof fenOrOptions === 'string') {
             const result = parseFEN(this._impl.variant, fenOrOptions, false);
             this._impl = result.position;
+            this._history = [];
             return { fiftyMoveClock: result.fiftyMoveClock, fullMoveNumber: result.fullMoveNumber };
         }
 
@@ -356,6 +453,7 @@ export class Position {
         else if (arguments.length >= 2 && typeof fenOrOptions === 'string' && typeof strict === 'boolean') {
             const result = parseFEN(this._impl.variant, fenOrOptions, strict);
             this._impl = result.position;
+            this._history = [];
             return { fiftyMoveClock: result.fiftyMoveClock, fullMoveNumber: result.fullMoveNumber };
         }
 
@@ -366,6 +464,22 @@ export class Position {
     }
 
 
+    /**
+     * Get the [EPD](https://www.chessprogramming.org/Extended_Position_Description) representation of the current {@link Position},
+     * i.e. the first 4 fields of its FEN representation (without any operation).
+     *
+     * @param options.regularFENIfPossible - Same as for {@link Position.fen}. `false` by default.
+     * @param options.castlingStyle - Same as for {@link Position.fen}.
+     */
+    epd(options?: { regularFENIfPossible?: boolean, castlingStyle?: CastlingStyle }): string {
+        if (options !== undefined && (typeof options !== 'object' || options === null)) {
+            throw new IllegalArgument('Position.epd()');
+        }
+        const validate = buildValidator(options ?? {}, 'Position.epd()');
+        return getEPD(this._impl, validateCastlingStyle(validate));
+    }
+
+
     // -------------------------------------------------------------------------
     // Accessors
     // -------------------------------------------------------------------------
@@ -400,9 +514,12 @@ export class Position {
         }
         else if (value === '-') {
             this._impl.board[squareCode] = SpI.EMPTY;
+            this._impl.promoted = this._impl.promoted.filter(sq => sq !== squareCode);
             this._impl.legal = null;
             this._impl.effectiveCastling = null;
             this._impl.effectiveEnPassant = null;
+            this._impl.zobrist = null;
+            this._history = [];
         }
         else {
             const cp = coloredPieceFromString(value);
@@ -410,9 +527,12 @@ export class Position {
                 throw new IllegalArgument('Position.square()');
             }
             this._impl.board[squareCode] = cp;
+            this._impl.promoted = this._impl.promoted.filter(sq => sq !== squareCode);
             this._impl.legal = null;
             this._impl.effectiveCastling = null;
             this._impl.effectiveEnPassant = null;
+            this._impl.zobrist = null;
+            this._history = [];
         }
     }
 
@@ -439,6 +559,8 @@ export class Position {
             this._impl.turn = colorCode;
             this._impl.legal = null;
             this._impl.effectiveEnPassant = null;
+            this._impl.zobrist = null;
+            this._history = [];
         }
     }
 
@@ -475,6 +597,8 @@ export class Position {
                 this._impl.castling[color] &= ~(1 << file);
             }
             this._impl.effectiveCastling = null;
+            this._impl.zobrist = null;
+            this._history = [];
         }
         else {
             throw new IllegalArgument('Position.castling()');
@@ -521,6 +645,7 @@ export class Position {
         else if (value === '-') {
             this._impl.enPassant = -1;
             this._impl.effectiveEnPassant = -1;
+            this._history = [];
         }
         else {
             const enPassantCode = fileFromString(value);
@@ -529,6 +654,7 @@ export class Position {
             }
             this._impl.enPassant = enPassantCode;
             this._impl.effectiveEnPassant = null;
+            this._history = [];
         }
     }
 
@@ -546,6 +672,73 @@ export class Position {
     }
 
 
+    /**
+     * Get the number of checks given so far by the given player. Always `0` for the variants other than three-check.
+     */
+    checkCount(color: Color): number;
+
+    /**
+     * Set the number of checks given so far by the given player (three-check only).
+     *
+     * @param value - Must be between 0 and 3 inclusive.
+     */
+    checkCount(color: Color, value: number): void;
+
+    checkCount(color: Color, value?: number) {
+        const colorCode = colorFromString(color);
+        if (colorCode < 0) {
+            throw new IllegalArgument('Position.checkCount()');
+        }
+        if (arguments.length === 1) {
+            return this._impl.checks[colorCode];
+        }
+        else if (this._impl.variant === GameVariantImpl.THREE_CHECK && Number.isInteger(value) && value! >= 0 && value! <= 3) {
+            this._impl.checks[colorCode] = value!;
+            this._impl.legal = null;
+            this._impl.zobrist = null;
+            this._history = [];
+        }
+        else {
+            throw new IllegalArgument('Position.checkCount()');
+        }
+    }
+
+
+    /**
+     * Get the number of pieces of the given type held by the corresponding player, i.e. that this player can drop on the board.
+     * Always `0` for the variants other than crazyhouse.
+     *
+     * @param coloredPiece - Must not be a king.
+     */
+    pocketCount(coloredPiece: ColoredPiece): number;
+
+    /**
+     * Set the number of pieces of the given type held by the corresponding player (crazyhouse only).
+     *
+     * @param coloredPiece - Must not be a king.
+     * @param value - Must be an integer between 0 and 16 (inclusive).
+     */
+    pocketCount(coloredPiece: ColoredPiece, value: number): void;
+
+    pocketCount(coloredPiece: ColoredPiece, value?: number) {
+        const cp = coloredPieceFromString(coloredPiece);
+        if (cp < CpI.WQ) {
+            throw new IllegalArgument('Position.pocketCount()');
+        }
+        if (arguments.length === 1) {
+            return this._impl.pockets[cp];
+        }
+        else if (this._impl.variant === GameVariantImpl.CRAZYHOUSE && Number.isInteger(value) && value! >= 0 && value! <= MAX_POCKET_COUNT) {
+            this._impl.pockets[cp] = value!;
+            this._impl.zobrist = null;
+            this._history = [];
+        }
+        else {
+            throw new IllegalArgument('Position.pocketCount()');
+        }
+    }
+
+
     // -------------------------------------------------------------------------
     // Attacks
     // -------------------------------------------------------------------------
@@ -577,6 +770,146 @@ export class Position {
     }
 
 
+    /**
+     * Return the pieces of the given color that are pinned against their own king, i.e. that cannot leave the line between
+     * their king and an opponent rook, bishop or queen without exposing the king.
+     *
+     * For each pinned piece, the returned object contains the square of the pinned piece, the square of the pinning piece,
+     * and the ray from the king to the pinning piece (the square of the king being excluded, the square of the pinning piece being included).
+     *
+     * If the position is not legal (see {@link Position.isLegal}), or if the given color has no royal king (e.g. in antichess),
+     * an empty array is returned.
+     */
+    pinnedPieces(color: Color): PinnedPiece[] {
+        const colorCode = colorFromString(color);
+        if (colorCode < 0) {
+            throw new IllegalArgument('Position.pinnedPieces()');
+        }
+        return getPinnedPieces(this._impl, colorCode).map(pin => ({
+            square: squareToString(pin.square),
+            pinner: squareToString(pin.pinner),
+            ray: pin.ray.map(squareToString),
+        }));
+    }
+
+
+    /**
+     * Return the number of pieces of the given color that attack each square of the board.
+     *
+     * For each square, the returned count is the length of the array that would be returned by {@link Position.getAttacks}.
+     */
+    attackMap(byWho: Color): Record<Square, number> {
+        const byWhoCode = colorFromString(byWho);
+        if (byWhoCode < 0) {
+            throw new IllegalArgument('Position.attackMap()');
+        }
+        const attackMap = getAttackMap(this._impl, byWhoCode);
+        const result: Partial<Record<Square, number>> = {};
+        forEachSquare(square => {
+            result[square] = attackMap[squareFromString(square)];
+        });
+        return result as Record<Square, number>;
+    }
+
+
+    /**
+     * [Static exchange evaluation](https://www.chessprogramming.org/Static_Exchange_Evaluation) of the given move: material balance,
+     * in centipawns and from the point of view of the player about to play, of the sequence of captures on the destination square
+     * of the move, assuming that both players always capture with their least valuable piece and stop capturing whenever it is in their interest.
+     *
+     * The material values used are: 100 for a pawn, 300 for a knight or a bishop, 500 for a rook and 900 for a queen. Sliding pieces hidden
+     * behind another attacker (x-rays) are taken into account, as well as en-passant captures and promotions (which are assumed to be
+     * promotions to queens during the exchange). Only legal captures are considered: in particular, pinned pieces do not take part in the exchange.
+     *
+     * @param move - Move to evaluate, either as a [SAN](https://en.wikipedia.org/wiki/Algebraic_notation_(chess)) string or as a {@link MoveDescriptor}
+     *               (WARNING: in the latter case, it MUST have been generated by one of the methods of the current {@link Position}).
+     * @throws {@link exception.InvalidNotation} if the move is passed as a string that cannot be parsed, or that corresponds to an illegal move.
+     */
+    see(move: string | MoveDescriptor): number {
+        return see(this._impl, parseMove(this._impl, move, 'Position.see()'));
+    }
+
+
+    // -------------------------------------------------------------------------
+    // Material
+    // -------------------------------------------------------------------------
+
+
+    /**
+     * Return the squares occupied by the pieces of the given color and/or of the given type, ordered from a1 to h8.
+     *
+     * @param color - If provided, only the pieces of this color are returned.
+     * @param piece - If provided, only the pieces of this type are returned.
+     */
+    pieces(color?: Color, piece?: Piece): Square[] {
+        const colorCode = color === undefined ? -1 : colorFromString(color);
+        const pieceCode = piece === undefined ? -1 : pieceFromString(piece);
+        if ((color !== undefined && colorCode < 0) || (piece !== undefined && pieceCode < 0)) {
+            throw new IllegalArgument('Position.pieces()');
+        }
+        return getPieces(this._impl, colorCode, pieceCode).map(squareToString);
+    }
+
+
+    /**
+     * Return the number of pieces on the board, for each colored piece.
+     */
+    materialCount(): Record<ColoredPiece, number> {
+        const count = getMaterialCount(this._impl);
+        const result: Partial<Record<ColoredPiece, number>> = {};
+        for (let cp = 0; cp < count.length; ++cp) {
+            result[coloredPieceToString(cp)] = count[cp];
+        }
+        return result as Record<ColoredPiece, number>;
+    }
+
+
+    /**
+     * Return the material signature of the position, i.e. the white pieces followed by `'v'` and by the black pieces,
+     * each side being sorted from the king to the pawns (for instance `'KRPvKR'` for a rook endgame with an extra pawn for white).
+     */
+    materialSignature(): string {
+        return getMaterialSignature(this._impl);
+    }
+
+
+    /**
+     * Return the material balance of the position, i.e. the value of the white pieces minus the value of the black pieces
+     * (a positive value means that white is ahead in material).
+     *
+     * @param values - Value of each piece. By default: 100 for a pawn, 300 for a knight or a bishop, 500 for a rook, 900 for a queen,
+     *                 and 0 for a king. Only the values that differ from the default ones need to be provided.
+     */
+    materialBalance(values?: Partial<Record<Piece, number>>): number {
+        if (values !== undefined && (typeof values !== 'object' || values === null)) {
+            throw new IllegalArgument('Position.materialBalance()');
+        }
+        const validate = buildValidator(values ?? {}, 'Position.materialBalance()');
+        const pieceValues = PIECE_VALUE.map((defaultValue, piece) => validate(pieceToString(piece), defaultValue, val => Number.isFinite(val)));
+        return getMaterialBalance(this._impl, pieceValues);
+    }
+
+
+    /**
+     * Whether the given color has the bishop pair, i.e. at least one bishop on a light square and one bishop on a dark square.
+     */
+    hasBishopPair(color: Color): boolean {
+        const colorCode = colorFromString(color);
+        if (colorCode < 0) {
+            throw new IllegalArgument('Position.hasBishopPair()');
+        }
+        return hasBishopPair(this._impl, colorCode);
+    }
+
+
+    /**
+     * Whether each side has exactly one bishop, the two bishops standing on squares of different colors.
+     */
+    hasOppositeColoredBishops(): boolean {
+        return hasOppositeColoredBishops(this._impl);
+    }
+
+
     // -------------------------------------------------------------------------
     // Legality
     // -------------------------------------------------------------------------
@@ -592,6 +925,9 @@ export class Position {
      * 2. The player that is not about to play is not in check (this condition is omitted for variants
      *    in which kings have no royal power).
      * 3. There are no pawn on ranks 1 and 8 (except if the game variant of the position allows it).
+     * 4. The game would not have been over before the player about to play could play, due to a variant-specific winning condition
+     *    (for three-check, the player about to play has not given 3 checks; for king of the hill, the king of the player about to play
+     *    is not on a central square). For racing kings, additionally, there is no pawn on the board and no king is in check.
      */
     isLegal(): boolean {
         return isLegal(this._impl);
@@ -634,6 +970,44 @@ export class Position {
     }
 
 
+    /**
+     * Return the squares from which the king of the player that is about to play is attacked. If the position is not legal
+     * (see {@link Position.isLegal}), or if the player about to play has no royal king, an empty array is returned.
+     */
+    checkers(): Square[] {
+        return getCheckers(this._impl).map(squareToString);
+    }
+
+
+    /**
+     * Whether the given move would give check to the opponent king. The move is not played (the current position is left unchanged).
+     *
+     * For antichess, this method always returns `false`.
+     *
+     * @param move - Move to test, either as a [SAN](https://en.wikipedia.org/wiki/Algebraic_notation_(chess)) string or as a {@link MoveDescriptor}
+     *               (WARNING: in the latter case, it MUST have been generated by one of the methods of the current {@link Position}).
+     * @throws {@link exception.InvalidNotation} if the move is passed as a string that cannot be parsed, or that corresponds to an illegal move.
+     */
+    givesCheck(move: string | MoveDescriptor): boolean {
+        return givesCheck(this._impl, parseMove(this._impl, move, 'Position.givesCheck()'));
+    }
+
+
+    /**
+     * Whether the given move would give a discovered check, i.e. whether, after the move, the opponent king would be attacked
+     * by a piece that has not moved. The move is not played (the current position is left unchanged).
+     *
+     * For antichess, this method always returns `false`.
+     *
+     * @param move - Move to test, either as a [SAN](https://en.wikipedia.org/wiki/Algebraic_notation_(chess)) string or as a {@link MoveDescriptor}
+     *               (WARNING: in the latter case, it MUST have been generated by one of the methods of the current {@link Position}).
+     * @throws {@link exception.InvalidNotation} if the move is passed as a string that cannot be parsed, or that corresponds to an illegal move.
+     */
+    isDiscoveredCheck(move: string | MoveDescriptor): boolean {
+        return isDiscoveredCheck(this._impl, parseMove(this._impl, move, 'Position.isDiscoveredCheck()'));
+    }
+
+
     /**
      * Whether the player that is about to play is checkmated or not. If the position is not legal (see {@link Position.isLegal}),
      * the returned value is always `false`.
@@ -642,6 +1016,9 @@ export class Position {
      * or if non of his/her remaining pieces can move (i.e. same behavior as {@link Position.isStalemate} for this variant).
      *
      * For horde chess, this method returns `true` if black has been checkmated or if white has no remaining piece.
+     *
+     * For three-check, king of the hill and racing kings, this method returns `false` if the game is over due to the winning condition
+     * specific to the variant (see {@link Position.variantResult}).
      */
     isCheckmate(): boolean {
         return isCheckmate(this._impl);
@@ -656,12 +1033,36 @@ export class Position {
      * or if non of his/her remaining pieces can move (i.e. same behavior as {@link Position.isCheckmate} for this variant).
      *
      * For horde chess, this method returns `true` if black has been stalemated or if white cannot move but has still at least one piece.
+     *
+     * For three-check, king of the hill and racing kings, this method returns `false` if the game is over due to the winning condition
+     * specific to the variant (see {@link Position.variantResult}).
      */
     isStalemate(): boolean {
         return isStalemate(this._impl);
     }
 
 
+    /**
+     * For the variants with a specific winning condition, return the result of the game if it is over due to this condition,
+     * or `undefined` otherwise. If the position is not legal (see {@link Position.isLegal}), the returned value is always `undefined`.
+     *
+     * The variant-specific winning conditions are the following:
+     * - three-check: a player wins as soon as he/she has given 3 checks,
+     * - king of the hill: a player wins as soon as his/her king reaches one of the central squares (d4, e4, d5 or e5),
+     * - racing kings: a player wins as soon as his/her king reaches the 8th rank; however, if white reaches it first, black is given
+     *   one more move to reach it too, in which case the game is drawn.
+     *
+     * For the other variants, the returned value is always `undefined`. In any case, no legal move is available if the game is over.
+     */
+    variantResult(): Exclude<GameResult, '*'> | undefined {
+        if (!isLegal(this._impl)) {
+            return undefined;
+        }
+        const result = getVariantResult(this._impl);
+        return result === GameResultImpl.LINE ? undefined : resultToString(result) as Exclude<GameResult, '*'>;
+    }
+
+
     /**
      * Whether both players have insufficient material so the game cannot end in checkmate ([dead position rule](https://en.wikipedia.org/wiki/Rules_of_chess#Dead_position)).
      * If the position is not legal (see {@link Position.isLegal}), the returned value is always `false`.
@@ -672,7 +1073,9 @@ export class Position {
      * USCF rules.
      *
      * For antichess and horde chess, this method always returns `false` since it is always possible to end in a checkmate-like situation
-     * (by capturing all the pieces of one player).
+     * (by capturing all the pieces of one player). The same goes for three-check, king of the hill and racing kings, for which
+     * the variant-specific winning conditions can be reached whatever the material on the board, and for crazyhouse, as captured pieces
+     * can be dropped back on the board.
      *
      * @param uscfRules - `true` to use the USCF rules (forced checkmate), `false` to use the FIDE rules (possible checkmate).
      */
@@ -794,7 +1197,9 @@ export class Position {
     play(move: string | MoveDescriptor): boolean {
         if (typeof move === 'string') {
             try {
-                play(this._impl, parseNotation(this._impl, move, false, 'standard'));
+                const descriptor = parseNotation(this._impl, move, false, 'standard');
+                this._history.push(makeUndoInfo(this._impl, descriptor));
+                play(this._impl, descriptor);
                 return true;
             }
             catch (err) {
@@ -808,6 +1213,7 @@ export class Position {
             }
         }
         else if (move instanceof MoveDescriptorImpl) {
+            this._history.push(makeUndoInfo(this._impl, move));
             play(this._impl, move);
             return true;
         }
@@ -833,7 +1239,83 @@ export class Position {
      * @returns `true` if the move has actually been played, `false` otherwise.
      */
     playNullMove(): boolean {
-        return playNullMove(this._impl);
+        const undoInfo = makeUndoInfo(this._impl, null);
+        if (playNullMove(this._impl)) {
+            this._history.push(undoInfo);
+            return true;
+        }
+        else {
+            return false;
+        }
+    }
+
+
+    /**
+     * Cancel the last move (or null-move) played with {@link Position.play} or {@link Position.playNullMove}.
+     *
+     * Moves played on the current {@link Position} are recorded in a history, which is cleared whenever the position is modified by any other method
+     * (e.g. {@link Position.square}, {@link Position.fen}, {@link Position.reset}...). The history is not transferred to the copies of the position.
+     *
+     * @returns `true` if a move has actually been cancelled, `false` if the history is empty.
+     */
+    undo(): boolean {
+        const undoInfo = this._history.pop();
+        if (undoInfo === undefined) {
+            return false;
+        }
+        undo(this._impl, undoInfo);
+        return true;
+    }
+
+
+    /**
+     * Moves (or null-moves) that have been played on the current position, and that can be cancelled with {@link Position.undo}, oldest first.
+     *
+     * @returns Null-moves are represented by `null`. WARNING: each {@link MoveDescriptor} is relative to the position in which the corresponding
+     *          move has been played, not to the current one.
+     */
+    history(): (MoveDescriptor | null)[] {
+        return this._history.map(undoInfo => undoInfo.descriptor);
+    }
+
+
+    // -------------------------------------------------------------------------
+    // Perft
+    // -------------------------------------------------------------------------
+
+
+    /**
+     * Count the number of leaf nodes of the legal move tree of the given depth rooted at the current position
+     * (see [perft](https://www.chessprogramming.org/Perft)).
+     *
+     * This is mainly intended to validate the move generator against published perft results.
+     *
+     * @param depth - Non-negative integer. `perft(0)` is always 1.
+     * @param bulkCounting - If `true`, the legal moves at the last level of the tree are counted without being played,
+     *                       which is faster but does not exercise {@link Position.play}. `false` by default.
+     */
+    perft(depth: number, bulkCounting?: boolean): number {
+        if (!Number.isInteger(depth) || depth < 0 || (bulkCounting !== undefined && typeof bulkCounting !== 'boolean')) {
+            throw new IllegalArgument('Position.perft()');
+        }
+        return perft(this._impl, depth, bulkCounting ?? false);
+    }
+
+
+    /**
+     * Same as {@link Position.perft}, but the leaf node count is split by legal move of the current position.
+     *
+     * @param depth - Positive integer (depth of the tree rooted at the current position, so that each count corresponds to `perft(depth - 1)`
+     *                invoked on the position resulting from the corresponding move).
+     * @param bulkCounting - See {@link Position.perft}.
+     * @returns Leaf node count per move, moves being identified by their [UCI notation](https://en.wikipedia.org/wiki/Universal_Chess_Interface)
+     *          (see {@link Position.uci}).
+     */
+    divide(depth: number, bulkCounting?: boolean): Record<string, number> {
+        if (!Number.isInteger(depth) || depth < 1 || (bulkCounting !== undefined && typeof bulkCounting !== 'boolean')) {
+            throw new IllegalArgument('Position.divide()');
+        }
+        return divide(this._impl, depth, bulkCounting ?? false);
     }
 
 
@@ -844,8 +1326,13 @@ export class Position {
 
     /**
      * Return the [standard algebraic notation](https://en.wikipedia.org/wiki/Algebraic_notation_(chess)) corresponding to the given move descriptor.
+     *
+     * Drops (crazyhouse) are represented by the symbol of the dropped piece, followed by `@` and by the destination square (for instance `'N@f3'`).
+     * The piece symbol is omitted for pawns (for instance `'@e4'`), except with the `'en'` locale (for instance `'P@e4'`).
+     *
+     * @param locale - Locale of the piece letters (see {@link NotationLocale}). `'en'` by default.
      */
-    notation(moveDescriptor: MoveDescriptor): string;
+    notation(moveDescriptor: MoveDescriptor, locale?: NotationLocale): string;
 
     /**
      * Parse the given string as [standard algebraic notation](https://en.wikipedia.org/wiki/Algebraic_notation_(chess))
@@ -854,19 +1341,24 @@ export class Position {
      * @param strict - If `true`, only perfectly formatted SAN moves are accepted. If `false`, "small errors" in the input
      *                 such as a missing capture character, an unnecessary disambiguation symbol... do not interrupt the parsing.
      *                 `false` by default.
+     * @param locale - Locale of the piece letters (see {@link NotationLocale}). `'en'` by default.
      * @throws {@link exception.InvalidNotation} if the move parsing fails or if the parsed move would correspond to an illegal move.
      */
-    notation(move: string, strict?: boolean): MoveDescriptor;
+    notation(move: string, strict?: boolean, locale?: NotationLocale): MoveDescriptor;
 
-    notation(moveOrDescriptor: string | MoveDescriptor, strict?: boolean) {
+    notation(moveOrDescriptor: string | MoveDescriptor, strictOrLocale?: boolean | NotationLocale, locale?: NotationLocale) {
         if (arguments.length === 1 && moveOrDescriptor instanceof MoveDescriptorImpl) {
             return getNotation(this._impl, moveOrDescriptor, 'standard');
         }
+        else if (arguments.length >= 2 && moveOrDescriptor instanceof MoveDescriptorImpl && isNotationLocale(strictOrLocale)) {
+            return getNotation(this._impl, moveOrDescriptor, strictOrLocale);
+        }
         else if (arguments.length === 1 && typeof moveOrDescriptor === 'string') {
             return parseNotation(this._impl, moveOrDescriptor, false, 'standard') as MoveDescriptor;
         }
-        else if (arguments.length >= 2 && typeof moveOrDescriptor === 'string' && typeof strict === 'boolean') {
-            return parseNotation(this._impl, moveOrDescriptor, strict, 'standard') as MoveDescriptor;
+        else if (arguments.length >= 2 && typeof moveOrDescriptor === 'string' && typeof strictOrLocale === 'boolean' &&
+            (locale === undefined || isNotationLocale(locale))) {
+            return parseNotation(this._impl, moveOrDescriptor, strictOrLocale, locale ?? 'standard') as MoveDescriptor;
         }
         else {
             throw new IllegalArgument('Position.notation()');
@@ -878,6 +1370,8 @@ export class Position {
      * Return the figurine algebraic notation corresponding to the given move descriptor (figurine algebraic notation is the same as
      * [standard algebraic notation](https://en.wikipedia.org/wiki/Algebraic_notation_(chess)), except that chess pieces are represented
      * with their respective unicode character, instead of the first letter of their English name).
+     *
+     * Drops (crazyhouse) are represented by the figurine of the dropped piece, including for pawns (for instance `'♙@e4'`).
      */
     figurineNotation(moveDescriptor: MoveDescriptor): string;
 
@@ -909,6 +1403,41 @@ export class Position {
     }
 
 
+    /**
+     * Return the long algebraic notation corresponding to the given move descriptor (for instance `'Ng1-f3'`, `'e4xd5'`, `'e7-e8=Q'` or `'O-O'`).
+     *
+     * In long algebraic notation, the origin square of the moving piece is always specified, followed by `-` (or `x` for captures)
+     * and by the destination square. Drops (crazyhouse) are represented as in standard algebraic notation (for instance `'N@f3'` or `'P@e4'`).
+     */
+    longNotation(moveDescriptor: MoveDescriptor): string;
+
+    /**
+     * Parse the given string as long algebraic notation (for instance `'Ng1-f3'`, `'e4xd5'`, `'e7-e8=Q'` or `'O-O'`)
+     * and return the corresponding move descriptor.
+     *
+     * @param strict - If `true`, only perfectly formatted long algebraic moves are accepted. If `false`, "small errors" in the input
+     *                 such as a `-` instead of a `x` for a capture, a missing check symbol... do not interrupt the parsing.
+     *                 `false` by default.
+     * @throws {@link exception.InvalidNotation} if the move parsing fails or if the parsed move would correspond to an illegal move.
+     */
+    longNotation(move: string, strict?: boolean): MoveDescriptor;
+
+    longNotation(moveOrDescriptor: string | MoveDescriptor, strict?: boolean) {
+        if (arguments.length === 1 && moveOrDescriptor instanceof MoveDescriptorImpl) {
+            return getLongNotation(this._impl, moveOrDescriptor);
+        }
+        else if (arguments.length === 1 && typeof moveOrDescriptor === 'string') {
+            return parseLongNotation(this._impl, moveOrDescriptor, false) as MoveDescriptor;
+        }
+        else if (arguments.length >= 2 && typeof moveOrDescriptor === 'string' && typeof strict === 'boolean') {
+            return parseLongNotation(this._impl, moveOrDescriptor, strict) as MoveDescriptor;
+        }
+        else {
+            throw new IllegalArgument('Position.longNotation()');
+        }
+    }
+
+
     // -------------------------------------------------------------------------
     // UCI
     // -------------------------------------------------------------------------
@@ -917,7 +1446,7 @@ export class Position {
     /**
      * Return the UCI notation corresponding to the given move descriptor.
      *
-     * Examples of UCI notation: `'e2e4'`, `'b8c6'`, `'e7e8q'` (promotion)... For more details, please refer to:
+     * Examples of UCI notation: `'e2e4'`, `'b8c6'`, `'e7e8q'` (promotion), `'N@f3'` (drop, in crazyhouse)... For more details, please refer to:
      * - https://en.wikipedia.org/wiki/Universal_Chess_Interface
      * - https://www.chessprogramming.org/UCI
      * - https://www.shredderchess.com/download/div/uci.zip
@@ -958,6 +1487,175 @@ export class Position {
         }
     }
 
+
+    // -------------------------------------------------------------------------
+    // ICCF & Smith notations
+    // -------------------------------------------------------------------------
+
+
+    /**
+     * Return the [ICCF numeric notation](https://en.wikipedia.org/wiki/ICCF_numeric_notation) corresponding to the given move descriptor.
+     *
+     * Examples of ICCF numeric notation: `'5254'` (e2-e4), `'7163'` (Ng1-f3), `'57581'` (e7-e8=Q)... Castling moves are encoded
+     * with the origin and destination squares of the king (e.g. `'5171'` for white king-side castling), whatever the game variant.
+     *
+     * @throws {@link exception.IllegalArgument} if the given move is a drop (crazyhouse), as drops cannot be represented in ICCF numeric notation.
+     */
+    iccf(moveDescriptor: MoveDescriptor): string;
+
+    /**
+     * Parse the given string as [ICCF numeric notation](https://en.wikipedia.org/wiki/ICCF_numeric_notation) and return the corresponding move descriptor.
+     *
+     * At Chess960, if castling and a regular king move have the same ICCF numeric notation, castling is assumed.
+     *
+     * @param strict - If `true`, castling moves must be encoded with the origin and destination squares of the king. If `false`,
+     *                 "king-take-rook"-encoded castling moves (e.g. `'5181'` for white king-side castling) are accepted as well.
+     *                 `false` by default.
+     * @throws {@link exception.InvalidNotation} if the move parsing fails or if the parsed move would correspond to an illegal move.
+     */
+    iccf(move: string, strict?: boolean): MoveDescriptor;
+
+    iccf(moveOrDescriptor: string | MoveDescriptor, strict?: boolean) {
+        if (arguments.length === 1 && moveOrDescriptor instanceof MoveDescriptorImpl) {
+            if (moveOrDescriptor.isDrop()) {
+                throw new IllegalArgument('Position.iccf()');
+            }
+            return getICCFNotation(moveOrDescriptor);
+        }
+        else if (arguments.length === 1 && typeof moveOrDescriptor === 'string') {
+            return parseICCFNotation(this._impl, moveOrDescriptor, false) as MoveDescriptor;
+        }
+        else if (arguments.length >= 2 && typeof moveOrDescriptor === 'string' && typeof strict === 'boolean') {
+            return parseICCFNotation(this._impl, moveOrDescriptor, strict) as MoveDescriptor;
+        }
+        else {
+            throw new IllegalArgument('Position.iccf()');
+        }
+    }
+
+
+    /**
+     * Return the [Smith notation](https://www.chessprogramming.org/Algebraic_Chess_Notation#Smith_Notation) corresponding to the given move descriptor.
+     *
+     * Examples of Smith notation: `'e2e4'`, `'e4d5p'` (capture of a pawn), `'e5d6E'` (en-passant), `'e1g1c'` (king-side castling),
+     * `'e1c1C'` (queen-side castling), `'b7a8rQ'` (capture of a rook with promotion to a queen)...
+     *
+     * @throws {@link exception.IllegalArgument} if the given move is a drop (crazyhouse), as drops cannot be represented in Smith notation.
+     */
+    smith(moveDescriptor: MoveDescriptor): string;
+
+    /**
+     * Parse the given string as [Smith notation](https://www.chessprogramming.org/Algebraic_Chess_Notation#Smith_Notation)
+     * and return the corresponding move descriptor.
+     *
+     * At Chess960, if castling and a regular king move have the same origin and destination squares, castling is assumed only
+     * if the `c` or `C` indicator is present.
+     *
+     * @param strict - If `true`, the capture/castling indicator must be consistent with the move, and castling moves must be encoded
+     *                 with the origin and destination squares of the king. If `false`, the indicator is ignored, and "king-take-rook"-encoded
+     *                 castling moves (e.g. `'e1h1c'` for white king-side castling) are accepted as well.
+     *                 `false` by default.
+     * @throws {@link exception.InvalidNotation} if the move parsing fails or if the parsed move would correspond to an illegal move.
+     */
+    smith(move: string, strict?: boolean): MoveDescriptor;
+
+    smith(moveOrDescriptor: string | MoveDescriptor, strict?: boolean) {
+        if (arguments.length === 1 && moveOrDescriptor instanceof MoveDescriptorImpl) {
+            if (moveOrDescriptor.isDrop()) {
+                throw new IllegalArgument('Position.smith()');
+            }
+            return getSmithNotation(moveOrDescriptor);
+        }
+        else if (arguments.length === 1 && typeof moveOrDescriptor === 'string') {
+            return parseSmithNotation(this._impl, moveOrDescriptor, false) as MoveDescriptor;
+        }
+        else if (arguments.length >= 2 && typeof moveOrDescriptor === 'string' && typeof strict === 'boolean') {
+            return parseSmithNotation(this._impl, moveOrDescriptor, strict) as MoveDescriptor;
+        }
+        else {
+            throw new IllegalArgument('Position.smith()');
+        }
+    }
+
+
+    // -------------------------------------------------------------------------
+    // Descriptive notation
+    // -------------------------------------------------------------------------
+
+
+    /**
+     * Return the [descriptive notation](https://en.wikipedia.org/wiki/Descriptive_notation) corresponding to the given move descriptor
+     * (for instance `'P-K4'`, `'N-KB3'`, `'QxP ch'`, `'R(1)-Q1'`, `'NxP(Q4)'`...).
+     *
+     * Squares are named from the point of view of the player about to move. The origin of the moving piece (rank, or square if the rank
+     * is not enough) and the destination square of captures are specified only when required to avoid ambiguities.
+     *
+     * @throws {@link exception.IllegalArgument} if the given move is a drop (crazyhouse), as drops cannot be represented in descriptive notation.
+     */
+    descriptiveNotation(moveDescriptor: MoveDescriptor): string;
+
+    /**
+     * Parse the given string as [descriptive notation](https://en.wikipedia.org/wiki/Descriptive_notation) and return the corresponding move descriptor.
+     *
+     * Abbreviated forms (such as `'N-B3'` for either `'N-KB3'` or `'N-QB3'`), pieces or pawns qualified by their file or wing
+     * (such as `'KN-B3'` or `'QBPxP'`), and `Kt` as knight symbol are accepted, as long as only one legal move corresponds to the notation.
+     *
+     * @param strict - If `true`, only the notation returned by {@link Position.descriptiveNotation} for the corresponding move is accepted.
+     *                 `false` by default.
+     * @throws {@link exception.InvalidNotation} if the move parsing fails, if the parsed move would correspond to an illegal move,
+     *         or if several legal moves correspond to the given notation.
+     */
+    descriptiveNotation(move: string, strict?: boolean): MoveDescriptor;
+
+    descriptiveNotation(moveOrDescriptor: string | MoveDescriptor, strict?: boolean) {
+        if (arguments.length === 1 && moveOrDescriptor instanceof MoveDescriptorImpl) {
+            if (moveOrDescriptor.isDrop()) {
+                throw new IllegalArgument('Position.descriptiveNotation()');
+            }
+            return getDescriptiveNotation(this._impl, moveOrDescriptor);
+        }
+        else if (arguments.length === 1 && typeof moveOrDescriptor === 'string') {
+            return parseDescriptiveNotation(this._impl, moveOrDescriptor, false) as MoveDescriptor;
+        }
+        else if (arguments.length >= 2 && typeof moveOrDescriptor === 'string' && typeof strict === 'boolean') {
+            return parseDescriptiveNotation(this._impl, moveOrDescriptor, strict) as MoveDescriptor;
+        }
+        else {
+            throw new IllegalArgument('Position.descriptiveNotation()');
+        }
+    }
+
+
+    // -------------------------------------------------------------------------
+    // Tolerant move parsing
+    // -------------------------------------------------------------------------
+
+
+    /**
+     * Parse a move typed by a human, in any of the notations supported by this class or in a partial form, and return the corresponding
+     * move descriptor.
+     *
+     * The following inputs are tried in this order:
+     * - SAN (possibly non-strict, see {@link Position.notation}),
+     * - long algebraic notation (see {@link Position.longNotation}),
+     * - UCI notation (see {@link Position.uci}),
+     * - ICCF numeric notation (see {@link Position.iccf}),
+     * - castling moves written with lower-case `o` or without dash (e.g. `'o-o'`, `'00'`),
+     * - partial moves (e.g. `'nf3'`, `'Ng1f3'`, `'exd'`, `'Bxc'`, `'e8Q'`), where lower-case piece symbols are accepted
+     *   (except for bishops, as `b` always denotes a file), and where any part of the origin square, the destination rank
+     *   and the promotion may be omitted.
+     *
+     * @returns The move descriptor corresponding to the input, or the list of candidate moves if several legal moves correspond to it
+     *          (for instance `'exd'` when both `exd4` and `exd5` are legal, or `'e8'` for a promotion without promoted piece).
+     * @throws {@link exception.InvalidNotation} if the input cannot be recognized, or if no legal move corresponds to it.
+     */
+    parseAnyMove(text: string): MoveDescriptor | MoveDescriptor[] {
+        if (typeof text !== 'string') {
+            throw new IllegalArgument('Position.parseAnyMove()');
+        }
+        return parseAnyMove(this._impl, text) as MoveDescriptor | MoveDescriptor[];
+    }
+
 }
 
 
@@ -979,6 +1677,28 @@ export type PromotionMoveFactory = {
 };
 
 
+/**
+ * @see {@link Position.pinnedPieces}
+ */
+export interface PinnedPiece {
+
+    /**
+     * Square of the pinned piece.
+     */
+    square: Square,
+
+    /**
+     * Square of the opponent piece that pins it.
+     */
+    pinner: Square,
+
+    /**
+     * Squares between the king (excluded) and the pinning piece (included).
+     */
+    ray: Square[],
+}
+
+
 function isValidScharnaglCode(scharnaglCode: number) {
     return Number.isInteger(scharnaglCode) && scharnaglCode >= 0 && scharnaglCode < 960;
 }
@@ -998,3 +1718,28 @@ function buildValidator(options: Record<string, unknown>, functionName: string)
         }
     };
 }
+
+
+/**
+ * Decode the `castlingStyle` option (and its legacy counterpart `regularFENIfPossible`) of the FEN-generating methods.
+ */
+function validateCastlingStyle(validate: ReturnType<typeof buildValidator>) {
+    const regularFENIfPossible = validate('regularFENIfPossible', false, val => typeof val === 'boolean');
+    return validate<CastlingStyle | undefined>('castlingStyle', regularFENIfPossible ? 'standard' : undefined, isCastlingStyle);
+}
+
+
+/**
+ * Decode a move passed either as a SAN string or as a move descriptor.
+ */
+function parseMove(position: PositionImpl, move: unknown, functionName: string) {
+    if (typeof move === 'string') {
+        return parseNotation(position, move, false, 'standard');
+    }
+    else if (move instanceof MoveDescriptorImpl) {
+        return move;
+    }
+    else {
+        throw new IllegalArgument(functionName);
+    }
+}
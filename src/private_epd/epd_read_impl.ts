@@ -0,0 +1,233 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { GameVariant } from '../base_types';
+import { InvalidEPD, InvalidFEN, InvalidNotation } from '../exception';
+import { i18n } from '../i18n';
+import { MoveDescriptor } from '../move_descriptor';
+import { Position } from '../position';
+
+
+/**
+ * EPD record, i.e. a position and the operations attached to it (see {@link epdRead} and {@link epdWrite}).
+ *
+ * Each optional field corresponds to the EPD opcode with the same name. Moves are represented as {@link MoveDescriptor} objects:
+ * those of `am` and `bm` apply to `position`, while those of `pv` apply to the position resulting from the previous moves of the variation.
+ * (WARNING: when a record is built manually to be passed to {@link epdWrite}, its moves MUST have been generated accordingly).
+ */
+export interface EPDRecord {
+
+    /**
+     * Position described by the record (built from the 4 first fields of the EPD string).
+     */
+    position: Position,
+
+    /** Analysis count: depth (in plies) of the search used to analyze the position. */
+    acd?: number,
+
+    /** Avoid move(s). */
+    am?: MoveDescriptor[],
+
+    /** Best move(s). */
+    bm?: MoveDescriptor[],
+
+    /** Comments. */
+    c0?: string,
+    c1?: string,
+    c2?: string,
+    c3?: string,
+    c4?: string,
+    c5?: string,
+    c6?: string,
+    c7?: string,
+    c8?: string,
+    c9?: string,
+
+    /** Centipawn evaluation, from the point of view of the player about to play. */
+    ce?: number,
+
+    /** Full move number. */
+    fmvn?: number,
+
+    /** Half-move clock (i.e. number of half-moves since the last pawn move or capture). */
+    hmvc?: number,
+
+    /** Position identifier. */
+    id?: string,
+
+    /** Predicted variation. */
+    pv?: MoveDescriptor[],
+
+    /**
+     * Operations whose opcode is not one of the above, indexed by opcode. The operands are kept as they appear
+     * in the EPD string (in particular, string operands keep their surrounding double quotes).
+     */
+    otherOperations?: Record<string, string[]>,
+}
+
+
+export const MOVE_OPCODES = [ 'am', 'bm' ];
+export const STRING_OPCODES = [ 'c0', 'c1', 'c2', 'c3', 'c4', 'c5', 'c6', 'c7', 'c8', 'c9', 'id' ];
+export const COUNTER_OPCODES = [ 'acd', 'fmvn', 'hmvc' ];
+export const OPCODE_REGEX = /^[A-Za-z][A-Za-z0-9_]{0,14}$/;
+
+
+/**
+ * Whether the given opcode is handled by a dedicated field of {@link EPDRecord} (as opposed to {@link EPDRecord.otherOperations}).
+ */
+export function isKnownOpcode(opcode: string) {
+    return MOVE_OPCODES.includes(opcode) || STRING_OPCODES.includes(opcode) || COUNTER_OPCODES.includes(opcode) || opcode === 'ce' || opcode === 'pv';
+}
+
+
+/**
+ * Parse the given EPD text, each non-empty line being an EPD record.
+ */
+export function readEPD(text: string, variant: GameVariant) {
+    const result: EPDRecord[] = [];
+    text.split(/\r?\n|\r/).forEach((line, lineIndex) => {
+        if (!/^\s*$/.test(line)) {
+            result.push(readRecord(line, lineIndex + 1, variant));
+        }
+    });
+    return result;
+}
+
+
+function readRecord(line: string, lineNumber: number, variant: GameVariant): EPDRecord {
+
+    // Position fields
+    const match = /^\s*(\S+)\s+(\S+)\s+(\S+)\s+([^\s;]+)(.*)$/.exec(line);
+    if (!match) {
+        throw new InvalidEPD(line, lineNumber, i18n.WRONG_NUMBER_OF_EPD_FIELDS);
+    }
+    let position: Position;
+    try {
+        position = new Position(variant, `${match[1]} ${match[2]} ${match[3]} ${match[4]} 0 1`);
+    }
+    catch (error) {
+        // istanbul ignore else
+        if (error instanceof InvalidFEN) {
+            throw new InvalidEPD(line, lineNumber, i18n.INVALID_FEN_IN_EPD, error.message);
+        }
+        else {
+            throw error;
+        }
+    }
+    // Operations
+    const fields: Record<string, unknown> = {};
+    const otherOperations: Record<string, string[]> = {};
+    const visitedOpcodes = new Set<string>();
+    for (const [ opcode, ...operands ] of splitOperations(match[5], line, lineNumber)) {
+        if (!OPCODE_REGEX.test(opcode)) {
+            throw new InvalidEPD(line, lineNumber, i18n.INVALID_EPD_OPCODE, opcode);
+        }
+        if (visitedOpcodes.has(opcode)) {
+            throw new InvalidEPD(line, lineNumber, i18n.DUPLICATED_EPD_OPCODE, opcode);
+        }
+        visitedOpcodes.add(opcode);
+
+        if (MOVE_OPCODES.includes(opcode) || opcode === 'pv') {
+            if (operands.length === 0) {
+                throw new InvalidEPD(line, lineNumber, i18n.INVALID_EPD_OPERANDS, opcode);
+            }
+            fields[opcode] = parseMoves(position, operands, opcode === 'pv', line, lineNumber, opcode);
+        }
+        else if (STRING_OPCODES.includes(opcode)) {
+            if (operands.length !== 1) {
+                throw new InvalidEPD(line, lineNumber, i18n.INVALID_EPD_OPERANDS, opcode);
+            }
+            fields[opcode] = /^".*"$/.test(operands[0]) ? operands[0].substring(1, operands[0].length - 1) : operands[0];
+        }
+        else if (COUNTER_OPCODES.includes(opcode) || opcode === 'ce') {
+            if (operands.length !== 1 || !(opcode === 'ce' ? /^[+-]?[0-9]+$/ : /^[0-9]+$/).test(operands[0])) {
+                throw new InvalidEPD(line, lineNumber, i18n.INVALID_EPD_OPERANDS, opcode);
+            }
+            fields[opcode] = parseInt(operands[0], 10);
+        }
+        else {
+            otherOperations[opcode] = operands;
+        }
+    }
+    if (Object.keys(otherOperations).length > 0) {
+        fields.otherOperations = otherOperations;
+    }
+
+    return { position: position, ...fields };
+}
+
+
+/**
+ * Split the operation part of an EPD record into operations, each operation being an array whose first element is the opcode
+ * and the following elements the operands.
+ *
+ * Empty operations are ignored, and the semicolon may be omitted after the last operation (as in many EPD files found in the wild).
+ */
+function splitOperations(text: string, line: string, lineNumber: number) {
+    const result: string[][] = [];
+    let current: string[] = [];
+    for (const [ token ] of text.matchAll(/;|"[^"]*"?|[^\s;"]+/g)) {
+        if (token === ';') {
+            if (current.length > 0) {
+                result.push(current);
+                current = [];
+            }
+        }
+        else if (token.startsWith('"') && (token.length === 1 || !token.endsWith('"'))) {
+            throw new InvalidEPD(line, lineNumber, i18n.UNTERMINATED_EPD_STRING, current.length > 0 ? current[0] : '');
+        }
+        else {
+            current.push(token);
+        }
+    }
+    if (current.length > 0) {
+        result.push(current);
+    }
+    return result;
+}
+
+
+function parseMoves(position: Position, notations: string[], isVariation: boolean, line: string, lineNumber: number, opcode: string) {
+    if (isVariation) {
+        position = new Position(position);
+    }
+    return notations.map(notation => {
+        try {
+            const move = position.notation(notation);
+            if (isVariation) {
+                position.play(move);
+            }
+            return move;
+        }
+        catch (error) {
+            // istanbul ignore else
+            if (error instanceof InvalidNotation) {
+                throw new InvalidEPD(line, lineNumber, i18n.INVALID_MOVE_IN_EPD, opcode, notation, error.message);
+            }
+            else {
+                throw error;
+            }
+        }
+    });
+}
@@ -0,0 +1,106 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { MoveDescriptor } from '../move_descriptor';
+import { Position } from '../position';
+
+import { COUNTER_OPCODES, EPDRecord, MOVE_OPCODES, OPCODE_REGEX, STRING_OPCODES, isKnownOpcode } from './epd_read_impl';
+
+
+/**
+ * Whether the given value is a well-formed {@link EPDRecord}.
+ */
+export function isEPDRecord(record: unknown): record is EPDRecord {
+    if (typeof record !== 'object' || record === null || !((record as EPDRecord).position instanceof Position)) {
+        return false;
+    }
+    const fields = record as Record<string, unknown>;
+    return MOVE_OPCODES.every(opcode => fields[opcode] === undefined || isMoveArray(fields[opcode])) &&
+        STRING_OPCODES.every(opcode => fields[opcode] === undefined || isStringOperand(fields[opcode])) &&
+        COUNTER_OPCODES.every(opcode => fields[opcode] === undefined || (Number.isInteger(fields[opcode]) && (fields[opcode] as number) >= 0)) &&
+        (fields.ce === undefined || Number.isInteger(fields.ce)) &&
+        (fields.pv === undefined || isMoveArray(fields.pv)) &&
+        (fields.otherOperations === undefined || isOtherOperations(fields.otherOperations));
+}
+
+
+function isMoveArray(value: unknown) {
+    return Array.isArray(value) && value.length > 0 && value.every(move => move instanceof MoveDescriptor);
+}
+
+
+function isStringOperand(value: unknown) {
+    return typeof value === 'string' && !/["\r\n]/.test(value);
+}
+
+
+function isOtherOperations(value: unknown) {
+    return typeof value === 'object' && value !== null && Object.entries(value).every(([ opcode, operands ]) => {
+        return OPCODE_REGEX.test(opcode) && !isKnownOpcode(opcode) && Array.isArray(operands) &&
+            operands.every(operand => typeof operand === 'string' && /^(?:"[^"]*"|[^\s;"]+)$/.test(operand));
+    });
+}
+
+
+/**
+ * Serialize the given EPD record (which is assumed to be well-formed), the operations being sorted by opcode.
+ */
+export function writeRecord(record: EPDRecord) {
+    const operations = new Map<string, string[]>();
+    const fields = record as unknown as Record<string, unknown>;
+
+    for (const opcode of MOVE_OPCODES) {
+        if (fields[opcode] !== undefined) {
+            operations.set(opcode, (fields[opcode] as MoveDescriptor[]).map(move => record.position.notation(move)));
+        }
+    }
+    for (const opcode of STRING_OPCODES) {
+        if (fields[opcode] !== undefined) {
+            operations.set(opcode, [ `"${fields[opcode]}"` ]);
+        }
+    }
+    for (const opcode of [ ...COUNTER_OPCODES, 'ce' ]) {
+        if (fields[opcode] !== undefined) {
+            operations.set(opcode, [ String(fields[opcode]) ]);
+        }
+    }
+    if (record.pv !== undefined) {
+        const position = new Position(record.position);
+        operations.set('pv', record.pv.map(move => {
+            const notation = position.notation(move);
+            position.play(move);
+            return notation;
+        }));
+    }
+    for (const [ opcode, operands ] of Object.entries(record.otherOperations ?? {})) {
+        operations.set(opcode, operands);
+    }
+
+    let result = record.position.epd();
+    for (const opcode of [ ...operations.keys() ].sort()) {
+        const operands = operations.get(opcode)!;
+        result += ' ' + opcode + (operands.length === 0 ? '' : ' ' + operands.join(' ')) + ';';
+    }
+    return result;
+}
@@ -0,0 +1,269 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { Square, SquareCouple } from '../base_types';
+import { IllegalArgument } from '../exception';
+
+import { isPositiveInteger } from './common';
+
+
+/**
+ * Engine evaluation of a position, as stored in the `[%eval ...]` tags (see {@link AbstractNode.evaluation}):
+ *
+ * - `{ cp: number }`: evaluation in centipawns, from White's point of view (e.g. `{ cp: -150 }` means that Black is 1.5 pawns ahead),
+ * - `{ mate: number }`: forced mate in the given number of moves, positive if White mates, negative if Black mates.
+ *
+ * In both cases, the optional `depth` field is the search depth at which the evaluation has been obtained.
+ */
+export type Evaluation = { cp: number, depth?: number } | { mate: number, depth?: number };
+
+
+/**
+ * Color of a graphical annotation (see {@link Arrow} and {@link SquareHighlight}): `'R'` (red), `'G'` (green), `'B'` (blue) or `'Y'` (yellow).
+ */
+export type AnnotationColor = 'R' | 'G' | 'B' | 'Y';
+
+
+/**
+ * Arrow drawn on the board, as stored in the `[%cal ...]` tags (see {@link AbstractNode.arrows}).
+ */
+export interface Arrow {
+
+    /**
+     * Color of the arrow.
+     */
+    color: AnnotationColor,
+
+    /**
+     * Origin and destination squares of the arrow (e.g. `'e2e4'`).
+     */
+    squares: SquareCouple,
+}
+
+
+/**
+ * Colored square, as stored in the `[%csl ...]` tags (see {@link AbstractNode.squareHighlights}).
+ */
+export interface SquareHighlight {
+
+    /**
+     * Color of the highlight.
+     */
+    color: AnnotationColor,
+
+    /**
+     * Highlighted square.
+     */
+    square: Square,
+}
+
+
+/**
+ * Parse a time tag value (`[%clk ...]` or `[%emt ...]`), formatted as `H:MM:SS` (optionally with a fractional part for the seconds).
+ *
+ * @returns The corresponding duration in milliseconds, or `undefined` if the given value cannot be parsed.
+ */
+export function parseTimeTag(value: string | undefined): number | undefined {
+    if (value === undefined) {
+        return undefined;
+    }
+    const match = /^(?:(\d+):)?(\d+):(\d+(?:\.\d*)?)$/.exec(value);
+    if (match === null) {
+        return undefined;
+    }
+    const hours = match[1] === undefined ? 0 : Number(match[1]);
+    const minutes = Number(match[2]);
+    return (hours * 60 + minutes) * 60000 + Math.round(Number(match[3]) * 1000);
+}
+
+
+/**
+ * Format a duration in milliseconds as a time tag value.
+ *
+ * @returns `undefined` if the given value is `undefined` or `null` (which means that the tag must be erased).
+ */
+export function formatTimeTag(value: unknown, functionName: string): string | undefined {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    if (!isPositiveInteger(value)) {
+        throw new IllegalArgument(functionName);
+    }
+    const milliseconds = (value as number) % 1000;
+    const totalSeconds = ((value as number) - milliseconds) / 1000;
+    const seconds = totalSeconds % 60;
+    const minutes = (totalSeconds - seconds) / 60 % 60;
+    const hours = (totalSeconds - seconds - minutes * 60) / 3600;
+    const fraction = milliseconds === 0 ? '' : '.' + String(milliseconds).padStart(3, '0').replace(/0+$/, '');
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}${fraction}`;
+}
+
+
+/**
+ * Parse an evaluation tag value (`[%eval ...]`), formatted as `1.23` (in pawns) or `#-3` (mate), optionally followed by `,depth`.
+ *
+ * @returns `undefined` if the given value cannot be parsed.
+ */
+export function parseEvaluationTag(value: string | undefined): Evaluation | undefined {
+    if (value === undefined) {
+        return undefined;
+    }
+    const match = /^(?:#([+-]?\d+)|([+-]?(?:\d+(?:\.\d*)?|\.\d+)))(?:,(\d+))?$/.exec(value);
+    if (match === null) {
+        return undefined;
+    }
+    let result: Evaluation;
+    if (match[1] === undefined) {
+        result = { cp: Math.round(Number(match[2]) * 100) + 0 }; // `+ 0` turns `-0` into `0`
+    }
+    else {
+        const mate = Number(match[1]);
+        if (mate === 0) {
+            return undefined;
+        }
+        result = { mate: mate };
+    }
+    if (match[3] !== undefined) {
+        result.depth = Number(match[3]);
+    }
+    return result;
+}
+
+
+/**
+ * Format an evaluation as an evaluation tag value.
+ *
+ * @returns `undefined` if the given value is `undefined` or `null` (which means that the tag must be erased).
+ */
+export function formatEvaluationTag(value: unknown, functionName: string): string | undefined {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+    if (typeof value !== 'object') {
+        throw new IllegalArgument(functionName);
+    }
+    const { cp, mate, depth } = value as { cp?: unknown, mate?: unknown, depth?: unknown };
+    if (depth !== undefined && !isPositiveInteger(depth)) {
+        throw new IllegalArgument(functionName);
+    }
+    const depthSuffix = depth === undefined ? '' : `,${depth}`;
+    if (Number.isInteger(cp) && mate === undefined) {
+        return ((cp as number) / 100).toFixed(2) + depthSuffix;
+    }
+    else if (Number.isInteger(mate) && mate !== 0 && cp === undefined) {
+        return `#${mate}${depthSuffix}`;
+    }
+    else {
+        throw new IllegalArgument(functionName);
+    }
+}
+
+
+/**
+ * Whether the given value represents a valid {@link AnnotationColor} or not.
+ */
+export function isAnnotationColor(value: unknown): value is AnnotationColor {
+    return value === 'R' || value === 'G' || value === 'B' || value === 'Y';
+}
+
+
+/**
+ * Split a comma-separated tag value (such as `[%cal ...]` or `[%csl ...]`) into its (non-empty) items.
+ */
+function splitTagItems(value: string | undefined) {
+    return value === undefined ? [] : value.split(',').map(item => item.trim()).filter(item => item !== '');
+}
+
+
+/**
+ * Add, replace or remove an item in a comma-separated tag value. The items that cannot be parsed are preserved as-is.
+ *
+ * @param key - Square or square couple that identifies the item to replace or remove.
+ * @param newItem - If `undefined`, the item is removed.
+ * @returns `undefined` if the resulting list is empty (which means that the tag must be erased).
+ */
+function updateTagItems(value: string | undefined, itemRegex: RegExp, key: string, newItem: string | undefined) {
+    const items = splitTagItems(value).filter(item => {
+        const match = itemRegex.exec(item);
+        return match === null || match[2] !== key;
+    });
+    if (newItem !== undefined) {
+        items.push(newItem);
+    }
+    return items.length === 0 ? undefined : items.join(',');
+}
+
+
+const ARROW_ITEM_REGEX = /^([RGBY])([a-h][1-8][a-h][1-8])$/;
+const SQUARE_HIGHLIGHT_ITEM_REGEX = /^([RGBY])([a-h][1-8])$/;
+
+
+/**
+ * Parse an arrow tag value (`[%cal ...]`), formatted as a comma-separated list of items such as `Gd2d4`. Invalid items are ignored.
+ */
+export function parseArrowTag(value: string | undefined): Arrow[] {
+    const result: Arrow[] = [];
+    for (const item of splitTagItems(value)) {
+        const match = ARROW_ITEM_REGEX.exec(item);
+        if (match !== null) {
+            result.push({ color: match[1] as AnnotationColor, squares: match[2] as SquareCouple });
+        }
+    }
+    return result;
+}
+
+
+/**
+ * Set (or remove if `color` is `undefined`) the arrow corresponding to the given squares in an arrow tag value.
+ *
+ * @returns `undefined` if the resulting tag value is empty (which means that the tag must be erased).
+ */
+export function updateArrowTag(value: string | undefined, squares: SquareCouple, color: AnnotationColor | undefined): string | undefined {
+    return updateTagItems(value, ARROW_ITEM_REGEX, squares, color === undefined ? undefined : color + squares);
+}
+
+
+/**
+ * Parse a square highlight tag value (`[%csl ...]`), formatted as a comma-separated list of items such as `Rd5`. Invalid items are ignored.
+ */
+export function parseSquareHighlightTag(value: string | undefined): SquareHighlight[] {
+    const result: SquareHighlight[] = [];
+    for (const item of splitTagItems(value)) {
+        const match = SQUARE_HIGHLIGHT_ITEM_REGEX.exec(item);
+        if (match !== null) {
+            result.push({ color: match[1] as AnnotationColor, square: match[2] as Square });
+        }
+    }
+    return result;
+}
+
+
+/**
+ * Set (or remove if `color` is `undefined`) the highlight of the given square in a square highlight tag value.
+ *
+ * @returns `undefined` if the resulting tag value is empty (which means that the tag must be erased).
+ */
+export function updateSquareHighlightTag(value: string | undefined, square: Square, color: AnnotationColor | undefined): string | undefined {
+    return updateTagItems(value, SQUARE_HIGHLIGHT_ITEM_REGEX, square, color === undefined ? undefined : color + square);
+}
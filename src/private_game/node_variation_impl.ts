@@ -22,18 +22,22 @@
  * -------------------------------------------------------------------------- */
 
 
-import { Color, GameVariant } from '../base_types';
+import { Color, GameVariant, Square, SquareCouple } from '../base_types';
 import { IllegalArgument, InvalidFEN, InvalidNotation } from '../exception';
 import { AbstractNodePOJO, GamePOJO, NodePOJO, VariationPOJO } from '../game_pojo';
-import { variantWithCanonicalStartPosition } from '../helper';
+import { isSquare, isSquareCouple, variantWithCanonicalStartPosition } from '../helper';
 import { i18n } from '../i18n';
 import { MoveDescriptor } from '../move_descriptor';
 import { Node, Variation } from '../node_variation';
 import { Position } from '../position';
 
+import { AnnotationColor, Evaluation, formatEvaluationTag, formatTimeTag, isAnnotationColor, parseArrowTag, parseEvaluationTag, parseSquareHighlightTag, parseTimeTag,
+    updateArrowTag, updateSquareHighlightTag } from './annotation_tags';
 import { isPositiveInteger } from './common';
 import { POJOExceptionBuilder, decodeStringField, decodeBooleanField, decodeArrayField, decodeObjectField } from './pojo_util';
+import { computeTerminationStatus } from './termination';
 import { variantFromString } from '../private_position/base_types_impl';
+import { NotationLocale } from '../private_position/notation';
 
 
 /**
@@ -42,11 +46,13 @@ import { variantFromString } from '../private_position/base_types_impl';
 export class MoveTreeRoot {
 
     _position: Position;
+    _fiftyMoveClock: number;
     _fullMoveNumber: number;
     _mainVariationData: VariationData;
 
     constructor() {
         this._position = new Position();
+        this._fiftyMoveClock = 0;
         this._fullMoveNumber = 1;
         this._mainVariationData = createVariationData(this, true);
     }
@@ -116,9 +122,10 @@ export class MoveTreeRoot {
         if (variant !== 'regular') {
             pojo.variant = variant;
         }
-        const isCanonicalStartPosition = variantWithCanonicalStartPosition(variant) && Position.isEqual(this._position, new Position(variant)) && this._fullMoveNumber === 1;
+        const isCanonicalStartPosition = variantWithCanonicalStartPosition(variant) && Position.isEqual(this._position, new Position(variant)) && this._fiftyMoveClock === 0 &&
+            this._fullMoveNumber === 1;
         if (!isCanonicalStartPosition) {
-            pojo.initialPosition = this._position.fen({ fullMoveNumber: this._fullMoveNumber });
+            pojo.initialPosition = this._position.fen({ fiftyMoveClock: this._fiftyMoveClock, fullMoveNumber: this._fullMoveNumber });
         }
 
         // Encode the moves.
@@ -142,7 +149,8 @@ export class MoveTreeRoot {
         decodeStringField(pojo, 'initialPosition', exceptionBuilder, value => {
             this._position = new Position(variant, 'empty');
             try {
-                const { fullMoveNumber } = this._position.fen(value);
+                const { fiftyMoveClock, fullMoveNumber } = this._position.fen(value);
+                this._fiftyMoveClock = fiftyMoveClock;
                 this._fullMoveNumber = fullMoveNumber;
                 initialPositionDefined = true;
             }
@@ -162,13 +170,14 @@ export class MoveTreeRoot {
                 throw exceptionBuilder.build(i18n.MISSING_INITIAL_POSITION_IN_POJO, variant);
             }
             this._position = new Position(variant);
+            this._fiftyMoveClock = 0;
             this._fullMoveNumber = 1;
         }
 
         // Decode the moves.
         if ('mainVariation' in pojo && pojo.mainVariation !== undefined) {
             exceptionBuilder.push('mainVariation');
-            this._mainVariationData = setVariationPOJO(pojo.mainVariation, this, this._position, 0, this._fullMoveNumber, true, exceptionBuilder);
+            this._mainVariationData = setVariationPOJO(pojo.mainVariation, this, this._position, this._fiftyMoveClock, this._fullMoveNumber, true, exceptionBuilder);
             exceptionBuilder.pop();
         }
         else {
@@ -355,7 +364,7 @@ function setNodePOJO(nodePOJO: unknown, parentVariation: VariationData, position
 
 function decodeMoveDescriptorField(position: Position, move: string, exceptionBuilder: POJOExceptionBuilder): MoveDescriptor | null {
     try {
-        return computeMoveDescriptor(position, move);
+        return computeMoveDescriptor(position, move, undefined);
     }
     catch (error) {
         // istanbul ignore else
@@ -439,6 +448,7 @@ interface NodeData extends AbstractNodeData {
 
     // Computed attributes.
     notation: string | null, // `null` if not yet computed.
+    positionKey: bigint | null, // Zobrist key of the position obtained after the current move (`null` if not yet computed).
 }
 
 
@@ -457,6 +467,7 @@ function createNodeData(parentVariation: VariationData, moveColor: Color, fiftyM
         comment: undefined,
         isLongComment: false,
         notation: null,
+        positionKey: null,
     };
 }
 
@@ -469,6 +480,16 @@ function getNodeDataNotation(position: Position, nodeData: NodeData): string {
 }
 
 
+function getNodeDataPositionKey(positionBefore: Position, nodeData: NodeData): bigint {
+    if (nodeData.positionKey === null) {
+        const position = new Position(positionBefore);
+        applyMoveDescriptor(position, nodeData);
+        nodeData.positionKey = position.zobristKey();
+    }
+    return nodeData.positionKey;
+}
+
+
 /**
  * Internal structure representing a `Variation`.
  */
@@ -499,7 +520,7 @@ function createVariationData(parent: NodeData | MoveTreeRoot, longVariation: boo
 /**
  * Compute the move descriptor associated to the given SAN notation, assuming the given position.
  */
-function computeMoveDescriptor(position: Position, move: string): MoveDescriptor | null {
+function computeMoveDescriptor(position: Position, move: string, locale: NotationLocale | undefined): MoveDescriptor | null {
     if (move === '--') {
         if (!position.isNullMoveLegal()) {
             throw new InvalidNotation(position.fen(), '--', i18n.ILLEGAL_NULL_MOVE);
@@ -507,7 +528,7 @@ function computeMoveDescriptor(position: Position, move: string): MoveDescriptor
         return null;
     }
     else {
-        return position.notation(move);
+        return locale === undefined ? position.notation(move) : position.notation(move, false, locale);
     }
 }
 
@@ -568,6 +589,69 @@ function rebuildVariationPosition(variationData: VariationData): Position {
 }
 
 
+/**
+ * Whether the move described by the given node data structure can never be undone (pawn move or capture),
+ * so that none of the positions preceding it can be reached again.
+ *
+ * In crazyhouse, no move is irreversible, as captured pieces go to the pockets and can be dropped back on the board.
+ */
+function isIrreversible(nodeData: NodeData, variant: GameVariant) {
+    return variant !== 'crazyhouse' && nodeData.moveDescriptor !== null &&
+        (nodeData.moveDescriptor.isCapture() || nodeData.moveDescriptor.movingPiece() === 'p');
+}
+
+
+/**
+ * Return the number of times the position obtained after the given node has been reached along the line leading to this node,
+ * starting from the initial position of the game.
+ */
+function computeRepetitionCount(nodeData: NodeData, positionBefore: Position) {
+    const key = getNodeDataPositionKey(positionBefore, nodeData);
+
+    // Collect the nodes leading to the given one (when a sub-variation is reached, the line continues with the moves
+    // preceding its parent node in the parent variation).
+    let line = [ nodeData ];
+    let lastNode = nodeData;
+    while (true) {
+        const segment: NodeData[] = [];
+        for (let current = lastNode.parentVariation.child!; current !== lastNode; current = current.child!) {
+            segment.push(current);
+        }
+        line = segment.concat(line);
+        const parent = lastNode.parentVariation.parent;
+        if (parent instanceof MoveTreeRoot) {
+            break;
+        }
+        lastNode = parent;
+    }
+
+    // Only the positions reached since the last irreversible move need to be compared with the current one.
+    const initialPosition = findRoot(nodeData)._position;
+    const variant = initialPosition.variant();
+    let first = line.length - 1;
+    while (first >= 0 && !isIrreversible(line[first], variant)) {
+        --first;
+    }
+
+    // Compute the missing keys (replaying the line once is enough to get all of them).
+    if (line.some((node, index) => index >= first && node.positionKey === null)) {
+        const position = new Position(initialPosition);
+        for (const node of line) {
+            applyMoveDescriptor(position, node);
+            node.positionKey ??= position.zobristKey();
+        }
+    }
+
+    let result = first < 0 && initialPosition.zobristKey() === key ? 1 : 0;
+    for (let i = Math.max(first, 0); i < line.length; ++i) {
+        if (line[i].positionKey === key) {
+            ++result;
+        }
+    }
+    return result;
+}
+
+
 /**
  * Compute the ID of the given node.
  */
@@ -678,6 +762,19 @@ function getTagKeys(data: AbstractNodeData) {
 }
 
 
+/**
+ * Set or erase (if `value` is `undefined`) the given tag.
+ */
+function setTag(data: AbstractNodeData, tagKey: string, value: string | undefined) {
+    if (value === undefined) {
+        data.tags.delete(tagKey);
+    }
+    else {
+        data.tags.set(tagKey, value);
+    }
+}
+
+
 /**
  * Keep only the tags that are asserted by the given filter.
  */
@@ -791,6 +888,71 @@ class NodeImpl extends Node {
         filterTags(this._data, filter);
     }
 
+    clock(value?: number | undefined) {
+        if (arguments.length === 0) {
+            return parseTimeTag(this._data.tags.get('clk'));
+        }
+        setTag(this._data, 'clk', formatTimeTag(value, 'Node.clock()'));
+    }
+
+    elapsedMoveTime(value?: number | undefined) {
+        if (arguments.length === 0) {
+            return parseTimeTag(this._data.tags.get('emt'));
+        }
+        setTag(this._data, 'emt', formatTimeTag(value, 'Node.elapsedMoveTime()'));
+    }
+
+    evaluation(value?: Evaluation | undefined) {
+        if (arguments.length === 0) {
+            return parseEvaluationTag(this._data.tags.get('eval'));
+        }
+        setTag(this._data, 'eval', formatEvaluationTag(value, 'Node.evaluation()'));
+    }
+
+    arrows() {
+        return parseArrowTag(this._data.tags.get('cal'));
+    }
+
+    addArrow(color: AnnotationColor, squares: SquareCouple) {
+        if (!isAnnotationColor(color) || !isSquareCouple(squares)) {
+            throw new IllegalArgument('Node.addArrow()');
+        }
+        setTag(this._data, 'cal', updateArrowTag(this._data.tags.get('cal'), squares, color));
+    }
+
+    removeArrow(squares: SquareCouple) {
+        if (!isSquareCouple(squares)) {
+            throw new IllegalArgument('Node.removeArrow()');
+        }
+        setTag(this._data, 'cal', updateArrowTag(this._data.tags.get('cal'), squares, undefined));
+    }
+
+    clearArrows() {
+        this._data.tags.delete('cal');
+    }
+
+    squareHighlights() {
+        return parseSquareHighlightTag(this._data.tags.get('csl'));
+    }
+
+    addSquareHighlight(color: AnnotationColor, square: Square) {
+        if (!isAnnotationColor(color) || !isSquare(square)) {
+            throw new IllegalArgument('Node.addSquareHighlight()');
+        }
+        setTag(this._data, 'csl', updateSquareHighlightTag(this._data.tags.get('csl'), square, color));
+    }
+
+    removeSquareHighlight(square: Square) {
+        if (!isSquare(square)) {
+            throw new IllegalArgument('Node.removeSquareHighlight()');
+        }
+        setTag(this._data, 'csl', updateSquareHighlightTag(this._data.tags.get('csl'), square, undefined));
+    }
+
+    clearSquareHighlights() {
+        this._data.tags.delete('csl');
+    }
+
     comment(value?: string | undefined, isLongComment?: boolean) {
         if (arguments.length === 0) {
             return this._data.comment;
@@ -873,26 +1035,43 @@ class NodeImpl extends Node {
         return this._data.moveColor;
     }
 
+    repetitionCount() {
+        return computeRepetitionCount(this._data, this._positionBefore);
+    }
+
+    isThreefoldRepetition() {
+        return computeRepetitionCount(this._data, this._positionBefore) >= 3;
+    }
+
+    isFivefoldRepetition() {
+        return computeRepetitionCount(this._data, this._positionBefore) >= 5;
+    }
+
+    terminationStatus(uscfRules = false) {
+        return computeTerminationStatus(this.position(), computeNextFiftyMoveClock(this._data), () => computeRepetitionCount(this._data, this._positionBefore), uscfRules);
+    }
+
     variations() {
         return this._data.variations.map(variation => new VariationImpl(variation, this._positionBefore) as Variation);
     }
 
-    play(move: string) {
+    play(move: string, locale?: NotationLocale) {
         const nextPositionBefore = new Position(this._positionBefore);
         applyMoveDescriptor(nextPositionBefore, this._data);
         const nextMoveColor = nextPositionBefore.turn();
         const nextFiftyMoveClock = computeNextFiftyMoveClock(this._data);
         const nextFullMoveNumber = computeNextFullMoveNumber(this._data);
         this._data.child = createNodeData(this._data.parentVariation, nextMoveColor, nextFiftyMoveClock, nextFullMoveNumber,
-            computeMoveDescriptor(nextPositionBefore, move));
+            computeMoveDescriptor(nextPositionBefore, move, locale));
         return new NodeImpl(this._data.child, nextPositionBefore);
     }
 
     removePrecedingMoves() {
         const moveTreeRoot = findRoot(this._data);
 
-        // Reset the initial position and full-move number, and rebuild a new main variation (so that the annotations get cleared).
+        // Reset the initial position, fifty-move clock and full-move number, and rebuild a new main variation (so that the annotations get cleared).
         moveTreeRoot._position = this._positionBefore;
+        moveTreeRoot._fiftyMoveClock = 0;
         moveTreeRoot._fullMoveNumber = this._data.fullMoveNumber;
         moveTreeRoot._mainVariationData = createVariationData(moveTreeRoot, true);
 
@@ -1091,6 +1270,71 @@ class VariationImpl extends Variation {
         filterTags(this._data, filter);
     }
 
+    clock(value?: number | undefined) {
+        if (arguments.length === 0) {
+            return parseTimeTag(this._data.tags.get('clk'));
+        }
+        setTag(this._data, 'clk', formatTimeTag(value, 'Variation.clock()'));
+    }
+
+    elapsedMoveTime(value?: number | undefined) {
+        if (arguments.length === 0) {
+            return parseTimeTag(this._data.tags.get('emt'));
+        }
+        setTag(this._data, 'emt', formatTimeTag(value, 'Variation.elapsedMoveTime()'));
+    }
+
+    evaluation(value?: Evaluation | undefined) {
+        if (arguments.length === 0) {
+            return parseEvaluationTag(this._data.tags.get('eval'));
+        }
+        setTag(this._data, 'eval', formatEvaluationTag(value, 'Variation.evaluation()'));
+    }
+
+    arrows() {
+        return parseArrowTag(this._data.tags.get('cal'));
+    }
+
+    addArrow(color: AnnotationColor, squares: SquareCouple) {
+        if (!isAnnotationColor(color) || !isSquareCouple(squares)) {
+            throw new IllegalArgument('Variation.addArrow()');
+        }
+        setTag(this._data, 'cal', updateArrowTag(this._data.tags.get('cal'), squares, color));
+    }
+
+    removeArrow(squares: SquareCouple) {
+        if (!isSquareCouple(squares)) {
+            throw new IllegalArgument('Variation.removeArrow()');
+        }
+        setTag(this._data, 'cal', updateArrowTag(this._data.tags.get('cal'), squares, undefined));
+    }
+
+    clearArrows() {
+        this._data.tags.delete('cal');
+    }
+
+    squareHighlights() {
+        return parseSquareHighlightTag(this._data.tags.get('csl'));
+    }
+
+    addSquareHighlight(color: AnnotationColor, square: Square) {
+        if (!isAnnotationColor(color) || !isSquare(square)) {
+            throw new IllegalArgument('Variation.addSquareHighlight()');
+        }
+        setTag(this._data, 'csl', updateSquareHighlightTag(this._data.tags.get('csl'), square, color));
+    }
+
+    removeSquareHighlight(square: Square) {
+        if (!isSquare(square)) {
+            throw new IllegalArgument('Variation.removeSquareHighlight()');
+        }
+        setTag(this._data, 'csl', updateSquareHighlightTag(this._data.tags.get('csl'), square, undefined));
+    }
+
+    clearSquareHighlights() {
+        this._data.tags.delete('csl');
+    }
+
     comment(value?: string | undefined, isLongComment?: boolean) {
         if (arguments.length === 0) {
             return this._data.comment;
@@ -1166,7 +1410,7 @@ class VariationImpl extends Variation {
     }
 
     initialFiftyMoveClock() {
-        return this._data.parent instanceof MoveTreeRoot ? 0 : this._data.parent.fiftyMoveClock;
+        return this._data.parent instanceof MoveTreeRoot ? this._data.parent._fiftyMoveClock : this._data.parent.fiftyMoveClock;
     }
 
     initialFullMoveNumber() {
@@ -1200,11 +1444,11 @@ class VariationImpl extends Variation {
         });
     }
 
-    play(move: string) {
+    play(move: string, locale?: NotationLocale) {
         const moveColor = this._initialPosition.turn();
         const fiftyMoveClock = this.initialFiftyMoveClock();
         const fullMoveNumber = this.initialFullMoveNumber();
-        this._data.child = createNodeData(this._data, moveColor, fiftyMoveClock, fullMoveNumber, computeMoveDescriptor(this._initialPosition, move));
+        this._data.child = createNodeData(this._data, moveColor, fiftyMoveClock, fullMoveNumber, computeMoveDescriptor(this._initialPosition, move, locale));
         return new NodeImpl(this._data.child, this._initialPosition);
     }
 
@@ -0,0 +1,140 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { GameVariant } from '../base_types';
+import { Position } from '../position';
+
+
+/**
+ * Reason why a game is over (or can be declared as drawn):
+ *
+ * - `'checkmate'`: the player about to play is checkmated,
+ * - `'stalemate'`: the player about to play has no legal move (in antichess, this player wins),
+ * - `'dead-position'`: no checkmate is possible anymore (see {@link Position.isDead}),
+ * - `'fifty-move-rule'`: no pawn move nor capture during the last 50 moves (draw that must be claimed),
+ * - `'seventy-five-move-rule'`: no pawn move nor capture during the last 75 moves,
+ * - `'threefold-repetition'`: the same position occurred 3 times (draw that must be claimed),
+ * - `'fivefold-repetition'`: the same position occurred 5 times,
+ * - `'no-pieces'`: in antichess, the player about to play has no piece left (and thus wins),
+ * - `'all-pawns-captured'`: in horde chess, white has no piece left (and thus loses),
+ * - `'third-check'`: in three-check, the player that has just played has given the third check (and thus wins),
+ * - `'king-on-hill'`: in king of the hill, the king of the player that has just played has reached a central square (and thus wins),
+ * - `'king-on-last-rank'`: in racing kings, one or both kings have reached the 8th rank (see {@link Position.variantResult}).
+ */
+export type TerminationReason = 'checkmate' | 'stalemate' | 'dead-position' | 'fifty-move-rule' | 'seventy-five-move-rule' | 'threefold-repetition' |
+    'fivefold-repetition' | 'no-pieces' | 'all-pawns-captured' | 'third-check' | 'king-on-hill' | 'king-on-last-rank';
+
+
+/**
+ * Describe why a game is over, as returned by {@link Game.terminationStatus} or {@link Node.terminationStatus}.
+ */
+export interface TerminationStatus {
+
+    /**
+     * Why the game is over.
+     */
+    reason: TerminationReason,
+
+    /**
+     * Result of the game.
+     */
+    result: '1-0' | '0-1' | '1/2-1/2',
+
+    /**
+     * `true` if the game is not over by itself, but one of the players can claim a draw (threefold repetition or fifty-move rule).
+     */
+    claimable: boolean,
+}
+
+
+const VARIANT_TERMINATION_REASONS = new Map<GameVariant, TerminationReason>([
+    [ 'three-check', 'third-check' ],
+    [ 'king-of-the-hill', 'king-on-hill' ],
+    [ 'racing-kings', 'king-on-last-rank' ],
+]);
+
+
+/**
+ * Compute the termination status of a game reaching the given position.
+ *
+ * @param repetitionCount - Number of times the given position has been reached in the game (evaluated only if necessary).
+ */
+export function computeTerminationStatus(position: Position, fiftyMoveClock: number, repetitionCount: () => number,
+    uscfRules: boolean): TerminationStatus | undefined {
+
+    if (!position.isLegal()) {
+        return undefined;
+    }
+    const turn = position.turn();
+    const variant = position.variant();
+
+    // Variant-specific winning conditions.
+    const variantResult = position.variantResult();
+    if (variantResult !== undefined) {
+        return makeStatus(VARIANT_TERMINATION_REASONS.get(variant)!, variantResult);
+    }
+
+    // Situations where the player about to play has no legal move.
+    if (position.isCheckmate()) {
+        if (variant === 'antichess') {
+            return makeStatus(position.pieces(turn).length > 0 ? 'stalemate' : 'no-pieces', turn === 'w' ? '1-0' : '0-1');
+        }
+        else if (variant === 'horde' && turn === 'w') {
+            return makeStatus('all-pawns-captured', '0-1');
+        }
+        else {
+            return makeStatus('checkmate', turn === 'w' ? '0-1' : '1-0');
+        }
+    }
+    else if (position.isStalemate()) {
+        return makeStatus('stalemate', '1/2-1/2');
+    }
+    else if (position.isDead(uscfRules)) {
+        return makeStatus('dead-position', '1/2-1/2');
+    }
+
+    // Draws by repetition or by lack of progress.
+    if (fiftyMoveClock >= 150) {
+        return makeStatus('seventy-five-move-rule', '1/2-1/2');
+    }
+    const repetitions = repetitionCount();
+    if (repetitions >= 5) {
+        return makeStatus('fivefold-repetition', '1/2-1/2');
+    }
+    else if (repetitions >= 3) {
+        return makeStatus('threefold-repetition', '1/2-1/2', true);
+    }
+    else if (fiftyMoveClock >= 100) {
+        return makeStatus('fifty-move-rule', '1/2-1/2', true);
+    }
+    else {
+        return undefined;
+    }
+}
+
+
+function makeStatus(reason: TerminationReason, result: '1-0' | '0-1' | '1/2-1/2', claimable = false): TerminationStatus {
+    return { reason: reason, result: result, claimable: claimable };
+}
+
@@ -25,12 +25,13 @@
 import { GameResult, GameVariant } from '../base_types';
 import { Database } from '../database';
 import { DateValue } from '../date_value';
-import { InvalidFEN, InvalidNotation, InvalidPGN } from '../exception';
-import { Game } from '../game';
+import { IllegalArgument, InvalidFEN, InvalidNotation, InvalidPGN } from '../exception';
+import { Game, setPGNWarnings } from '../game';
 import { isValidECO, variantWithCanonicalStartPosition } from '../helper';
 import { i18n } from '../i18n';
 import { Node, Variation } from '../node_variation';
 import { Position } from '../position';
+import { NotationLocale } from '../private_position/notation';
 
 import { StreamPosition, TokenCommentData, TokenStream, TokenType } from './token_stream';
 
@@ -94,6 +95,18 @@ function parseVariant(value: string): GameVariant | undefined {
     else if (value === 'horde') {
         return 'horde';
     }
+    else if (/^three[ -]?check$/.test(value)) {
+        return 'three-check';
+    }
+    else if (/^king[ -]of[ -]the[ -]hill$/.test(value) || value === 'koth') {
+        return 'king-of-the-hill';
+    }
+    else if (/^racing[ -]?kings$/.test(value)) {
+        return 'racing-kings';
+    }
+    else if (value === 'crazyhouse') {
+        return 'crazyhouse';
+    }
     else {
         return undefined;
     }
@@ -153,6 +166,14 @@ function processHeader(stream: TokenStream, game: Game, factory: InitialPosition
             factory.variantTokenCharacterIndex = valueCharacterIndex;
             factory.variantTokenLineIndex = valueLineIndex;
             break;
+
+        // Headers 'Result', 'SetUp' and 'PlyCount' are redundant with the movetext.
+        case 'Result':
+        case 'SetUp':
+        case 'PlyCount':
+            break;
+
+        default: game.header(key, value); break;
     }
 }
 
@@ -164,7 +185,7 @@ function initializeInitialPosition(stream: TokenStream, game: Game, factory: Ini
         try {
             const position = factory.variant === undefined ? new Position() : new Position(factory.variant, 'empty');
             const moveCounters = position.fen(factory.fen);
-            game.initialPosition(position, moveCounters.fullMoveNumber);
+            game.initialPosition(position, moveCounters.fullMoveNumber, moveCounters.fiftyMoveClock);
         }
         catch (error) {
             // istanbul ignore else
@@ -193,22 +214,96 @@ function initializeInitialPosition(stream: TokenStream, game: Game, factory: Ini
 }
 
 
+/**
+ * Options for the {@link pgnRead} and {@link pgnReadStream} methods.
+ */
+export interface PGNReadOptions {
+
+    /**
+     * If `true`, the parser tries to recover from the errors encountered in the move-text section of the games (and in the header
+     * section, except those affecting the initial position) instead of throwing an {@link exception.InvalidPGN} exception:
+     * - a game containing an invalid move is kept up to this move (the rest of the variation in which it appears is ignored),
+     * - unrecognized characters or tokens, and malformed or misplaced game headers, are ignored,
+     * - unbalanced variations are closed automatically.
+     *
+     * The problems repaired that way can be retrieved with {@link pgnWarnings}. `false` by default.
+     */
+    lenient?: boolean,
+
+    /**
+     * Locale of the piece letters used in the move-text section of the games (see {@link NotationLocale}). `'en'` by default.
+     */
+    notationLocale?: NotationLocale,
+}
+
+
+/**
+ * Skip the remaining tokens of a malformed header, the current token being the first unexpected one.
+ *
+ * @returns `true` if the current token (after the skipped ones) does not belong to the header and has not been processed yet,
+ *          `false` if the end of the header or of the text has been reached.
+ */
+function skipMalformedHeader(stream: TokenStream, warnings: InvalidPGN[], hasToken: boolean) {
+    while (hasToken && stream.token() !== TokenType.END_HEADER) {
+        if (stream.token() !== TokenType.HEADER_VALUE) {
+            return true;
+        }
+        hasToken = stream.consumeToken(warnings);
+    }
+    return false;
+}
+
+
+/**
+ * Skip all the tokens until the end of the current variation (or of the game).
+ *
+ * @returns `true` if the token on which the stream stopped (either `END_VARIATION` or `END_OF_GAME`) has not been processed yet,
+ *          `false` if the end of the text has been reached.
+ */
+function skipToEndOfVariation(stream: TokenStream, warnings: InvalidPGN[]) {
+    let depth = 0;
+    while (stream.consumeToken(warnings)) {
+        if (stream.token() === TokenType.BEGIN_VARIATION) {
+            ++depth;
+        }
+        else if (stream.token() === TokenType.END_OF_GAME || (stream.token() === TokenType.END_VARIATION && depth-- === 0)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+
 /**
  * Parse exactly 1 game from the given stream.
+ *
+ * @param locale - Locale of the piece letters used in the moves.
+ * @param warnings - If defined, the parser works in lenient mode: the recoverable errors do not throw, but are appended to this array.
  */
-function doParseGame(stream: TokenStream) {
+function doParseGame(stream: TokenStream, locale: NotationLocale, warnings?: InvalidPGN[]) {
 
     // State variable for syntactic analysis.
     const game = new Game(); // the result
     let endOfGameEncountered = false;
     let atLeastOneTokenFound = false;
+    let tokenPending = false; // whether the current token must be processed again (used to resume the parsing after an error in lenient mode)
     let node: Node | Variation | null = null; // current node (or variation) to which the next move should be appended
     const nodeStack: (Node | Variation)[] = []; // when starting a variation, its parent node (btw., always a "true" node, not a variation) is stacked here
     const initialPositionFactory: InitialPositionFactory = {};
 
+    // Throw the given error, or report it as a warning in lenient mode.
+    function raise(message: string, ...tokens: unknown[]) {
+        const error = new InvalidPGN(stream.text(), stream.tokenCharacterIndex(), stream.tokenLineIndex(), message, ...tokens);
+        if (warnings === undefined) {
+            throw error;
+        }
+        warnings.push(error);
+    }
+
     // Token loop
-    while (!endOfGameEncountered && stream.consumeToken()) {
+    while (!endOfGameEncountered && (tokenPending || stream.consumeToken(warnings))) {
         atLeastOneTokenFound = true;
+        tokenPending = false;
 
         // Set-up the root node when the first move-text token is encountered.
         if (stream.isMoveTextSection() && node === null) {
@@ -219,25 +314,36 @@ function doParseGame(stream: TokenStream) {
         // Token type switch
         switch (stream.token()) {
 
-            // Header
+            // Header (ignored in lenient mode if it is unexpected, malformed headers being ignored as well)
             case TokenType.BEGIN_HEADER: {
-                if (node !== null) {
-                    throw new InvalidPGN(stream.text(), stream.tokenCharacterIndex(), stream.tokenLineIndex(), i18n.UNEXPECTED_PGN_HEADER);
+                const isHeaderExpected = node === null;
+                if (!isHeaderExpected) {
+                    raise(i18n.UNEXPECTED_PGN_HEADER);
                 }
-                if (!stream.consumeToken() || stream.token() !== TokenType.HEADER_ID) {
-                    throw new InvalidPGN(stream.text(), stream.tokenCharacterIndex(), stream.tokenLineIndex(), i18n.MISSING_PGN_HEADER_ID);
+                let hasToken = stream.consumeToken(warnings);
+                if (!hasToken || stream.token() !== TokenType.HEADER_ID) {
+                    raise(i18n.MISSING_PGN_HEADER_ID);
+                    tokenPending = skipMalformedHeader(stream, warnings!, hasToken);
+                    break;
                 }
                 const headerId = stream.tokenValue<string>();
-                if (!stream.consumeToken() || stream.token() !== TokenType.HEADER_VALUE) {
-                    throw new InvalidPGN(stream.text(), stream.tokenCharacterIndex(), stream.tokenLineIndex(), i18n.MISSING_PGN_HEADER_VALUE);
+                hasToken = stream.consumeToken(warnings);
+                if (!hasToken || stream.token() !== TokenType.HEADER_VALUE) {
+                    raise(i18n.MISSING_PGN_HEADER_VALUE);
+                    tokenPending = skipMalformedHeader(stream, warnings!, hasToken);
+                    break;
                 }
                 const headerValue = stream.tokenValue<string>();
                 const headerValueCharacterIndex = stream.tokenCharacterIndex();
                 const headerValueLineIndex = stream.tokenLineIndex();
-                if (!stream.consumeToken() || stream.token() !== TokenType.END_HEADER) {
-                    throw new InvalidPGN(stream.text(), stream.tokenCharacterIndex(), stream.tokenLineIndex(), i18n.MISSING_END_OF_PGN_HEADER);
+                hasToken = stream.consumeToken(warnings);
+                if (!hasToken || stream.token() !== TokenType.END_HEADER) {
+                    raise(i18n.MISSING_END_OF_PGN_HEADER);
+                    tokenPending = hasToken;
+                }
+                if (isHeaderExpected) {
+                    processHeader(stream, game, initialPositionFactory, headerId, headerValue, headerValueCharacterIndex, headerValueLineIndex);
                 }
-                processHeader(stream, game, initialPositionFactory, headerId, headerValue, headerValueCharacterIndex, headerValueLineIndex);
                 break;
             }
 
@@ -245,15 +351,16 @@ function doParseGame(stream: TokenStream) {
             case TokenType.MOVE_NUMBER:
                 break;
 
-            // Move or null-move
+            // Move or null-move (in lenient mode, the rest of the variation is ignored if the move is invalid)
             case TokenType.MOVE:
                 try {
-                    node = node!.play(stream.tokenValue<string>());
+                    node = node!.play(stream.tokenValue<string>(), locale);
                 }
                 catch (error) {
                     // istanbul ignore else
                     if (error instanceof InvalidNotation) {
-                        throw new InvalidPGN(stream.text(), stream.tokenCharacterIndex(), stream.tokenLineIndex(), i18n.INVALID_MOVE_IN_PGN_TEXT, error.notation, error.message);
+                        raise(i18n.INVALID_MOVE_IN_PGN_TEXT, stream.tokenValue<string>(), error.message);
+                        tokenPending = skipToEndOfVariation(stream, warnings!);
                     }
                     else {
                         throw error;
@@ -285,19 +392,22 @@ function doParseGame(stream: TokenStream) {
                 break;
             }
 
-            // Begin of variation
+            // Begin of variation (in lenient mode, an unexpected variation is ignored)
             case TokenType.BEGIN_VARIATION:
                 if (node instanceof Variation) {
-                    throw new InvalidPGN(stream.text(), stream.tokenCharacterIndex(), stream.tokenLineIndex(), i18n.UNEXPECTED_BEGIN_OF_VARIATION);
+                    raise(i18n.UNEXPECTED_BEGIN_OF_VARIATION);
+                    tokenPending = skipToEndOfVariation(stream, warnings!) && stream.token() === TokenType.END_OF_GAME;
+                    break;
                 }
                 nodeStack.push(node!);
                 node = (node! as Node).addVariation(stream.emptyLineBeforeToken());
                 break;
 
-            // End of variation
+            // End of variation (ignored in lenient mode if unexpected)
             case TokenType.END_VARIATION:
                 if (nodeStack.length === 0) {
-                    throw new InvalidPGN(stream.text(), stream.tokenCharacterIndex(), stream.tokenLineIndex(), i18n.UNEXPECTED_END_OF_VARIATION);
+                    raise(i18n.UNEXPECTED_END_OF_VARIATION);
+                    break;
                 }
                 node = nodeStack.pop()!;
                 break;
@@ -308,20 +418,24 @@ function doParseGame(stream: TokenStream) {
                 game.result(stream.tokenValue<GameResult>());
                 break;
 
-            // Something unexpected...
+            // Something unexpected... (ignored in lenient mode)
             default:
-                throw new InvalidPGN(stream.text(), stream.tokenCharacterIndex(), stream.tokenLineIndex(), i18n.INVALID_PGN_TOKEN);
+                raise(i18n.INVALID_PGN_TOKEN);
+                break;
 
         } // switch(stream.token())
 
     } // while(stream.consumeToken())
 
+    // In lenient mode, the variations that are not closed are closed implicitly.
     if (nodeStack.length !== 0) {
-        throw new InvalidPGN(stream.text(), stream.tokenCharacterIndex(), stream.tokenLineIndex(), i18n.UNEXPECTED_END_OF_GAME);
+        raise(i18n.UNEXPECTED_END_OF_GAME);
     }
-    else {
-        return { game: game, atLeastOneTokenFound: atLeastOneTokenFound };
+
+    if (warnings !== undefined) {
+        setPGNWarnings(game, warnings);
     }
+    return { game: game, atLeastOneTokenFound: atLeastOneTokenFound };
 }
 
 
@@ -331,16 +445,20 @@ function doParseGame(stream: TokenStream) {
 class PGNDatabaseImpl extends Database {
 
     private _text: string;
+    private _lenient: boolean;
+    private _locale: NotationLocale;
     private _gameLocations: StreamPosition[];
     private _currentGameIndex = -1;
     private _stream: TokenStream;
 
 
-    constructor(pgnString: string) {
+    constructor(pgnString: string, lenient: boolean, locale: NotationLocale) {
         super();
         this._text = pgnString;
+        this._lenient = lenient;
+        this._locale = locale;
         this._gameLocations = [];
-        this._stream = new TokenStream(pgnString);
+        this._stream = new TokenStream(pgnString, undefined, locale);
         while (true) {
             const currentLocation = this._stream.currentLocation();
             if (!this._stream.skipGame()) {
@@ -361,10 +479,10 @@ class PGNDatabaseImpl extends Database {
             throw new InvalidPGN(this._text, -1, -1, i18n.INVALID_GAME_INDEX, gameIndex, this._gameLocations.length);
         }
         if (this._currentGameIndex !== gameIndex) {
-            this._stream = new TokenStream(this._text, this._gameLocations[gameIndex]);
+            this._stream = new TokenStream(this._text, this._gameLocations[gameIndex], this._locale);
         }
         this._currentGameIndex = -1;
-        const { game } = doParseGame(this._stream);
+        const { game } = doParseGame(this._stream, this._locale, this._lenient ? [] : undefined);
         this._currentGameIndex = gameIndex + 1;
         return game;
     }
@@ -375,16 +493,17 @@ class PGNDatabaseImpl extends Database {
 /**
  * Read a PGN string and return a {@link Database} object.
  */
-export function readDatabase(pgnString: string): Database {
-    return new PGNDatabaseImpl(pgnString);
+export function readDatabase(pgnString: string, options: PGNReadOptions): Database {
+    return new PGNDatabaseImpl(pgnString, options.lenient === true, options.notationLocale ?? 'en');
 }
 
 
 /**
  * Read exactly 1 {@link Game} within the given PGN string.
  */
-export function readOneGame(pgnString: string, gameIndex: number) {
-    const stream = new TokenStream(pgnString);
+export function readOneGame(pgnString: string, gameIndex: number, options: PGNReadOptions) {
+    const locale = options.notationLocale ?? 'en';
+    const stream = new TokenStream(pgnString, undefined, locale);
     let gameCounter = 0;
     while (gameCounter !== gameIndex) {
         if (!stream.skipGame()) {
@@ -392,9 +511,145 @@ export function readOneGame(pgnString: string, gameIndex: number) {
         }
         ++gameCounter;
     }
-    const { game, atLeastOneTokenFound } = doParseGame(stream);
+    const { game, atLeastOneTokenFound } = doParseGame(stream, locale, options.lenient === true ? [] : undefined);
     if (!atLeastOneTokenFound) {
         throw new InvalidPGN(pgnString, -1, -1, i18n.INVALID_GAME_INDEX, gameIndex, gameCounter);
     }
     return game;
 }
+
+
+/**
+ * Source of PGN data that can be processed by the streaming PGN reader: either a web
+ * [ReadableStream](https://developer.mozilla.org/en-US/docs/Web/API/ReadableStream), or any
+ * [AsyncIterable](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Iteration_protocols#the_async_iterator_and_async_iterable_protocols)
+ * object (this includes Node.js [Readable](https://nodejs.org/api/stream.html#class-streamreadable) streams).
+ *
+ * Each chunk is either a string or an array of bytes (in which case the PGN data is expected to be UTF-8-encoded).
+ */
+export type PGNStreamSource = AsyncIterable<string | Uint8Array> | ReadableStream<string | Uint8Array>;
+
+
+export function isPGNStreamSource(source: unknown): source is PGNStreamSource {
+    return typeof source === 'object' && source !== null && (
+        typeof (source as Partial<ReadableStream>).getReader === 'function' ||
+        typeof (source as Partial<AsyncIterable<unknown>>)[Symbol.asyncIterator] === 'function'
+    );
+}
+
+
+/**
+ * Iterate over the chunks of the given source.
+ */
+async function* iterateChunks(source: PGNStreamSource): AsyncGenerator<unknown, void> {
+    if (typeof (source as Partial<ReadableStream>).getReader === 'function') {
+        const reader = (source as ReadableStream<unknown>).getReader();
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    return;
+                }
+                yield value;
+            }
+        }
+        finally {
+            reader.releaseLock();
+        }
+    }
+    else {
+        yield* source as AsyncIterable<unknown>;
+    }
+}
+
+
+/**
+ * Accumulate the chunks of a PGN stream, and extract the games as soon as they are complete.
+ */
+class PGNStreamParser {
+
+    private _lenient: boolean;
+    private _locale: NotationLocale;
+    private _decoder = new TextDecoder();
+    private _text = '';
+    private _lineIndex = 1;
+
+
+    constructor(lenient: boolean, locale: NotationLocale) {
+        this._lenient = lenient;
+        this._locale = locale;
+    }
+
+
+    /**
+     * Append the given chunk to the stream, and return the games that became complete.
+     */
+    push(chunk: unknown) {
+        if (typeof chunk === 'string') {
+            this._text += chunk;
+        }
+        else if (chunk instanceof Uint8Array) {
+            this._text += this._decoder.decode(chunk, { stream: true });
+        }
+        else {
+            throw new IllegalArgument('pgnReadStream()');
+        }
+        return this.extractGames(false);
+    }
+
+
+    /**
+     * Close the stream, and return the remaining games.
+     */
+    end() {
+        this._text += this._decoder.decode();
+        return this.extractGames(true);
+    }
+
+
+    private extractGames(isEndOfStream: boolean) {
+        const result: Game[] = [];
+        const stream = new TokenStream(this._text, { pos: 0, lineIndex: this._lineIndex });
+        const text = stream.text(); // might differ from `this._text` if a BOM has been removed
+        let gameLocation = stream.currentLocation();
+        while (stream.skipGame()) {
+
+            // A game is known to be complete only if its end-of-game token is followed by at least 1 character: otherwise, the game
+            // (or its last token) might continue in the next chunk.
+            const nextGameLocation = stream.currentLocation();
+            if (!isEndOfStream && nextGameLocation.pos >= text.length) {
+                break;
+            }
+
+            // Invalid games are ignored, as in `Database.games()`.
+            const gameStream = new TokenStream(text.substring(gameLocation.pos, nextGameLocation.pos), { pos: 0, lineIndex: gameLocation.lineIndex },
+                this._locale);
+            try {
+                result.push(doParseGame(gameStream, this._locale, this._lenient ? [] : undefined).game);
+            }
+            catch (error) {
+                // istanbul ignore if
+                if (!(error instanceof InvalidPGN)) {
+                    throw error;
+                }
+            }
+            gameLocation = nextGameLocation;
+        }
+        this._text = text.substring(gameLocation.pos);
+        this._lineIndex = gameLocation.lineIndex;
+        return result;
+    }
+
+}
+
+
+/**
+ * Read the PGN data provided by the given source, and yield the games as soon as they are available.
+ */
+export async function* readStream(source: PGNStreamSource, options: PGNReadOptions): AsyncGenerator<Game, void> {
+    const parser = new PGNStreamParser(options.lenient === true, options.notationLocale ?? 'en');
+    for await (const chunk of iterateChunks(source)) {
+        yield* parser.push(chunk);
+    }
+    yield* parser.end();
+}
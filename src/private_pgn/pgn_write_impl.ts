@@ -30,6 +30,8 @@ import { AbstractNode, Node, Variation } from '../node_variation';
 import { Position } from '../position';
 
 import { trimAndCollapseSpaces } from '../private_game/common';
+import { CastlingStyle } from '../private_position/fen';
+import { NotationLocale, translateNotation } from '../private_position/notation';
 
 
 function escapeHeaderValue(value: string) {
@@ -66,6 +68,10 @@ function formatVariant(variant: GameVariant) {
         case 'chess960': return 'Fischerandom';
         case 'antichess': return 'Antichess';
         case 'horde': return 'Horde';
+        case 'three-check': return 'Three-check';
+        case 'king-of-the-hill': return 'King of the Hill';
+        case 'racing-kings': return 'Racing Kings';
+        case 'crazyhouse': return 'Crazyhouse';
         default: return variant;
     }
 }
@@ -79,6 +85,11 @@ function writeOptionalHeader(key: string, value: string | undefined) {
 }
 
 
+function writeCustomHeader(key: string, value: string) {
+    return `[${key} "${escapeHeaderValue(trimAndCollapseSpaces(value))}"]\n`;
+}
+
+
 function writeOptionalIntegerHeader(key: string, value: number | undefined) {
     return value === undefined ? '' : `[${key} "${value}"]\n`;
 }
@@ -87,22 +98,24 @@ function writeOptionalIntegerHeader(key: string, value: number | undefined) {
 /**
  * @returns `true` if the move number of the next move must be written.
  */
-function writeAnnotations(node: AbstractNode, skipLineAfterCommentIfLong: boolean,
+function writeAnnotations(node: AbstractNode, options: PGNWriteOptions, skipLineAfterCommentIfLong: boolean,
     pushToken: (token: string, avoidSpaceBefore: boolean, avoidSpaceAfter: boolean) => void, skipLine: () => void): boolean {
 
     // NAGs
-    for (const nag of node.nags()) {
-        pushToken('$' + nag, false, false);
+    if (options.withNags !== false) {
+        for (const nag of node.nags()) {
+            pushToken('$' + nag, false, false);
+        }
     }
 
     // Prepare comment
-    let comment = node.comment();
+    let comment = options.withComments === false ? undefined : node.comment();
     if (comment !== undefined) {
         comment = trimAndCollapseSpaces(comment);
     }
 
     // Prepare tags
-    const tags = node.tags();
+    const tags = options.withTags === false ? [] : node.tags();
     const tagValues = new Map<string, string>();
     let nonEmptyTagFound = false;
     for (const tagKey of tags) {
@@ -134,7 +147,7 @@ function writeAnnotations(node: AbstractNode, skipLineAfterCommentIfLong: boolea
         if (comment && node.isLongComment() && skipLineAfterCommentIfLong) {
             skipLine();
         }
-        return true;
+        return options.repeatMoveNumberAfterComment !== false;
     }
     else {
         return false;
@@ -145,7 +158,7 @@ function writeAnnotations(node: AbstractNode, skipLineAfterCommentIfLong: boolea
 /**
  * @returns `true` if the move number of the next move must be written.
  */
-function writeNode(node: Node, forceMoveNumber: boolean, isMainVariation: boolean,
+function writeNode(node: Node, options: PGNWriteOptions, forceMoveNumber: boolean, isMainVariation: boolean,
     pushToken: (token: string, avoidSpaceBefore: boolean, avoidSpaceAfter: boolean) => void, skipLine: () => void): boolean {
 
     if (node.moveColor() === 'w') {
@@ -155,9 +168,9 @@ function writeNode(node: Node, forceMoveNumber: boolean, isMainVariation: boolea
         pushToken(node.fullMoveNumber() + '...', false, false);
     }
 
-    pushToken(node.notation(), false, false);
+    pushToken(options.notation === 'figurine' ? node.figurineNotation() : translateNotation(node.notation(), 'en', options.notationLocale ?? 'en'), false, false);
 
-    const variations = node.variations();
+    const variations = options.withVariations === false ? [] : node.variations();
     let lastNonEmptyVariationIndex = -1;
     for (let k = variations.length - 1; k >= 0; --k) {
         if (variations[k].first() !== undefined) {
@@ -166,7 +179,7 @@ function writeNode(node: Node, forceMoveNumber: boolean, isMainVariation: boolea
         }
     }
 
-    let nextForceMoveNumber = writeAnnotations(node, (isMainVariation || node.next() !== undefined) && lastNonEmptyVariationIndex < 0, pushToken, skipLine);
+    let nextForceMoveNumber = writeAnnotations(node, options, (isMainVariation || node.next() !== undefined) && lastNonEmptyVariationIndex < 0, pushToken, skipLine);
 
     for (let k = 0; k < variations.length; ++k) {
         const variation = variations[k];
@@ -177,7 +190,7 @@ function writeNode(node: Node, forceMoveNumber: boolean, isMainVariation: boolea
             skipLine();
         }
         pushToken('(', false, true);
-        writeVariation(variation, false, pushToken, skipLine);
+        writeVariation(variation, options, false, pushToken, skipLine);
         pushToken(')', true, false);
         if (k === lastNonEmptyVariationIndex && variation.isLongVariation()) {
             skipLine();
@@ -189,15 +202,15 @@ function writeNode(node: Node, forceMoveNumber: boolean, isMainVariation: boolea
 }
 
 
-function writeVariation(variation: Variation, isMainVariation: boolean,
+function writeVariation(variation: Variation, options: PGNWriteOptions, isMainVariation: boolean,
     pushToken: (token: string, avoidSpaceBefore: boolean, avoidSpaceAfter: boolean) => void, skipLine: () => void): void {
 
-    writeAnnotations(variation, true, pushToken, skipLine);
+    writeAnnotations(variation, options, true, pushToken, skipLine);
 
     let currentNode = variation.first();
     let forceMoveNumber = true;
     while (currentNode !== undefined) {
-        forceMoveNumber = writeNode(currentNode, forceMoveNumber, isMainVariation, pushToken, skipLine);
+        forceMoveNumber = writeNode(currentNode, options, forceMoveNumber, isMainVariation, pushToken, skipLine);
         currentNode = currentNode.next();
     }
 }
@@ -212,6 +225,63 @@ export interface PGNWriteOptions {
      * If `true`, a PGN tag `[PlyCount "..."]` corresponding to the number of half-moves is added to each game in the generated PGN string. `false` by default.
      */
     withPlyCount?: boolean,
+
+    /**
+     * Maximum number of characters in the lines of the movetext section (a token longer than this limit is written on its own line). `80` by default
+     * (as required by the PGN export format). Ignored if {@link PGNWriteOptions.compact} is `true`.
+     */
+    maxLineLength?: number,
+
+    /**
+     * If `true`, the movetext section of each game is written on a single line (in particular, long comments and long variations
+     * are not surrounded by empty lines). `false` by default.
+     */
+    compact?: boolean,
+
+    /**
+     * If `false`, the text comments are not written. `true` by default.
+     */
+    withComments?: boolean,
+
+    /**
+     * If `false`, the NAGs (aka. Numeric Annotation Glyphs) are not written. `true` by default.
+     */
+    withNags?: boolean,
+
+    /**
+     * If `false`, the tags (i.e. the `[%key value]` annotations within the comments) are not written. `true` by default.
+     */
+    withTags?: boolean,
+
+    /**
+     * If `false`, the sub-variations are not written (only the main variation is). `true` by default.
+     */
+    withVariations?: boolean,
+
+    /**
+     * Notation used for the moves. `'standard'` by default. WARNING: the figurine notation is not part of the PGN standard,
+     * so PGN strings generated with `'figurine'` are intended to be displayed, not to be parsed back.
+     */
+    notation?: 'standard' | 'figurine',
+
+    /**
+     * Locale of the piece letters used for the moves if {@link PGNWriteOptions.notation} is `'standard'` (see {@link NotationLocale}).
+     * `'en'` by default. WARNING: PGN strings generated with a locale other than `'en'` do not comply with the PGN standard
+     * (they can be parsed back with the same {@link PGNReadOptions.notationLocale} option).
+     */
+    notationLocale?: NotationLocale,
+
+    /**
+     * If `false`, the move number of a black move is not repeated when this move follows a comment (it is still repeated after sub-variations).
+     * `true` by default.
+     */
+    repeatMoveNumberAfterComment?: boolean,
+
+    /**
+     * For Chess960 games only: style used to render the castling flags in the `[FEN "..."]` header (see {@link CastlingStyle}).
+     * `'standard'` by default.
+     */
+    castlingStyle?: CastlingStyle,
 }
 
 
@@ -232,30 +302,31 @@ export function writeGame(game: Game, options: PGNWriteOptions) {
 
     const variant = game.variant();
     const initialPosition = game.initialPosition();
+    const initialFiftyMoveClock = game.mainVariation().initialFiftyMoveClock();
     const hasFENHeader = !variantWithCanonicalStartPosition(variant) || !Position.isEqual(initialPosition, new Position(variant))
-        || game.initialFullMoveNumber() !== 1;
+        || initialFiftyMoveClock !== 0 || game.initialFullMoveNumber() !== 1;
 
     // Additional tags (ASCII order by tag name)
-    result += writeOptionalHeader('Annotator', game.annotator());
-    result += writeOptionalIntegerHeader('BlackElo', game.playerElo('b'));
-    result += writeOptionalHeader('BlackTitle', game.playerTitle('b'));
-    result += writeOptionalHeader('ECO', game.eco());
-    if (hasFENHeader) {
-        result += `[FEN "${initialPosition.fen({ fullMoveNumber: game.initialFullMoveNumber(), regularFENIfPossible: true })}"]\n`;
-    }
-    result += writeOptionalHeader('Opening', game.opening());
-    if (options.withPlyCount) {
-        result += `[PlyCount "${game.plyCount()}"]\n`;
-    }
-    if (hasFENHeader) {
-        result += '[SetUp "1"]\n';
-    }
-    result += writeOptionalHeader('SubVariation', game.openingSubVariation());
-    result += writeOptionalHeader('Termination', game.termination());
-    result += writeOptionalHeader('Variant', formatVariant(variant));
-    result += writeOptionalHeader('Variation', game.openingVariation());
-    result += writeOptionalIntegerHeader('WhiteElo', game.playerElo('w'));
-    result += writeOptionalHeader('WhiteTitle', game.playerTitle('w'));
+    const additionalHeaders = [
+        writeOptionalHeader('Annotator', game.annotator()),
+        writeOptionalIntegerHeader('BlackElo', game.playerElo('b')),
+        writeOptionalHeader('BlackTitle', game.playerTitle('b')),
+        writeOptionalHeader('ECO', game.eco()),
+        hasFENHeader ? `[FEN "${initialPosition.fen({ fiftyMoveClock: initialFiftyMoveClock, fullMoveNumber: game.initialFullMoveNumber(), castlingStyle: options.castlingStyle ?? 'standard' })}"]\n` : '',
+        writeOptionalHeader('Opening', game.opening()),
+        options.withPlyCount ? `[PlyCount "${game.plyCount()}"]\n` : '',
+        hasFENHeader ? '[SetUp "1"]\n' : '',
+        writeOptionalHeader('SubVariation', game.openingSubVariation()),
+        writeOptionalHeader('Termination', game.termination()),
+        writeOptionalHeader('Variant', formatVariant(variant)),
+        writeOptionalHeader('Variation', game.openingVariation()),
+        writeOptionalIntegerHeader('WhiteElo', game.playerElo('w')),
+        writeOptionalHeader('WhiteTitle', game.playerTitle('w')),
+        ...game.headers().map(key => writeCustomHeader(key, game.header(key)!)),
+    ];
+
+    // Sorting the lines is equivalent to sorting the tag names, as the space character that follows each tag name precedes any character allowed in tag names.
+    result += additionalHeaders.sort().join('');
 
     // Separator
     result += '\n';
@@ -263,6 +334,7 @@ export function writeGame(game: Game, options: PGNWriteOptions) {
     // Movetext
     // --------
 
+    const maxLineLength = options.compact ? Infinity : options.maxLineLength ?? 80;
     let currentLine = '';
     let avoidNextSpace = false;
 
@@ -270,7 +342,7 @@ export function writeGame(game: Game, options: PGNWriteOptions) {
         if (currentLine.length === 0) {
             currentLine = token;
         }
-        else if (currentLine.length + token.length + (avoidNextSpace || avoidSpaceBefore ? 0 : 1) <= 80) {
+        else if (currentLine.length + token.length + (avoidNextSpace || avoidSpaceBefore ? 0 : 1) <= maxLineLength) {
             currentLine += (avoidNextSpace || avoidSpaceBefore ? '' : ' ') + token;
         }
         else {
@@ -281,13 +353,16 @@ export function writeGame(game: Game, options: PGNWriteOptions) {
     }
 
     function skipLine() {
+        if (options.compact) {
+            return;
+        }
         result += currentLine + '\n'; // `currentLine` is always non-empty since there is never two consecutive calls to `skipLine()`
         result += '\n';
         currentLine = '';
         avoidNextSpace = false;
     }
 
-    writeVariation(game.mainVariation(), true, pushToken, skipLine);
+    writeVariation(game.mainVariation(), options, true, pushToken, skipLine);
     pushToken(game.result(), false, false);
     result += currentLine + '\n'; // `currentLine` is non-empty here
 
@@ -25,6 +25,7 @@
 import { InvalidPGN } from '../exception';
 import { i18n } from '../i18n';
 import { trimAndCollapseSpaces } from '../private_game/common';
+import { NotationLocale, getPieceLetters } from '../private_position/notation';
 
 
 interface RegExpWrapper extends RegExp {
@@ -146,20 +147,25 @@ export class TokenStream {
     private _matchHeaderId = regExpWrapper(/(\w+)/g);
     private _matchEnterHeaderValue = regExpWrapper(/"/g);
     private _matchMoveNumber = regExpWrapper(/[0-9]+\.(?:\.\.)?/g);
-    private _matchMove = regExpWrapper(/(?:O-O(?:-O)?|0-0(?:-0)?|[KQRBN][a-h]?[1-8]?x?[a-h][1-8]|(?:[a-h]x?)?[a-h][1-8](?:=?[KQRBNP])?)[+#]?|--/g);
+    private _matchMove = regExpWrapper(/(?:O-O(?:-O)?|0-0(?:-0)?|[KQRBN][a-h]?[1-8]?x?[a-h][1-8]|(?:[a-h]x?)?[a-h][1-8](?:=?[KQRBNP])?|[KQRBNP]?@[a-h][1-8])[+#]?|--/g);
     private _matchNag = regExpWrapper(/([!?][!?]?|\+\/?[-=]|[-=]\/?\+|=|inf|~|RR|N)|\$([1-9][0-9]*)/g);
     private _matchEnterComment = regExpWrapper(/\{/g);
     private _matchBeginVariation = regExpWrapper(/\(/g);
     private _matchEndVariation = regExpWrapper(/\)/g);
     private _matchEndOfGame = regExpWrapper(/1-0|0-1|1\/2-1\/2|\*/g);
+    private _matchInvalid = regExpWrapper(/[^ \f\t\v\r\n{}()[\]"]+|[^ \f\t\v\r\n]/g);
 
     // Special modes
     private _headerValueMode = regExpWrapper(/((?:[^\\"\f\t\v\r\n]|\\[^\f\t\v\r\n])*)"/g);
     private _headerValueDegradedMode = regExpWrapper(/[^\r\n]*/g);
     private _commentMode = regExpWrapper(/((?:[^\\}]|\\(?:.|[\r\n]))*)\}/g, true);
+    private _commentDegradedMode = regExpWrapper(/[\s\S]*/g, true);
 
 
-    constructor(text: string, initialLocation?: StreamPosition) {
+    /**
+     * @param locale - Locale of the piece letters in the move tokens. `'en'` by default.
+     */
+    constructor(text: string, initialLocation?: StreamPosition, locale?: NotationLocale) {
 
         // Remove the BOM (byte order mark) if any.
         if (text.codePointAt(0) === 0xFEFF) {
@@ -172,6 +178,12 @@ export class TokenStream {
             this._pos = initialLocation.pos;
             this._lineIndex = initialLocation.lineIndex;
         }
+
+        // Move matcher for non-English piece letters.
+        if (locale !== undefined && locale !== 'en') {
+            const letters = getPieceLetters(locale);
+            this._matchMove = regExpWrapper(new RegExp(`(?:O-O(?:-O)?|0-0(?:-0)?|[${letters}][a-h]?[1-8]?x?[a-h][1-8]|(?:[a-h]x?)?[a-h][1-8](?:=?[${letters}])?|[${letters}]?@[a-h][1-8])[+#]?|--`, 'g'));
+        }
     }
 
 
@@ -250,10 +262,12 @@ export class TokenStream {
     /**
      * Try to consume 1 token.
      *
+     * @param warnings - If defined, the unterminated comments and header values do not throw: they are extended to the end of the text
+     *                   (for comments) or of the line (for header values), and a warning is appended to this array instead.
      * @returns `true` if a token could have been read, `false` if the end of the text has been reached.
      * @throws {@link exception.InvalidPGN} if the text cannot be interpreted as a valid token.
      */
-    consumeToken() {
+    consumeToken(warnings?: InvalidPGN[]) {
 
         // Consume blank (i.e. meaning-less) characters
         this._emptyLineBeforeToken = this._token === TokenType.INVALID || this._token === TokenType.END_OF_GAME ? this.skipBlanks() : this._emptyLineAfterToken;
@@ -301,11 +315,15 @@ export class TokenStream {
 
         // Match a comment
         else if (this.testAtPos(this._matchEnterComment)) {
-            if (!this.testAtPos(this._commentMode)) {
-                throw new InvalidPGN(this._text, this._pos, this._lineIndex, i18n.INVALID_PGN_TOKEN);
-            }
             this._token = TokenType.COMMENT;
-            this._tokenValue = parseCommentValue(this._commentMode.matched![1]);
+            if (this.testAtPos(this._commentMode)) {
+                this._tokenValue = parseCommentValue(this._commentMode.matched![1]);
+            }
+            else {
+                this.raiseUnterminatedToken(warnings);
+                this.testAtPos(this._commentDegradedMode); // Always true as `_commentDegradedMode` matches the empty string.
+                this._tokenValue = parseCommentValue(this._commentDegradedMode.matched![0]);
+            }
         }
 
         // Match the beginning of a variation
@@ -340,16 +358,22 @@ export class TokenStream {
 
         // Match the value of a game header
         else if (this.testAtPos(this._matchEnterHeaderValue)) {
-            if (!this.testAtPos(this._headerValueMode)) {
-                throw new InvalidPGN(this._text, this._pos, this._lineIndex, i18n.INVALID_PGN_TOKEN);
-            }
             this._token = TokenType.HEADER_VALUE;
-            this._tokenValue = parseHeaderValue(this._headerValueMode.matched![1]);
+            if (this.testAtPos(this._headerValueMode)) {
+                this._tokenValue = parseHeaderValue(this._headerValueMode.matched![1]);
+            }
+            else {
+                this.raiseUnterminatedToken(warnings);
+                this.testAtPos(this._headerValueDegradedMode); // Always true as `_headerValueDegradedMode` matches the empty string.
+                this._tokenValue = parseHeaderValue(this._headerValueDegradedMode.matched![0]);
+            }
         }
 
         // Otherwise, the string is badly formatted with respect to the PGN syntax.
         // Still, do not throw immediately, to let a chance to the caller to throw a meaningful exception depending on the context.
+        // The invalid group of characters is skipped, so that the caller may resume the parsing after it if it wants to.
         else {
+            this.testAtPos(this._matchInvalid); // Always true as none of the other regexes matched a non-blank character.
             this._token = TokenType.INVALID;
             this._tokenValue = null;
         }
@@ -404,6 +428,18 @@ export class TokenStream {
     }
 
 
+    /**
+     * Throw an exception for an unterminated comment or header value, or report it as a warning if a warning array is provided.
+     */
+    private raiseUnterminatedToken(warnings: InvalidPGN[] | undefined) {
+        const error = new InvalidPGN(this._text, this._pos, this._lineIndex, i18n.INVALID_PGN_TOKEN);
+        if (warnings === undefined) {
+            throw error;
+        }
+        warnings.push(error);
+    }
+
+
     /**
      * Advance until the first non-blank character.
      *
@@ -436,7 +472,8 @@ export class TokenStream {
         if (re.matchedIndex < this._pos) {
             re.lastIndex = this._pos;
             re.matched = re.exec(this._text);
-            re.matchedIndex = re.matched === null ? this._text.length : re.matched.index;
+            // WARNING: in case of failure, the sentinel must be strictly greater than the length of the text, as the cursor may be at the very end of the text.
+            re.matchedIndex = re.matched === null ? this._text.length + 1 : re.matched.index;
         }
 
         if (re.matchedIndex === this._pos) {
@@ -0,0 +1,188 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { Color, GameResult } from '../base_types';
+import { Game } from '../game';
+import { squareToCoordinates } from '../helper';
+import { MoveDescriptor } from '../move_descriptor';
+import { Variation } from '../node_variation';
+import { Position } from '../position';
+
+
+const ENTRY_SIZE = 16;
+const MAX_WEIGHT = 0xffff;
+const PROMOTION_CODE: Partial<Record<string, number>> = { n: 1, b: 2, r: 3, q: 4 };
+
+
+/**
+ * Options for the {@link polyglotWrite} method.
+ */
+export interface PolyglotWriteOptions {
+
+    /**
+     * Only the moves played within the first `maxPly` half-moves of each game are added to the book. No limit by default.
+     */
+    maxPly?: number,
+
+    /**
+     * A move is added to the book only if it has been played in at least `minGameCount` games. 1 by default.
+     */
+    minGameCount?: number,
+
+    /**
+     * If `true`, the moves of the sub-variations are taken into account in addition to the moves of the main variation. `false` by default.
+     */
+    withSubVariations?: boolean,
+
+    /**
+     * If `true`, the weight of each move is computed as `2 * wins + draws` (from the point of view of the player making the move),
+     * games with an undefined result being counted as draws. If `false`, the weight of each move is the number of games in which
+     * it has been played. `false` by default.
+     *
+     * In both cases, if the weights obtained for a given position do not fit in 16 bits, they are scaled down proportionally.
+     */
+    resultWeighting?: boolean,
+}
+
+
+interface MoveStat {
+    gameCount: number,
+    score: number,
+}
+
+
+/**
+ * Generate the Polyglot book corresponding to the given games.
+ *
+ * Games in variants other than regular chess and Chess960 are ignored, as the Polyglot format is not defined for them.
+ */
+export function writeBook(games: Iterable<Game>, options: PolyglotWriteOptions): Uint8Array {
+    const maxPly = options.maxPly ?? Infinity;
+    const minGameCount = options.minGameCount ?? 1;
+    const withSubVariations = options.withSubVariations ?? false;
+    const resultWeighting = options.resultWeighting ?? false;
+
+    // Collect the moves played in each position (position key -> encoded move -> statistics).
+    const stats = new Map<bigint, Map<number, MoveStat>>();
+    for (const game of games) {
+        const variant = game.variant();
+        if (variant !== 'regular' && variant !== 'chess960') {
+            continue;
+        }
+
+        // Each (position, move) pair is counted at most once per game.
+        const visited = new Set<string>();
+        const result = game.result();
+
+        const processVariation = (variation: Variation, position: Position, ply: number) => {
+            for (let node = variation.first(); node !== undefined && ply < maxPly; node = node.next(), ++ply) {
+                if (withSubVariations) {
+                    for (const subVariation of node.variations()) {
+                        processVariation(subVariation, new Position(position), ply);
+                    }
+                }
+
+                // Null-moves cannot be represented in Polyglot books, so that the rest of the variation is skipped.
+                const notation = node.notation();
+                if (notation === '--') {
+                    return;
+                }
+                const move = position.notation(notation);
+                const key = position.polyglotKey();
+                const encodedMove = encodeMove(move);
+                const visitedId = `${key}:${encodedMove}`;
+                if (!visited.has(visitedId)) {
+                    visited.add(visitedId);
+                    addMoveStat(stats, key, encodedMove, resultWeighting ? scoreFromResult(result, position.turn()) : 1);
+                }
+                position.play(move);
+            }
+        };
+        processVariation(game.mainVariation(), game.initialPosition(), 0);
+    }
+
+    // Build the entries, sorted by key, and then by decreasing weight.
+    const entries: { key: bigint, move: number, weight: number }[] = [];
+    for (const [ key, moveStats ] of stats) {
+        const filteredMoveStats = [ ...moveStats ].filter(([ , moveStat ]) => moveStat.gameCount >= minGameCount);
+        const maxScore = Math.max(0, ...filteredMoveStats.map(([ , moveStat ]) => moveStat.score));
+        for (const [ move, moveStat ] of filteredMoveStats) {
+            const weight = maxScore > MAX_WEIGHT ? Math.round(moveStat.score * MAX_WEIGHT / maxScore) : moveStat.score;
+            entries.push({ key: key, move: move, weight: weight });
+        }
+    }
+    entries.sort((e1, e2) => e1.key < e2.key ? -1 : e1.key > e2.key ? 1 : e2.weight - e1.weight || e1.move - e2.move);
+
+    // Serialize the entries.
+    const result = new Uint8Array(entries.length * ENTRY_SIZE);
+    const view = new DataView(result.buffer);
+    entries.forEach((entry, index) => {
+        view.setBigUint64(index * ENTRY_SIZE, entry.key);
+        view.setUint16(index * ENTRY_SIZE + 8, entry.move);
+        view.setUint16(index * ENTRY_SIZE + 10, entry.weight);
+        view.setUint32(index * ENTRY_SIZE + 12, 0); // learn
+    });
+    return result;
+}
+
+
+function addMoveStat(stats: Map<bigint, Map<number, MoveStat>>, key: bigint, move: number, score: number) {
+    let moveStats = stats.get(key);
+    if (moveStats === undefined) {
+        moveStats = new Map();
+        stats.set(key, moveStats);
+    }
+    const moveStat = moveStats.get(move);
+    if (moveStat === undefined) {
+        moveStats.set(move, { gameCount: 1, score: score });
+    }
+    else {
+        ++moveStat.gameCount;
+        moveStat.score += score;
+    }
+}
+
+
+function scoreFromResult(result: GameResult, color: Color) {
+    if (result === '1-0') {
+        return color === 'w' ? 2 : 0;
+    }
+    else if (result === '0-1') {
+        return color === 'b' ? 2 : 0;
+    }
+    else {
+        return 1;
+    }
+}
+
+
+/**
+ * Encode the given move as specified by the Polyglot format. Castling moves are encoded as "king-take-rook".
+ */
+function encodeMove(move: MoveDescriptor) {
+    const from = squareToCoordinates(move.from());
+    const to = squareToCoordinates(move.isCastling() ? move.rookFrom() : move.to());
+    const promotion = move.isPromotion() ? PROMOTION_CODE[move.promotion()]! : 0;
+    return (promotion << 12) | (from.rank << 9) | (from.file << 6) | (to.rank << 3) | to.file;
+}
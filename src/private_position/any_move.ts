@@ -0,0 +1,118 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { PieceImpl, pieceFromString, fileFromString, rankFromString } from './base_types_impl';
+import { parseICCFNotation } from './coordinate_notation';
+import { getFEN } from './fen';
+import { PositionImpl } from './impl';
+import { isLegal } from './legality';
+import { MoveDescriptorImpl } from './move_descriptor_impl';
+import { moves } from './move_generation';
+import { parseCastlingNotation, parseLongNotation, parseNotation } from './notation';
+import { parseUCINotation } from './uci';
+
+import { InvalidNotation } from '../exception';
+import { i18n } from '../i18n';
+
+
+/**
+ * Parsers tried (in this order, and in non-strict mode) before falling back to the partial move matching.
+ */
+const NOTATION_PARSERS: ((position: PositionImpl, notation: string) => MoveDescriptorImpl)[] = [
+    (position, notation) => parseNotation(position, notation, false, 'standard'),
+    (position, notation) => parseLongNotation(position, notation, false),
+    (position, notation) => parseUCINotation(position, notation, false),
+    (position, notation) => parseICCFNotation(position, notation, false),
+];
+
+
+/**
+ * Parse a move typed by a human (e.g. "e2e4", "e2-e4", "Ng1f3", "nf3", "0-0", "exd", "Bxc", "e8Q") for the given position.
+ *
+ * Return the corresponding move descriptor, or the list of the candidate moves if several legal moves correspond to the input.
+ */
+export function parseAnyMove(position: PositionImpl, text: string): MoveDescriptorImpl | MoveDescriptorImpl[] {
+    const notation = text.trim();
+
+    // Ensure that the position is legal.
+    if (!isLegal(position)) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.ILLEGAL_POSITION);
+    }
+
+    // Standard notations.
+    for (const parser of NOTATION_PARSERS) {
+        try {
+            return parser(position, notation);
+        }
+        catch (error) {
+            // istanbul ignore if
+            if (!(error instanceof InvalidNotation)) {
+                throw error;
+            }
+        }
+    }
+
+    // Castling moves, with any kind of "O" symbol.
+    const input = notation.replace(/[+#!?\s]+$/, '');
+    const castlingMatch = /^([oO0])-?\1(-?\1)?$/.exec(input);
+    if (castlingMatch !== null) {
+        const isQueenSideCastling = castlingMatch[2] !== undefined;
+        return parseCastlingNotation(position, notation, false, isQueenSideCastling ? 'O-O-O' : undefined, isQueenSideCastling ? undefined : 'O-O');
+    }
+
+    // Partial move, possibly with lower-case piece symbols (lower-case `b` always denotes a file). Drops are not considered here.
+    const m = /^([KQRBNkqrn])?([a-h])?([1-8])?([-x:])?([a-h])([1-8])?(?:=?([KQRBNkqrbn]))?$/.exec(input);
+    if (m === null) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.UNRECOGNIZED_MOVE_INPUT);
+    }
+
+    // m[1] -> moving piece
+    // m[2] -> from file
+    // m[3] -> from rank
+    // m[4] -> separator (`x` and `:` denote captures)
+    // m[5] -> to file
+    // m[6] -> to rank
+    // m[7] -> promoted piece
+
+    // If no moving piece is specified, a pawn is assumed, unless the origin square is fully specified.
+    const movingPiece = m[1] !== undefined ? pieceFromString(m[1].toLowerCase()) : m[2] !== undefined && m[3] !== undefined ? -1 : PieceImpl.PAWN;
+    const fromFile = fileFromString(m[2]);
+    const fromRank = rankFromString(m[3]);
+    const isCapture = m[4] === 'x' || m[4] === ':';
+    const toFile = fileFromString(m[5]);
+    const toRank = rankFromString(m[6]);
+    const promotion = pieceFromString(m[7]?.toLowerCase());
+
+    const candidates = (moves(position) as MoveDescriptorImpl[]).filter(md => {
+        return !md.isDrop() && (movingPiece < 0 || Math.trunc(md._movingColoredPiece / 2) === movingPiece) &&
+            (fromFile < 0 || md._from % 16 === fromFile) && (fromRank < 0 || Math.trunc(md._from / 16) === fromRank) &&
+            (!isCapture || md.isCapture()) && md._to % 16 === toFile && (toRank < 0 || Math.trunc(md._to / 16) === toRank) &&
+            (promotion < 0 || (md.isPromotion() && Math.trunc(md._finalColoredPiece / 2) === promotion));
+    });
+
+    if (candidates.length === 0) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.NO_MOVE_MATCHING_INPUT);
+    }
+    return candidates.length === 1 ? candidates[0] : candidates;
+}
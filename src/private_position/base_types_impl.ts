@@ -91,6 +91,10 @@ export const enum GameVariantImpl {
     BLACK_KING_ONLY = 4,
     ANTICHESS = 5,
     HORDE = 6,
+    THREE_CHECK = 7,
+    KING_OF_THE_HILL = 8,
+    RACING_KINGS = 9,
+    CRAZYHOUSE = 10,
 }
 
 
@@ -99,7 +103,7 @@ const PIECE_SYMBOL    = [ ...'kqrbnp' ];
 const FILE_SYMBOL     = [ ...'abcdefgh' ];
 const RANK_SYMBOL     = [ ...'12345678' ];
 const RESULT_SYMBOL   = [ '1-0', '0-1', '1/2-1/2', '*' ];
-const VARIANT_SYMBOL  = [ 'regular', 'chess960', 'no-king', 'white-king-only', 'black-king-only', 'antichess', 'horde' ];
+const VARIANT_SYMBOL  = [ 'regular', 'chess960', 'no-king', 'white-king-only', 'black-king-only', 'antichess', 'horde', 'three-check', 'king-of-the-hill', 'racing-kings', 'crazyhouse' ];
 const FIGURINE_SYMBOL = [ ...'\u2654\u265a\u2655\u265b\u2656\u265c\u2657\u265d\u2658\u265e\u2659\u265f' ];
 
 
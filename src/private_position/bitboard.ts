@@ -0,0 +1,470 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { ATTACK_DIRECTIONS } from './attacks';
+import { ColorImpl, PieceImpl, SpI } from './base_types_impl';
+import { PositionImpl } from './impl';
+
+
+/*
+ * Bitboards are 64-bit sets of squares, represented as pairs of 32-bit integers (JavaScript bitwise operators work on 32-bit integers only):
+ * the low half covers the ranks 1 to 4 (bit `8 * rank + file`), and the high half the ranks 5 to 8 (bit `8 * (rank - 4) + file`).
+ *
+ * The bitboards of a position (see {@link computeBitboards}) are stored in a flat array: entries `2 * cp` and `2 * cp + 1` hold respectively
+ * the low and high halves of the bitboard of colored piece `cp`, and entries `OCCUPANCY_OFFSET + 2 * color` and `OCCUPANCY_OFFSET + 2 * color + 1`
+ * the squares occupied by the pieces of the given color.
+ *
+ * They are not part of {@link PositionImpl}: they are computed from the board each time they are needed, so that copying a position
+ * or playing a move does not involve any additional work.
+ */
+const OCCUPANCY_OFFSET = 24;
+
+
+/**
+ * Magic numbers used to index the sliding attack tables (see {@link buildSlidingAttackTable}), per square (a1, b1, ..., h8).
+ *
+ * They have been found with a random search (using a fixed seed), so that there is no harmful collision in the tables.
+ */
+const ROOK_MAGIC_LO = [
+    0x10800840, 0x50100820, 0x00200a10, 0x00808010, 0xa0400228, 0x0810100c, 0x12000c82, 0x01000485,
+    0x80010080, 0x20004010, 0x00110051, 0x81008014, 0x00038008, 0x08108002, 0x200f0022, 0x20408001,
+    0x1084a180, 0x01a00101, 0x82001010, 0xc0004202, 0x00480202, 0x08042202, 0x02800102, 0x20080081,
+    0x04111121, 0x00008029, 0x92902041, 0x08801005, 0x04280009, 0x2040020a, 0x18400402, 0x08000142,
+    0x80901120, 0x20381020, 0x00123004, 0x41008008, 0x00109008, 0x0200840a, 0x00040401, 0x11001043,
+    0x48212540, 0x40c00402, 0x00202002, 0x0c009001, 0x01001108, 0x0000c402, 0x240202b5, 0x04600051,
+    0x72400080, 0x00900820, 0x02001024, 0x00011128, 0x00202108, 0x08000402, 0x08008009, 0x000001a1,
+    0x50010182, 0x01003081, 0x00490860, 0x00000509, 0x00060422, 0x14000902, 0x82000082, 0x00d00821,
+];
+const ROOK_MAGIC_HI = [
+    0x0010a080, 0x80510408, 0x00202442, 0x0440c800, 0x02004015, 0x18010040, 0x500c4308, 0x0008a046,
+    0x00440100, 0x0062c241, 0x00102008, 0x20908902, 0x02810400, 0x21a20c01, 0x50750100, 0x01254485,
+    0x28401024, 0x80844000, 0x002407a0, 0x08808020, 0x8a202454, 0x80281005, 0x2202c500, 0x400103c8,
+    0x00408001, 0x04400102, 0x08461100, 0x10410860, 0x02601006, 0x84040912, 0x0203000a, 0x00006884,
+    0x00400140, 0x80400040, 0x00200801, 0x88805002, 0x00800400, 0x02005208, 0x01000a00, 0x00800280,
+    0x88e08012, 0x12100800, 0x0c121000, 0x42250008, 0x05110005, 0x20808104, 0x00010200, 0x002a8080,
+    0x40204880, 0x440040c0, 0x0818c040, 0xc0904080, 0x00041020, 0x20028480, 0x02001408, 0x02804040,
+    0x00104022, 0x60400221, 0x04082451, 0x00201001, 0x00083002, 0x00410412, 0x10050001, 0x00008447,
+];
+const BISHOP_MAGIC_LO = [
+    0x8244c841, 0x1003d004, 0x12080204, 0x1c024085, 0x4a020610, 0x00024510, 0x04618941, 0x04008098,
+    0x08004208, 0x60000408, 0x00000401, 0x05001404, 0x08126202, 0x4a301888, 0x020008c8, 0x02404061,
+    0x02400830, 0x00080211, 0x01410118, 0x40010018, 0x08040062, 0x00008009, 0x00040881, 0x1012800f,
+    0x00044002, 0x20100a01, 0x00084421, 0x28009080, 0x08408400, 0x88900080, 0x04408100, 0x91245988,
+    0x00180210, 0x12408260, 0x0000180a, 0x00002028, 0x08848404, 0x41214401, 0x0010a302, 0x841c4142,
+    0x00031010, 0x00060250, 0x20001094, 0x000581c2, 0x18b00106, 0x80881888, 0x82041085, 0x00410821,
+    0x0a2a0883, 0x00420082, 0x8200808c, 0x00280026, 0x22900c18, 0x00206444, 0x95041006, 0x80511001,
+    0x8002060a, 0x08020085, 0x041f0002, 0x8c040b01, 0x10090680, 0x10000010, 0x00001010, 0x030a0210,
+];
+const BISHOP_MAGIC_HI = [
+    0x04202840, 0x01414024, 0x01214a01, 0x00200020, 0x000a4000, 0x08440000, 0x08200109, 0x008220c0,
+    0x02040244, 0x26024601, 0x4c198240, 0x00c40003, 0x10100000, 0x04c10804, 0x08441100, 0x08084215,
+    0x10020488, 0x01082484, 0x20322140, 0x10410802, 0x090c009a, 0x20c40202, 0x04490400, 0x12030144,
+    0x1011a500, 0x30120202, 0x41010200, 0x01400488, 0x40822000, 0x44c80402, 0x12015001, 0x20218400,
+    0x10300c0a, 0x02300490, 0x01030201, 0x80010504, 0x00009100, 0x00402088, 0x80030084, 0x0010c100,
+    0x50404c68, 0x02844510, 0x12000120, 0x12620800, 0x04230a00, 0x48100a80, 0x09001041, 0x31482120,
+    0x08080000, 0x01108001, 0x40980104, 0x21030140, 0x23040030, 0x019a002c, 0x624c0001, 0x05002001,
+    0x04824810, 0x01a804b0, 0x02011150, 0x00c11088, 0x10120200, 0x20022620, 0x10009080, 0x284208c0,
+];
+
+
+/**
+ * Magic bitboard lookup data for a sliding piece (rook or bishop).
+ *
+ * The attacks of the piece on square `sq` for a given occupancy `occ` are found at index
+ * `offset[sq] + ((occLo & maskLo[sq]) * magicLo[sq] ^ (occHi & maskHi[sq]) * magicHi[sq]) >>> shift[sq]` in `attacks`
+ * (multiplications being 32-bit multiplications), `mask` being the squares whose occupancy matters.
+ */
+interface SlidingAttackTable {
+    maskLo: Int32Array,
+    maskHi: Int32Array,
+    magicLo: Int32Array,
+    magicHi: Int32Array,
+    shift: Int32Array,
+    offset: Int32Array,
+    attacks: Int32Array,
+}
+
+
+/**
+ * Lookup tables, built on first use (see {@link computeBitboards}).
+ */
+let nonSlidingAttacks: Int32Array[] | null = null; // per colored piece, squares attacked by the piece standing on a given square
+let rookAttackTable: SlidingAttackTable | null = null;
+let bishopAttackTable: SlidingAttackTable | null = null;
+
+
+function squareToBitIndex(square: number) {
+    return (square + (square & 0x7)) >> 1;
+}
+
+
+function bitIndexToSquare(bitIndex: number) {
+    return bitIndex + (bitIndex & 0x38);
+}
+
+
+/**
+ * Index of the given single-bit 32-bit integer.
+ */
+function bitToBitIndex(bit: number) {
+    return 31 - Math.clz32(bit);
+}
+
+
+function buildLookupTables() {
+    nonSlidingAttacks = [];
+    for (let cp = 0; cp < 12; ++cp) {
+        const attacks = new Int32Array(128);
+        const piece = Math.trunc(cp / 2);
+        if (piece === PieceImpl.KING || piece === PieceImpl.KNIGHT || piece === PieceImpl.PAWN) {
+            for (let bitIndex = 0; bitIndex < 64; ++bitIndex) {
+                const square = bitIndexToSquare(bitIndex);
+                for (const attackDirection of ATTACK_DIRECTIONS[cp]) {
+                    const sq = square + attackDirection;
+                    if ((sq & 0x88) === 0) {
+                        setBit(attacks, 2 * bitIndex, squareToBitIndex(sq));
+                    }
+                }
+            }
+        }
+        nonSlidingAttacks.push(attacks);
+    }
+    rookAttackTable = buildSlidingAttackTable(ATTACK_DIRECTIONS[PieceImpl.ROOK * 2], ROOK_MAGIC_LO, ROOK_MAGIC_HI);
+    bishopAttackTable = buildSlidingAttackTable(ATTACK_DIRECTIONS[PieceImpl.BISHOP * 2], BISHOP_MAGIC_LO, BISHOP_MAGIC_HI);
+}
+
+
+function buildSlidingAttackTable(directions: number[], magicLo: number[], magicHi: number[]): SlidingAttackTable {
+    const table: SlidingAttackTable = {
+        maskLo: new Int32Array(64),
+        maskHi: new Int32Array(64),
+        magicLo: new Int32Array(magicLo),
+        magicHi: new Int32Array(magicHi),
+        shift: new Int32Array(64),
+        offset: new Int32Array(64),
+        attacks: new Int32Array(0),
+    };
+
+    // Relevant occupancy masks (the last square of each ray does not matter, as it is attacked whether it is occupied or not).
+    let tableSize = 0;
+    for (let bitIndex = 0; bitIndex < 64; ++bitIndex) {
+        const mask = new Int32Array(2);
+        let bitCount = 0;
+        for (const direction of directions) {
+            for (let sq = bitIndexToSquare(bitIndex) + direction; ((sq + direction) & 0x88) === 0; sq += direction) {
+                setBit(mask, 0, squareToBitIndex(sq));
+                ++bitCount;
+            }
+        }
+        table.maskLo[bitIndex] = mask[0];
+        table.maskHi[bitIndex] = mask[1];
+        table.shift[bitIndex] = 32 - bitCount;
+        table.offset[bitIndex] = tableSize;
+        tableSize += 1 << bitCount;
+    }
+
+    // Enumerate all the subsets of each mask (carry-rippler trick), and compute the corresponding attacks.
+    table.attacks = new Int32Array(2 * tableSize);
+    for (let bitIndex = 0; bitIndex < 64; ++bitIndex) {
+        const square = bitIndexToSquare(bitIndex);
+        const maskLo = table.maskLo[bitIndex];
+        const maskHi = table.maskHi[bitIndex];
+        let occupancyLo = 0;
+        let occupancyHi = 0;
+        do {
+            const index = table.offset[bitIndex] + ((Math.imul(occupancyLo, table.magicLo[bitIndex]) ^ Math.imul(occupancyHi, table.magicHi[bitIndex])) >>> table.shift[bitIndex]);
+            let attacksLo = 0;
+            let attacksHi = 0;
+            for (const direction of directions) {
+                for (let sq = square + direction; (sq & 0x88) === 0; sq += direction) {
+                    const sqBitIndex = squareToBitIndex(sq);
+                    if (sqBitIndex < 32) {
+                        attacksLo |= 1 << sqBitIndex;
+                        if ((occupancyLo & 1 << sqBitIndex) !== 0) {
+                            break;
+                        }
+                    }
+                    else {
+                        attacksHi |= 1 << (sqBitIndex - 32);
+                        if ((occupancyHi & 1 << (sqBitIndex - 32)) !== 0) {
+                            break;
+                        }
+                    }
+                }
+            }
+            table.attacks[2 * index] = attacksLo;
+            table.attacks[2 * index + 1] = attacksHi;
+            occupancyLo = (occupancyLo - maskLo) & maskLo;
+            if (occupancyLo === 0) {
+                occupancyHi = (occupancyHi - maskHi) & maskHi;
+            }
+        } while (occupancyLo !== 0 || occupancyHi !== 0);
+    }
+
+    return table;
+}
+
+
+function setBit(bitboards: Int32Array | number[], offset: number, bitIndex: number) {
+    bitboards[offset + (bitIndex >> 5)] |= 1 << (bitIndex & 0x1f);
+}
+
+
+/**
+ * Compute the bitboards of the given position.
+ */
+export function computeBitboards(position: PositionImpl) {
+    if (nonSlidingAttacks === null) {
+        buildLookupTables();
+    }
+
+    const bitboards = new Array<number>(OCCUPANCY_OFFSET + 4).fill(0);
+    for (let sq = 0; sq < 120; sq += (sq & 0x7) === 7 ? 9 : 1) {
+        const cp = position.board[sq];
+        if (cp !== SpI.EMPTY) {
+            const bitIndex = squareToBitIndex(sq);
+            setBit(bitboards, 2 * cp, bitIndex);
+            setBit(bitboards, OCCUPANCY_OFFSET + 2 * (cp % 2), bitIndex);
+        }
+    }
+    return bitboards;
+}
+
+
+/**
+ * Generate the displacements (i.e. all the moves except castling moves, en-passant captures and drops) of the player about to play
+ * that do not leave their king in check. Each pawn move reaching the last rank is reported once, whatever the promotion.
+ *
+ * Precondition: the position must be legal.
+ *
+ * @param bitboards - Bitboards of the position (see {@link computeBitboards}).
+ * @param capturesOnly - Whether only the capturing displacements must be generated.
+ */
+export function generateDisplacements(position: PositionImpl, bitboards: number[], capturesOnly: boolean, consumer: (from: number, to: number) => void) {
+    const color = position.turn;
+    const ownPieceOffset = OCCUPANCY_OFFSET + 2 * color;
+    const opponentPieceOffset = OCCUPANCY_OFFSET + 2 * (1 - color);
+    const occupancyLo = bitboards[ownPieceOffset] | bitboards[opponentPieceOffset];
+    const occupancyHi = bitboards[ownPieceOffset + 1] | bitboards[opponentPieceOffset + 1];
+    const targetLo = capturesOnly ? bitboards[opponentPieceOffset] : ~bitboards[ownPieceOffset];
+    const targetHi = capturesOnly ? bitboards[opponentPieceOffset + 1] : ~bitboards[ownPieceOffset + 1];
+    const unsafeMovers = getUnsafeMovers(position, bitboards, occupancyLo, occupancyHi);
+    const kingSquare = position.king[color];
+
+    for (let half = 0; half < 2; ++half) {
+        let movers = bitboards[ownPieceOffset + half];
+        while (movers !== 0) {
+            const moverBit = movers & -movers;
+            movers ^= moverBit;
+            const fromBitIndex = 32 * half + bitToBitIndex(moverBit);
+            const from = bitIndexToSquare(fromBitIndex);
+            const cp = position.board[from];
+            const kingSafetyCheckRequired = (unsafeMovers[half] & moverBit) !== 0;
+
+            // Destination squares (as a bitboard).
+            let toLo = 0;
+            let toHi = 0;
+            if (cp === PieceImpl.PAWN * 2 + color) {
+                const attacks = nonSlidingAttacks![cp];
+                toLo = attacks[2 * fromBitIndex] & bitboards[opponentPieceOffset];
+                toHi = attacks[2 * fromBitIndex + 1] & bitboards[opponentPieceOffset + 1];
+                if (!capturesOnly) {
+                    const pushBitIndex = fromBitIndex + 8 - 16 * color;
+                    const pushBit = pushBitIndex < 32 ? occupancyLo >>> pushBitIndex : occupancyHi >>> (pushBitIndex - 32);
+                    if ((pushBit & 1) === 0) {
+                        toLo |= lowHalfBit(pushBitIndex);
+                        toHi |= highHalfBit(pushBitIndex);
+
+                        // 2-square pawn move (allowed from the 1st rank too at horde chess)
+                        const rank = fromBitIndex >> 3;
+                        if (color === ColorImpl.WHITE ? rank <= 1 : rank >= 6) {
+                            const doublePushBitIndex = pushBitIndex + 8 - 16 * color;
+                            const doublePushBit = doublePushBitIndex < 32 ? occupancyLo >>> doublePushBitIndex : occupancyHi >>> (doublePushBitIndex - 32);
+                            if ((doublePushBit & 1) === 0) {
+                                toLo |= lowHalfBit(doublePushBitIndex);
+                                toHi |= highHalfBit(doublePushBitIndex);
+                            }
+                        }
+                    }
+                }
+            }
+            else {
+                const piece = Math.trunc(cp / 2);
+                if (piece === PieceImpl.KING || piece === PieceImpl.KNIGHT) {
+                    const attacks = nonSlidingAttacks![cp];
+                    toLo = attacks[2 * fromBitIndex];
+                    toHi = attacks[2 * fromBitIndex + 1];
+                }
+                if (piece === PieceImpl.QUEEN || piece === PieceImpl.ROOK) {
+                    const index = slidingAttackIndex(rookAttackTable!, fromBitIndex, occupancyLo, occupancyHi);
+                    toLo = rookAttackTable!.attacks[2 * index];
+                    toHi = rookAttackTable!.attacks[2 * index + 1];
+                }
+                if (piece === PieceImpl.QUEEN || piece === PieceImpl.BISHOP) {
+                    const index = slidingAttackIndex(bishopAttackTable!, fromBitIndex, occupancyLo, occupancyHi);
+                    toLo |= bishopAttackTable!.attacks[2 * index];
+                    toHi |= bishopAttackTable!.attacks[2 * index + 1];
+                }
+                toLo &= targetLo;
+                toHi &= targetHi;
+            }
+
+            // Filter out the displacements that would leave the king in check.
+            for (let toHalf = 0; toHalf < 2; ++toHalf) {
+                let targets = toHalf === 0 ? toLo : toHi;
+                while (targets !== 0) {
+                    const targetBit = targets & -targets;
+                    targets ^= targetBit;
+                    const to = bitIndexToSquare(32 * toHalf + bitToBitIndex(targetBit));
+                    if (!kingSafetyCheckRequired || !isAttackedAfterDisplacement(bitboards, from === kingSquare ? to : kingSquare, 1 - color, from, to)) {
+                        consumer(from, to);
+                    }
+                }
+            }
+        }
+    }
+}
+
+
+/**
+ * Check if any piece of the given color would attack the given square if the piece on `from` were moved to `to`
+ * (capturing the piece on `to` if any), without actually modifying the position.
+ */
+function isAttackedAfterDisplacement(bitboards: number[], square: number, attackerColor: number, from: number, to: number) {
+
+    // Squares emptied and filled by the displacement.
+    const fromBitIndex = squareToBitIndex(from);
+    const toBitIndex = squareToBitIndex(to);
+    const emptiedLo = lowHalfBit(fromBitIndex);
+    const emptiedHi = highHalfBit(fromBitIndex);
+    const filledLo = lowHalfBit(toBitIndex);
+    const filledHi = highHalfBit(toBitIndex);
+
+    // The piece of the attacker on `to` (if any) would be captured.
+    return isAttackedWithOccupancy(bitboards, squareToBitIndex(square), attackerColor,
+        (bitboards[OCCUPANCY_OFFSET] | bitboards[OCCUPANCY_OFFSET + 2] | filledLo) & ~emptiedLo,
+        (bitboards[OCCUPANCY_OFFSET + 1] | bitboards[OCCUPANCY_OFFSET + 3] | filledHi) & ~emptiedHi,
+        ~filledLo, ~filledHi);
+}
+
+
+/**
+ * Return the squares (as a bitboard) of the pieces of the player about to play whose moves require a king safety verification
+ * (see {@link isAttackedAfterDisplacement}): all of them if the king is in check, otherwise the king itself and the pinned pieces.
+ * The moves of the other pieces cannot leave the king in check.
+ */
+function getUnsafeMovers(position: PositionImpl, bitboards: number[], occupancyLo: number, occupancyHi: number) {
+    const kingSquare = position.king[position.turn];
+    if (kingSquare < 0) {
+        return [ 0, 0 ];
+    }
+    const attackerColor = 1 - position.turn;
+    const kingBitIndex = squareToBitIndex(kingSquare);
+    if (isAttackedWithOccupancy(bitboards, kingBitIndex, attackerColor, occupancyLo, occupancyHi, -1, -1)) {
+        return [ -1, -1 ];
+    }
+
+    // A piece is pinned if the king would be attacked by a sliding piece after the removal of this piece.
+    const result = [ lowHalfBit(kingBitIndex), highHalfBit(kingBitIndex) ];
+    const rookIndex = slidingAttackIndex(rookAttackTable!, kingBitIndex, occupancyLo, occupancyHi);
+    const bishopIndex = slidingAttackIndex(bishopAttackTable!, kingBitIndex, occupancyLo, occupancyHi);
+    const ownPieceOffset = OCCUPANCY_OFFSET + 2 * position.turn;
+    for (let half = 0; half < 2; ++half) {
+        let candidates = (rookAttackTable!.attacks[2 * rookIndex + half] | bishopAttackTable!.attacks[2 * bishopIndex + half]) & bitboards[ownPieceOffset + half];
+        while (candidates !== 0) {
+            const candidate = candidates & -candidates;
+            candidates ^= candidate;
+            const isPinned = half === 0 ?
+                isAttackedWithOccupancy(bitboards, kingBitIndex, attackerColor, occupancyLo & ~candidate, occupancyHi, -1, -1) :
+                isAttackedWithOccupancy(bitboards, kingBitIndex, attackerColor, occupancyLo, occupancyHi & ~candidate, -1, -1);
+            if (isPinned) {
+                result[half] |= candidate;
+            }
+        }
+    }
+    return result;
+}
+
+
+/**
+ * Bit corresponding to the given bit index in the low half of a bitboard (0 if the bit index corresponds to the high half).
+ */
+function lowHalfBit(bitIndex: number) {
+    return bitIndex < 32 ? 1 << bitIndex : 0;
+}
+
+
+/**
+ * Bit corresponding to the given bit index in the high half of a bitboard (0 if the bit index corresponds to the low half).
+ */
+function highHalfBit(bitIndex: number) {
+    return bitIndex >= 32 ? 1 << (bitIndex - 32) : 0;
+}
+
+
+/**
+ * Check if any piece of the given color attacks the given square, for the given board occupancy, only the pieces on the "remaining" squares
+ * being taken into account.
+ */
+function isAttackedWithOccupancy(bitboards: number[], bitIndex: number, attackerColor: number, occupancyLo: number, occupancyHi: number,
+    remainingLo: number, remainingHi: number) {
+    const queenOffset = 2 * (PieceImpl.QUEEN * 2 + attackerColor);
+    const rookOffset = 2 * (PieceImpl.ROOK * 2 + attackerColor);
+    const bishopOffset = 2 * (PieceImpl.BISHOP * 2 + attackerColor);
+    const rookLikeLo = (bitboards[rookOffset] | bitboards[queenOffset]) & remainingLo;
+    const rookLikeHi = (bitboards[rookOffset + 1] | bitboards[queenOffset + 1]) & remainingHi;
+    const bishopLikeLo = (bitboards[bishopOffset] | bitboards[queenOffset]) & remainingLo;
+    const bishopLikeHi = (bitboards[bishopOffset + 1] | bitboards[queenOffset + 1]) & remainingHi;
+    return isAttackedByNonSliding(bitboards, bitIndex, PieceImpl.KING * 2 + attackerColor, remainingLo, remainingHi) ||
+        isAttackedByNonSliding(bitboards, bitIndex, PieceImpl.KNIGHT * 2 + attackerColor, remainingLo, remainingHi) ||
+        isAttackedByNonSliding(bitboards, bitIndex, PieceImpl.PAWN * 2 + attackerColor, remainingLo, remainingHi) ||
+        isAttackedBySliding(rookAttackTable!, bitIndex, occupancyLo, occupancyHi, rookLikeLo, rookLikeHi) ||
+        isAttackedBySliding(bishopAttackTable!, bitIndex, occupancyLo, occupancyHi, bishopLikeLo, bishopLikeHi);
+}
+
+
+/**
+ * The squares from which a king, a knight or a pawn of color `c` attacks a given square are those attacked from this square
+ * by the same piece of color `1 - c` (i.e. colored piece `cp ^ 1`).
+ */
+function isAttackedByNonSliding(bitboards: number[], bitIndex: number, nonSlidingAttacker: number, remainingLo: number, remainingHi: number) {
+    const attackers = nonSlidingAttacks![nonSlidingAttacker ^ 1];
+    return ((attackers[2 * bitIndex] & bitboards[2 * nonSlidingAttacker] & remainingLo) |
+        (attackers[2 * bitIndex + 1] & bitboards[2 * nonSlidingAttacker + 1] & remainingHi)) !== 0;
+}
+
+
+function isAttackedBySliding(table: SlidingAttackTable, bitIndex: number, occupancyLo: number, occupancyHi: number, attackerLo: number, attackerHi: number) {
+    const index = slidingAttackIndex(table, bitIndex, occupancyLo, occupancyHi);
+    return ((table.attacks[2 * index] & attackerLo) | (table.attacks[2 * index + 1] & attackerHi)) !== 0;
+}
+
+
+/**
+ * Index (divided by 2) in `table.attacks` of the attacks of a sliding piece on the given square, for the given board occupancy.
+ */
+function slidingAttackIndex(table: SlidingAttackTable, bitIndex: number, occupancyLo: number, occupancyHi: number) {
+    return table.offset[bitIndex] +
+        ((Math.imul(occupancyLo & table.maskLo[bitIndex], table.magicLo[bitIndex]) ^ Math.imul(occupancyHi & table.maskHi[bitIndex], table.magicHi[bitIndex])) >>> table.shift[bitIndex]);
+}
@@ -0,0 +1,194 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { ATTACK_DIRECTIONS, getAttacks, isAttacked } from './attacks';
+import { PieceImpl, SpI } from './base_types_impl';
+import { PositionImpl } from './impl';
+import { isLegal } from './legality';
+import { MoveDescriptorImpl } from './move_descriptor_impl';
+
+
+/**
+ * Pinned piece, together with the piece that pins it and the squares in-between (see {@link getPinnedPieces}).
+ */
+export interface PinImpl {
+    square: number,
+    pinner: number,
+    ray: number[],
+}
+
+
+/**
+ * Return the squares from which the king of the player about to play is attacked.
+ *
+ * An empty array is returned if the position is not legal, or if the player about to play has no royal king.
+ */
+export function getCheckers(position: PositionImpl) {
+    if (!isLegal(position) || position.king[position.turn] < 0) {
+        return [];
+    }
+    return getAttacks(position, position.king[position.turn], 1 - position.turn);
+}
+
+
+/**
+ * Return the pieces of the given color that are pinned against their own king.
+ *
+ * The ray associated to each pin goes from the square next to the king (included) to the square of the pinning piece (included).
+ * An empty array is returned if the position is not legal, or if the given color has no royal king.
+ */
+export function getPinnedPieces(position: PositionImpl, color: number) {
+    const result: PinImpl[] = [];
+    if (!isLegal(position) || position.king[color] < 0) {
+        return result;
+    }
+    const kingSquare = position.king[color];
+    for (const direction of ATTACK_DIRECTIONS[PieceImpl.KING * 2]) {
+        const isDiagonal = direction % 16 !== 0 && Math.abs(direction) !== 1;
+        const slidingPinner = (isDiagonal ? PieceImpl.BISHOP : PieceImpl.ROOK) * 2 + 1 - color;
+        const queenPinner = PieceImpl.QUEEN * 2 + 1 - color;
+
+        // Look for the first piece along the ray: it must be of the same color as the king...
+        const ray: number[] = [];
+        let pinned = -1;
+        for (let sq = kingSquare + direction; (sq & 0x88) === 0; sq += direction) {
+            ray.push(sq);
+            const cp = position.board[sq];
+            if (cp === SpI.EMPTY) {
+                continue;
+            }
+            else if (pinned < 0 && cp % 2 === color) {
+                pinned = sq;
+                continue;
+            }
+
+            // ... and the second one must be an opponent sliding piece moving along the ray.
+            if (pinned >= 0 && (cp === slidingPinner || cp === queenPinner)) {
+                result.push({ square: pinned, pinner: sq, ray: ray });
+            }
+            break;
+        }
+    }
+    return result;
+}
+
+
+/**
+ * Return the number of pieces of the given color that attack each square of the board (indexed by square).
+ *
+ * For each square, the returned count is equal to the number of squares returned by {@link getAttacks}.
+ */
+export function getAttackMap(position: PositionImpl, attackerColor: number) {
+    const result: number[] = [];
+    for (let sq = 0; sq < 120; sq += (sq & 0x7) === 7 ? 9 : 1) {
+        result[sq] = 0;
+    }
+    for (let from = 0; from < 120; from += (from & 0x7) === 7 ? 9 : 1) {
+        const cp = position.board[from];
+        if (cp < 0 || cp % 2 !== attackerColor) {
+            continue;
+        }
+        const piece = Math.trunc(cp / 2);
+        const isSliding = piece === PieceImpl.QUEEN || piece === PieceImpl.ROOK || piece === PieceImpl.BISHOP;
+        for (const attackDirection of ATTACK_DIRECTIONS[cp]) {
+            for (let sq = from + attackDirection; (sq & 0x88) === 0; sq += attackDirection) {
+                ++result[sq];
+                if (!isSliding || position.board[sq] !== SpI.EMPTY) {
+                    break;
+                }
+            }
+        }
+    }
+    return result;
+}
+
+
+/**
+ * Whether the given move gives check to the opponent king (the move is not actually played).
+ */
+export function givesCheck(position: PositionImpl, descriptor: MoveDescriptorImpl) {
+    const opponentKing = position.king[1 - position.turn];
+    if (opponentKing < 0) {
+        return false;
+    }
+    return withDisplacement(position, descriptor, () => isAttacked(position, opponentKing, position.turn));
+}
+
+
+/**
+ * Whether the given move gives a discovered check, i.e. whether the opponent king is attacked after the move by a piece
+ * that did not move (the move is not actually played).
+ */
+export function isDiscoveredCheck(position: PositionImpl, descriptor: MoveDescriptorImpl) {
+    const opponentKing = position.king[1 - position.turn];
+    if (opponentKing < 0) {
+        return false;
+    }
+    const movedPieceSquare = descriptor.isCastling() ? descriptor._optionalSquare2 : descriptor._to;
+    return withDisplacement(position, descriptor, () => {
+        return getAttacks(position, opponentKing, position.turn).some(sq => sq !== movedPieceSquare && sq !== descriptor._to);
+    });
+}
+
+
+/**
+ * Update the board as if the given move were played, evaluate the given callback, and restore the board.
+ *
+ * Only the board is modified: the other attributes of the position (turn, flags, Zobrist key...) are left untouched.
+ */
+function withDisplacement(position: PositionImpl, descriptor: MoveDescriptorImpl, callback: () => boolean) {
+    const board = position.board;
+    const capturedOnTarget = board[descriptor._to];
+
+    // WARNING: update `from` before `to` in case both squares are actually the same (see `play`).
+    if (!descriptor.isDrop()) {
+        board[descriptor._from] = SpI.EMPTY;
+    }
+    if (descriptor.isEnPassant()) {
+        board[descriptor._optionalSquare1] = SpI.EMPTY;
+    }
+    else if (descriptor.isCastling()) {
+        board[descriptor._optionalSquare1] = SpI.EMPTY;
+        board[descriptor._optionalSquare2] = descriptor._optionalColoredPiece;
+    }
+    board[descriptor._to] = descriptor._finalColoredPiece;
+
+    try {
+        return callback();
+    }
+    finally {
+        // WARNING: clear all the squares modified by the move before the origin squares are restored (see `undo`).
+        board[descriptor._to] = capturedOnTarget;
+        if (descriptor.isEnPassant()) {
+            board[descriptor._optionalSquare1] = descriptor._optionalColoredPiece;
+        }
+        else if (descriptor.isCastling()) {
+            board[descriptor._optionalSquare2] = SpI.EMPTY;
+            board[descriptor._optionalSquare1] = descriptor._optionalColoredPiece;
+        }
+        if (!descriptor.isDrop()) {
+            board[descriptor._from] = descriptor._movingColoredPiece;
+        }
+    }
+}
@@ -0,0 +1,208 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { PieceImpl, GameVariantImpl, pieceFromString, pieceToString, squareFromString, squareToString } from './base_types_impl';
+import { getFEN } from './fen';
+import { PositionImpl } from './impl';
+import { isLegal, refreshEffectiveCastling } from './legality';
+import { MoveDescriptorImpl } from './move_descriptor_impl';
+import { isCastlingMoveLegal, isMoveLegal } from './move_generation';
+import { getCastlingDestinationFile } from './notation';
+
+import { InvalidNotation } from '../exception';
+import { i18n } from '../i18n';
+
+
+/**
+ * Convert the given move descriptor to ICCF numeric notation.
+ */
+export function getICCFNotation(descriptor: MoveDescriptorImpl) {
+    let result = getICCFSquare(descriptor._from) + getICCFSquare(descriptor._to);
+    if (descriptor.isPromotion()) {
+        result += Math.trunc(descriptor._finalColoredPiece / 2); // 1 = queen, 2 = rook, 3 = bishop, 4 = knight (and 0 = king, for antichess)
+    }
+    return result;
+}
+
+
+function getICCFSquare(square: number) {
+    return String(square % 16 + 1) + String(Math.trunc(square / 16) + 1);
+}
+
+
+/**
+ * Parse an ICCF numeric notation for the given position.
+ */
+export function parseICCFNotation(position: PositionImpl, notation: string, strict: boolean) {
+
+    // General syntax
+    const m = /^([1-8])([1-8])([1-8])([1-8])([0-4]?)$/.exec(notation);
+    if (m === null) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.INVALID_ICCF_NOTATION_SYNTAX);
+    }
+
+    // m[1], m[2] - from (file, rank)
+    // m[3], m[4] - to (file, rank)
+    // m[5] - promotion piece
+
+    const from = (Number(m[2]) - 1) * 16 + Number(m[1]) - 1;
+    const to = (Number(m[4]) - 1) * 16 + Number(m[3]) - 1;
+    const promotion = m[5] === '' ? -1 : Number(m[5]);
+    return parseCoordinateNotation(position, notation, strict, from, to, promotion, true, i18n.ILLEGAL_ICCF_MOVE);
+}
+
+
+/**
+ * Convert the given move descriptor to Smith notation.
+ */
+export function getSmithNotation(descriptor: MoveDescriptorImpl) {
+    let result = squareToString(descriptor._from) + squareToString(descriptor._to) + getSmithIndicator(descriptor);
+    if (descriptor.isPromotion()) {
+        result += pieceToString(Math.trunc(descriptor._finalColoredPiece / 2)).toUpperCase();
+    }
+    return result;
+}
+
+
+/**
+ * Return the indicator following the origin and destination squares in Smith notation: captured piece, `E` for en-passant,
+ * `c` for king-side castling, `C` for queen-side castling.
+ */
+function getSmithIndicator(descriptor: MoveDescriptorImpl) {
+    if (descriptor.isCastling()) {
+        return descriptor._to % 16 === 6 ? 'c' : 'C';
+    }
+    else if (descriptor.isEnPassant()) {
+        return 'E';
+    }
+    else if (descriptor.isCapture()) {
+        return pieceToString(Math.trunc(descriptor._optionalColoredPiece / 2));
+    }
+    else {
+        return '';
+    }
+}
+
+
+/**
+ * Parse a Smith notation for the given position.
+ */
+export function parseSmithNotation(position: PositionImpl, notation: string, strict: boolean) {
+
+    // General syntax
+    const m = /^([a-h][1-8])([a-h][1-8])([kqrbnpEcC]?)([KQRBN]?)$/.exec(notation);
+    if (m === null) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.INVALID_SMITH_NOTATION_SYNTAX);
+    }
+
+    // m[1] - from
+    // m[2] - to
+    // m[3] - capture/castling indicator
+    // m[4] - promotion piece
+
+    const from = squareFromString(m[1]);
+    const to = squareFromString(m[2]);
+    const promotion = m[4] === '' ? -1 : pieceFromString(m[4].toLowerCase());
+    const preferCastling = m[3] === 'c' || m[3] === 'C';
+    const descriptor = parseCoordinateNotation(position, notation, strict, from, to, promotion, preferCastling, i18n.ILLEGAL_SMITH_MOVE);
+
+    // STRICT MODE -> check the capture/castling indicator.
+    if (strict) {
+        const expectedIndicator = getSmithIndicator(descriptor);
+        if (expectedIndicator !== m[3]) {
+            throw new InvalidNotation(getFEN(position), notation, i18n.WRONG_SMITH_INDICATOR, expectedIndicator, m[3]);
+        }
+    }
+
+    return descriptor;
+}
+
+
+/**
+ * Compute the move descriptor corresponding to the given origin square, destination square and promotion piece (-1 if none).
+ *
+ * Castling moves are expected to be encoded with the origin and destination squares of the king, whatever the variant. In non-strict mode,
+ * "king-take-rook"-encoded castling moves are accepted as well. At Chess960, if both castling and a regular king move correspond
+ * to the given squares, `preferCastling` determines which one is selected.
+ */
+function parseCoordinateNotation(position: PositionImpl, notation: string, strict: boolean, from: number, to: number, promotion: number,
+    preferCastling: boolean, illegalMoveMessage: string) {
+
+    // Ensure that the position is legal.
+    if (!isLegal(position)) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.ILLEGAL_POSITION);
+    }
+
+    const candidate = isCoordinateMoveLegal(position, strict, from, to, preferCastling);
+    if (!candidate) {
+        throw new InvalidNotation(getFEN(position), notation, illegalMoveMessage);
+    }
+
+    // Manage promotion.
+    if (candidate.type === 'promotion') {
+        const result = promotion < 0 ? false : candidate.moveDescriptorFactory(promotion);
+        if (!result) {
+            throw new InvalidNotation(getFEN(position), notation, illegalMoveMessage);
+        }
+        return result;
+    }
+    else {
+        if (promotion >= 0) { // Throw if a promotion piece is provided while no promotion happens.
+            throw new InvalidNotation(getFEN(position), notation, illegalMoveMessage);
+        }
+        return candidate.moveDescriptor;
+    }
+}
+
+
+/**
+ * Wrapper around `isMoveLegal(..)`, taking care of the encoding of castling moves.
+ */
+function isCoordinateMoveLegal(position: PositionImpl, strict: boolean, from: number, to: number, preferCastling: boolean): ReturnType<typeof isMoveLegal> {
+    if (position.board[from] !== PieceImpl.KING * 2 + position.turn) {
+        return isMoveLegal(position, from, to);
+    }
+    refreshEffectiveCastling(position);
+
+    // At Chess960, castling moves encoded with the destination square of the king must be converted into "king-take-rook" style.
+    // For the other variants, this is done by `isMoveLegal(..)`.
+    if (position.variant === GameVariantImpl.CHESS960 && (to === 2 + 112 * position.turn || to === 6 + 112 * position.turn)) {
+        const rookFile = getCastlingDestinationFile(position, to % 16 === 6);
+        const castlingDescriptor = rookFile >= 0 ? isCastlingMoveLegal(position, from, rookFile + 112 * position.turn) : false;
+        if (castlingDescriptor && (preferCastling || !isMoveLegal(position, from, to))) {
+            return { type: 'regular', moveDescriptor: castlingDescriptor };
+        }
+    }
+
+    // "King-take-rook"-encoded castling moves (allowed in non-strict mode only, unless the rook stands on the destination square of the king).
+    if (position.board[to] === PieceImpl.ROOK * 2 + position.turn) {
+        const castlingDescriptor = isCastlingMoveLegal(position, from, position.variant === GameVariantImpl.CHESS960 ? to : 112 * position.turn + (from < to ? 6 : 2));
+        if (!castlingDescriptor || castlingDescriptor._optionalSquare1 !== to || (strict && castlingDescriptor._to !== to)) {
+            return false;
+        }
+        return { type: 'regular', moveDescriptor: castlingDescriptor };
+    }
+
+    return isMoveLegal(position, from, to);
+}
@@ -0,0 +1,263 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { ColorImpl, PieceImpl, pieceToString } from './base_types_impl';
+import { getFEN } from './fen';
+import { PositionImpl } from './impl';
+import { isLegal } from './legality';
+import { MoveDescriptorImpl } from './move_descriptor_impl';
+import { moves } from './move_generation';
+import { checkVariantRules, getCheckCheckmateSymbol, parseCastlingNotation } from './notation';
+
+import { InvalidNotation } from '../exception';
+import { i18n } from '../i18n';
+
+
+/**
+ * Name of the files in descriptive notation (from file A to file H).
+ */
+const FILE_NAMES = [ 'QR', 'QN', 'QB', 'Q', 'K', 'KB', 'KN', 'KR' ];
+
+
+/**
+ * Files designated by each file specification, including the abbreviated ones (e.g. `B` for either `QB` or `KB`).
+ */
+const FILE_SPECIFICATIONS = new Map<string, number[]>([
+    [ 'QR', [ 0 ] ], [ 'QN', [ 1 ] ], [ 'QB', [ 2 ] ], [ 'Q', [ 3 ] ], [ 'K', [ 4 ] ], [ 'KB', [ 5 ] ], [ 'KN', [ 6 ] ], [ 'KR', [ 7 ] ],
+    [ 'R', [ 0, 7 ] ], [ 'N', [ 1, 6 ] ], [ 'B', [ 2, 5 ] ],
+]);
+
+
+/**
+ * Convert the given move descriptor to descriptive notation.
+ */
+export function getDescriptiveNotation(position: PositionImpl, descriptor: MoveDescriptorImpl) {
+    let result: string;
+
+    // Castling move
+    if (descriptor.isCastling()) {
+        result = descriptor._to % 16 === 6 ? 'O-O' : 'O-O-O';
+    }
+
+    // Other moves
+    else {
+
+        // Legal moves that could be confused with the current one.
+        let candidates = (moves(position) as MoveDescriptorImpl[]).filter(md => !md.isCastling() && !md.isDrop() && md._movingColoredPiece === descriptor._movingColoredPiece &&
+            md._finalColoredPiece === descriptor._finalColoredPiece);
+
+        // Target: destination square for non-capturing moves, captured piece (and destination square if necessary) for capturing moves.
+        let target: string;
+        if (descriptor.isCapture()) {
+            const capturedPiece = Math.trunc(descriptor._optionalColoredPiece / 2);
+            candidates = candidates.filter(md => md.isCapture() && Math.trunc(md._optionalColoredPiece / 2) === capturedPiece);
+            target = 'x' + getPieceSymbol(capturedPiece);
+            if (candidates.some(md => md._to !== descriptor._to)) {
+                target += '(' + getSquareName(descriptor._to, position.turn) + ')';
+                candidates = candidates.filter(md => md._to === descriptor._to);
+            }
+        }
+        else {
+            candidates = candidates.filter(md => !md.isCapture() && md._to === descriptor._to);
+            target = '-' + getSquareName(descriptor._to, position.turn);
+        }
+
+        // Moving piece, qualified by the file it comes from if several pawns can play the same move (e.g. `QBPxP`),
+        // or by the rank (or the square if necessary) it comes from if several pieces can play the same move (e.g. `R(1)-Q1`).
+        const movingPiece = Math.trunc(descriptor._movingColoredPiece / 2);
+        result = getPieceSymbol(movingPiece);
+        if (candidates.length > 1 && movingPiece === PieceImpl.PAWN) {
+            result = FILE_NAMES[descriptor._from % 16] + result;
+        }
+        else if (candidates.length > 1) {
+            const fromRank = Math.trunc(descriptor._from / 16);
+            const isRankDiscriminant = candidates.filter(md => Math.trunc(md._from / 16) === fromRank).length === 1;
+            result += '(' + (isRankDiscriminant ? getRankName(fromRank, position.turn) : getSquareName(descriptor._from, position.turn)) + ')';
+        }
+        result += target;
+
+        if (descriptor.isPromotion()) {
+            result += '=' + getPieceSymbol(Math.trunc(descriptor._finalColoredPiece / 2));
+        }
+        if (descriptor.isEnPassant()) {
+            result += ' e.p.';
+        }
+    }
+
+    // Check/checkmate detection and final result.
+    switch (getCheckCheckmateSymbol(position, descriptor)) {
+        case '+':
+            return result + ' ch';
+        case '#':
+            return result + ' mate';
+        default:
+            return result;
+    }
+}
+
+
+function getPieceSymbol(piece: number) {
+    return pieceToString(piece).toUpperCase();
+}
+
+
+/**
+ * Rank number, as seen by the given player.
+ */
+function getRankName(rank: number, color: number) {
+    return String(color === ColorImpl.WHITE ? rank + 1 : 8 - rank);
+}
+
+
+function getSquareName(square: number, color: number) {
+    return FILE_NAMES[square % 16] + getRankName(Math.trunc(square / 16), color);
+}
+
+
+/**
+ * Parse a move in descriptive notation (e.g. "P-K4", "N-KB3", "QxP ch", "R(1)-Q1", "NxP(Q4)") for the given position.
+ */
+export function parseDescriptiveNotation(position: PositionImpl, notation: string, strict: boolean) {
+
+    // General syntax (`Kt` is an alternative symbol for knights)
+    const pieceRegex = '(?:(?:[KQ]?[RNB]|[KQ])?P|[KQ]?[RNB]|[KQ])';
+    const squareRegex = '(?:[KQ]?[RNB]|[KQ])[1-8]';
+    const m = new RegExp(`^(?:(O-O-O|0-0-0)|(O-O|0-0)|(${pieceRegex})(?:\\(([1-8]|${squareRegex})\\))?(?:-(${squareRegex})|x(${pieceRegex})(?:\\((${squareRegex})\\))?)` +
+        '(?:[=/]?([KQRBN])|\\(([KQRBN])\\))?(?: ?e\\.? ?p\\.?)?)(?: ?(?:ch|\\+|mate|#))?$').exec(notation.replace(/Kt/g, 'N'));
+    if (m === null) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.INVALID_DESCRIPTIVE_SYNTAX);
+    }
+
+    // Ensure that the position is legal.
+    if (!isLegal(position)) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.ILLEGAL_POSITION);
+    }
+
+    // CASTLING
+    // m[1] -> O-O-O
+    // m[2] -> O-O
+
+    // OTHER MOVES
+    // m[3] -> moving piece
+    // m[4] -> origin rank or square
+    // m[5] -> destination square (non-capturing moves)
+    // m[6] -> captured piece (capturing moves)
+    // m[7] -> destination square (capturing moves)
+    // m[8], m[9] -> promoted piece
+
+    let descriptor: MoveDescriptorImpl;
+
+    // Parse castling moves
+    if (m[1] !== undefined || m[2] !== undefined) {
+        descriptor = parseCastlingNotation(position, notation, strict, m[1], m[2]);
+        checkVariantRules(position, notation, descriptor);
+    }
+
+    // Other moves: look for the legal moves matching the notation.
+    else {
+        const movingPieceMatcher = parsePieceSpecification(m[3]);
+        const originMatcher = m[4] === undefined ? undefined : m[4].length === 1 ? parseRankSpecification(m[4], position.turn) : parseSquareSpecification(m[4], position.turn);
+        const destinationMatcher = m[5] ?? m[7];
+        const capturedPieceMatcher = m[6] === undefined ? undefined : parsePieceSpecification(m[6]);
+        const promotionSymbol = m[8] ?? m[9];
+        const promotion = promotionSymbol === undefined ? -1 : parsePieceSpecification(promotionSymbol).piece;
+
+        const candidates = (moves(position) as MoveDescriptorImpl[]).filter(md => {
+            if (md.isCastling() || md.isDrop() || !movingPieceMatcher.matches(Math.trunc(md._movingColoredPiece / 2), md._from)) {
+                return false;
+            }
+            if (originMatcher !== undefined && !originMatcher(md._from)) {
+                return false;
+            }
+            if (destinationMatcher !== undefined && !parseSquareSpecification(destinationMatcher, position.turn)(md._to)) {
+                return false;
+            }
+            if (capturedPieceMatcher !== undefined && !(md.isCapture() && capturedPieceMatcher.matches(Math.trunc(md._optionalColoredPiece / 2), md._to))) {
+                return false;
+            }
+            return md.isPromotion() ? Math.trunc(md._finalColoredPiece / 2) === promotion : promotion < 0;
+        });
+
+        if (candidates.length === 0) {
+            throw new InvalidNotation(getFEN(position), notation, i18n.ILLEGAL_DESCRIPTIVE_MOVE);
+        }
+        else if (candidates.length > 1) {
+            throw new InvalidNotation(getFEN(position), notation, i18n.AMBIGUOUS_DESCRIPTIVE_MOVE);
+        }
+        descriptor = candidates[0];
+    }
+
+    // STRICT MODE -> only the notation generated by `getDescriptiveNotation(..)` is accepted.
+    if (strict) {
+        const expectedNotation = getDescriptiveNotation(position, descriptor);
+        if (expectedNotation !== notation) {
+            throw new InvalidNotation(getFEN(position), notation, i18n.NON_CANONICAL_DESCRIPTIVE_NOTATION, expectedNotation);
+        }
+    }
+
+    return descriptor;
+}
+
+
+/**
+ * Parse a piece specification, such as `N` (any knight), `KR` (rook on the king side), `P` (any pawn), `QBP` (pawn on the queen bishop file)...
+ */
+function parsePieceSpecification(specification: string) {
+    const isPawn = specification.length > 1 && specification.endsWith('P');
+    const piece = isPawn ? PieceImpl.PAWN : 'KQRBNP'.indexOf(specification.charAt(specification.length - 1));
+    let fileMatcher: (file: number) => boolean;
+    if (isPawn) { // e.g. QBP -> pawn on file C
+        const files = FILE_SPECIFICATIONS.get(specification.substring(0, specification.length - 1))!;
+        fileMatcher = file => files.includes(file);
+    }
+    else if (specification.length > 1) { // e.g. QB -> bishop on the queen side
+        fileMatcher = specification.charAt(0) === 'K' ? file => file >= 4 : file => file < 4;
+    }
+    else {
+        fileMatcher = () => true;
+    }
+    return {
+        piece: piece,
+        matches: (p: number, square: number) => p === piece && fileMatcher(square % 16),
+    };
+}
+
+
+/**
+ * Parse a rank specification (as seen by the given player).
+ */
+function parseRankSpecification(specification: string, color: number) {
+    const rank = color === ColorImpl.WHITE ? Number(specification) - 1 : 8 - Number(specification);
+    return (square: number) => Math.trunc(square / 16) === rank;
+}
+
+
+/**
+ * Parse a square specification (as seen by the given player), such as `KB3` or `B3` (either `KB3` or `QB3`).
+ */
+function parseSquareSpecification(specification: string, color: number) {
+    const files = FILE_SPECIFICATIONS.get(specification.substring(0, specification.length - 1))!;
+    const rankMatcher = parseRankSpecification(specification.charAt(specification.length - 1), color);
+    return (square: number) => files.includes(square % 16) && rankMatcher(square);
+}
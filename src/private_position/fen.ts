@@ -22,8 +22,8 @@
  * -------------------------------------------------------------------------- */
 
 
-import { ColorImpl, PieceImpl, SpI, GameVariantImpl, colorFromString, colorToString, fileFromString, fileToString, variantToString } from './base_types_impl';
-import { PositionImpl, makeEmpty } from './impl';
+import { ColorImpl, PieceImpl, CpI, SpI, GameVariantImpl, colorFromString, colorToString, fileFromString, fileToString, variantToString } from './base_types_impl';
+import { MAX_POCKET_COUNT, PositionImpl, makeEmpty } from './impl';
 import { refreshEffectiveCastling, refreshEffectiveEnPassant } from './legality';
 
 import { InvalidFEN } from '../exception';
@@ -31,6 +31,7 @@ import { i18n } from '../i18n';
 
 const FEN_PIECE_SYMBOL = [ ...'KkQqRrBbNnPp' ];
 const EN_PASSANT_RANK = [ '6', '3' ];
+const POCKET_PIECE_ORDER = [ CpI.WQ, CpI.WR, CpI.WB, CpI.WN, CpI.WP, CpI.BQ, CpI.BR, CpI.BB, CpI.BN, CpI.BP ];
 
 
 /**
@@ -92,7 +93,20 @@ export function ascii(position: PositionImpl, { flipped = false, prefix = '', co
 }
 
 
-export function getFEN(position: PositionImpl, fiftyMoveClock = 0, fullMoveNumber = 1, regularFENIfPossible = false) {
+/**
+ * For three-check, the number of checks given by each player is appended as a 7th field (e.g. `+1+0`).
+ * For crazyhouse, the pieces held by each player are appended to the 1st field (e.g. `[Qn]`), and promoted pieces are followed by `~`.
+ */
+export function getFEN(position: PositionImpl, fiftyMoveClock = 0, fullMoveNumber = 1, castlingStyle?: CastlingStyle) {
+    const result = getEPD(position, castlingStyle) + ' ' + fiftyMoveClock + ' ' + fullMoveNumber;
+    return position.variant === GameVariantImpl.THREE_CHECK ? `${result} +${position.checks[ColorImpl.WHITE]}+${position.checks[ColorImpl.BLACK]}` : result;
+}
+
+
+/**
+ * Return the first 4 fields of the FEN representation of the given position (i.e. the EPD representation, without any operation).
+ */
+export function getEPD(position: PositionImpl, castlingStyle: CastlingStyle | undefined) {
     let result = '';
 
     // Board scanning
@@ -109,6 +123,9 @@ export function getFEN(position: PositionImpl, fiftyMoveClock = 0, fullMoveNumbe
                     emptyCount = 0;
                 }
                 result += FEN_PIECE_SYMBOL[cp];
+                if (position.promoted.includes(r * 16 + c)) {
+                    result += '~';
+                }
             }
         }
         if (emptyCount > 0) {
@@ -119,35 +136,68 @@ export function getFEN(position: PositionImpl, fiftyMoveClock = 0, fullMoveNumbe
         }
     }
 
-    // Flags + additional move counters
-    result += ' ' + colorToString(position.turn) + ' ' + castlingToString(position, regularFENIfPossible) + ' ' + enPassantToString(position);
-    result += ' ' + fiftyMoveClock + ' ' + fullMoveNumber;
+    // Pockets (crazyhouse only)
+    if (position.variant === GameVariantImpl.CRAZYHOUSE) {
+        result += '[';
+        for (const cp of POCKET_PIECE_ORDER) {
+            result += FEN_PIECE_SYMBOL[cp].repeat(position.pockets[cp]);
+        }
+        result += ']';
+    }
+
+    // Flags
+    result += ' ' + colorToString(position.turn) + ' ' + castlingToString(position, castlingStyle) + ' ' + enPassantToString(position);
 
     return result;
 }
 
 
 /**
- * @param regularFENIfPossible - For Chess960, if `true`, format the flags as `KQkq` (regular FEN style) if possible
- *                               (instead of `AB...Hab...h` which is used by default, i.e. X-FEN style).
- *                               For the other variants, this flag has no effect, as regulary FEN style is always used.
+ * Style used to render the castling flags of Chess960 positions in FEN strings:
+ * - `'standard'`: regular FEN style (i.e. `KQkq`) if no ambiguity is possible, file letters in ascending order (i.e. `AHah`) otherwise,
+ * - `'x-fen'`: [X-FEN](https://en.wikipedia.org/wiki/X-FEN) style, i.e. `K`/`Q`/`k`/`q` for the castling rights associated to the outermost rooks,
+ *   and file letters for the castling rights associated to inner rooks (for instance `KQkq` or `KBkq`),
+ * - `'shredder'`: [Shredder-FEN](https://www.chessprogramming.org/Forsyth-Edwards_Notation#Shredder-FEN) style, i.e. file letters only,
+ *   in descending order (for instance `HAha`).
+ *
+ * For the other variants, the castling flags are always rendered using the regular FEN style.
  */
-function castlingToString(position: PositionImpl, regularFENIfPossible = false) {
+export type CastlingStyle = 'standard' | 'x-fen' | 'shredder';
+
+
+export function isCastlingStyle(value: unknown): value is CastlingStyle {
+    return value === 'standard' || value === 'x-fen' || value === 'shredder';
+}
+
+
+/**
+ * @param castlingStyle - For Chess960, style used to render the castling flags. If `undefined`, file letters in ascending order are used
+ *                        (i.e. `AHah`). For the other variants, this parameter has no effect, as regulary FEN style is always used.
+ */
+function castlingToString(position: PositionImpl, castlingStyle?: CastlingStyle) {
     refreshEffectiveCastling(position);
     if (position.variant === GameVariantImpl.CHESS960) {
-        if (regularFENIfPossible) {
+        if (castlingStyle === 'standard') {
             const whiteRegularFlags = regularFENCaslingFlagIfPossible(position, ColorImpl.WHITE);
             const blackRegularFlags = regularFENCaslingFlagIfPossible(position, ColorImpl.BLACK);
             if (whiteRegularFlags !== false && blackRegularFlags !== false) {
                 return whiteRegularFlags === '' && blackRegularFlags === '' ? '-' : whiteRegularFlags.toUpperCase() + blackRegularFlags;
             }
         }
+        else if (castlingStyle === 'x-fen') {
+            const result = xfenCastlingFlag(position, ColorImpl.WHITE).toUpperCase() + xfenCastlingFlag(position, ColorImpl.BLACK);
+            return result === '' ? '-' : result;
+        }
         let whiteFlags = '';
         let blackFlags = '';
         for (let file = 0; file < 8; ++file) {
             if (position.effectiveCastling![ColorImpl.WHITE] & 1 << file) { whiteFlags += fileToString(file); }
             if (position.effectiveCastling![ColorImpl.BLACK] & 1 << file) { blackFlags += fileToString(file); }
         }
+        if (castlingStyle === 'shredder') {
+            whiteFlags = [ ...whiteFlags ].reverse().join('');
+            blackFlags = [ ...blackFlags ].reverse().join('');
+        }
         return whiteFlags === '' && blackFlags === '' ? '-' : whiteFlags.toUpperCase() + blackFlags;
     }
     else {
@@ -161,6 +211,36 @@ function castlingToString(position: PositionImpl, regularFENIfPossible = false)
 }
 
 
+/**
+ * Return the X-FEN castling flags (in lowercase) corresponding to the given color: king-side flag first, then queen-side flag,
+ * each of them being either `k`/`q` if the castling rook is the outermost rook on its side of the king, or the file of the rook otherwise.
+ */
+function xfenCastlingFlag(position: PositionImpl, color: number) {
+    if (position.effectiveCastling![color] === 0) {
+        return '';
+    }
+    const rankOffset = 112 * color;
+    const targetRook = PieceImpl.ROOK * 2 + color;
+
+    // The rooks are visited from the corners toward the king, so that the first rook encountered on each side is the outermost one.
+    function flagsOnSide(firstFile: number, direction: number, outermostFlag: string) {
+        let result = '';
+        let outermost = true;
+        for (let sq = rankOffset + firstFile; sq !== position.king[color]; sq += direction) {
+            if (position.board[sq] === targetRook) {
+                if (position.effectiveCastling![color] & 1 << (sq - rankOffset)) {
+                    result += outermost ? outermostFlag : fileToString(sq - rankOffset);
+                }
+                outermost = false;
+            }
+        }
+        return result;
+    }
+
+    return flagsOnSide(7, -1, 'k') + flagsOnSide(0, 1, 'q');
+}
+
+
 function regularFENCaslingFlagIfPossible(position: PositionImpl, color: number): string | false {
 
     // Decompose the castling flags into:
@@ -223,14 +303,29 @@ function enPassantToString(position: PositionImpl) {
 
 export function parseFEN(variant: number, fen: string, strict: boolean): { position: PositionImpl, fiftyMoveClock: number, fullMoveNumber: number } {
 
-    // Trim the input string and split it into 6 fields.
+    // Trim the input string and split it into 6 fields (7 for three-check, the last one being optional in non-strict mode).
     const fields = strict ? fen.split(' ') : fen.replace(/^\s+|\s+$/g, '').split(/\s+/);
-    if (fields.length !== 6) {
+    const expectsCheckCountField = variant === GameVariantImpl.THREE_CHECK && (strict || fields.length === 7);
+    if (fields.length !== (expectsCheckCountField ? 7 : 6)) {
         throw new InvalidFEN(fen, i18n.WRONG_NUMBER_OF_FEN_FIELDS);
     }
 
+    // For crazyhouse, the first field ends with the pieces held by each player between square brackets (optional in non-strict mode).
+    let boardField = fields[0];
+    let pocketField: string | undefined = undefined;
+    if (variant === GameVariantImpl.CRAZYHOUSE) {
+        const pocketMatch = /^([^[]*)\[([^\]]*)\]$/.exec(boardField);
+        if (pocketMatch !== null) {
+            boardField = pocketMatch[1];
+            pocketField = pocketMatch[2];
+        }
+        else if (strict) {
+            throw new InvalidFEN(fen, i18n.INVALID_POCKET_IN_BOARD_FIELD);
+        }
+    }
+
     // The first field (that represents the board) is split in 8 sub-fields.
-    const rankFields = fields[0].split('/');
+    const rankFields = boardField.split('/');
     if (rankFields.length !== 8) {
         throw new InvalidFEN(fen, i18n.WRONG_NUMBER_OF_SUBFIELDS_IN_BOARD_FIELD);
     }
@@ -246,7 +341,7 @@ export function parseFEN(variant: number, fen: string, strict: boolean): { posit
         const rankField = rankFields[7 - r];
         let i = 0;
         let c = 0;
-        while (i < rankField.length && c < 8) {
+        while (i < rankField.length && (c < 8 || rankField[i] === '~')) {
             const s = rankField[i];
             const cp = FEN_PIECE_SYMBOL.indexOf(s);
 
@@ -261,6 +356,11 @@ export function parseFEN(variant: number, fen: string, strict: boolean): { posit
                 ++c;
             }
 
+            // The current character is a promotion marker following a piece that may result from a promotion (crazyhouse only).
+            else if (s === '~' && variant === GameVariantImpl.CRAZYHOUSE && i > 0 && /^[QRBNqrbn]$/.test(rankField[i - 1])) {
+                position.promoted.push(r * 16 + c - 1);
+            }
+
             // Otherwise -> parsing error.
             else {
                 throw new InvalidFEN(fen, i18n.UNEXPECTED_CHARACTER_IN_BOARD_FIELD, s);
@@ -276,6 +376,20 @@ export function parseFEN(variant: number, fen: string, strict: boolean): { posit
         }
     }
 
+    // Pocket parsing
+    if (pocketField !== undefined) {
+        for (const s of pocketField) {
+            const cp = FEN_PIECE_SYMBOL.indexOf(s);
+            if (cp < CpI.WQ) { // Kings cannot be held in a pocket.
+                throw new InvalidFEN(fen, i18n.INVALID_POCKET_IN_BOARD_FIELD);
+            }
+            if (position.pockets[cp] === MAX_POCKET_COUNT) {
+                throw new InvalidFEN(fen, i18n.TOO_MANY_PIECES_IN_POCKET, MAX_POCKET_COUNT);
+            }
+            ++position.pockets[cp];
+        }
+    }
+
     // Turn parsing
     position.turn = colorFromString(fields[1]);
     if (position.turn < 0) {
@@ -317,6 +431,15 @@ export function parseFEN(variant: number, fen: string, strict: boolean): { posit
     if (!moveCountingRegex.test(fields[5])) {
         throw new InvalidFEN(fen, i18n.INVALID_MOVE_NUMBER_FIELD);
     }
+
+    // Check count parsing (three-check only)
+    if (expectsCheckCountField) {
+        const checkCountMatch = /^\+([0-3])\+([0-3])$/.exec(fields[6]);
+        if (checkCountMatch === null) {
+            throw new InvalidFEN(fen, i18n.INVALID_CHECK_COUNT_FIELD);
+        }
+        position.checks = [ parseInt(checkCountMatch[1], 10), parseInt(checkCountMatch[2], 10) ];
+    }
     return { position: position, fiftyMoveClock: parseInt(fields[4], 10), fullMoveNumber: parseInt(fields[5], 10) };
 }
 
@@ -345,6 +468,9 @@ function castlingFromStringXFEN(castling: string, strict: boolean, board: number
     if (!(strict ? /^[A-H]{0,2}[a-h]{0,2}$/ : /^[A-Ha-h]*|[KQkq]*$/).test(castling)) {
         return null;
     }
+    if (strict && /(.).*\1/.test(castling)) { // Shredder-FEN style: in strict mode, each file must be specified at most once per color.
+        return null;
+    }
 
     function searchQueenSideRook(color: number) {
         const targetRook = PieceImpl.ROOK * 2 + color;
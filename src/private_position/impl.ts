@@ -36,6 +36,14 @@ const EMPTY_BOARD = [
     SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY,
 ];
 
+const EMPTY_POCKETS = [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ];
+
+/**
+ * Maximum number of pieces of a given type that can be held in a pocket (crazyhouse only).
+ * No regular game can exceed this number (which is reached if a player holds all the pawns).
+ */
+export const MAX_POCKET_COUNT = 16;
+
 const REGULAR_START_BOARD = [
     /* eslint-disable @stylistic/comma-spacing, @stylistic/no-multi-spaces */
     CpI.WR   , CpI.WN   , CpI.WB   , CpI.WQ   , CpI.WK   , CpI.WB   , CpI.WN   , CpI.WR   , SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID,
@@ -62,6 +70,19 @@ const HORDE_START_BOARD = [
     /* eslint-enable */
 ];
 
+const RACING_KINGS_START_BOARD = [
+    /* eslint-disable @stylistic/comma-spacing, @stylistic/no-multi-spaces */
+    CpI.BQ   , CpI.BR   , CpI.BB   , CpI.BN   , CpI.WN   , CpI.WB   , CpI.WR   , CpI.WQ   , SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID,
+    CpI.BK   , CpI.BR   , CpI.BB   , CpI.BN   , CpI.WN   , CpI.WB   , CpI.WR   , CpI.WK   , SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID,
+    SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID,
+    SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID,
+    SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID,
+    SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID,
+    SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID, SpI.INVALID,
+    SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY, SpI.EMPTY,
+    /* eslint-enable */
+];
+
 
 /**
  * Internal structure in `Position`, that encodes the state of the corresponding chess position.
@@ -70,18 +91,22 @@ export interface PositionImpl {
 
     // Board state
     board: number[],
+    promoted: number[], // Squares holding a piece resulting from a promotion (crazyhouse only, always empty for the other variants).
+    pockets: number[], // Number of pieces held by each player, indexed by colored piece (crazyhouse only, always 0 for the other variants).
 
     // Flags
     turn: number,
     castling: number[],
     enPassant: number,
     variant: number,
+    checks: number[], // Number of checks given by each player (three-check only, always [ 0, 0 ] for the other variants).
 
     // Computed attributes
     legal: boolean | null,
     king: number[],
     effectiveCastling: number[] | null,
     effectiveEnPassant: number | null,
+    zobrist: number[] | null, // Zobrist key (high and low 32-bit halves), en-passant excluded.
 }
 
 
@@ -123,6 +148,30 @@ const START_POSITION_INFO: (StartPositionInfo | null)[] = [
         castling: [ 0, 129 /* (1 << A-file) | (1 << H-file) */ ],
         king: [ -1, SquareImpl.E8 ],
     },
+
+    { // Three-check
+        board: REGULAR_START_BOARD,
+        castling: [ 129 /* (1 << A-file) | (1 << H-file) */, 129 /* (1 << A-file) | (1 << H-file) */ ],
+        king: [ SquareImpl.E1, SquareImpl.E8 ],
+    },
+
+    { // King of the hill
+        board: REGULAR_START_BOARD,
+        castling: [ 129 /* (1 << A-file) | (1 << H-file) */, 129 /* (1 << A-file) | (1 << H-file) */ ],
+        king: [ SquareImpl.E1, SquareImpl.E8 ],
+    },
+
+    { // Racing kings
+        board: RACING_KINGS_START_BOARD,
+        castling: [ 0, 0 ],
+        king: [ SquareImpl.H2, SquareImpl.A2 ],
+    },
+
+    { // Crazyhouse
+        board: REGULAR_START_BOARD,
+        castling: [ 129 /* (1 << A-file) | (1 << H-file) */, 129 /* (1 << A-file) | (1 << H-file) */ ],
+        king: [ SquareImpl.E1, SquareImpl.E8 ],
+    },
 ];
 
 
@@ -134,14 +183,18 @@ export function hasCanonicalStartPosition(variant: number) {
 export function makeEmpty(variant: number): PositionImpl {
     return {
         board: EMPTY_BOARD.slice(),
+        promoted: [],
+        pockets: EMPTY_POCKETS.slice(),
         turn: ColorImpl.WHITE,
         castling: [ 0, 0 ],
         enPassant: -1,
         variant: variant,
+        checks: [ 0, 0 ],
         legal: variant === GameVariantImpl.NO_KING,
         king: [ -1, -1 ],
         effectiveCastling: [ 0, 0 ],
         effectiveEnPassant: -1,
+        zobrist: null,
     };
 }
 
@@ -153,14 +206,18 @@ export function makeInitial(variant: number): PositionImpl {
     const info = START_POSITION_INFO[variant]!; // WARNING: applicable only to variants with a canonical start position.
     return {
         board: info.board.slice(),
+        promoted: [],
+        pockets: EMPTY_POCKETS.slice(),
         turn: ColorImpl.WHITE,
         castling: info.castling.slice(),
         enPassant: -1,
         variant: variant,
+        checks: [ 0, 0 ],
         legal: true,
         king: info.king.slice(),
         effectiveCastling: info.castling.slice(),
         effectiveEnPassant: -1,
+        zobrist: null,
     };
 }
 
@@ -187,14 +244,18 @@ export function make960FromScharnagl(scharnaglCode: number): PositionImpl {
             rank8[0] , rank8[1] , rank8[2] , rank8[3] , rank8[4] , rank8[5] , rank8[6] , rank8[7] ,
             /* eslint-enable */
         ],
+        promoted: [],
+        pockets: EMPTY_POCKETS.slice(),
         turn: ColorImpl.WHITE,
         castling: [ info.castling, info.castling ],
         enPassant: -1,
         variant: GameVariantImpl.CHESS960,
+        checks: [ 0, 0 ],
         legal: true,
         king: [ SquareImpl.A1 + info.kingFile, SquareImpl.A8 + info.kingFile ],
         effectiveCastling: [ info.castling, info.castling ],
         effectiveEnPassant: -1,
+        zobrist: null,
     };
 }
 
@@ -275,13 +336,17 @@ function decodeScharnagl(scharnaglCode: number): ScharnaglInfo {
 export function makeCopy(position: PositionImpl): PositionImpl {
     return {
         board: position.board.slice(),
+        promoted: position.promoted.slice(),
+        pockets: position.pockets.slice(),
         turn: position.turn,
         castling: position.castling.slice(),
         enPassant: position.enPassant,
         variant: position.variant,
+        checks: position.checks.slice(),
         legal: position.legal,
         king: position.king.slice(),
         effectiveCastling: position.effectiveCastling === null ? null : position.effectiveCastling.slice(),
         effectiveEnPassant: position.effectiveEnPassant,
+        zobrist: position.zobrist === null ? null : position.zobrist.slice(),
     };
 }
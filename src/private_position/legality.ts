@@ -85,11 +85,41 @@ export function refreshLegalFlagAndKingSquares(position: PositionImpl) {
         }
     }
 
+    // Condition (4)
+    if (position.variant === GameVariantImpl.THREE_CHECK) {
+        if (position.checks[position.turn] >= 3) {
+            return;
+        }
+    }
+    else if (position.variant === GameVariantImpl.KING_OF_THE_HILL) {
+        if (isHillSquare(position.king[position.turn])) {
+            return;
+        }
+    }
+    else if (position.variant === GameVariantImpl.RACING_KINGS) {
+        if (isAttacked(position, position.king[position.turn], 1 - position.turn)) {
+            return;
+        }
+        for (let sq = 0; sq < 120; sq += (sq & 0x7) === 7 ? 9 : 1) {
+            if (position.board[sq] === CpI.WP || position.board[sq] === CpI.BP) {
+                return;
+            }
+        }
+    }
+
     // At this point, all the conditions (1) to (4) hold, so the position can be flagged as legal.
     position.legal = true;
 }
 
 
+/**
+ * Whether the given square is one of the 4 central squares (d4, e4, d5, e5) that a king must reach to win in king of the hill.
+ */
+export function isHillSquare(square: number) {
+    return square === SquareImpl.D4 || square === SquareImpl.E4 || square === SquareImpl.D5 || square === SquareImpl.E5;
+}
+
+
 /**
  * Detect the kings of the given color that are present on the chess board.
  *
@@ -194,6 +224,17 @@ export function isKingSafeAfterMove(position: PositionImpl, from: number, to: nu
 }
 
 
+/**
+ * Whether the king of the player about to play would be safe after a piece is dropped on the given empty square (crazyhouse only).
+ */
+export function isKingSafeAfterDrop(position: PositionImpl, to: number) {
+    position.board[to] = PieceImpl.PAWN * 2 + position.turn; // Whatever its type, the dropped piece can only act as a blocker.
+    const result = !isAttacked(position, position.king[position.turn], 1 - position.turn);
+    position.board[to] = SpI.EMPTY;
+    return result;
+}
+
+
 /**
  * Refresh the effective castling flags of the given position if they are set to null
  * (which means that their states are unknown).
@@ -208,9 +249,15 @@ export function refreshEffectiveCastling(position: PositionImpl) {
     refreshLegalFlagAndKingSquares(position);
 
     // Actual computation.
-    position.effectiveCastling = position.variant === GameVariantImpl.CHESS960 ?
-        [ computeEffectiveCastlingForChess960(position, 0), computeEffectiveCastlingForChess960(position, 1) ] :
-        [ computeEffectiveCastlingForRegularChess(position, 0), computeEffectiveCastlingForRegularChess(position, 1) ];
+    if (position.variant === GameVariantImpl.CHESS960) {
+        position.effectiveCastling = [ computeEffectiveCastlingForChess960(position, 0), computeEffectiveCastlingForChess960(position, 1) ];
+    }
+    else if (position.variant === GameVariantImpl.RACING_KINGS) { // No castling in racing kings.
+        position.effectiveCastling = [ 0, 0 ];
+    }
+    else {
+        position.effectiveCastling = [ computeEffectiveCastlingForRegularChess(position, 0), computeEffectiveCastlingForRegularChess(position, 1) ];
+    }
 }
 
 
@@ -328,11 +375,17 @@ export function refreshEffectiveEnPassant(position: PositionImpl) {
 
 
 export function isEqual(pos1: PositionImpl, pos2: PositionImpl) {
-    if (pos1.turn !== pos2.turn || pos1.variant !== pos2.variant) {
+    if (pos1.turn !== pos2.turn || pos1.variant !== pos2.variant || pos1.checks[ColorImpl.WHITE] !== pos2.checks[ColorImpl.WHITE] ||
+        pos1.checks[ColorImpl.BLACK] !== pos2.checks[ColorImpl.BLACK]) {
         return false;
     }
     for (let sq = 0; sq < 120; sq += (sq & 0x7) === 7 ? 9 : 1) {
-        if (pos1.board[sq] !== pos2.board[sq]) {
+        if (pos1.board[sq] !== pos2.board[sq] || pos1.promoted.includes(sq) !== pos2.promoted.includes(sq)) {
+            return false;
+        }
+    }
+    for (let cp = CpI.WQ; cp <= CpI.BP; ++cp) {
+        if (pos1.pockets[cp] !== pos2.pockets[cp]) {
             return false;
         }
     }
@@ -0,0 +1,132 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { ColorImpl, PieceImpl, SpI, pieceToString, squareColorImpl } from './base_types_impl';
+import { PositionImpl } from './impl';
+
+
+/**
+ * Default material value of each piece, in centipawns (indexed by piece).
+ *
+ * The king is given no value, as it cannot be captured (except in antichess, where it is not more valuable than any other piece).
+ */
+export const PIECE_VALUE = [ 0, 900, 500, 300, 300, 100 ];
+
+
+/**
+ * Return the squares occupied by the pieces matching the given color and piece (`-1` matching any color or any piece), ordered from a1 to h8.
+ */
+export function getPieces(position: PositionImpl, color: number, piece: number) {
+    const result: number[] = [];
+    for (let sq = 0; sq < 120; sq += (sq & 0x7) === 7 ? 9 : 1) {
+        const cp = position.board[sq];
+        if (cp !== SpI.EMPTY && (color < 0 || cp % 2 === color) && (piece < 0 || Math.trunc(cp / 2) === piece)) {
+            result.push(sq);
+        }
+    }
+    return result;
+}
+
+
+/**
+ * Return the number of pieces on the board for each colored piece (indexed by colored piece).
+ */
+export function getMaterialCount(position: PositionImpl) {
+    const result = [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ];
+    for (let sq = 0; sq < 120; sq += (sq & 0x7) === 7 ? 9 : 1) {
+        const cp = position.board[sq];
+        if (cp !== SpI.EMPTY) {
+            ++result[cp];
+        }
+    }
+    return result;
+}
+
+
+/**
+ * Return the material signature of the position (for instance `'KRPvKR'`): white pieces, followed by `'v'`, followed by black pieces,
+ * pieces of each color being sorted by decreasing value (king first, pawns last).
+ */
+export function getMaterialSignature(position: PositionImpl) {
+    const count = getMaterialCount(position);
+    const sides = [ '', '' ];
+    for (let color = 0; color < 2; ++color) {
+        for (let piece = PieceImpl.KING; piece <= PieceImpl.PAWN; ++piece) {
+            sides[color] += pieceToString(piece).toUpperCase().repeat(count[piece * 2 + color]);
+        }
+    }
+    return sides[0] + 'v' + sides[1];
+}
+
+
+/**
+ * Return the material balance of the position (value of the white pieces minus value of the black pieces), using the given piece values
+ * (indexed by piece).
+ */
+export function getMaterialBalance(position: PositionImpl, pieceValues: number[]) {
+    let result = 0;
+    for (let sq = 0; sq < 120; sq += (sq & 0x7) === 7 ? 9 : 1) {
+        const cp = position.board[sq];
+        if (cp !== SpI.EMPTY) {
+            const value = pieceValues[Math.trunc(cp / 2)];
+            result += cp % 2 === ColorImpl.WHITE ? value : -value;
+        }
+    }
+    return result + 0; // `+ 0` turns a potential `-0` into `0`.
+}
+
+
+/**
+ * Whether the given color has at least one bishop on a light square and one bishop on a dark square.
+ */
+export function hasBishopPair(position: PositionImpl, color: number) {
+    const squareColors = getBishopSquareColors(position, color);
+    return squareColors[0] > 0 && squareColors[1] > 0;
+}
+
+
+/**
+ * Whether each side has exactly one bishop, the two bishops being on squares of different colors.
+ */
+export function hasOppositeColoredBishops(position: PositionImpl) {
+    const whiteSquareColors = getBishopSquareColors(position, ColorImpl.WHITE);
+    const blackSquareColors = getBishopSquareColors(position, ColorImpl.BLACK);
+    return whiteSquareColors[0] + whiteSquareColors[1] === 1 && blackSquareColors[0] + blackSquareColors[1] === 1 &&
+        whiteSquareColors[0] !== blackSquareColors[0];
+}
+
+
+/**
+ * Count the bishops of the given color standing on light and on dark squares (indexed by square color).
+ */
+function getBishopSquareColors(position: PositionImpl, color: number) {
+    const result = [ 0, 0 ];
+    const target = PieceImpl.BISHOP * 2 + color;
+    for (let sq = 0; sq < 120; sq += (sq & 0x7) === 7 ? 9 : 1) {
+        if (position.board[sq] === target) {
+            ++result[squareColorImpl(sq)];
+        }
+    }
+    return result;
+}
@@ -33,6 +33,7 @@ const CASTLING_FLAG   = 0x01;
 const EN_PASSANT_FLAG = 0x02;
 const CAPTURE_FLAG    = 0x04;
 const PROMOTION_FLAG  = 0x08;
+const DROP_FLAG       = 0x10;
 /* eslint-enable */
 
 
@@ -78,8 +79,15 @@ export class MoveDescriptorImpl extends MoveDescriptor {
         return new MoveDescriptorImpl(flags, from, to, movingColoredPawn, finalColoredPiece, capturedColoredPiece, -1, -1);
     }
 
+    /**
+     * Instantiate a drop (crazyhouse only).
+     */
+    static makeDrop(to: number, coloredPiece: number) {
+        return new MoveDescriptorImpl(DROP_FLAG, -1, to, coloredPiece, coloredPiece, SpI.EMPTY, -1, -1);
+    }
+
     _flags: number;
-    _from: number;
+    _from: number; // -1 in case of drop.
     _to: number;
     _movingColoredPiece: number;
     _finalColoredPiece: number;
@@ -116,7 +124,14 @@ export class MoveDescriptorImpl extends MoveDescriptor {
         return (this._flags & PROMOTION_FLAG) !== 0;
     }
 
+    isDrop() {
+        return (this._flags & DROP_FLAG) !== 0;
+    }
+
     from() {
+        if (this.isDrop()) {
+            throw new IllegalArgument('MoveDescriptor.from()');
+        }
         return squareToString(this._from);
     }
 
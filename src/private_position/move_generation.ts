@@ -22,11 +22,14 @@
  * -------------------------------------------------------------------------- */
 
 
-import { ATTACK_DIRECTIONS, isAttacked } from './attacks';
-import { ColorImpl, PieceImpl, SpI, GameVariantImpl, squareColorImpl } from './base_types_impl';
+import { isAttacked } from './attacks';
+import { ColorImpl, PieceImpl, SpI, GameResultImpl, GameVariantImpl, squareColorImpl } from './base_types_impl';
+import { computeBitboards, generateDisplacements } from './bitboard';
+import { givesCheck } from './checks';
 import { PositionImpl } from './impl';
-import { isLegal, isKingSafeAfterMove, refreshEffectiveEnPassant, refreshEffectiveCastling } from './legality';
+import { isLegal, isHillSquare, isKingSafeAfterDrop, isKingSafeAfterMove, refreshEffectiveEnPassant, refreshEffectiveCastling } from './legality';
 import { MoveDescriptorImpl } from './move_descriptor_impl';
+import { togglePiece, toggleCastling, toggleCheckCount, togglePocketCount, toggleTurn } from './zobrist';
 
 import { MoveDescriptor } from '../move_descriptor';
 
@@ -107,11 +110,64 @@ export function isCheck(position: PositionImpl) {
 }
 
 
+/**
+ * For the variants with a specific winning condition (three-check, king of the hill, racing kings), return the result of the game
+ * if it is over due to this condition, or `GameResultImpl.LINE` otherwise.
+ *
+ * Precondition: the position must be legal.
+ */
+export function getVariantResult(position: PositionImpl) {
+    const lastMoverWins = position.turn === ColorImpl.WHITE ? GameResultImpl.BLACK_WINS : GameResultImpl.WHITE_WINS;
+    switch (position.variant) {
+        case GameVariantImpl.THREE_CHECK:
+            return position.checks[1 - position.turn] >= 3 ? lastMoverWins : GameResultImpl.LINE;
+        case GameVariantImpl.KING_OF_THE_HILL:
+            return isHillSquare(position.king[1 - position.turn]) ? lastMoverWins : GameResultImpl.LINE;
+        case GameVariantImpl.RACING_KINGS: {
+            const whiteKingArrived = position.king[ColorImpl.WHITE] >= 112;
+            const blackKingArrived = position.king[ColorImpl.BLACK] >= 112;
+            if (blackKingArrived) {
+                return whiteKingArrived ? GameResultImpl.DRAW : GameResultImpl.BLACK_WINS;
+            }
+
+            // If white reaches the 8th rank first, black is given one more move to reach it too (and thus draw).
+            else if (whiteKingArrived && (position.turn === ColorImpl.WHITE || !canBlackKingReachLastRank(position))) {
+                return GameResultImpl.WHITE_WINS;
+            }
+            return GameResultImpl.LINE;
+        }
+        default:
+            return GameResultImpl.LINE;
+    }
+}
+
+
+/**
+ * In racing kings, whether the black king (assumed to be about to play) can reach the 8th rank in one move.
+ *
+ * Such a move can never give check (the white king being already on the 8th rank), so only the safety of the black king needs to be checked.
+ */
+function canBlackKingReachLastRank(position: PositionImpl) {
+    const from = position.king[ColorImpl.BLACK];
+    for (const direction of [ 15, 16, 17 ]) {
+        const to = from + direction;
+        if ((to & 0x88) !== 0 || to < 112) {
+            continue;
+        }
+        const toContent = position.board[to];
+        if ((toContent === SpI.EMPTY || toContent % 2 === ColorImpl.WHITE) && isKingSafeAfterMove(position, from, to)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+
 /**
  * Whether the given position is legal and the player to play is checkmated.
  */
 export function isCheckmate(position: PositionImpl) {
-    if (!isLegal(position) || hasMove(position)) {
+    if (!isLegal(position) || hasMove(position) || getVariantResult(position) !== GameResultImpl.LINE) {
         return false;
     }
     if (position.variant === GameVariantImpl.ANTICHESS) {
@@ -130,7 +186,7 @@ export function isCheckmate(position: PositionImpl) {
  * Whether the given position is legal and the player to play is stalemated.
  */
 export function isStalemate(position: PositionImpl) {
-    if (!isLegal(position) || hasMove(position)) {
+    if (!isLegal(position) || hasMove(position) || getVariantResult(position) !== GameResultImpl.LINE) {
         return false;
     }
     if (position.variant === GameVariantImpl.ANTICHESS) {
@@ -272,11 +328,21 @@ export function moves(position: PositionImpl) {
  */
 function generateMoves(position: PositionImpl, moveDescriptorConsumer: (moveDescriptor: MoveDescriptorImpl) => void) {
 
-    // Ensure that the position is legal.
-    if (!isLegal(position)) {
+    // Ensure that the position is legal, and that the game is not already over due to a variant-specific winning condition.
+    if (!isLegal(position) || getVariantResult(position) !== GameResultImpl.LINE) {
         return;
     }
 
+    // In racing kings, moves that give check are not allowed.
+    if (position.variant === GameVariantImpl.RACING_KINGS) {
+        const consumer = moveDescriptorConsumer;
+        moveDescriptorConsumer = moveDescriptor => {
+            if (!givesCheck(position, moveDescriptor)) {
+                consumer(moveDescriptor);
+            }
+        };
+    }
+
     // In some variants, capture may be mandatory (typically in antichess).
     const nonCaptureIsAllowed = !isCaptureMandatory(position);
 
@@ -310,72 +376,28 @@ function generateMoves(position: PositionImpl, moveDescriptorConsumer: (moveDesc
         }
     }
 
-    // For all potential 'from' square...
-    for (let from = 0; from < 120; from += (from & 0x7) === 7 ? 9 : 1) {
-
-        // Nothing to do if the current square does not contain a piece of the right color.
+    // Generate the other moves (except drops)
+    generateDisplacements(position, computeBitboards(position), !nonCaptureIsAllowed, (from, to) => {
         const fromContent = position.board[from];
-        const movingPiece = Math.trunc(fromContent / 2);
-        if (fromContent === SpI.EMPTY || fromContent % 2 !== position.turn) {
-            continue;
+        if (Math.trunc(fromContent / 2) === PieceImpl.PAWN) {
+            generateRegularPawnMoveOrPromotion(position, from, to, moveDescriptorConsumer);
         }
-
-        // Generate moves for pawns
-        if (movingPiece === PieceImpl.PAWN) {
-
-            // Regular capturing moves (en-passant not handled here)
-            for (const attackDirection of ATTACK_DIRECTIONS[fromContent]) {
-                const to = from + attackDirection;
-                if ((to & 0x88) === 0 && position.board[to] !== SpI.EMPTY && position.board[to] % 2 !== position.turn && isKingSafeAfterMove(position, from, to)) {
-                    generateRegularPawnMoveOrPromotion(position, from, to, moveDescriptorConsumer);
-                }
-            }
-
-            // Non-capturing moves
-            if (nonCaptureIsAllowed) {
-                const moveDirection = 16 - position.turn * 32;
-                let to = from + moveDirection;
-                if (position.board[to] === SpI.EMPTY) {
-                    if (isKingSafeAfterMove(position, from, to)) {
-                        generateRegularPawnMoveOrPromotion(position, from, to, moveDescriptorConsumer);
-                    }
-
-                    // 2-square pawn move
-                    const firstSquareOfArea = position.turn * 96; // a1 for white, a7 for black (2-square pawn move is allowed from 1st row at horde chess)
-                    if (from >= firstSquareOfArea && from < firstSquareOfArea + 24) {
-                        to += moveDirection;
-                        if (position.board[to] === SpI.EMPTY && isKingSafeAfterMove(position, from, to)) {
-                            moveDescriptorConsumer(MoveDescriptorImpl.make(from, to, fromContent, SpI.EMPTY));
-                        }
-                    }
-                }
-            }
+        else {
+            moveDescriptorConsumer(MoveDescriptorImpl.make(from, to, fromContent, position.board[to]));
         }
+    });
 
-        // Generate moves for non-sliding non-pawn pieces
-        else if (movingPiece === PieceImpl.KNIGHT || movingPiece === PieceImpl.KING) {
-            for (const attackDirection of ATTACK_DIRECTIONS[fromContent]) {
-                const to = from + attackDirection;
-                if ((to & 0x88) === 0) {
-                    const toContent = position.board[to];
-                    if ((toContent === SpI.EMPTY ? nonCaptureIsAllowed : toContent % 2 !== position.turn) && isKingSafeAfterMove(position, from, to)) {
-                        moveDescriptorConsumer(MoveDescriptorImpl.make(from, to, fromContent, toContent));
-                    }
-                }
+    // Generate drops (crazyhouse only)
+    if (position.variant === GameVariantImpl.CRAZYHOUSE) {
+        const kingSafetyCheckRequired = isKingToMoveAttacked(position);
+        for (let to = 0; to < 120; to += (to & 0x7) === 7 ? 9 : 1) {
+            if (position.board[to] !== SpI.EMPTY || (kingSafetyCheckRequired && !isKingSafeAfterDrop(position, to))) {
+                continue;
             }
-        }
-
-        // Generate moves for sliding pieces
-        else {
-            for (const attackDirection of ATTACK_DIRECTIONS[fromContent]) {
-                for (let to = from + attackDirection; (to & 0x88) === 0; to += attackDirection) {
-                    const toContent = position.board[to];
-                    if ((toContent === SpI.EMPTY ? nonCaptureIsAllowed : toContent % 2 !== position.turn) && isKingSafeAfterMove(position, from, to)) {
-                        moveDescriptorConsumer(MoveDescriptorImpl.make(from, to, fromContent, toContent));
-                    }
-                    if (toContent !== SpI.EMPTY) {
-                        break;
-                    }
+            for (let piece = PieceImpl.QUEEN; piece <= PieceImpl.PAWN; ++piece) {
+                const coloredPiece = piece * 2 + position.turn;
+                if (position.pockets[coloredPiece] > 0 && (piece !== PieceImpl.PAWN || (to >= 8 && to < 112))) {
+                    moveDescriptorConsumer(MoveDescriptorImpl.makeDrop(to, coloredPiece));
                 }
             }
         }
@@ -510,7 +532,7 @@ function isCastlingLegal(position: PositionImpl, from: number, to: number, rookF
 /**
  * Core algorithm to determine whether a move is legal or not. The verification flow is the following:
  *
- *  1. Ensure that the position itself is legal.
+ *  1. Ensure that the position itself is legal (and that the game is not already over due to a variant-specific winning condition).
  *  2. Ensure that the origin square contains a piece (denoted as the moving-piece)
  *     whose color is the same than the color of the player about to play.
  *  3. Special routine for castling detection.
@@ -530,7 +552,7 @@ function isCastlingLegal(position: PositionImpl, from: number, to: number, rookF
 export function isMoveLegal(position: PositionImpl, from: number, to: number): RegularMoveDescriptor | PromotionMoveDescriptor | false {
 
     // Step (1)
-    if (!isLegal(position)) {
+    if (!isLegal(position) || getVariantResult(position) !== GameResultImpl.LINE) {
         return false;
     }
 
@@ -629,11 +651,17 @@ export function isMoveLegal(position: PositionImpl, from: number, to: number): R
         };
     }
     else {
+        const moveDescriptor = enPassantSquare >= 0 ?
+            MoveDescriptorImpl.makeEnPassant(from, to, enPassantSquare, position.turn) :
+            MoveDescriptorImpl.make(from, to, fromContent, toContent);
+
+        // In racing kings, moves that give check are not allowed (no need to handle castling and promotions, as there are none in this variant).
+        if (position.variant === GameVariantImpl.RACING_KINGS && givesCheck(position, moveDescriptor)) {
+            return false;
+        }
         return {
             type: 'regular',
-            moveDescriptor: enPassantSquare >= 0 ?
-                MoveDescriptorImpl.makeEnPassant(from, to, enPassantSquare, position.turn) :
-                MoveDescriptorImpl.make(from, to, fromContent, toContent),
+            moveDescriptor: moveDescriptor,
         };
     }
 }
@@ -658,6 +686,21 @@ function buildPromotionMoveDescriptor(from: number, to: number, variant: number,
 }
 
 
+/**
+ * Check whether the given piece can be dropped on the given square (crazyhouse only).
+ *
+ * @returns The corresponding move descriptor if the drop is legal, `false` otherwise.
+ */
+export function isDropLegal(position: PositionImpl, piece: number, to: number): MoveDescriptorImpl | false {
+    const coloredPiece = piece * 2 + position.turn;
+    if (!isLegal(position) || position.pockets[coloredPiece] === 0 || position.board[to] !== SpI.EMPTY || (piece === PieceImpl.PAWN && (to < 8 || to >= 112)) ||
+        !isKingSafeAfterDrop(position, to)) {
+        return false;
+    }
+    return MoveDescriptorImpl.makeDrop(to, coloredPiece);
+}
+
+
 /**
  * Play the move corresponding to the given descriptor.
  */
@@ -665,7 +708,9 @@ export function play(position: PositionImpl, descriptor: MoveDescriptorImpl) {
     refreshEffectiveCastling(position);
 
     // Update the board.
-    position.board[descriptor._from] = SpI.EMPTY; // WARNING: update `from` before `to` in case both squares are actually the same!
+    if (!descriptor.isDrop()) {
+        position.board[descriptor._from] = SpI.EMPTY; // WARNING: update `from` before `to` in case both squares are actually the same!
+    }
     if (descriptor.isEnPassant()) {
         position.board[descriptor._optionalSquare1] = SpI.EMPTY;
     }
@@ -677,16 +722,42 @@ export function play(position: PositionImpl, descriptor: MoveDescriptorImpl) {
 
     const movingPiece = Math.trunc(descriptor._movingColoredPiece / 2);
 
+    // Update the Zobrist key (if known), except for the castling flags.
+    const zobrist = position.zobrist;
+    if (zobrist !== null) {
+        if (!descriptor.isDrop()) {
+            togglePiece(zobrist, descriptor._movingColoredPiece, descriptor._from);
+        }
+        togglePiece(zobrist, descriptor._finalColoredPiece, descriptor._to);
+        if (descriptor.isCastling()) {
+            togglePiece(zobrist, descriptor._optionalColoredPiece, descriptor._optionalSquare1);
+            togglePiece(zobrist, descriptor._optionalColoredPiece, descriptor._optionalSquare2);
+        }
+        else if (descriptor.isEnPassant()) {
+            togglePiece(zobrist, descriptor._optionalColoredPiece, descriptor._optionalSquare1);
+        }
+        else if (descriptor.isCapture()) {
+            togglePiece(zobrist, descriptor._optionalColoredPiece, descriptor._to);
+        }
+        toggleTurn(zobrist);
+    }
+    const whiteCastlingBefore = position.effectiveCastling![ColorImpl.WHITE];
+    const blackCastlingBefore = position.effectiveCastling![ColorImpl.BLACK];
+
     // Update the castling flags.
     if (movingPiece === PieceImpl.KING) {
         position.effectiveCastling![position.turn] = 0;
     }
-    if (descriptor._from < 8) { position.effectiveCastling![ColorImpl.WHITE] &= ~(1 << descriptor._from); }
+    if (descriptor._from >= 0 && descriptor._from < 8) { position.effectiveCastling![ColorImpl.WHITE] &= ~(1 << descriptor._from); }
     if (descriptor._to < 8) { position.effectiveCastling![ColorImpl.WHITE] &= ~(1 << descriptor._to); }
     if (descriptor._from >= 112) { position.effectiveCastling![ColorImpl.BLACK] &= ~(1 << (descriptor._from % 16)); }
     if (descriptor._to >= 112) { position.effectiveCastling![ColorImpl.BLACK] &= ~(1 << (descriptor._to % 16)); }
     position.castling[ColorImpl.WHITE] = position.effectiveCastling![ColorImpl.WHITE];
     position.castling[ColorImpl.BLACK] = position.effectiveCastling![ColorImpl.BLACK];
+    if (zobrist !== null) {
+        toggleCastling(zobrist, ColorImpl.WHITE, whiteCastlingBefore ^ position.effectiveCastling![ColorImpl.WHITE]);
+        toggleCastling(zobrist, ColorImpl.BLACK, blackCastlingBefore ^ position.effectiveCastling![ColorImpl.BLACK]);
+    }
 
     // Update the en-passant flag.
     position.enPassant = -1;
@@ -710,8 +781,69 @@ export function play(position: PositionImpl, descriptor: MoveDescriptorImpl) {
         position.king[position.turn] = descriptor._to;
     }
 
+    // In crazyhouse, update the pockets and the promoted pieces.
+    if (position.variant === GameVariantImpl.CRAZYHOUSE) {
+        updatePocketsAndPromotedPieces(position, descriptor);
+    }
+
     // Toggle the turn flag.
     position.turn = 1 - position.turn;
+
+    // In three-check, count the checks given by the player that has just played.
+    if (position.variant === GameVariantImpl.THREE_CHECK && isAttacked(position, position.king[position.turn], 1 - position.turn)) {
+        const checkCount = ++position.checks[1 - position.turn];
+        if (zobrist !== null) {
+            toggleCheckCount(zobrist, 1 - position.turn, checkCount - 1);
+            toggleCheckCount(zobrist, 1 - position.turn, checkCount);
+        }
+    }
+}
+
+
+/**
+ * Update the pockets and the promoted pieces of the given crazyhouse position when the given move is played
+ * (the board being already updated, but not the turn flag).
+ */
+function updatePocketsAndPromotedPieces(position: PositionImpl, descriptor: MoveDescriptorImpl) {
+
+    // Dropped pieces leave the pocket of the player.
+    if (descriptor.isDrop()) {
+        updatePocket(position, descriptor._movingColoredPiece, -1);
+        return;
+    }
+
+    // Captured pieces go to the pocket of the capturing player (as pawns if they result from a promotion).
+    const promoted = position.promoted;
+    if (descriptor.isCapture()) {
+        const capturedSquareIndex = promoted.indexOf(descriptor._to); // No need to look at the en-passant square, as it always holds a pawn.
+        if (capturedSquareIndex >= 0) {
+            promoted.splice(capturedSquareIndex, 1);
+        }
+        const capturedPiece = capturedSquareIndex >= 0 ? PieceImpl.PAWN : Math.trunc(descriptor._optionalColoredPiece / 2);
+        updatePocket(position, capturedPiece * 2 + position.turn, 1);
+    }
+
+    // Promoted pieces keep their status when they move (kings and pawns cannot be promoted pieces, so only the rook matters for castling moves).
+    const movingSquareIndex = descriptor.isCastling() ? promoted.indexOf(descriptor._optionalSquare1) : promoted.indexOf(descriptor._from);
+    if (movingSquareIndex >= 0) {
+        promoted[movingSquareIndex] = descriptor.isCastling() ? descriptor._optionalSquare2 : descriptor._to;
+    }
+    else if (descriptor.isPromotion()) {
+        promoted.push(descriptor._to);
+    }
+}
+
+
+/**
+ * Add the given number of pieces (possibly negative) to the pocket of the corresponding player.
+ */
+function updatePocket(position: PositionImpl, coloredPiece: number, delta: number) {
+    const countBefore = position.pockets[coloredPiece];
+    position.pockets[coloredPiece] += delta;
+    if (position.zobrist !== null) {
+        togglePocketCount(position.zobrist, coloredPiece, countBefore);
+        togglePocketCount(position.zobrist, coloredPiece, position.pockets[coloredPiece]);
+    }
 }
 
 
@@ -734,9 +866,125 @@ export function playNullMove(position: PositionImpl) {
         position.turn = 1 - position.turn;
         position.enPassant = -1;
         position.effectiveEnPassant = -1;
+        if (position.zobrist !== null) {
+            toggleTurn(position.zobrist);
+        }
         return true;
     }
     else {
         return false;
     }
 }
+
+
+/**
+ * Information required to undo a move (or a null-move), in addition to what can be deduced from the move descriptor.
+ *
+ * Castling flags and check counters of both colors are packed in a single number (white in the low byte, black in the next one).
+ */
+export interface UndoInfo {
+    descriptor: MoveDescriptorImpl | null, // `null` for null-moves
+    castling: number,
+    effectiveCastling: number, // -1 if unknown
+    enPassant: number,
+    effectiveEnPassant: number | null,
+    checks: number,
+    capturedPromoted: boolean, // Whether the captured piece (if any) results from a promotion (crazyhouse only).
+    zobrist: number[] | null,
+}
+
+
+/**
+ * Save the information required to undo the given move (or null-move if `descriptor` is `null`), assuming it is about to be played
+ * on the given position.
+ */
+export function makeUndoInfo(position: PositionImpl, descriptor: MoveDescriptorImpl | null): UndoInfo {
+    const effectiveCastling = position.effectiveCastling;
+    return {
+        descriptor: descriptor,
+        castling: position.castling[ColorImpl.WHITE] | position.castling[ColorImpl.BLACK] << 8,
+        effectiveCastling: effectiveCastling === null ? -1 : effectiveCastling[ColorImpl.WHITE] | effectiveCastling[ColorImpl.BLACK] << 8,
+        enPassant: position.enPassant,
+        effectiveEnPassant: position.effectiveEnPassant,
+        checks: position.checks[ColorImpl.WHITE] | position.checks[ColorImpl.BLACK] << 8,
+        capturedPromoted: descriptor !== null && descriptor.isCapture() && position.promoted.includes(descriptor._to),
+        zobrist: position.zobrist === null ? null : [ position.zobrist[0], position.zobrist[1] ],
+    };
+}
+
+
+/**
+ * Restore the state of the given position before the move (or null-move) described by `undoInfo` was played.
+ */
+export function undo(position: PositionImpl, undoInfo: UndoInfo) {
+    position.turn = 1 - position.turn;
+
+    // Update the board.
+    const descriptor = undoInfo.descriptor;
+    if (descriptor !== null) {
+
+        // WARNING: all the squares modified by the move must be cleared before the origin squares are restored, in case some of them are the same.
+        position.board[descriptor._to] = descriptor.isCapture() && !descriptor.isEnPassant() ? descriptor._optionalColoredPiece : SpI.EMPTY;
+        if (descriptor.isEnPassant()) {
+            position.board[descriptor._optionalSquare1] = descriptor._optionalColoredPiece;
+        }
+        else if (descriptor.isCastling()) {
+            position.board[descriptor._optionalSquare2] = SpI.EMPTY;
+            position.board[descriptor._optionalSquare1] = descriptor._optionalColoredPiece;
+        }
+        if (!descriptor.isDrop()) {
+            position.board[descriptor._from] = descriptor._movingColoredPiece;
+        }
+
+        if (Math.trunc(descriptor._movingColoredPiece / 2) === PieceImpl.KING && position.king[position.turn] >= 0) {
+            position.king[position.turn] = descriptor._from;
+        }
+        if (position.variant === GameVariantImpl.CRAZYHOUSE) {
+            undoPocketsAndPromotedPieces(position, descriptor, undoInfo.capturedPromoted);
+        }
+    }
+
+    // Restore the flags.
+    position.castling[ColorImpl.WHITE] = undoInfo.castling & 0xff;
+    position.castling[ColorImpl.BLACK] = undoInfo.castling >> 8;
+    position.effectiveCastling = undoInfo.effectiveCastling < 0 ? null : [ undoInfo.effectiveCastling & 0xff, undoInfo.effectiveCastling >> 8 ];
+    position.enPassant = undoInfo.enPassant;
+    position.effectiveEnPassant = undoInfo.effectiveEnPassant;
+    position.checks[ColorImpl.WHITE] = undoInfo.checks & 0xff;
+    position.checks[ColorImpl.BLACK] = undoInfo.checks >> 8;
+    position.zobrist = undoInfo.zobrist;
+}
+
+
+/**
+ * Revert the changes made by {@link updatePocketsAndPromotedPieces} (the board being already restored, as well as the turn flag).
+ */
+function undoPocketsAndPromotedPieces(position: PositionImpl, descriptor: MoveDescriptorImpl, capturedPromoted: boolean) {
+
+    // Dropped pieces go back to the pocket of the player.
+    if (descriptor.isDrop()) {
+        ++position.pockets[descriptor._movingColoredPiece];
+        return;
+    }
+
+    // Promoted pieces go back to their origin square, and promotions are cancelled.
+    const promoted = position.promoted;
+    const movingSquareIndex = promoted.indexOf(descriptor.isCastling() ? descriptor._optionalSquare2 : descriptor._to);
+    if (movingSquareIndex >= 0) {
+        if (descriptor.isPromotion()) {
+            promoted.splice(movingSquareIndex, 1);
+        }
+        else {
+            promoted[movingSquareIndex] = descriptor.isCastling() ? descriptor._optionalSquare1 : descriptor._from;
+        }
+    }
+
+    // Captured pieces leave the pocket of the capturing player.
+    if (descriptor.isCapture()) {
+        if (capturedPromoted) {
+            promoted.push(descriptor._to);
+        }
+        const capturedPiece = capturedPromoted ? PieceImpl.PAWN : Math.trunc(descriptor._optionalColoredPiece / 2);
+        --position.pockets[capturedPiece * 2 + position.turn];
+    }
+}
@@ -23,22 +23,94 @@
 
 
 import { getAttacks } from './attacks';
-import { ColorImpl, PieceImpl, SpI, GameVariantImpl, figurineFromString, figurineToString, fileFromString, fileToString, rankFromString, rankToString,
+import { ColorImpl, PieceImpl, SpI, GameResultImpl, GameVariantImpl, figurineFromString, figurineToString, fileFromString, fileToString, rankFromString, rankToString,
     pieceFromString, pieceToString, squareFromString, squareToString } from './base_types_impl';
+import { givesCheck } from './checks';
 import { getFEN } from './fen';
 import { PositionImpl, makeCopy } from './impl';
-import { isLegal, isKingSafeAfterMove, refreshEffectiveEnPassant, refreshEffectiveCastling } from './legality';
+import { isLegal, isKingSafeAfterDrop, isKingSafeAfterMove, refreshEffectiveEnPassant, refreshEffectiveCastling } from './legality';
 import { MoveDescriptorImpl } from './move_descriptor_impl';
-import { isCheckmate, isCheck, isCaptureMandatory, isCastlingMoveLegal, play } from './move_generation';
+import { getVariantResult, isCheckmate, isCheck, isCaptureMandatory, isCastlingMoveLegal, play } from './move_generation';
 
 import { InvalidNotation } from '../exception';
 import { i18n } from '../i18n';
 
 
+/**
+ * Locale of the piece letters used in algebraic notation:
+ * - `'en'`: English (`K`, `Q`, `R`, `B`, `N`),
+ * - `'de'`: German (`K`, `D`, `T`, `L`, `S`),
+ * - `'es'`: Spanish (`R`, `D`, `T`, `A`, `C`),
+ * - `'fr'`: French (`R`, `D`, `T`, `F`, `C`),
+ * - `'it'`: Italian (`R`, `D`, `T`, `A`, `C`),
+ * - `'nl'`: Dutch (`K`, `D`, `T`, `L`, `P`),
+ * - `'pl'`: Polish (`K`, `H`, `W`, `G`, `S`),
+ * - `'pt'`: Portuguese (`R`, `D`, `T`, `B`, `C`),
+ * - `'sv'`: Swedish (`K`, `D`, `T`, `L`, `S`).
+ *
+ * Letters are given in the following order: king, queen, rook, bishop, knight.
+ */
+export type NotationLocale = 'en' | 'de' | 'es' | 'fr' | 'it' | 'nl' | 'pl' | 'pt' | 'sv';
+
+
+/**
+ * Piece letters for each locale, indexed by piece code (king, queen, rook, bishop, knight).
+ */
+const PIECE_LETTERS: Record<NotationLocale, string> = {
+    en: 'KQRBN',
+    de: 'KDTLS',
+    es: 'RDTAC',
+    fr: 'RDTFC',
+    it: 'RDTAC',
+    nl: 'KDTLP',
+    pl: 'KHWGS',
+    pt: 'RDTBC',
+    sv: 'KDTLS',
+};
+
+
+export function isNotationLocale(value: unknown): value is NotationLocale {
+    return typeof value === 'string' && Object.keys(PIECE_LETTERS).includes(value);
+}
+
+
+/**
+ * Return the piece letters (king, queen, rook, bishop, knight) used in the given locale.
+ */
+export function getPieceLetters(locale: NotationLocale) {
+    return PIECE_LETTERS[locale];
+}
+
+
+/**
+ * Replace the piece letters of the given algebraic notation, from locale `from` to locale `to`.
+ */
+export function translateNotation(notation: string, from: NotationLocale, to: NotationLocale) {
+    if (from === to) {
+        return notation;
+    }
+
+    // Pawn drops (crazyhouse) have no piece letter, except in English (e.g. `@e4` instead of `P@e4`).
+    if (from === 'en') {
+        notation = notation.replace(/^P@/, '@');
+    }
+
+    const fromLetters = PIECE_LETTERS[from];
+    const toLetters = PIECE_LETTERS[to];
+    return notation.replace(/[A-Z]/g, letter => {
+        const index = fromLetters.indexOf(letter);
+        return index < 0 ? letter : toLetters.charAt(index);
+    });
+}
+
+
+type PieceStyle = 'standard' | 'figurine' | NotationLocale;
+
+
 /**
  * Convert the given move descriptor to standard algebraic notation.
  */
-export function getNotation(position: PositionImpl, descriptor: MoveDescriptorImpl, pieceStyle: 'standard' | 'figurine') {
+export function getNotation(position: PositionImpl, descriptor: MoveDescriptorImpl, pieceStyle: PieceStyle) {
     let result = '';
 
     // Castling move
@@ -46,6 +118,12 @@ export function getNotation(position: PositionImpl, descriptor: MoveDescriptorIm
         result = descriptor._to % 16 === 6 ? 'O-O' : 'O-O-O';
     }
 
+    // Drop (the piece symbol is omitted for pawns, except in English and figurine notations)
+    else if (descriptor.isDrop()) {
+        const isEnglishPawnDrop = pieceStyle === 'en' && Math.trunc(descriptor._movingColoredPiece / 2) === PieceImpl.PAWN;
+        result += (isEnglishPawnDrop ? 'P' : getPieceSymbol(descriptor._movingColoredPiece, pieceStyle)) + '@' + squareToString(descriptor._to);
+    }
+
     // Pawn move
     else if (Math.trunc(descriptor._movingColoredPiece / 2) === PieceImpl.PAWN) {
         if (descriptor.isCapture()) {
@@ -76,12 +154,14 @@ export function getNotation(position: PositionImpl, descriptor: MoveDescriptorIm
 /**
  * Return a string representing the given chess piece according to the given style.
  */
-function getPieceSymbol(coloredPiece: number, pieceStyle: 'standard' | 'figurine') {
+function getPieceSymbol(coloredPiece: number, pieceStyle: PieceStyle) {
     switch (pieceStyle) {
         case 'figurine':
             return figurineToString(coloredPiece);
         case 'standard':
             return pieceToString(Math.trunc(coloredPiece / 2)).toUpperCase();
+        default:
+            return PIECE_LETTERS[pieceStyle].charAt(Math.trunc(coloredPiece / 2));
     }
 }
 
@@ -89,7 +169,7 @@ function getPieceSymbol(coloredPiece: number, pieceStyle: 'standard' | 'figurine
 /**
  * Return the check/checkmate symbol to use for a move.
  */
-function getCheckCheckmateSymbol(position: PositionImpl, descriptor: MoveDescriptorImpl) {
+export function getCheckCheckmateSymbol(position: PositionImpl, descriptor: MoveDescriptorImpl) {
     const nextPosition = makeCopy(position);
     play(nextPosition, descriptor);
     return isCheckmate(nextPosition) ? '#' : isCheck(nextPosition) ? '+' : '';
@@ -191,10 +271,10 @@ function pinningLoockup(position: PositionImpl, kingSquare: number, targetSquare
 /**
  * Parse a move notation for the given position.
  */
-export function parseNotation(position: PositionImpl, notation: string, strict: boolean, pieceStyle: 'standard' | 'figurine') {
+export function parseNotation(position: PositionImpl, notation: string, strict: boolean, pieceStyle: PieceStyle) {
 
     // General syntax
-    const m = /^(?:(O-O-O|0-0-0)|(O-O|0-0)|([A-Z\u2654-\u265f])([a-h])?([1-8])?(x)?([a-h][1-8])|(?:([a-h])(x)?)?([a-h][1-8])(?:(=)?([A-Z\u2654-\u265f]))?)([+#])?$/.exec(notation);
+    const m = /^(?:(O-O-O|0-0-0)|(O-O|0-0)|([A-Z\u2654-\u265f])([a-h])?([1-8])?(x)?([a-h][1-8])|(?:([a-h])(x)?)?([a-h][1-8])(?:(=)?([A-Z\u2654-\u265f]))?|([A-Z\u2654-\u265f])?@([a-h][1-8]))([+#])?$/.exec(notation);
     if (m === null) {
         throw new InvalidNotation(getFEN(position), notation, i18n.INVALID_MOVE_NOTATION_SYNTAX);
     }
@@ -222,8 +302,12 @@ export function parseNotation(position: PositionImpl, notation: string, strict:
     // m[11] -> = (promotion symbol)
     // m[12] -> promoted piece
 
+    // DROP (crazyhouse only)
+    // m[13] -> dropped piece (none for pawns)
+    // m[14] -> to
+
     // OTHER
-    // m[13] -> +/# (check/checkmate symbol)
+    // m[15] -> +/# (check/checkmate symbol)
 
     let descriptor: MoveDescriptorImpl;
 
@@ -235,36 +319,167 @@ export function parseNotation(position: PositionImpl, notation: string, strict:
     // Non-pawn move
     else if (m[3] !== undefined) {
         descriptor = parseNonPawnNotation(position, notation, strict, pieceStyle, m[3], m[4], m[5], m[7]);
+
+        // STRICT-MODE -> check the disambiguation symbol.
+        if (strict) {
+            const expectedDS = getDisambiguationSymbol(position, descriptor._from, descriptor._to);
+            const observedDS = (m[4] ?? '') + (m[5] ?? '');
+            if (expectedDS !== observedDS) {
+                throw new InvalidNotation(getFEN(position), notation, i18n.WRONG_DISAMBIGUATION_SYMBOL, expectedDS, observedDS);
+            }
+        }
+    }
+
+    // Drop
+    else if (m[14] !== undefined) {
+        descriptor = parseDropNotation(position, notation, strict, pieceStyle, m[13], m[14]);
     }
 
     // Pawn move
     else {
         descriptor = parsePawnMoveNotation(position, notation, strict, pieceStyle, m[8], m[10], m[11], m[12]);
     }
+    checkVariantRules(position, notation, descriptor);
 
     // STRICT MODE
     if (strict) {
-        const observedIsCapture = m[6] !== undefined || m[9] !== undefined;
-        if (descriptor.isCapture() !== observedIsCapture) {
-            const message = descriptor.isCapture() ? i18n.MISSING_CAPTURE_SYMBOL : i18n.INVALID_CAPTURE_SYMBOL;
-            throw new InvalidNotation(getFEN(position), notation, message);
+        checkCaptureAndCheckCheckmateSymbols(position, notation, descriptor, m[6] !== undefined || m[9] !== undefined, m[15]);
+    }
+
+    // Final result
+    return descriptor;
+}
+
+
+/**
+ * Parse a move in long algebraic notation (e.g. "Ng1-f3", "e4xd5", "e7-e8=Q", "O-O") for the given position.
+ */
+export function parseLongNotation(position: PositionImpl, notation: string, strict: boolean) {
+
+    // General syntax
+    const m = /^(?:(O-O-O|0-0-0)|(O-O|0-0)|([KQRBN])?([a-h][1-8])([-x])([a-h][1-8])(?:(=)?([A-Z]))?|([KQRBNP])?@([a-h][1-8]))([+#])?$/.exec(notation);
+    if (m === null) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.INVALID_MOVE_NOTATION_SYNTAX);
+    }
+
+    // Ensure that the position is legal.
+    if (!isLegal(position)) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.ILLEGAL_POSITION);
+    }
+
+    // CASTLING
+    // m[1] -> O-O-O
+    // m[2] -> O-O
+
+    // REGULAR MOVE
+    // m[3] -> moving piece (none for pawns)
+    // m[4] -> from
+    // m[5] -> - or x (move or capture symbol)
+    // m[6] -> to
+    // m[7] -> = (promotion symbol)
+    // m[8] -> promoted piece
+
+    // DROP (crazyhouse only)
+    // m[9] -> dropped piece
+    // m[10] -> to
+
+    // OTHER
+    // m[11] -> +/# (check/checkmate symbol)
+
+    let descriptor: MoveDescriptorImpl;
+
+    // Parse castling moves
+    if (m[1] !== undefined || m[2] !== undefined) {
+        descriptor = parseCastlingNotation(position, notation, strict, m[1], m[2]);
+    }
+
+    // Drop (same notation as in standard algebraic notation)
+    else if (m[10] !== undefined) {
+        descriptor = parseDropNotation(position, notation, strict, 'standard', m[9], m[10]);
+    }
+
+    // Non-pawn move (the origin square is passed as a file+rank disambiguation symbol)
+    else if (m[3] !== undefined) {
+        if (m[7] !== undefined || m[8] !== undefined) {
+            throw new InvalidNotation(getFEN(position), notation, i18n.ILLEGAL_PROMOTION);
         }
-        const expectedCCS = getCheckCheckmateSymbol(position, descriptor);
-        const observedCCS = m[13] ?? '';
-        if (expectedCCS !== observedCCS) {
-            throw new InvalidNotation(getFEN(position), notation, i18n.WRONG_CHECK_CHECKMATE_SYMBOL, expectedCCS, observedCCS);
+        descriptor = parseNonPawnNotation(position, notation, strict, 'standard', m[3], m[4].charAt(0), m[4].charAt(1), m[6]);
+    }
+
+    // Pawn move
+    else {
+        const isDiagonal = m[4].charAt(0) !== m[6].charAt(0);
+        descriptor = parsePawnMoveNotation(position, notation, strict, 'standard', isDiagonal ? m[4].charAt(0) : undefined, m[6], m[7], m[8]);
+        if (descriptor.from() !== m[4]) {
+            const message = isDiagonal ? i18n.INVALID_CAPTURING_PAWN_MOVE : i18n.INVALID_NON_CAPTURING_PAWN_MOVE;
+            throw new InvalidNotation(getFEN(position), notation, message);
         }
     }
+    checkVariantRules(position, notation, descriptor);
+
+    // STRICT MODE
+    if (strict) {
+        checkCaptureAndCheckCheckmateSymbols(position, notation, descriptor, m[5] === 'x', m[11]);
+    }
 
     // Final result
     return descriptor;
 }
 
 
+/**
+ * Convert the given move descriptor to long algebraic notation (e.g. "Ng1-f3", "e4xd5", "e7-e8=Q", "O-O").
+ */
+export function getLongNotation(position: PositionImpl, descriptor: MoveDescriptorImpl) {
+    let result = '';
+
+    // Castling move
+    if (descriptor.isCastling()) {
+        result = descriptor._to % 16 === 6 ? 'O-O' : 'O-O-O';
+    }
+
+    // Drop (same notation as in standard algebraic notation)
+    else if (descriptor.isDrop()) {
+        result += getPieceSymbol(descriptor._movingColoredPiece, 'standard') + '@' + squareToString(descriptor._to);
+    }
+
+    // Regular move (piece symbol is omitted for pawns)
+    else {
+        if (Math.trunc(descriptor._movingColoredPiece / 2) !== PieceImpl.PAWN) {
+            result += getPieceSymbol(descriptor._movingColoredPiece, 'standard');
+        }
+        result += squareToString(descriptor._from) + (descriptor.isCapture() ? 'x' : '-') + squareToString(descriptor._to);
+        if (descriptor.isPromotion()) {
+            result += '=' + getPieceSymbol(descriptor._finalColoredPiece, 'standard');
+        }
+    }
+
+    // Check/checkmate detection and final result.
+    result += getCheckCheckmateSymbol(position, descriptor);
+    return result;
+}
+
+
+/**
+ * Strict-mode verification of the capture and check/checkmate symbols of a parsed move.
+ */
+function checkCaptureAndCheckCheckmateSymbols(position: PositionImpl, notation: string, descriptor: MoveDescriptorImpl, observedIsCapture: boolean,
+    observedCCS: string | undefined) {
+    if (descriptor.isCapture() !== observedIsCapture) {
+        const message = descriptor.isCapture() ? i18n.MISSING_CAPTURE_SYMBOL : i18n.INVALID_CAPTURE_SYMBOL;
+        throw new InvalidNotation(getFEN(position), notation, message);
+    }
+    const expectedCCS = getCheckCheckmateSymbol(position, descriptor);
+    if (expectedCCS !== (observedCCS ?? '')) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.WRONG_CHECK_CHECKMATE_SYMBOL, expectedCCS, observedCCS ?? '');
+    }
+}
+
+
 /**
  * Delegate function that computes the move descriptor corresponding to a castling move (corresponding notation: "O-O" or "O-O-O").
  */
-function parseCastlingNotation(position: PositionImpl, notation: string, strict: boolean, queenSideCastlingSymbol: string | undefined,
+export function parseCastlingNotation(position: PositionImpl, notation: string, strict: boolean, queenSideCastlingSymbol: string | undefined,
     kingSideCastlingSymbol: string | undefined): MoveDescriptorImpl {
 
     const from = position.king[position.turn];
@@ -293,10 +508,24 @@ function parseCastlingNotation(position: PositionImpl, notation: string, strict:
 }
 
 
+/**
+ * Ensure that the given move is not forbidden by a variant-specific rule, i.e. that the game is not already over (three-check, king of the hill
+ * and racing kings), and that the move does not give check (racing kings).
+ */
+export function checkVariantRules(position: PositionImpl, notation: string, descriptor: MoveDescriptorImpl) {
+    if (getVariantResult(position) !== GameResultImpl.LINE) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.GAME_OVER_BY_VARIANT_RULE);
+    }
+    if (position.variant === GameVariantImpl.RACING_KINGS && givesCheck(position, descriptor)) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.CHECK_NOT_ALLOWED);
+    }
+}
+
+
 /**
  * Returns the file of a `to` square to take into account to check whether a castling move is legal or not.
  */
-function getCastlingDestinationFile(position: PositionImpl, isKingSideCastling: boolean) {
+export function getCastlingDestinationFile(position: PositionImpl, isKingSideCastling: boolean) {
     if (position.variant === GameVariantImpl.CHESS960) {
         if (position.effectiveCastling![position.turn] !== 0) {
             const castlingKing = PieceImpl.KING * 2 + position.turn;
@@ -322,7 +551,7 @@ function getCastlingDestinationFile(position: PositionImpl, isKingSideCastling:
  * - 3: rank disambiguation
  * - d5: destination square
  */
-function parseNonPawnNotation(position: PositionImpl, notation: string, strict: boolean, pieceStyle: 'standard' | 'figurine',
+function parseNonPawnNotation(position: PositionImpl, notation: string, strict: boolean, pieceStyle: PieceStyle,
     pieceSymbol: string, fileDisambiguation: string | undefined, rankDisambiguation: string | undefined, destinationSquare: string): MoveDescriptorImpl {
 
     const movingColoredPiece = parsePieceSymbol(position, notation, pieceSymbol, strict, pieceStyle) * 2 + position.turn;
@@ -371,15 +600,6 @@ function parseNonPawnNotation(position: PositionImpl, notation: string, strict:
         throw new InvalidNotation(getFEN(position), notation, message);
     }
 
-    // STRICT-MODE -> check the disambiguation symbol.
-    if (strict) {
-        const expectedDS = getDisambiguationSymbol(position, descriptor._from, to);
-        const observedDS = (fileDisambiguation ?? '') + (rankDisambiguation ?? '');
-        if (expectedDS !== observedDS) {
-            throw new InvalidNotation(getFEN(position), notation, i18n.WRONG_DISAMBIGUATION_SYMBOL, expectedDS, observedDS);
-        }
-    }
-
     return descriptor;
 }
 
@@ -392,7 +612,7 @@ function parseNonPawnNotation(position: PositionImpl, notation: string, strict:
  * - =: promotion symbol
  * - Q: promoted piece
  */
-function parsePawnMoveNotation(position: PositionImpl, notation: string, strict: boolean, pieceStyle: 'standard' | 'figurine',
+function parsePawnMoveNotation(position: PositionImpl, notation: string, strict: boolean, pieceStyle: PieceStyle,
     originFile: string | undefined, destinationSquare: string, promotionSymbol: string | undefined, promotedPiece: string | undefined): MoveDescriptorImpl {
 
     const coloredPawn = PieceImpl.PAWN * 2 + position.turn;
@@ -500,10 +720,47 @@ function parsePawnMoveNotation(position: PositionImpl, notation: string, strict:
 }
 
 
+/**
+ * Delegate function that computes the move descriptor corresponding to a drop (crazyhouse only). Corresponding notation, for instance "N@f3":
+ *
+ * - N: dropped piece (may be omitted for pawns)
+ * - f3: destination square
+ */
+function parseDropNotation(position: PositionImpl, notation: string, strict: boolean, pieceStyle: PieceStyle, pieceSymbol: string | undefined,
+    destinationSquare: string): MoveDescriptorImpl {
+
+    // The English locale is the only one in which pawn drops have a piece letter (e.g. `P@e4`).
+    // In strict mode, this letter (or the figurine) must be present, except with the other locales.
+    const isPawnDrop = pieceSymbol === undefined || (pieceStyle === 'en' && pieceSymbol === 'P');
+    if (strict && pieceSymbol === undefined && (pieceStyle === 'standard' || pieceStyle === 'figurine' || pieceStyle === 'en')) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.MISSING_PAWN_DROP_SYMBOL);
+    }
+    const piece = isPawnDrop ? PieceImpl.PAWN : parsePieceSymbol(position, notation, pieceSymbol, strict, pieceStyle);
+    const coloredPiece = piece * 2 + position.turn;
+    const to = squareFromString(destinationSquare);
+
+    if (position.pockets[coloredPiece] === 0) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.NO_PIECE_TO_DROP);
+    }
+    if (position.board[to] !== SpI.EMPTY) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.DROP_ON_OCCUPIED_SQUARE);
+    }
+    if (piece === PieceImpl.PAWN && (to < 8 || to >= 112)) {
+        throw new InvalidNotation(getFEN(position), notation, i18n.INVALID_PAWN_DROP);
+    }
+    if (!isKingSafeAfterDrop(position, to)) {
+        const message = position.turn === ColorImpl.WHITE ? i18n.NOT_SAFE_FOR_WHITE_KING : i18n.NOT_SAFE_FOR_BLACK_KING;
+        throw new InvalidNotation(getFEN(position), notation, message);
+    }
+
+    return MoveDescriptorImpl.makeDrop(to, coloredPiece);
+}
+
+
 /**
  * Delegate function for piece symbol parsing.
  */
-function parsePieceSymbol(position: PositionImpl, notation: string, pieceSymbol: string, strict: boolean, pieceStyle: 'standard' | 'figurine') {
+function parsePieceSymbol(position: PositionImpl, notation: string, pieceSymbol: string, strict: boolean, pieceStyle: PieceStyle) {
     switch (pieceStyle) {
 
         case 'figurine': {
@@ -524,5 +781,13 @@ function parsePieceSymbol(position: PositionImpl, notation: string, pieceSymbol:
             }
             return pieceCode;
         }
+
+        default: {
+            const pieceCode = PIECE_LETTERS[pieceStyle].indexOf(pieceSymbol);
+            if (pieceCode < 0) {
+                throw new InvalidNotation(getFEN(position), notation, i18n.INVALID_PIECE_SYMBOL, pieceSymbol);
+            }
+            return pieceCode;
+        }
     }
 }
@@ -0,0 +1,68 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { PositionImpl, makeCopy } from './impl';
+import { MoveDescriptorImpl } from './move_descriptor_impl';
+import { moves, play } from './move_generation';
+import { getUCINotation } from './uci';
+
+
+/**
+ * Count the leaf nodes of the move generation tree rooted at the given position and of the given depth.
+ *
+ * @param bulkCounting - If `true`, the moves at the last level of the tree are counted without being played.
+ */
+export function perft(position: PositionImpl, depth: number, bulkCounting: boolean): number {
+    if (depth === 0) {
+        return 1;
+    }
+    const moveDescriptors = moves(position) as MoveDescriptorImpl[];
+    if (depth === 1 && bulkCounting) {
+        return moveDescriptors.length;
+    }
+    let result = 0;
+    for (const moveDescriptor of moveDescriptors) {
+        result += perft(playOnCopy(position, moveDescriptor), depth - 1, bulkCounting);
+    }
+    return result;
+}
+
+
+/**
+ * Same as {@link perft}, but the leaf node count is split by root move (identified by its UCI notation).
+ */
+export function divide(position: PositionImpl, depth: number, bulkCounting: boolean) {
+    const result: Record<string, number> = {};
+    for (const moveDescriptor of moves(position) as MoveDescriptorImpl[]) {
+        result[getUCINotation(position, moveDescriptor, false)] = perft(playOnCopy(position, moveDescriptor), depth - 1, bulkCounting);
+    }
+    return result;
+}
+
+
+function playOnCopy(position: PositionImpl, moveDescriptor: MoveDescriptorImpl) {
+    const result = makeCopy(position);
+    play(result, moveDescriptor);
+    return result;
+}
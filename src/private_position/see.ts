@@ -0,0 +1,103 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { getAttacks } from './attacks';
+import { PieceImpl } from './base_types_impl';
+import { PositionImpl, makeCopy } from './impl';
+import { PIECE_VALUE } from './material';
+import { MoveDescriptorImpl } from './move_descriptor_impl';
+import { isMoveLegal, play } from './move_generation';
+
+
+/**
+ * Order in which the pieces are considered when looking for the next capture of an exchange sequence (least valuable first).
+ */
+const CAPTURE_ORDER = [ PieceImpl.PAWN, PieceImpl.KNIGHT, PieceImpl.BISHOP, PieceImpl.ROOK, PieceImpl.QUEEN, PieceImpl.KING ];
+
+
+/**
+ * Static exchange evaluation: material balance (in centipawns, from the point of view of the player making the move) of the sequence
+ * of captures on the destination square of the given move, assuming that both players always capture with their least valuable piece,
+ * and may stop capturing whenever it is in their interest to do so.
+ *
+ * The attackers are looked-up again after each capture, so that sliding pieces located behind another attacker (x-rays) are taken into account.
+ * Only legal captures are considered (in particular, pinned pieces cannot take part in the exchange). Pawns reaching the last rank are
+ * assumed to be promoted to queens.
+ */
+export function see(position: PositionImpl, descriptor: MoveDescriptorImpl) {
+    const target = descriptor._to;
+    const gain = [ moveGain(descriptor) ];
+
+    position = makeCopy(position);
+    play(position, descriptor);
+
+    // Play the captures on the target square until there are no more legal ones.
+    while (true) {
+        const capture = findLeastValuableCapture(position, target);
+        if (!capture) {
+            break;
+        }
+        gain.push(moveGain(capture) - gain[gain.length - 1]);
+        play(position, capture);
+    }
+
+    // Each player can decide to stop the exchange sequence instead of capturing, if it turns out to be more profitable.
+    for (let i = gain.length - 1; i > 0; --i) {
+        gain[i - 1] = Math.min(gain[i - 1], -gain[i]);
+    }
+    return gain[0] + 0; // `+ 0` turns a potential `-0` into `0`.
+}
+
+
+/**
+ * Material gain of the given move, not taking into account any reply.
+ */
+function moveGain(descriptor: MoveDescriptorImpl) {
+    let result = descriptor.isCapture() ? PIECE_VALUE[Math.trunc(descriptor._optionalColoredPiece / 2)] : 0;
+    if (descriptor.isPromotion()) {
+        result += PIECE_VALUE[Math.trunc(descriptor._finalColoredPiece / 2)] - PIECE_VALUE[PieceImpl.PAWN];
+    }
+    return result;
+}
+
+
+/**
+ * Return the legal capture on the given square performed by the least valuable piece of the player about to play, or `false` if there is none.
+ */
+function findLeastValuableCapture(position: PositionImpl, target: number) {
+    const attackers = getAttacks(position, target, position.turn);
+    for (const piece of CAPTURE_ORDER) {
+        for (const from of attackers) {
+            if (Math.trunc(position.board[from] / 2) !== piece) {
+                continue;
+            }
+            const moveInfo = isMoveLegal(position, from, target);
+            if (!moveInfo) {
+                continue;
+            }
+            return moveInfo.type === 'promotion' ? moveInfo.moveDescriptorFactory(PieceImpl.QUEEN) as MoveDescriptorImpl : moveInfo.moveDescriptor;
+        }
+    }
+    return false;
+}
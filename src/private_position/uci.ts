@@ -27,7 +27,7 @@ import { getFEN } from './fen';
 import { PositionImpl } from './impl';
 import { isLegal } from './legality';
 import { MoveDescriptorImpl } from './move_descriptor_impl';
-import { isMoveLegal } from './move_generation';
+import { isDropLegal, isMoveLegal } from './move_generation';
 
 import { InvalidNotation } from '../exception';
 import { i18n } from '../i18n';
@@ -37,6 +37,10 @@ import { i18n } from '../i18n';
  * Convert the given move descriptor to UCI notation.
  */
 export function getUCINotation(position: PositionImpl, descriptor: MoveDescriptorImpl, forceKxR: boolean) {
+    if (descriptor.isDrop()) {
+        return descriptor.movingPiece().toUpperCase() + '@' + descriptor.to();
+    }
+
     let result = descriptor.from();
 
     if (descriptor.isCastling()) {
@@ -60,7 +64,7 @@ export function getUCINotation(position: PositionImpl, descriptor: MoveDescripto
 export function parseUCINotation(position: PositionImpl, notation: string, strict: boolean) {
 
     // General syntax
-    const m = /^([a-h][1-8])([a-h][1-8])([kqrbnp]?)$/.exec(notation);
+    const m = /^(?:([a-h][1-8])([a-h][1-8])([kqrbnp]?)|([QRBNP])@([a-h][1-8]))$/.exec(notation);
     if (m === null) {
         throw new InvalidNotation(getFEN(position), notation, i18n.INVALID_UCI_NOTATION_SYNTAX);
     }
@@ -71,10 +75,24 @@ export function parseUCINotation(position: PositionImpl, notation: string, stric
         throw new InvalidNotation(getFEN(position), notation, i18n.ILLEGAL_POSITION);
     }
 
+    // REGULAR MOVE
     // m[1] - from
     // m[2] - to
     // m[3] - promotion piece
 
+    // DROP (crazyhouse only)
+    // m[4] - dropped piece
+    // m[5] - to
+
+    // Parse drops
+    if (m[4] !== undefined) {
+        const descriptor = isDropLegal(position, pieceFromString(m[4].toLowerCase()), squareFromString(m[5]));
+        if (!descriptor) {
+            throw new InvalidNotation(getFEN(position), notation, i18n.ILLEGAL_UCI_MOVE);
+        }
+        return descriptor;
+    }
+
     const from = squareFromString(m[1]);
     let to = squareFromString(m[2]);
     let kxRSubstitutionApplied = false;
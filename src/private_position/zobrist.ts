@@ -0,0 +1,169 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+import { ColorImpl, CpI, SpI, GameVariantImpl } from './base_types_impl';
+import { MAX_POCKET_COUNT, PositionImpl } from './impl';
+import { refreshEffectiveCastling, refreshEffectiveEnPassant } from './legality';
+
+
+/* eslint-disable @stylistic/no-multi-spaces */
+const PIECE_SQUARE_OFFSET = 0; // 12 colored pieces x 128 squares (0x88 indexing, so that some entries are never used)
+const CASTLING_OFFSET     = PIECE_SQUARE_OFFSET + 12 * 128; // 2 colors x 8 files
+const EN_PASSANT_OFFSET   = CASTLING_OFFSET + 16; // 8 files
+const TURN_OFFSET         = EN_PASSANT_OFFSET + 8;
+const VARIANT_OFFSET      = TURN_OFFSET + 1; // 1 entry per variant
+const CHECK_COUNT_OFFSET  = VARIANT_OFFSET + GameVariantImpl.CRAZYHOUSE + 1; // 2 colors x 3 check counts (three-check only)
+const POCKET_OFFSET       = CHECK_COUNT_OFFSET + 6; // 10 colored pieces (kings excluded) x MAX_POCKET_COUNT counts (crazyhouse only)
+const KEY_COUNT           = POCKET_OFFSET + 10 * MAX_POCKET_COUNT;
+/* eslint-enable */
+
+
+/**
+ * Random values, split in high and low 32-bit halves.
+ *
+ * They are generated with a fixed seed, so that the Zobrist key of a given position does not change from one run to another.
+ */
+const RANDOM_HI: number[] = [];
+const RANDOM_LO: number[] = [];
+(() => {
+    let state = 0x4b6f6b6f; // "Koko"
+
+    // Mulberry32 generator (non-linear, which is important as the keys are combined with XOR).
+    function nextRandom() {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return t ^ (t >>> 14);
+    }
+
+    for (let i = 0; i < KEY_COUNT; ++i) {
+        RANDOM_HI.push(nextRandom());
+        RANDOM_LO.push(nextRandom());
+    }
+})();
+
+
+/**
+ * Refresh the Zobrist key of the given position if it is set to null (which means that its value is unknown).
+ *
+ * The en-passant flag is not part of the key stored in the position, as the effective en-passant flag may not be known
+ * at the time the key is updated (see {@link play}): it is taken into account in {@link getZobristKey} only.
+ */
+export function refreshZobrist(position: PositionImpl) {
+    if (position.zobrist !== null) {
+        return;
+    }
+    refreshEffectiveCastling(position);
+
+    const zobrist = [ 0, 0 ];
+    for (let sq = 0; sq < 120; sq += (sq & 0x7) === 7 ? 9 : 1) {
+        const cp = position.board[sq];
+        if (cp !== SpI.EMPTY) {
+            togglePiece(zobrist, cp, sq);
+        }
+    }
+    toggleCastling(zobrist, ColorImpl.WHITE, position.effectiveCastling![ColorImpl.WHITE]);
+    toggleCastling(zobrist, ColorImpl.BLACK, position.effectiveCastling![ColorImpl.BLACK]);
+    if (position.turn === ColorImpl.BLACK) {
+        toggleTurn(zobrist);
+    }
+    zobrist[0] ^= RANDOM_HI[VARIANT_OFFSET + position.variant];
+    zobrist[1] ^= RANDOM_LO[VARIANT_OFFSET + position.variant];
+    toggleCheckCount(zobrist, ColorImpl.WHITE, position.checks[ColorImpl.WHITE]);
+    toggleCheckCount(zobrist, ColorImpl.BLACK, position.checks[ColorImpl.BLACK]);
+    for (let cp = CpI.WQ; cp <= CpI.BP; ++cp) {
+        togglePocketCount(zobrist, cp, position.pockets[cp]);
+    }
+
+    position.zobrist = zobrist;
+}
+
+
+/**
+ * Return the 64-bit Zobrist key of the given position.
+ */
+export function getZobristKey(position: PositionImpl) {
+    refreshZobrist(position);
+    refreshEffectiveEnPassant(position);
+    let hi = position.zobrist![0];
+    let lo = position.zobrist![1];
+    if (position.effectiveEnPassant! >= 0) {
+        hi ^= RANDOM_HI[EN_PASSANT_OFFSET + position.effectiveEnPassant!];
+        lo ^= RANDOM_LO[EN_PASSANT_OFFSET + position.effectiveEnPassant!];
+    }
+    return BigInt(hi >>> 0) << 32n | BigInt(lo >>> 0);
+}
+
+
+/**
+ * Add or remove the given colored piece on the given square.
+ */
+export function togglePiece(zobrist: number[], cp: number, sq: number) {
+    zobrist[0] ^= RANDOM_HI[PIECE_SQUARE_OFFSET + cp * 128 + sq];
+    zobrist[1] ^= RANDOM_LO[PIECE_SQUARE_OFFSET + cp * 128 + sq];
+}
+
+
+/**
+ * Add or remove the castling flags corresponding to the given color and file mask.
+ */
+export function toggleCastling(zobrist: number[], color: number, fileMask: number) {
+    for (let file = 0; fileMask !== 0; ++file, fileMask >>= 1) {
+        if ((fileMask & 0x01) !== 0) {
+            zobrist[0] ^= RANDOM_HI[CASTLING_OFFSET + color * 8 + file];
+            zobrist[1] ^= RANDOM_LO[CASTLING_OFFSET + color * 8 + file];
+        }
+    }
+}
+
+
+/**
+ * Switch the player about to play.
+ */
+export function toggleTurn(zobrist: number[]) {
+    zobrist[0] ^= RANDOM_HI[TURN_OFFSET];
+    zobrist[1] ^= RANDOM_LO[TURN_OFFSET];
+}
+
+
+/**
+ * Add or remove the given number of checks given by the given player (three-check only). Nothing is done if the number of checks is 0.
+ */
+export function toggleCheckCount(zobrist: number[], color: number, checkCount: number) {
+    if (checkCount > 0) {
+        zobrist[0] ^= RANDOM_HI[CHECK_COUNT_OFFSET + color * 3 + checkCount - 1];
+        zobrist[1] ^= RANDOM_LO[CHECK_COUNT_OFFSET + color * 3 + checkCount - 1];
+    }
+}
+
+
+/**
+ * Add or remove the given number of pieces of the given type held in a pocket (crazyhouse only). Nothing is done if the number of pieces is 0.
+ */
+export function togglePocketCount(zobrist: number[], cp: number, count: number) {
+    if (count > 0) {
+        zobrist[0] ^= RANDOM_HI[POCKET_OFFSET + (cp - CpI.WQ) * MAX_POCKET_COUNT + count - 1];
+        zobrist[1] ^= RANDOM_LO[POCKET_OFFSET + (cp - CpI.WQ) * MAX_POCKET_COUNT + count - 1];
+    }
+}
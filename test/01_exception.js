@@ -115,6 +115,30 @@ describe('Invalid PGN exception', () => {
 });
 
 
+describe('Invalid EPD exception', () => {
+
+    function testInvalidEPD(e, expectedEPD, expectedLineNumber, expectedMessage) {
+        assert.deepEqual(e.epd, expectedEPD);
+        assert.deepEqual(e.lineNumber, expectedLineNumber);
+        assert.deepEqual(e.message, expectedMessage);
+        assert.deepEqual(e.toString(), `InvalidEPD -> [line=${expectedLineNumber}] ${expectedMessage}`);
+    }
+
+    it('No-argument message', () => {
+        const e = new exception.InvalidEPD('not an EPD', 1, i18n.WRONG_NUMBER_OF_EPD_FIELDS);
+        testInvalidEPD(e, 'not an EPD', 1, 'An EPD record must start with 4 space-separated fields.');
+    });
+    it('1-argument message', () => {
+        const e = new exception.InvalidEPD('8/8/8/8/8/8/8/8 w - - bm', 12, i18n.INVALID_EPD_OPERANDS, 'bm');
+        testInvalidEPD(e, '8/8/8/8/8/8/8/8 w - - bm', 12, 'Invalid operand(s) for EPD opcode `bm`.');
+    });
+    it('Ill-formed message', () => {
+        const e = new exception.InvalidEPD('whatever', 3, 'arg1={1} arg0={0}', 'zero');
+        testInvalidEPD(e, 'whatever', 3, 'arg1={1} arg0=zero');
+    });
+});
+
+
 describe('Invalid POJO exception', () => {
 
     function testInvalidPOJO(e, expectedPOJO, expectedFieldName, expectedMessage) {
@@ -137,3 +161,4 @@ describe('Invalid POJO exception', () => {
         testInvalidPOJO(e, 'whatever', '', 'arg1=one arg0=zero arg0=zero arg2={2} arg1=one');
     });
 });
+
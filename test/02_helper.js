@@ -90,7 +90,7 @@ describe('Is game result', () => {
 
 
 describe('Is game variant', () => {
-    itIsType(isGameVariant, [ 'regular', 'chess960', 'antichess', 'horde' ], [ '', 42, 'Regular', 'fischerandom' ]);
+    itIsType(isGameVariant, [ 'regular', 'chess960', 'antichess', 'horde', 'three-check', 'king-of-the-hill', 'racing-kings', 'crazyhouse' ], [ '', 42, 'Regular', 'fischerandom' ]);
 });
 
 
@@ -31,7 +31,12 @@ const startFEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
 const startXFEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w AHah - 0 1';
 const startFENAntichess = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w - - 0 1';
 const startFENHorde = 'rnbqkbnr/pppppppp/8/1PP2PP1/PPPPPPPP/PPPPPPPP/PPPPPPPP/PPPPPPPP w kq - 0 1';
+const startFENThreeCheck = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1 +0+0';
+const startFENRacingKings = '8/8/8/8/8/8/krbnNBRK/qrbnNBRQ w - - 0 1';
+const startFENCrazyhouse = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[] w KQkq - 0 1';
 const emptyFEN = '8/8/8/8/8/8/8/8 w - - 0 1';
+const emptyFENThreeCheck = '8/8/8/8/8/8/8/8 w - - 0 1 +0+0';
+const emptyFENCrazyhouse = '8/8/8/8/8/8/8/8[] w - - 0 1';
 const customFEN = 'r3k2r/pb3pbp/1p4p1/3n4/1PpP4/P4NB1/5PPP/R3KB1R b KQkq d3 0 1';
 const customFENNoCastling = 'r3k2r/pb3pbp/1p4p1/3n4/1PpP4/P4NB1/5PPP/R3KB1R b - d3 0 1';
 const customFENWhiteCastlingOnly = 'r3k2r/pb3pbp/1p4p1/3n4/1PpP4/P4NB1/5PPP/R3KB1R b KQ d3 0 1';
@@ -39,8 +44,21 @@ const customFENBlackCastlingOnly = 'r3k2r/pb3pbp/1p4p1/3n4/1PpP4/P4NB1/5PPP/R3KB
 const customXFEN = 'qrkbrnbn/pppppppp/8/8/8/8/PPPPPPPP/QRKBRNBN w BEbe - 0 1';
 const customXFENAsFEN = 'qrkbrnbn/pppppppp/8/8/8/8/PPPPPPPP/QRKBRNBN w KQkq - 0 1';
 const customFENHorde = '1Q3rk1/2P4p/1P2pp2/2PP4/5P1P/2q1PPPP/2P1PPPP/2PPPPPP b - - 0 1';
-
-const variants = [ 'regular', 'chess960', 'no-king', 'white-king-only', 'black-king-only', 'antichess', 'horde' ];
+const customFENThreeCheck = 'r3k2r/pb3pbp/1p4p1/3n4/1PpP4/P4NB1/5PPP/R3KB1R b KQkq d3 0 1 +2+1';
+const customFENRacingKings = '8/8/8/8/8/8/krbnNBRK/qrbnNBRQ w - - 0 1';
+const customFENCrazyhouse = 'r3k2r/pb3pbp/1p4p1/3n4/1PpP4/P4NB1/5PPP/R3KB1R[QPPn] b KQkq d3 0 1';
+const customFENCrazyhousePromoted = 'r3k2r/pb3pbp/1p4p1/3n4/1PpP4/P4NB1/5PPP/R3KB~1R[QPPn] b KQkq d3 0 1';
+
+const variants = [ 'regular', 'chess960', 'no-king', 'white-king-only', 'black-king-only', 'antichess', 'horde', 'three-check', 'king-of-the-hill',
+    'racing-kings', 'crazyhouse' ];
+
+function emptyFENFor(variant) {
+    switch (variant) {
+        case 'three-check': return emptyFENThreeCheck;
+        case 'crazyhouse': return emptyFENCrazyhouse;
+        default: return emptyFEN;
+    }
+}
 
 
 describe('Position constructor', () => {
@@ -91,6 +109,35 @@ describe('Position constructor', () => {
     doTest('Constructor FEN-based (horde)'            , 'horde', customFENHorde, () => new Position('horde', customFENHorde));
     doTest('Constructor FEN-based with prefix (horde)', 'horde', customFENHorde, () => new Position('horde:' + customFENHorde));
 
+    doTest('Default constructor (three-check)'              , 'three-check', startFENThreeCheck  , () => new Position('three-check'));
+    doTest('Constructor \'start\' (three-check)'            , 'three-check', startFENThreeCheck  , () => new Position('three-check', 'start'));
+    doTest('Constructor \'empty\' (three-check)'            , 'three-check', emptyFENThreeCheck  , () => new Position('three-check', 'empty'));
+    doTest('Constructor FEN-based (three-check)'            , 'three-check', customFENThreeCheck , () => new Position('three-check', customFENThreeCheck));
+    doTest('Constructor FEN-based with prefix (three-check)', 'three-check', customFENThreeCheck , () => new Position('three-check:' + customFENThreeCheck));
+    doTest('Constructor 6-field FEN-based (three-check)'    , 'three-check', customFEN + ' +0+0' , () => new Position('three-check', customFEN));
+
+    doTest('Default constructor (king-of-the-hill)'              , 'king-of-the-hill', startFEN , () => new Position('king-of-the-hill'));
+    doTest('Constructor \'start\' (king-of-the-hill)'            , 'king-of-the-hill', startFEN , () => new Position('king-of-the-hill', 'start'));
+    doTest('Constructor \'empty\' (king-of-the-hill)'            , 'king-of-the-hill', emptyFEN , () => new Position('king-of-the-hill', 'empty'));
+    doTest('Constructor FEN-based (king-of-the-hill)'            , 'king-of-the-hill', customFEN, () => new Position('king-of-the-hill', customFEN));
+    doTest('Constructor FEN-based with prefix (king-of-the-hill)', 'king-of-the-hill', customFEN, () => new Position('king-of-the-hill:' + customFEN));
+
+    doTest('Default constructor (racing-kings)'              , 'racing-kings', startFENRacingKings , () => new Position('racing-kings'));
+    doTest('Constructor \'start\' (racing-kings)'            , 'racing-kings', startFENRacingKings , () => new Position('racing-kings', 'start'));
+    doTest('Constructor \'empty\' (racing-kings)'            , 'racing-kings', emptyFEN            , () => new Position('racing-kings', 'empty'));
+    doTest('Constructor FEN-based (racing-kings)'            , 'racing-kings', customFENNoCastling , () => new Position('racing-kings', customFEN));
+    doTest('Constructor FEN-based with prefix (racing-kings)', 'racing-kings', customFENRacingKings, () => new Position('racing-kings:' + customFENRacingKings));
+
+    doTest('Default constructor (crazyhouse)'              , 'crazyhouse', startFENCrazyhouse         , () => new Position('crazyhouse'));
+    doTest('Constructor \'start\' (crazyhouse)'            , 'crazyhouse', startFENCrazyhouse         , () => new Position('crazyhouse', 'start'));
+    doTest('Constructor \'empty\' (crazyhouse)'            , 'crazyhouse', emptyFENCrazyhouse         , () => new Position('crazyhouse', 'empty'));
+    doTest('Constructor FEN-based (crazyhouse)'            , 'crazyhouse', customFENCrazyhouse        , () => new Position('crazyhouse', customFENCrazyhouse));
+    doTest('Constructor FEN-based with prefix (crazyhouse)', 'crazyhouse', customFENCrazyhouse        , () => new Position('crazyhouse:' + customFENCrazyhouse));
+    doTest('Constructor FEN-based without pocket (crazyhouse)', 'crazyhouse', 'r3k2r/pb3pbp/1p4p1/3n4/1PpP4/P4NB1/5PPP/R3KB1R[] b KQkq d3 0 1',
+        () => new Position('crazyhouse', customFEN));
+    doTest('Constructor FEN-based with promoted piece (crazyhouse)', 'crazyhouse', customFENCrazyhousePromoted,
+        () => new Position('crazyhouse', customFENCrazyhousePromoted));
+
     /* eslint-enable */
 
     function doFailureTest(label, fenParsingErrorExpected, positionFactory) {
@@ -121,6 +168,16 @@ describe('Position constructor', () => {
     doFailureTest('Invalid FEN string with invalid variant', true, () => new Position('Something strange: a string with a colon in it...'));
     doFailureTest('Invalid FEN string with variant', true, () => new Position('regular', 'NotAFENString'));
     doFailureTest('Invalid FEN string with variant (as prefix)', true, () => new Position('regular:NotAFENString'));
+    doFailureTest('Invalid check count field 1', true, () => new Position('three-check', '8/8/8/8/8/8/8/8 w - - 0 1 +4+0'));
+    doFailureTest('Invalid check count field 2', true, () => new Position('three-check', '8/8/8/8/8/8/8/8 w - - 0 1 2+1'));
+    doFailureTest('Check count field without three-check', true, () => new Position('8/8/8/8/8/8/8/8 w - - 0 1 +0+0'));
+    doFailureTest('Invalid pocket 1', true, () => new Position('crazyhouse', '8/8/8/8/8/8/8/8[Kq] w - - 0 1'));
+    doFailureTest('Invalid pocket 2', true, () => new Position('crazyhouse', '8/8/8/8/8/8/8/8[Qx] w - - 0 1'));
+    doFailureTest('Invalid pocket 3', true, () => new Position('crazyhouse', '8/8/8/8/8/8/8/8[PPPPPPPPPPPPPPPPP] w - - 0 1'));
+    doFailureTest('Pocket without crazyhouse', true, () => new Position('8/8/8/8/8/8/8/8[Q] w - - 0 1'));
+    doFailureTest('Promoted piece without crazyhouse', true, () => new Position('8/8/8/8/8/8/8/Q~7 w - - 0 1'));
+    doFailureTest('Promoted king', true, () => new Position('crazyhouse', '8/8/8/8/8/8/8/K~7[] w - - 0 1'));
+    doFailureTest('Promoted pawn', true, () => new Position('crazyhouse', '8/8/8/8/8/8/P~7/8[] w - - 0 1'));
 });
 
 
@@ -137,7 +194,7 @@ describe('Position copy constructor', () => {
             // Check their states
             assert.deepEqual(p1.variant(), variant);
             assert.deepEqual(p2.variant(), variant);
-            assert.deepEqual(p1.fen(), emptyFEN);
+            assert.deepEqual(p1.fen(), emptyFENFor(variant));
             assert.deepEqual(p2.fen(), expectedFEN);
         });
     }
@@ -149,6 +206,10 @@ describe('Position copy constructor', () => {
     itCopy('black-king-only', customFEN, customFENBlackCastlingOnly);
     itCopy('antichess', customFEN, customFENNoCastling);
     itCopy('horde', customFENHorde, customFENHorde);
+    itCopy('three-check', customFENThreeCheck, customFENThreeCheck);
+    itCopy('king-of-the-hill', customFEN, customFEN);
+    itCopy('racing-kings', customFENRacingKings, customFENRacingKings);
+    itCopy('crazyhouse', customFENCrazyhousePromoted, customFENCrazyhousePromoted);
 });
 
 
@@ -167,7 +228,7 @@ describe('Clear mutator', () => {
                 const position = new Position(variantSource, customFEN);
                 position.clear(variantTarget);
                 assert.deepEqual(position.variant(), variantTarget);
-                assert.deepEqual(position.fen(), emptyFEN);
+                assert.deepEqual(position.fen(), emptyFENFor(variantTarget));
             });
         }
 
@@ -234,6 +295,54 @@ describe('Reset horde mutator', () => {
 });
 
 
+describe('Reset three-check mutator', () => {
+    for (const variant of variants) {
+        it('From ' + variant, () => {
+            const position = new Position(variant, customFEN);
+            position.resetThreeCheck();
+            assert.deepEqual(position.variant(), 'three-check');
+            assert.deepEqual(position.fen(), startFENThreeCheck);
+        });
+    }
+});
+
+
+describe('Reset king-of-the-hill mutator', () => {
+    for (const variant of variants) {
+        it('From ' + variant, () => {
+            const position = new Position(variant, customFEN);
+            position.resetKingOfTheHill();
+            assert.deepEqual(position.variant(), 'king-of-the-hill');
+            assert.deepEqual(position.fen(), startFEN);
+        });
+    }
+});
+
+
+describe('Reset racing-kings mutator', () => {
+    for (const variant of variants) {
+        it('From ' + variant, () => {
+            const position = new Position(variant, customFEN);
+            position.resetRacingKings();
+            assert.deepEqual(position.variant(), 'racing-kings');
+            assert.deepEqual(position.fen(), startFENRacingKings);
+        });
+    }
+});
+
+
+describe('Reset crazyhouse mutator', () => {
+    for (const variant of variants) {
+        it('From ' + variant, () => {
+            const position = new Position(variant, customFEN);
+            position.resetCrazyhouse();
+            assert.deepEqual(position.variant(), 'crazyhouse');
+            assert.deepEqual(position.fen(), startFENCrazyhouse);
+        });
+    }
+});
+
+
 describe('Position Scharnagl constructor', () => {
 
     const testData = readCSV('scharnagl.csv', fields => {
@@ -307,6 +416,31 @@ describe('Position getters', () => {
             assert.throws(() => p.effectiveCastling(elem), exception.IllegalArgument);
         });
     }
+
+    it('Get check count 1 (three-check)', () => { const p = new Position('three-check'); assert.deepEqual(p.checkCount('w'), 0); });
+    it('Get check count 2 (three-check)', () => { const p = new Position('three-check', customFENThreeCheck); assert.deepEqual(p.checkCount('w'), 2); });
+    it('Get check count 3 (three-check)', () => { const p = new Position('three-check', customFENThreeCheck); assert.deepEqual(p.checkCount('b'), 1); });
+    it('Get check count 4 (regular)', () => { const p = new Position(customFEN); assert.deepEqual(p.checkCount('w'), 0); });
+
+    for (const elem of [ '', 'W', 'bb' ]) {
+        it('Error for check count with ' + (elem === '' ? '<empty string>' : elem), () => {
+            const p = new Position('three-check');
+            assert.throws(() => p.checkCount(elem), exception.IllegalArgument);
+        });
+    }
+
+    it('Get pocket count 1 (crazyhouse)', () => { const p = new Position('crazyhouse'); assert.deepEqual(p.pocketCount('wq'), 0); });
+    it('Get pocket count 2 (crazyhouse)', () => { const p = new Position('crazyhouse', customFENCrazyhouse); assert.deepEqual(p.pocketCount('wp'), 2); });
+    it('Get pocket count 3 (crazyhouse)', () => { const p = new Position('crazyhouse', customFENCrazyhouse); assert.deepEqual(p.pocketCount('bn'), 1); });
+    it('Get pocket count 4 (regular)', () => { const p = new Position(customFEN); assert.deepEqual(p.pocketCount('bp'), 0); });
+
+    for (const elem of [ '', 'wk', 'bk', 'w', 'wx' ]) {
+        it('Error for pocket count with ' + (elem === '' ? '<empty string>' : elem), () => {
+            const p = new Position('crazyhouse');
+            assert.throws(() => p.pocketCount(elem), exception.IllegalArgument);
+        });
+    }
+
 });
 
 
@@ -405,6 +539,70 @@ describe('Position setters', () => {
             assert.throws(() => p.enPassant(elem), exception.IllegalArgument);
         });
     }
+
+    it('Scenario 4 (three-check)', () => {
+        const p = new Position('three-check');
+        p.checkCount('w', 2);
+        assert.deepEqual(p.checkCount('w'), 2);
+        assert.deepEqual(p.fen(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1 +2+0');
+        p.checkCount('b', 3);
+        assert.deepEqual(p.checkCount('b'), 3);
+        assert.deepEqual(p.fen(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1 +2+3');
+        p.checkCount('w', 0);
+        assert.deepEqual(p.fen(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1 +0+3');
+    });
+
+    for (const elem of [ -1, 4, 1.5, '2' ]) {
+        it('Error for set check count with ' + elem, () => {
+            const p = new Position('three-check');
+            assert.throws(() => p.checkCount('w', elem), exception.IllegalArgument);
+        });
+    }
+
+    it('Error for set check count without three-check', () => {
+        const p = new Position();
+        assert.throws(() => p.checkCount('w', 1), exception.IllegalArgument);
+    });
+
+    it('Scenario 5 (crazyhouse)', () => {
+        const p = new Position('crazyhouse');
+        p.pocketCount('wn', 2);
+        assert.deepEqual(p.pocketCount('wn'), 2);
+        assert.deepEqual(p.fen(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[NN] w KQkq - 0 1');
+        p.pocketCount('bq', 1);
+        p.pocketCount('wp', 1);
+        assert.deepEqual(p.fen(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[NNPq] w KQkq - 0 1');
+        p.pocketCount('wn', 0);
+        assert.deepEqual(p.fen(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[Pq] w KQkq - 0 1');
+    });
+
+    it('Scenario 6 (crazyhouse)', () => {
+        const p = new Position('crazyhouse', customFENCrazyhousePromoted);
+        p.square('b7', '-');
+        assert.deepEqual(p.fen(), 'r3k2r/p4pbp/1p4p1/3n4/1PpP4/P4NB1/5PPP/R3KB~1R[QPPn] b KQkq d3 0 1');
+        p.square('f1', 'wn');
+        assert.deepEqual(p.fen(), 'r3k2r/p4pbp/1p4p1/3n4/1PpP4/P4NB1/5PPP/R3KN1R[QPPn] b KQkq d3 0 1');
+        p.square('f1', 'wn');
+        p.square('f1', '-');
+        assert.deepEqual(p.fen(), 'r3k2r/p4pbp/1p4p1/3n4/1PpP4/P4NB1/5PPP/R3K2R[QPPn] b KQkq d3 0 1');
+    });
+
+    for (const elem of [ -1, 1.5, '2', 17 ]) {
+        it('Error for set pocket count with ' + elem, () => {
+            const p = new Position('crazyhouse');
+            assert.throws(() => p.pocketCount('wq', elem), exception.IllegalArgument);
+        });
+    }
+
+    it('Error for set pocket count with king', () => {
+        const p = new Position('crazyhouse');
+        assert.throws(() => p.pocketCount('bk', 1), exception.IllegalArgument);
+    });
+
+    it('Error for set pocket count without crazyhouse', () => {
+        const p = new Position();
+        assert.throws(() => p.pocketCount('wq', 1), exception.IllegalArgument);
+    });
 });
 
 
@@ -521,6 +719,30 @@ describe('Position equality', () => {
         checkIsEqual(p1, p2, false);
     });
 
+    it('On check count changed', () => {
+        const p1 = new Position('three-check');
+        const p2 = new Position('three-check');
+        p2.checkCount('b', 1);
+        checkIsEqual(p1, p2, false);
+        p2.checkCount('b', 0);
+        checkIsEqual(p1, p2, true);
+    });
+
+    it('On pocket count changed', () => {
+        const p1 = new Position('crazyhouse');
+        const p2 = new Position('crazyhouse');
+        p2.pocketCount('br', 1);
+        checkIsEqual(p1, p2, false);
+        p2.pocketCount('br', 0);
+        checkIsEqual(p1, p2, true);
+    });
+
+    it('On promoted piece', () => {
+        const p1 = new Position('crazyhouse', customFENCrazyhouse);
+        const p2 = new Position('crazyhouse', customFENCrazyhousePromoted);
+        checkIsEqual(p1, p2, false);
+    });
+
     it('With non-position objects', () => {
         const pos = new Position();
         const obj = {};
@@ -528,3 +750,166 @@ describe('Position equality', () => {
         checkIsEqual(obj, obj, false);
     });
 });
+
+
+describe('Position Zobrist key', () => {
+
+    function checkSameKey(p1, p2, expected) {
+        assert.deepEqual(typeof p1.zobristKey(), 'bigint');
+        assert.deepEqual(p1.zobristKey() === p2.zobristKey(), expected);
+    }
+
+    it('On copy', () => {
+        const p1 = new Position(customFEN);
+        const p2 = new Position(p1);
+        checkSameKey(p1, p2, true);
+    });
+
+    it('On distinct positions', () => {
+        const p1 = new Position();
+        const p2 = new Position(customFEN);
+        checkSameKey(p1, p2, false);
+    });
+
+    it('On board changed', () => {
+        const p1 = new Position();
+        const p2 = new Position();
+        p2.zobristKey();
+        p2.square('e4', 'bq');
+        checkSameKey(p1, p2, false);
+        p2.square('e4', '-');
+        checkSameKey(p1, p2, true);
+    });
+
+    it('On turn changed', () => {
+        const p1 = new Position();
+        const p2 = new Position();
+        p2.turn('b');
+        checkSameKey(p1, p2, false);
+        p2.turn('w');
+        checkSameKey(p1, p2, true);
+    });
+
+    it('On castling changed', () => {
+        const p1 = new Position();
+        const p2 = new Position();
+        p2.castling('bq', false);
+        checkSameKey(p1, p2, false);
+        p2.castling('bq', true);
+        checkSameKey(p1, p2, true);
+    });
+
+    it('With non-equal but equivalent castling flags', () => {
+        const p1 = new Position('r3k3/pppppppp/8/8/8/8/PPPPPPPP/4K2R w KQkq - 0 1');
+        const p2 = new Position('r3k3/pppppppp/8/8/8/8/PPPPPPPP/4K2R w Kq - 0 1');
+        checkSameKey(p1, p2, true);
+    });
+
+    it('On en-passant changed', () => {
+        const p1 = new Position(customFEN);
+        const p2 = new Position(customFEN);
+        p2.enPassant('-');
+        checkSameKey(p1, p2, false);
+        p2.enPassant('d');
+        checkSameKey(p1, p2, true);
+    });
+
+    it('With ineffective en-passant flag', () => {
+        const p1 = new Position('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+        const p2 = new Position('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1');
+        checkSameKey(p1, p2, true);
+    });
+
+    it('After transposition', () => {
+        const p1 = new Position();
+        p1.zobristKey();
+        p1.play('e4');
+        p1.play('d5');
+        p1.play('d4');
+        const p2 = new Position();
+        p2.zobristKey();
+        p2.play('d4');
+        p2.play('d5');
+        p2.play('e4');
+        checkSameKey(p1, p2, true);
+    });
+
+    it('After castling', () => {
+        const p1 = new Position('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+        p1.zobristKey();
+        p1.play('O-O');
+        const p2 = new Position('r3k2r/8/8/8/8/8/8/R4RK1 b kq - 0 1');
+        checkSameKey(p1, p2, true);
+    });
+
+    it('After null-move', () => {
+        const p1 = new Position();
+        p1.zobristKey();
+        p1.playNullMove();
+        const p2 = new Position('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR b KQkq - 0 1');
+        checkSameKey(p1, p2, true);
+    });
+
+    it('On check count changed', () => {
+        const p1 = new Position('three-check');
+        const p2 = new Position('three-check');
+        p2.checkCount('w', 2);
+        checkSameKey(p1, p2, false);
+        p2.checkCount('w', 0);
+        checkSameKey(p1, p2, true);
+    });
+
+    it('After check (three-check)', () => {
+        const p1 = new Position('three-check', 'rnbqkbnr/ppppp1pp/8/5p2/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 2 +0+0');
+        p1.zobristKey();
+        p1.play('Qh5+');
+        const p2 = new Position('three-check', 'rnbqkbnr/ppppp1pp/8/5p1Q/4P3/8/PPPP1PPP/RNB1KBNR b KQkq - 1 2 +1+0');
+        checkSameKey(p1, p2, true);
+    });
+
+    it('On pocket count changed', () => {
+        const p1 = new Position('crazyhouse');
+        const p2 = new Position('crazyhouse');
+        p2.pocketCount('wb', 2);
+        checkSameKey(p1, p2, false);
+        p2.pocketCount('wb', 0);
+        checkSameKey(p1, p2, true);
+    });
+
+    it('On distinct pocket counts', () => {
+        const p1 = new Position('crazyhouse');
+        const p2 = new Position('crazyhouse');
+        p1.pocketCount('bp', 1);
+        for (let count = 2; count <= 16; ++count) {
+            p2.pocketCount('bp', count);
+            checkSameKey(p1, p2, false);
+        }
+        assert.deepEqual(p2.fen(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[pppppppppppppppp] w KQkq - 0 1');
+    });
+
+    it('On promoted piece', () => {
+        const p1 = new Position('crazyhouse', customFENCrazyhouse);
+        const p2 = new Position('crazyhouse', customFENCrazyhousePromoted);
+        checkSameKey(p1, p2, true);
+    });
+
+    it('After capture and drop (crazyhouse)', () => {
+        const p1 = new Position('crazyhouse', 'rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR[] w KQkq - 0 2');
+        p1.zobristKey();
+        assert.deepEqual(p1.play('exd5'), true);
+        assert.deepEqual(p1.play('Qxd5'), true);
+        assert.deepEqual(p1.play('P@e4'), true);
+        const p2 = new Position('crazyhouse', 'rnb1kbnr/ppp1pppp/8/3q4/4P3/8/PPPP1PPP/RNBQKBNR[p] b KQkq - 0 3');
+        checkSameKey(p1, p2, true);
+    });
+
+    it('With distinct variants', () => {
+        for (let i = 0; i < variants.length; ++i) {
+            for (let j = 0; j < variants.length; ++j) {
+                const p1 = new Position(variants[i], 'empty');
+                const p2 = new Position(variants[j], 'empty');
+                checkSameKey(p1, p2, i === j);
+            }
+        }
+    });
+});
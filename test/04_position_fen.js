@@ -47,6 +47,8 @@ function itForEach(fun) {
             fenOutDefault: fields[8],
             fenOutWithCounters: fields[9],
             fenOutWithoutXFEN: fields[10],
+            fenOutXFEN: fields[11],
+            fenOutShredder: fields[12],
         };
     });
 
@@ -133,6 +135,33 @@ describe('FEN without XFEN if possible', () => {
 });
 
 
+describe('FEN with castling style', () => {
+    itForEach(elem => {
+        const position = new Position(elem.variant, elem.fenIn);
+        const fenOutStandard = elem.fenOutWithoutXFEN === '' ? elem.fenOutDefault : elem.fenOutWithoutXFEN;
+        assert.deepEqual(position.fen({ castlingStyle: 'standard' }), fenOutStandard);
+        assert.deepEqual(position.fen({ castlingStyle: 'x-fen' }), elem.fenOutXFEN === '' ? elem.fenOutDefault : elem.fenOutXFEN);
+        assert.deepEqual(position.fen({ castlingStyle: 'shredder' }), elem.fenOutShredder === '' ? elem.fenOutDefault : elem.fenOutShredder);
+        assert.deepEqual(position.fen({ castlingStyle: 'standard', regularFENIfPossible: false }), fenOutStandard);
+        assert.deepEqual(position.fen({ castlingStyle: 'shredder', regularFENIfPossible: true }),
+            elem.fenOutShredder === '' ? elem.fenOutDefault : elem.fenOutShredder);
+    });
+});
+
+
+describe('EPD', () => {
+    itForEach(elem => {
+        const position = new Position(elem.variant, elem.fenIn);
+        const fenWithoutXFEN = elem.fenOutWithoutXFEN === '' ? elem.fenOutDefault : elem.fenOutWithoutXFEN;
+        assert.deepEqual(position.epd(), elem.fenOutDefault.split(' ').slice(0, 4).join(' '));
+        assert.deepEqual(position.epd({ regularFENIfPossible: true }), fenWithoutXFEN.split(' ').slice(0, 4).join(' '));
+        if (elem.fenOutShredder !== '') {
+            assert.deepEqual(position.epd({ castlingStyle: 'shredder' }), elem.fenOutShredder.split(' ').slice(0, 4).join(' '));
+        }
+    });
+});
+
+
 describe('Invalid FEN overloads', () => {
 
     function itInvalidOverload(label, action) {
@@ -145,6 +174,11 @@ describe('Invalid FEN overloads', () => {
     itInvalidOverload('Invalid key for getter', pos => pos.fen({ fiftyMoveClock: 'forty two' }));
     itInvalidOverload('Non-string input for setter', pos => pos.fen(42));
     itInvalidOverload('Non-boolean option for setter', pos => pos.fen('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', 42));
+    itInvalidOverload('Invalid castling style', pos => pos.fen({ castlingStyle: 'xfen' }));
+    itInvalidOverload('Invalid castling style for EPD', pos => pos.epd({ castlingStyle: 42 }));
+    itInvalidOverload('Non-object options for EPD', pos => pos.epd(true));
+    itInvalidOverload('Null options for EPD', pos => pos.epd(null));
+    itInvalidOverload('Invalid key for EPD', pos => pos.epd({ regularFENIfPossible: 1 }));
 });
 
 
@@ -90,6 +90,243 @@ describe('getAttacks', () => {
 });
 
 
+describe('Static exchange evaluation', () => {
+
+    function itSee(label, fen, move, expected) {
+        it(label, () => {
+            const position = new Position(fen);
+            assert.deepEqual(position.see(move), expected);
+            assert.deepEqual(position.see(position.notation(move)), expected);
+            assert.deepEqual(position.fen(), fen);
+        });
+    }
+
+    itSee('Undefended piece', '1k1r4/1pp4p/p7/4p3/8/P5P1/1PP4P/2K1R3 w - - 0 1', 'Rxe5', 100);
+    itSee('Defended piece', '4k3/8/2p5/3p4/4P3/8/8/4K3 w - - 0 1', 'exd5', 0);
+    itSee('Losing exchange', '1k1r3q/1ppn3p/p4b2/4p3/8/P2N2P1/1PP1R1BP/2K1Q3 w - - 0 1', 'Nxe5', -200);
+    itSee('Winning exchange', '4k3/8/2n5/3r4/4P3/8/8/4K3 w - - 0 1', 'exd5', 500);
+    itSee('Non-capturing move', '4k3/8/2p5/8/8/8/8/3QK3 w - - 0 1', 'Qd5', -900);
+    itSee('Safe non-capturing move', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', 'e4', 0);
+    itSee('X-ray attacker', '4k3/4r3/8/4p3/8/8/4R3/4R1K1 w - - 0 1', 'Rxe5', 100);
+    itSee('X-ray attacker behind a pawn', '4k3/8/5p2/4p3/3P4/2B5/8/4K3 w - - 0 1', 'dxe5', 100);
+    itSee('Pinned defender', '8/4k3/5n2/3p4/4P2B/8/8/4K3 w - - 0 1', 'exd5', 100);
+    itSee('Non-pinned defender', '4k3/8/5n2/3p4/4P2B/8/8/4K3 w - - 0 1', 'exd5', 0);
+    itSee('Pinned attacker', '4r2k/8/1n6/3p4/8/4N3/8/3RK3 w - - 0 1', 'Rxd5', -400);
+    itSee('Non-pinned attacker', '5r1k/8/1n6/3p4/8/4N3/8/3RK3 w - - 0 1', 'Rxd5', -100);
+    itSee('King recapture', '8/8/4k3/3p4/4P3/8/8/4K3 w - - 0 1', 'exd5+', 0);
+    itSee('King recapture on defended square', '8/8/4k3/3p4/4P3/5B2/8/4K3 w - - 0 1', 'exd5+', 100);
+    itSee('En-passant', '4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1', 'exd6', 100);
+    itSee('Defended en-passant', '4k3/2p5/8/3pP3/8/8/8/4K3 w - d6 0 1', 'exd6', 0);
+    itSee('Promotion', 'r6k/1P6/8/8/8/8/8/4K3 w - - 0 1', 'bxa8=Q+', 1300);
+    itSee('Defended promotion', 'rk6/1P6/8/8/8/8/8/4K3 w - - 0 1', 'bxa8=Q+', 400);
+    itSee('Under-promotion', 'r6k/1P6/8/8/8/8/8/4K3 w - - 0 1', 'bxa8=N', 700);
+    itSee('Promotion during the exchange', '1n1r3k/P7/8/8/8/8/8/1Q2K3 w - - 0 1', 'Qxb8', 300);
+
+    it('Invalid notation', () => {
+        const position = new Position();
+        assert.throws(() => position.see('Ng3'), exception.InvalidNotation);
+    });
+
+    itInvalidArgument('No argument', position => position.see());
+    itInvalidArgument('Invalid argument type', position => position.see(42));
+});
+
+
+describe('Checkers', () => {
+
+    function itCheckers(label, variant, fen, expected) {
+        it(label, () => {
+            const position = new Position(variant, fen);
+            assert.deepEqual(position.checkers(), expected);
+        });
+    }
+
+    itCheckers('No check', 'regular', 'start', []);
+    itCheckers('Single check', 'regular', '4k3/8/8/8/3q4/8/8/K7 w - - 0 1', [ 'd4' ]);
+    itCheckers('Double check', 'regular', '4k3/8/8/8/1b6/8/8/r3K3 w - - 0 1', [ 'a1', 'b4' ]);
+    itCheckers('Illegal position', 'regular', '4k3/8/8/8/8/8/8/4R1K1 w - - 0 1', []);
+    itCheckers('Antichess', 'antichess', '4k3/8/8/8/8/8/8/r3K3 w - - 0 1', []);
+});
+
+
+describe('Pinned pieces', () => {
+
+    function itPinnedPieces(label, variant, fen, color, expected) {
+        it(label, () => {
+            const position = new Position(variant, fen);
+            assert.deepEqual(position.pinnedPieces(color), expected);
+        });
+    }
+
+    itPinnedPieces('No pin', 'regular', 'start', 'w', []);
+    itPinnedPieces('Diagonal and vertical pins', 'regular', '4k3/4r3/8/8/1b6/4B3/3N4/4K3 w - - 0 1', 'w', [
+        { square: 'd2', pinner: 'b4', ray: [ 'd2', 'c3', 'b4' ] },
+        { square: 'e3', pinner: 'e7', ray: [ 'e2', 'e3', 'e4', 'e5', 'e6', 'e7' ] },
+    ]);
+    itPinnedPieces('Horizontal pin', 'regular', '8/8/8/1q2Pk2/8/8/8/R3K3 b - - 0 1', 'b', []);
+    itPinnedPieces('Horizontal pin (black)', 'regular', '8/8/8/R2nk3/8/8/8/4K3 b - - 0 1', 'b', [
+        { square: 'd5', pinner: 'a5', ray: [ 'd5', 'c5', 'b5', 'a5' ] },
+    ]);
+    itPinnedPieces('Non-aligned sliding piece', 'regular', '4k3/8/8/8/1r6/8/3N4/4K3 w - - 0 1', 'w', []);
+    itPinnedPieces('Two pieces in-between', 'regular', '4k3/8/8/8/1b6/2N5/3N4/4K3 w - - 0 1', 'w', []);
+    itPinnedPieces('Opponent piece in-between', 'regular', '4k3/8/8/8/1b6/2n5/3N4/4K3 w - - 0 1', 'w', []);
+    itPinnedPieces('Illegal position', 'regular', '4k3/8/8/8/1b6/8/3N4/4K3 b - - 0 1', 'b', []);
+    itPinnedPieces('Illegal position', 'regular', '4k3/8/8/8/1b6/8/3N4/4K2K w - - 0 1', 'w', []);
+    itPinnedPieces('Antichess', 'antichess', '4k3/8/8/8/1b6/8/3N4/4K3 w - - 0 1', 'w', []);
+
+    itInvalidArgument('No argument', position => position.pinnedPieces());
+    itInvalidArgument('Invalid color', position => position.pinnedPieces('W'));
+});
+
+
+describe('Attack map', () => {
+
+    function itAttackMap(label, fen, byWho, expected) {
+        it(label, () => {
+            const position = new Position(fen);
+            const attackMap = position.attackMap(byWho);
+            forEachSquare(square => {
+                assert.deepEqual(attackMap[square], position.getAttacks(square, byWho).length);
+            });
+            for (const square in expected) {
+                assert.deepEqual(attackMap[square], expected[square]);
+            }
+        });
+    }
+
+    itAttackMap('Start position (white)', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', 'w', { a1: 0, a3: 2, d2: 4, e4: 0, f3: 3 });
+    itAttackMap('Start position (black)', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', 'b', { c6: 3, e5: 0, h8: 0 });
+    itAttackMap('Middle-game (white)', '1r2r2k/1bq3bp/p2p2n1/1p1P1Qp1/4B3/PP2R3/1BP3PP/5R1K w - - 0 1', 'w', { e5: 2, f3: 5, g2: 2 });
+    itAttackMap('Middle-game (black)', '1r2r2k/1bq3bp/p2p2n1/1p1P1Qp1/4B3/PP2R3/1BP3PP/5R1K w - - 0 1', 'b', { a8: 2, e5: 4 });
+
+    itInvalidArgument('No argument', position => position.attackMap());
+    itInvalidArgument('Invalid color', position => position.attackMap('z'));
+});
+
+
+describe('Gives check', () => {
+
+    function itGivesCheck(label, variant, fen, move, expectedGivesCheck, expectedIsDiscoveredCheck) {
+        it(label, () => {
+            const position = new Position(variant, fen);
+            const initialFEN = position.fen();
+            assert.deepEqual(position.givesCheck(move), expectedGivesCheck);
+            assert.deepEqual(position.givesCheck(position.notation(move)), expectedGivesCheck);
+            assert.deepEqual(position.isDiscoveredCheck(move), expectedIsDiscoveredCheck);
+            assert.deepEqual(position.isDiscoveredCheck(position.notation(move)), expectedIsDiscoveredCheck);
+            assert.deepEqual(position.fen(), initialFEN);
+            assert.deepEqual(position.history(), []);
+
+            position.play(move);
+            assert.deepEqual(position.isCheck(), expectedGivesCheck);
+        });
+    }
+
+    itGivesCheck('Quiet move', 'regular', 'start', 'e4', false, false);
+    itGivesCheck('Direct check', 'regular', '4k3/8/8/8/8/8/8/R3K3 w - - 0 1', 'Ra8+', true, false);
+    itGivesCheck('Direct check (black)', 'regular', '4k3/8/8/8/8/8/3q4/1K6 b - - 0 1', 'Qd1+', true, false);
+    itGivesCheck('Discovered check', 'regular', '4k3/8/8/8/4N3/8/8/4RK2 w - - 0 1', 'Nc5+', true, true);
+    itGivesCheck('Double check', 'regular', '4k3/8/8/8/4N3/8/8/4RK2 w - - 0 1', 'Nd6+', true, true);
+    itGivesCheck('Blocked line', 'regular', '4k3/4p3/8/8/4N3/8/8/4RK2 w - - 0 1', 'Nc5', false, false);
+    itGivesCheck('Castling', 'regular', '5k2/8/8/8/8/8/8/4K2R w K - 0 1', 'O-O+', true, false);
+    itGivesCheck('Castling (no check)', 'regular', '6k1/8/8/8/8/8/8/4K2R w K - 0 1', 'O-O', false, false);
+    itGivesCheck('Chess960 castling', 'chess960', '3k4/8/8/8/8/8/8/1RK5 w B - 0 1', 'O-O-O+', true, false);
+    itGivesCheck('En-passant', 'regular', '8/8/8/R2pP2k/8/8/8/4K3 w - d6 0 1', 'exd6+', true, true);
+    itGivesCheck('Promotion', 'regular', '4k3/1P6/8/8/8/8/8/4K3 w - - 0 1', 'b8=Q+', true, false);
+    itGivesCheck('Under-promotion', 'regular', '4k3/1P6/8/8/8/8/8/4K3 w - - 0 1', 'b8=N', false, false);
+    itGivesCheck('Capture', 'regular', '4k3/8/8/8/8/8/r7/R3K3 b - - 0 1', 'Rxa1+', true, false);
+    itGivesCheck('Antichess', 'antichess', '4k3/8/8/8/8/8/8/R3K3 w - - 0 1', 'Ra8', false, false);
+
+    it('Invalid notation', () => {
+        const position = new Position();
+        assert.throws(() => position.givesCheck('Ng3'), exception.InvalidNotation);
+        assert.throws(() => position.isDiscoveredCheck('Ng3'), exception.InvalidNotation);
+    });
+
+    itInvalidArgument('No argument (gives check)', position => position.givesCheck());
+    itInvalidArgument('Invalid argument type (gives check)', position => position.givesCheck(42));
+    itInvalidArgument('No argument (discovered check)', position => position.isDiscoveredCheck());
+    itInvalidArgument('Invalid argument type (discovered check)', position => position.isDiscoveredCheck(42));
+});
+
+
+describe('Material', () => {
+
+    const middleGameFEN = 'r3k3/1p6/2B5/8/3p4/8/PP3B2/4K1R1 w - - 0 1';
+
+    function itPieces(label, color, piece, expected) {
+        it(label, () => {
+            const position = new Position(middleGameFEN);
+            assert.deepEqual(position.pieces(color, piece), expected);
+        });
+    }
+
+    itPieces('All pieces', undefined, undefined, [ 'e1', 'g1', 'a2', 'b2', 'f2', 'd4', 'c6', 'b7', 'a8', 'e8' ]);
+    itPieces('White pieces', 'w', undefined, [ 'e1', 'g1', 'a2', 'b2', 'f2', 'c6' ]);
+    itPieces('Pawns', undefined, 'p', [ 'a2', 'b2', 'd4', 'b7' ]);
+    itPieces('White bishops', 'w', 'b', [ 'f2', 'c6' ]);
+    itPieces('Black queens', 'b', 'q', []);
+
+    it('Material count', () => {
+        const position = new Position(middleGameFEN);
+        assert.deepEqual(position.materialCount(), {
+            wk: 1, bk: 1, wq: 0, bq: 0, wr: 1, br: 1, wb: 2, bb: 0, wn: 0, bn: 0, wp: 2, bp: 2,
+        });
+    });
+
+    function itMaterialSignature(label, fen, expected) {
+        it(label, () => {
+            const position = new Position(fen);
+            assert.deepEqual(position.materialSignature(), expected);
+        });
+    }
+
+    itMaterialSignature('Start position', 'start', 'KQRRBBNNPPPPPPPPvKQRRBBNNPPPPPPPP');
+    itMaterialSignature('Rook endgame', '8/8/4k3/8/1r6/4PK2/8/R7 w - - 0 1', 'KRPvKR');
+    itMaterialSignature('Middle-game', middleGameFEN, 'KRBBPPvKRPP');
+    itMaterialSignature('Empty position', 'empty', 'v');
+
+    function itMaterialBalance(label, fen, values, expected) {
+        it(label, () => {
+            const position = new Position(fen);
+            assert.deepEqual(position.materialBalance(values), expected);
+        });
+    }
+
+    itMaterialBalance('Start position', 'start', undefined, 0);
+    itMaterialBalance('Default values', middleGameFEN, undefined, 600);
+    itMaterialBalance('Custom values', middleGameFEN, { b: 3.25, p: 1, r: 5 }, 6.5);
+    itMaterialBalance('Custom king value', middleGameFEN, { k: 10 }, 600);
+    itMaterialBalance('Black ahead', '4k3/8/8/8/8/8/3q4/3QK2r w - - 0 1', undefined, -500);
+
+    function itBishops(label, fen, expectedWhitePair, expectedBlackPair, expectedOppositeColors) {
+        it(label, () => {
+            const position = new Position(fen);
+            assert.deepEqual(position.hasBishopPair('w'), expectedWhitePair);
+            assert.deepEqual(position.hasBishopPair('b'), expectedBlackPair);
+            assert.deepEqual(position.hasOppositeColoredBishops(), expectedOppositeColors);
+        });
+    }
+
+    itBishops('Start position', 'start', true, true, false);
+    itBishops('Bishop pair against nothing', middleGameFEN, true, false, false);
+    itBishops('Same-colored bishops', '4kb2/8/8/8/8/8/8/2B1K3 w - - 0 1', false, false, false);
+    itBishops('Opposite-colored bishops', '2b1k3/8/8/8/8/8/8/2B1K3 w - - 0 1', false, false, true);
+    itBishops('Two bishops on the same color', '4k3/8/8/8/8/8/8/B1B1K3 w - - 0 1', false, false, false);
+    itBishops('Bishop pair against one bishop', '2b1k3/8/8/8/8/8/8/2BBK3 w - - 0 1', true, false, false);
+
+    itInvalidArgument('Invalid color on pieces()', position => position.pieces('z'));
+    itInvalidArgument('Invalid piece on pieces()', position => position.pieces('w', 'x'));
+    itInvalidArgument('Invalid piece with no color on pieces()', position => position.pieces(undefined, 'wp'));
+    itInvalidArgument('Invalid values on materialBalance()', position => position.materialBalance(42));
+    itInvalidArgument('Null values on materialBalance()', position => position.materialBalance(null));
+    itInvalidArgument('Invalid piece value on materialBalance()', position => position.materialBalance({ q: '9' }));
+    itInvalidArgument('Non-finite piece value on materialBalance()', position => position.materialBalance({ r: NaN }));
+    itInvalidArgument('No argument on hasBishopPair()', position => position.hasBishopPair());
+    itInvalidArgument('Invalid color on hasBishopPair()', position => position.hasBishopPair('white'));
+});
+
+
 describe('kingSquare', () => {
     itInvalidArgument('Invalid color 1', position => position.kingSquare('B'));
     itInvalidArgument('Invalid color 2', position => position.kingSquare('whatever'));
@@ -142,6 +379,18 @@ describe('Move legality check', () => {
 });
 
 
+describe('Perft', () => {
+    itInvalidArgument('No argument on perft()', position => position.perft());
+    itInvalidArgument('Negative depth on perft()', position => position.perft(-1));
+    itInvalidArgument('Non-integer depth on perft()', position => position.perft(1.5));
+    itInvalidArgument('Invalid bulk counting flag on perft()', position => position.perft(1, 'true'));
+    itInvalidArgument('No argument on divide()', position => position.divide());
+    itInvalidArgument('Null depth on divide()', position => position.divide(0));
+    itInvalidArgument('Non-number depth on divide()', position => position.divide('2'));
+    itInvalidArgument('Invalid bulk counting flag on divide()', position => position.divide(1, 1));
+});
+
+
 describe('Figurine notation', () => {
 
     function itParseFigurineNotation(label, fen, figurineMove, sanMove) {
@@ -181,6 +430,127 @@ describe('Figurine notation', () => {
 });
 
 
+describe('Localized notation', () => {
+
+    function itLocalizedNotation(label, fen, locale, localizedMove, sanMove) {
+        it(`Generate ${label}`, () => {
+            const position = new Position(fen);
+            assert.deepEqual(position.notation(position.notation(sanMove), locale), localizedMove);
+        });
+        it(`Parse ${label}`, () => {
+            const position = new Position(fen);
+            assert.deepEqual(position.notation(position.notation(localizedMove, false, locale)), sanMove);
+        });
+        it(`Parse ${label} (strict)`, () => {
+            const position = new Position(fen);
+            assert.deepEqual(position.notation(position.notation(localizedMove, true, locale)), sanMove);
+        });
+    }
+
+    const fen1 = 'r1bqk2r/pPp2pp1/2n1n3/2bpp3/4P3/2Q2N2/1PPP1PpP/R3KB1R w KQkq - 0 1';
+    itLocalizedNotation('English knight move', fen1, 'en', 'Nxe5', 'Nxe5');
+    itLocalizedNotation('German knight move', fen1, 'de', 'Sxe5', 'Nxe5');
+    itLocalizedNotation('German promotion', fen1, 'de', 'bxa8=D', 'bxa8=Q');
+    itLocalizedNotation('French king move', fen1, 'fr', 'Re2', 'Ke2');
+    itLocalizedNotation('French rook move', fen1, 'fr', 'Txa7', 'Rxa7');
+    itLocalizedNotation('Spanish bishop move', fen1, 'es', 'Ab5', 'Bb5');
+    itLocalizedNotation('Dutch knight move', 'r1bqk2r/pPp2pp1/2n1n3/2bpp3/4P3/2Q2N2/1PPP1PpP/R3KB1R b KQkq - 0 1', 'nl', 'Pcd4', 'Ncd4');
+    itLocalizedNotation('Polish queen move', fen1, 'pl', 'Hxc5', 'Qxc5');
+    itLocalizedNotation('Portuguese castling', fen1, 'pt', 'O-O-O', 'O-O-O');
+    itLocalizedNotation('Swedish promotion', 'r1bqk2r/pPp2pp1/2n1n3/2bpp3/4P3/2Q2N2/1PPP1PpP/R3KB1R b KQkq - 0 1', 'sv', 'gxh1=S', 'gxh1=N');
+    itLocalizedNotation('Italian queen move', fen1, 'it', 'Dd4', 'Qd4');
+
+    it('English piece letter with non-English locale', () => {
+        const position = new Position(fen1);
+        assert.throws(() => position.notation('Nxe5', false, 'de'), exception.InvalidNotation);
+    });
+
+    it('Invalid locale', () => {
+        const position = new Position();
+        assert.throws(() => position.notation(position.notation('Nf3'), 'german'), exception.IllegalArgument);
+        assert.throws(() => position.notation('Sf3', false, 'german'), exception.IllegalArgument);
+        assert.throws(() => position.notation('Sf3', 'de'), exception.IllegalArgument);
+    });
+});
+
+
+describe('Long algebraic, ICCF and Smith notations', () => {
+
+    function itNotations(label, variant, fen, sanMove, longMove, iccfMove, smithMove) {
+        it(`Generate ${label}`, () => {
+            const position = new Position(variant, fen);
+            const md = position.notation(sanMove);
+            assert.deepEqual(position.longNotation(md), longMove);
+            assert.deepEqual(position.iccf(md), iccfMove);
+            assert.deepEqual(position.smith(md), smithMove);
+        });
+        it(`Parse ${label}`, () => {
+            const position = new Position(variant, fen);
+            assert.deepEqual(position.notation(position.longNotation(longMove)), sanMove);
+            assert.deepEqual(position.notation(position.iccf(iccfMove)), sanMove);
+            assert.deepEqual(position.notation(position.smith(smithMove)), sanMove);
+        });
+        it(`Parse ${label} (strict)`, () => {
+            const position = new Position(variant, fen);
+            assert.deepEqual(position.notation(position.longNotation(longMove, true)), sanMove);
+            assert.deepEqual(position.notation(position.iccf(iccfMove, true)), sanMove);
+            assert.deepEqual(position.notation(position.smith(smithMove, true)), sanMove);
+        });
+    }
+
+    const fen1 = 'r3k2r/pPp2pp1/2n1n3/2bpP3/8/2Q2N2/1PPP1PpP/R3KB1R w KQkq d6 0 1';
+    itNotations('pawn move', 'regular', fen1, 'b4', 'b2-b4', '2224', 'b2b4');
+    itNotations('capturing pawn move', 'regular', fen1, 'bxa8=Q+', 'b7xa8=Q+', '27181', 'b7a8rQ');
+    itNotations('en-passant', 'regular', fen1, 'exd6', 'e5xd6', '5546', 'e5d6E');
+    itNotations('promotion', 'regular', 'r3k2r/pPp2pp1/2n1n3/2bpP3/8/2Q2N2/1PPP1PpP/R3KB1R b KQkq - 0 1', 'g1=N', 'g2-g1=N', '72714', 'g2g1N');
+    itNotations('knight move', 'regular', fen1, 'Nd4', 'Nf3-d4', '6344', 'f3d4');
+    itNotations('piece capture', 'regular', fen1, 'Qxc5', 'Qc3xc5', '3335', 'c3c5b');
+    itNotations('king-side castling', 'regular', 'r3k2r/8/8/8/8/8/8/R3K2R b KQkq - 0 1', 'O-O', 'O-O', '5878', 'e8g8c');
+    itNotations('queen-side castling', 'regular', 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1', 'O-O-O', 'O-O-O', '5131', 'e1c1C');
+    itNotations('checkmate', 'regular', '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1', 'Ra8#', 'Ra1-a8#', '1118', 'a1a8');
+    itNotations('Chess960 castling', 'chess960', '4k3/8/8/8/8/8/8/1R2K1R1 w GB - 0 1', 'O-O', 'O-O', '5171', 'e1g1c');
+    itNotations('Chess960 castling with rook on destination', 'chess960', '4k3/8/8/8/8/8/8/1R3KR1 w GB - 0 1', 'O-O', 'O-O', '6171', 'f1g1c');
+    itNotations('Antichess king promotion', 'antichess', '8/1P6/8/8/8/8/8/1n6 w - - 0 1', 'b8=K', 'b7-b8=K', '27280', 'b7b8K');
+});
+
+
+describe('Castling encoding for ICCF and Smith notation parsing', () => {
+
+    function itParseCastling(label, variant, fen, iccfMove, smithMove, strict, expectedSAN) {
+        it(label, () => {
+            const position = new Position(variant, fen);
+            if (expectedSAN) {
+                assert.deepEqual(position.notation(position.iccf(iccfMove, strict)), expectedSAN);
+                assert.deepEqual(position.notation(position.smith(smithMove, strict)), expectedSAN);
+            }
+            else {
+                assert.throws(() => position.iccf(iccfMove, strict), exception.InvalidNotation);
+                assert.throws(() => position.smith(smithMove, strict), exception.InvalidNotation);
+            }
+        });
+    }
+
+    const fen1 = 'r3k2r/pppppppp/8/8/8/8/PPPPPPPP/R3K2R w KQkq - 0 1';
+    const fen2 = '4k3/8/8/8/8/8/8/1R3K1R w HB - 0 1';
+    itParseCastling('Regular chess, king-move style, strict mode', 'regular', fen1, '5171', 'e1g1c', true, 'O-O');
+    itParseCastling('Regular chess, KxR style, non-strict mode', 'regular', fen1, '5181', 'e1h1', false, 'O-O');
+    itParseCastling('Regular chess, KxR style, strict mode', 'regular', fen1, '5181', 'e1h1c', true, false);
+    itParseCastling('Regular chess, KxR style, not a castling move', 'regular', '4k3/8/8/8/8/8/8/R3K3 w - - 0 1', '5111', 'e1a1C', false, false);
+    itParseCastling('Chess960, king-move style, strict mode', 'chess960', fen1, '5131', 'e1c1C', true, 'O-O-O');
+    itParseCastling('Chess960, KxR style, non-strict mode', 'chess960', fen1, '5111', 'e1a1', false, 'O-O-O');
+    itParseCastling('Chess960, KxR style, strict mode', 'chess960', fen1, '5111', 'e1a1C', true, false);
+    itParseCastling('Chess960, ambiguous king move', 'chess960', fen2, '6171', 'f1g1c', false, 'O-O');
+    itParseCastling('Chess960, no castling', 'chess960', '4k3/8/8/8/8/8/8/1R3K1R w - - 0 1', '6171', 'f1g1', true, 'Kg1');
+    itParseCastling('Chess960, unambiguous castling without indicator', 'chess960', '4k3/8/8/8/8/8/8/1R2K2R w HB - 0 1', '5171', 'e1g1', false, 'O-O');
+
+    it('Chess960, ambiguous king move without indicator', () => {
+        const position = new Position('chess960', fen2);
+        assert.deepEqual(position.notation(position.smith('f1g1', true)), 'Kg1');
+        assert.deepEqual(position.notation(position.longNotation('Kf1-g1', true)), 'Kg1');
+    });
+});
+
+
 describe('King-take-rook flag for UCI notation generation', () => {
 
     function itGenerateUCIWithKxR(label, variant, forceKxR, expectedUCI) {
@@ -239,6 +609,9 @@ describe('Parse invalid notation', () => {
     itInvalidNotation('Invalid input for SAN notation parsing 2', p => p.notation('Zf3'));
     itInvalidNotation('Invalid input for figurine notation parsing', p => p.figurineNotation('Nf3'));
     itInvalidNotation('Invalid input for UCI notation parsing', p => p.uci('Nf3'));
+    itInvalidNotation('Invalid input for long algebraic notation parsing', p => p.longNotation('Nf3'));
+    itInvalidNotation('Invalid input for ICCF notation parsing', p => p.iccf('e2e4'));
+    itInvalidNotation('Invalid input for Smith notation parsing', p => p.smith('5254'));
 });
 
 
@@ -291,6 +664,372 @@ describe('Parse degenerated figurine notation', () => {
 });
 
 
+describe('Parse degenerated long algebraic, ICCF and Smith notation', () => {
+
+    function itDegeneratedNotation(label, method, fen, move, expectedSAN) {
+        it(label, () => {
+            const position = new Position(fen);
+            assert.deepEqual(position.notation(position[method](move)), expectedSAN);
+        });
+        it(label + ' (error if strict)', () => {
+            const position = new Position(fen);
+            assert.throws(() => position[method](move, true), exception.InvalidNotation);
+        });
+    }
+
+    const fen1 = 'r3k2r/pPp2pp1/2n1n3/2bpP3/8/2Q2N2/1PPP1PpP/R3KB1R w KQkq d6 0 1';
+    itDegeneratedNotation('Missing capture symbol', 'longNotation', fen1, 'e5-d6', 'exd6');
+    itDegeneratedNotation('Invalid capture symbol', 'longNotation', fen1, 'Nf3xd4', 'Nd4');
+    itDegeneratedNotation('Missing check symbol', 'longNotation', fen1, 'b7xa8=Q', 'bxa8=Q+');
+    itDegeneratedNotation('Invalid check symbol', 'longNotation', fen1, 'Nf3-d4+', 'Nd4');
+    itDegeneratedNotation('Missing promotion symbol', 'longNotation', fen1, 'b7xa8Q+', 'bxa8=Q+');
+    itDegeneratedNotation('Castling with zeros', 'longNotation', fen1, '0-0-0', 'O-O-O');
+    itDegeneratedNotation('Wrong capture indicator', 'smith', fen1, 'e5d6p', 'exd6');
+    itDegeneratedNotation('Missing capture indicator', 'smith', fen1, 'c3c5', 'Qxc5');
+    itDegeneratedNotation('Unexpected capture indicator', 'smith', fen1, 'f3d4n', 'Nd4');
+    itDegeneratedNotation('Missing castling indicator', 'smith', fen1, 'e1c1', 'O-O-O');
+});
+
+
+describe('Parse invalid long algebraic, ICCF and Smith notation', () => {
+
+    function itInvalidNotation(label, method, fen, move) {
+        it(label, () => {
+            const position = new Position(fen);
+            assert.throws(() => position[method](move), exception.InvalidNotation);
+        });
+    }
+
+    const fen1 = 'r3k2r/pPp2pp1/2n1n3/2bpP3/8/2Q2N2/1PPP1PpP/R3KB1R w KQkq d6 0 1';
+    itInvalidNotation('Illegal position (long algebraic)', 'longNotation', '4k3/8/8/8/8/8/8/r3K3 b - - 0 1', 'Ke8-d8');
+    itInvalidNotation('Illegal position (ICCF)', 'iccf', '4k3/8/8/8/8/8/8/r3K3 b - - 0 1', '5848');
+    itInvalidNotation('Illegal position (Smith)', 'smith', '4k3/8/8/8/8/8/8/r3K3 b - - 0 1', 'e8d8');
+    itInvalidNotation('Wrong origin square for non-capturing pawn move', 'longNotation', fen1, 'b3-b4');
+    itInvalidNotation('Wrong origin square for capturing pawn move', 'longNotation', fen1, 'b6xa8=Q');
+    itInvalidNotation('Promotion on non-pawn move', 'longNotation', fen1, 'Nf3-d4=Q');
+    itInvalidNotation('Wrong origin square for non-pawn move', 'longNotation', fen1, 'Nc3-d4');
+    itInvalidNotation('Unknown piece', 'longNotation', fen1, 'Zf3-d4');
+    itInvalidNotation('Illegal move (ICCF)', 'iccf', fen1, '2225');
+    itInvalidNotation('Missing promotion (ICCF)', 'iccf', fen1, '2718');
+    itInvalidNotation('Invalid promotion (ICCF)', 'iccf', fen1, '27180');
+    itInvalidNotation('Unexpected promotion (ICCF)', 'iccf', fen1, '22241');
+    itInvalidNotation('Illegal move (Smith)', 'smith', fen1, 'b2b5');
+    itInvalidNotation('Missing promotion (Smith)', 'smith', fen1, 'b7a8r');
+    itInvalidNotation('Unexpected promotion (Smith)', 'smith', fen1, 'b2b4Q');
+    itInvalidNotation('Invalid syntax (Smith)', 'smith', fen1, 'b7a8rq');
+});
+
+
+describe('Descriptive notation', () => {
+
+    function itDescriptive(label, variant, fen, sanMove, descriptiveMove) {
+        it(`Generate ${label}`, () => {
+            const position = new Position(variant, fen);
+            assert.deepEqual(position.descriptiveNotation(position.notation(sanMove)), descriptiveMove);
+        });
+        it(`Parse ${label}`, () => {
+            const position = new Position(variant, fen);
+            assert.deepEqual(position.notation(position.descriptiveNotation(descriptiveMove, true)), sanMove);
+        });
+    }
+
+    const fen1 = 'r3k2r/pPp2pp1/2n1n3/2bpP3/8/2Q2N2/1PPP1PpP/R3KB1R w KQkq d6 0 1';
+    itDescriptive('pawn move', 'regular', 'start', 'e4', 'P-K4');
+    itDescriptive('knight move', 'regular', 'start', 'Nf3', 'N-KB3');
+    itDescriptive('black move', 'regular', 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1', 'e5', 'P-K4');
+    itDescriptive('capturing promotion with check', 'regular', fen1, 'bxa8=Q+', 'PxR=Q ch');
+    itDescriptive('en-passant', 'regular', fen1, 'exd6', 'PxP e.p.');
+    itDescriptive('piece capture', 'regular', fen1, 'Qxc5', 'QxB');
+    itDescriptive('black promotion', 'regular', 'r3k2r/pPp2pp1/2n1n3/2bpP3/8/2Q2N2/1PPP1PpP/R3KB1R b KQkq - 0 1', 'g1=N', 'P-KN8=N');
+    itDescriptive('king-side castling', 'regular', 'r3k2r/8/8/8/8/8/8/R3K2R b KQkq - 0 1', 'O-O', 'O-O');
+    itDescriptive('queen-side castling', 'regular', 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1', 'O-O-O', 'O-O-O');
+    itDescriptive('checkmate', 'regular', '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1', 'Ra8#', 'R-QR8 mate');
+    itDescriptive('rank disambiguation', 'regular', '4k3/8/8/8/8/8/8/R3K2R w - - 0 1', 'Rf1', 'R-KB1');
+    itDescriptive('square disambiguation', 'regular', 'k7/8/8/8/8/2N1N3/8/4K3 w - - 0 1', 'Ncd5', 'N(QB3)-Q5');
+    itDescriptive('target square disambiguation', 'regular', 'k7/8/8/8/8/1p1p4/8/3QK3 w - - 0 1', 'Qxd3', 'QxP(Q3)');
+    itDescriptive('pawn file disambiguation', 'regular', '4k3/8/8/3b4/2P1P3/8/8/4K3 w - - 0 1', 'cxd5', 'QBPxB');
+    itDescriptive('Chess960 castling', 'chess960', '4k3/8/8/8/8/8/8/1R2K1R1 w GB - 0 1', 'O-O', 'O-O');
+});
+
+
+describe('Parse degenerated descriptive notation', () => {
+
+    function itDegenerated(label, fen, move, expectedSAN) {
+        it(label, () => {
+            const position = new Position(fen);
+            assert.deepEqual(position.notation(position.descriptiveNotation(move)), expectedSAN);
+            assert.throws(() => position.descriptiveNotation(move, true), exception.InvalidNotation);
+        });
+    }
+
+    itDegenerated('Kt for knight', 'start', 'Kt-KB3', 'Nf3');
+    itDegenerated('Wing on piece', 'start', 'KN-B3', 'Nf3');
+    itDegenerated('Queen wing on piece', 'start', 'QN-B3', 'Nc3');
+    itDegenerated('File on pawn', 'start', 'QP-Q4', 'd4');
+    itDegenerated('Abbreviated square', 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 1', 'B-B4', 'Bc4');
+    itDegenerated('Check symbol', 'rnbqkbnr/ppppp1pp/8/5p2/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 1', 'Q-R5+', 'Qh5+');
+    itDegenerated('Missing check symbol', 'rnbqkbnr/ppppp1pp/8/5p2/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 1', 'Q-R5', 'Qh5+');
+    itDegenerated('Promotion in parentheses', '8/1P6/8/8/8/8/8/k3K3 w - - 0 1', 'P-N8(Q)', 'b8=Q');
+    itDegenerated('Zero-based castling', 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1', '0-0', 'O-O');
+});
+
+
+describe('Parse invalid descriptive notation', () => {
+
+    function itInvalid(label, fen, move) {
+        it(label, () => {
+            const position = new Position(fen);
+            assert.throws(() => position.descriptiveNotation(move), exception.InvalidNotation);
+        });
+    }
+
+    itInvalid('Invalid syntax', 'start', 'P-K9');
+    itInvalid('Illegal position', '4k3/8/8/8/8/8/8/r3K3 b - - 0 1', 'K-Q1');
+    itInvalid('Illegal move', 'start', 'P-K5');
+    itInvalid('Ambiguous move', 'start', 'N-B3');
+    itInvalid('Illegal castling', 'start', 'O-O');
+});
+
+
+describe('Tolerant move parsing', () => {
+
+    function itParseAnyMove(label, fen, text, expected) {
+        it(label, () => {
+            const position = new Position(fen);
+            const result = position.parseAnyMove(text);
+            assert.deepEqual(Array.isArray(result) ? result.map(md => position.notation(md)) : position.notation(result), expected);
+        });
+    }
+
+    function itInvalidAnyMove(label, fen, text) {
+        it(label, () => {
+            const position = new Position(fen);
+            assert.throws(() => position.parseAnyMove(text), exception.InvalidNotation);
+        });
+    }
+
+    const fen1 = 'r3k2r/pPp2pp1/2n1n3/2bpP3/4p3/2Q2N2/1PPP1PpP/R3KB1R w KQkq d6 0 1';
+    itParseAnyMove('SAN', 'start', 'Nf3', 'Nf3');
+    itParseAnyMove('SAN with surrounding spaces', 'start', ' e4 ', 'e4');
+    itParseAnyMove('Over-disambiguated SAN', 'start', 'Ng1f3', 'Nf3');
+    itParseAnyMove('Long algebraic notation', 'start', 'e2-e4', 'e4');
+    itParseAnyMove('UCI', 'start', 'e2e4', 'e4');
+    itParseAnyMove('UCI castling', fen1, 'e1c1', 'O-O-O');
+    itParseAnyMove('ICCF', 'start', '7163', 'Nf3');
+    itParseAnyMove('Lower-case piece', 'start', 'nf3', 'Nf3');
+    itParseAnyMove('Dash after piece', 'start', 'N-f3', 'Nf3');
+    itParseAnyMove('Castling with digit 0', fen1, '0-0-0', 'O-O-O');
+    itParseAnyMove('Castling with lower-case o', fen1, 'o-o-o', 'O-O-O');
+    itParseAnyMove('Castling without dash', fen1, 'OOO+', 'O-O-O');
+    itParseAnyMove('Partial pawn capture', fen1, 'exd', 'exd6');
+    itParseAnyMove('Partial pawn capture with colon', fen1, 'e:d', 'exd6');
+    itParseAnyMove('Partial piece capture', fen1, 'Qxc', 'Qxc5');
+    itParseAnyMove('Promotion without equal sign', fen1, 'b8Q', 'b8=Q+');
+    itParseAnyMove('Partial promotion', fen1, 'bxan', 'bxa8=N');
+    itParseAnyMove('King move from origin square', fen1, 'e1d1!?', 'Kd1');
+    itParseAnyMove('Ambiguous partial move', fen1, 'Qc', [ 'Qc4', 'Qxc5' ]);
+    itParseAnyMove('Missing promoted piece', fen1, 'bxa', [ 'bxa8=Q+', 'bxa8=R+', 'bxa8=B', 'bxa8=N' ]);
+    itInvalidAnyMove('Unrecognized input', 'start', 'hello');
+    itInvalidAnyMove('Illegal castling', 'start', 'o-o');
+    itInvalidAnyMove('No matching move', fen1, 'Bxc');
+    itInvalidAnyMove('No matching move from origin rank', fen1, 'Q4c5');
+    itInvalidAnyMove('Promotion on non-promoting move', 'start', 'e4Q');
+    itInvalidAnyMove('Illegal position', '4k3/8/8/8/8/8/8/r3K3 b - - 0 1', 'e4');
+});
+
+
+describe('Variant-specific winning conditions', () => {
+
+    function itVariantResult(label, variant, fen, expected) {
+        it(label, () => {
+            const position = new Position(variant, fen);
+            assert.deepEqual(position.variantResult(), expected);
+        });
+    }
+
+    itVariantResult('Regular checkmate', 'regular', 'rnb1kbnr/pppp1ppp/8/4p3/6Pq/5P2/PPPPP2P/RNBQKBNR w KQkq - 1 3', undefined);
+    itVariantResult('Three-check (in progress)', 'three-check', 'rnbqkbnr/ppppp1pp/8/5p1Q/4P3/8/PPPP1PPP/RNB1KBNR b KQkq - 1 2 +2+1', undefined);
+    itVariantResult('Three-check (white wins)', 'three-check', 'rnbqkbnr/ppppp1pp/8/5p1Q/4P3/8/PPPP1PPP/RNB1KBNR b KQkq - 1 2 +3+1', '1-0');
+    itVariantResult('Three-check (black wins)', 'three-check', 'rnb1kbnr/pppp1ppp/8/4p3/4P2q/8/PPPP1PPP/RNBQKBNR w KQkq - 1 3 +0+3', '0-1');
+    itVariantResult('King of the hill (in progress)', 'king-of-the-hill', '4k3/8/8/8/8/2K5/8/8 w - - 0 1', undefined);
+    itVariantResult('King of the hill (black wins)', 'king-of-the-hill', '8/8/8/4k3/8/8/8/K7 w - - 0 1', '0-1');
+    itVariantResult('Racing kings (in progress)', 'racing-kings', 'K7/6k1/8/8/8/8/8/8 b - - 0 1', undefined);
+    itVariantResult('Racing kings (white wins)', 'racing-kings', 'K7/8/6k1/8/8/8/8/8 b - - 0 1', '1-0');
+    itVariantResult('Racing kings (black wins)', 'racing-kings', '6k1/8/8/8/8/8/8/K7 w - - 0 1', '0-1');
+    itVariantResult('Racing kings (draw)', 'racing-kings', 'K5k1/8/8/8/8/8/8/8 w - - 0 1', '1/2-1/2');
+    itVariantResult('Illegal position', 'king-of-the-hill', '8/8/8/4k3/8/8/8/K7 b - - 0 1', undefined);
+
+    function itForbiddenMove(label, variant, fen, from, to, parsingAction) {
+        it(label, () => {
+            const position = new Position(variant, fen);
+            assert.deepEqual(position.isMoveLegal(from, to), false);
+            assert.throws(() => parsingAction(position), exception.InvalidNotation);
+            assert.deepEqual(position.fen(), new Position(variant, fen).fen());
+        });
+    }
+
+    const fenGameOver = 'r3k2r/8/8/8/3K4/8/8/8 b kq - 0 1';
+    itForbiddenMove('Game over (SAN)', 'king-of-the-hill', fenGameOver, 'e8', 'e7', p => p.notation('Ke7'));
+    itForbiddenMove('Game over (castling)', 'king-of-the-hill', fenGameOver, 'e8', 'g8', p => p.notation('O-O'));
+    itForbiddenMove('Game over (long algebraic notation)', 'king-of-the-hill', fenGameOver, 'a8', 'a1', p => p.longNotation('Ra8-a1'));
+    itForbiddenMove('Game over (descriptive notation)', 'king-of-the-hill', fenGameOver, 'e8', 'c8', p => p.descriptiveNotation('O-O-O'));
+    itForbiddenMove('Game over (UCI)', 'king-of-the-hill', fenGameOver, 'e8', 'd8', p => p.uci('e8d8'));
+    itForbiddenMove('Game over (play)', 'three-check', 'rnbqkbnr/ppppp1pp/8/5p1Q/4P3/8/PPPP1PPP/RNB1KBNR b KQkq - 1 2 +3+0', 'g7', 'g6', p => {
+        assert.deepEqual(p.play('g6'), false);
+        p.notation('g6');
+    });
+    itForbiddenMove('Check in racing kings (SAN)', 'racing-kings', '8/8/8/8/8/8/k7/2R4K w - - 0 1', 'c1', 'c2', p => p.notation('Rc2'));
+    itForbiddenMove('Check in racing kings (long algebraic notation)', 'racing-kings', '8/8/8/8/8/8/k7/2R4K w - - 0 1', 'c1', 'a1', p => p.longNotation('Rc1-a1+'));
+    itForbiddenMove('Check in racing kings (ICCF)', 'racing-kings', '8/8/8/8/8/8/k7/2R4K w - - 0 1', 'c1', 'c2', p => p.iccf('3132'));
+});
+
+
+describe('Crazyhouse drops', () => {
+
+    function itDrop(label, fen, sanMove, localizedMove, figurineMove, longMove, uciMove) {
+        it(`Generate ${label}`, () => {
+            const position = new Position('crazyhouse', fen);
+            const md = position.notation(sanMove, true);
+            assert.deepEqual(md.isDrop(), true);
+            assert.deepEqual(position.notation(md, 'en'), sanMove);
+            assert.deepEqual(position.notation(md, 'fr'), localizedMove);
+            assert.deepEqual(position.figurineNotation(md), figurineMove);
+            assert.deepEqual(position.longNotation(md), longMove);
+            assert.deepEqual(position.uci(md), uciMove);
+        });
+        it(`Parse ${label}`, () => {
+            const position = new Position('crazyhouse', fen);
+            assert.deepEqual(position.notation(position.notation(localizedMove, true, 'fr')), sanMove);
+            assert.deepEqual(position.notation(position.figurineNotation(figurineMove, true)), sanMove);
+            assert.deepEqual(position.notation(position.longNotation(longMove, true)), sanMove);
+            assert.deepEqual(position.notation(position.uci(uciMove, true)), sanMove);
+        });
+    }
+
+    const fen1 = 'r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R[Pb] w KQkq - 0 1';
+    const fen2 = 'r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R[Pb] b KQkq - 0 1';
+    const fen3 = '4k3/8/8/8/8/8/8/4K3[P] w - - 0 1';
+    itDrop('pawn drop', fen1, 'P@d6', '@d6', '\u2659@d6', 'P@d6', 'P@d6');
+    itDrop('piece drop', fen2, 'B@b4', 'F@b4', '\u265d@b4', 'B@b4', 'B@b4');
+    itDrop('drop with check', fen3, 'P@d7+', '@d7+', '\u2659@d7+', 'P@d7+', 'P@d7');
+
+    it('Parse pawn drop without piece symbol', () => {
+        const position = new Position('crazyhouse', fen1);
+        assert.deepEqual(position.notation(position.notation('@d6', false)), 'P@d6');
+        assert.deepEqual(position.notation(position.figurineNotation('@d6', false)), 'P@d6');
+    });
+
+    it('Parse pawn drop without piece symbol (strict)', () => {
+        const position = new Position('crazyhouse', fen1);
+        assert.throws(() => position.notation('@d6', true), e => {
+            assert(e instanceof exception.InvalidNotation);
+            assert.deepEqual(e.message, 'A piece symbol is required for pawn drops (e.g. `P@e4`).');
+            return true;
+        });
+        assert.throws(() => position.notation('@d6', true, 'en'), exception.InvalidNotation);
+        assert.throws(() => position.figurineNotation('@d6', true), exception.InvalidNotation);
+    });
+
+    it('Parse English pawn drop with piece symbol', () => {
+        const position = new Position('crazyhouse', fen1);
+        assert.deepEqual(position.notation(position.notation('P@d6', true, 'en')), 'P@d6');
+    });
+
+    for (const locale of [ 'en', 'de', 'es', 'fr', 'it', 'nl', 'pl', 'pt', 'sv' ]) {
+        it(`Format and parse drops with locale ${locale}`, () => {
+            const position = new Position('crazyhouse', '4k3/8/8/8/8/8/8/4K3[QRBNPqrbnp] w - - 0 1');
+            for (const md of position.moves()) {
+                assert.deepEqual(position.notation(position.notation(position.notation(md, locale), true, locale)), position.notation(md));
+            }
+        });
+    }
+
+    it('Play drop', () => {
+        const position = new Position('crazyhouse', fen2);
+        assert.deepEqual(position.play('B@b4'), true);
+        assert.deepEqual(position.fen(), 'r1bqkb1r/pppp1ppp/2n2n2/4p3/1b2P3/5N2/PPPP1PPP/RNBQKB1R[P] w KQkq - 0 1');
+    });
+
+    it('Play capture of promoted piece', () => {
+        const position = new Position('crazyhouse', '4k3/1Q~6/8/8/4b3/8/Kpp5/8[] b - - 0 1');
+        assert.deepEqual(position.play('Bxb7'), true);
+        assert.deepEqual(position.fen(), '4k3/1b6/8/8/8/8/Kpp5/8[p] w - - 0 1');
+        assert.deepEqual(position.pocketCount('bp'), 1);
+        assert.deepEqual(position.pocketCount('bq'), 0);
+    });
+
+    it('Play promotion', () => {
+        const position = new Position('crazyhouse', '4k3/1Q~6/8/8/4b3/8/Kpp5/8[] b - - 0 1');
+        assert.deepEqual(position.play('c1=N'), true);
+        assert.deepEqual(position.fen(), '4k3/1Q~6/8/8/4b3/8/Kp6/2n~5[] w - - 0 1');
+    });
+
+    it('Play move of promoted piece', () => {
+        const position = new Position('crazyhouse', '4k3/1Q~6/8/8/4b3/8/Kpp5/8[] w - - 0 1');
+        assert.deepEqual(position.play('Qxe4+'), true);
+        assert.deepEqual(position.fen(), '4k3/8/8/8/4Q~3/8/Kpp5/8[B] b - - 0 1');
+    });
+
+    it('Play castling with promoted rook', () => {
+        const position = new Position('crazyhouse', 'r3k3/8/8/8/8/8/8/4K2R~[] w K - 0 1');
+        assert.deepEqual(position.play('O-O'), true);
+        assert.deepEqual(position.fen(), 'r3k3/8/8/8/8/8/8/5R~K1[] b - - 0 1');
+    });
+
+    function itInvalidDrop(label, fen, move) {
+        it(label, () => {
+            const position = new Position('crazyhouse', fen);
+            assert.throws(() => position.notation(move), exception.InvalidNotation);
+            assert.throws(() => position.longNotation(move), exception.InvalidNotation);
+            assert.deepEqual(position.play(move), false);
+            assert.deepEqual(position.fen(), new Position('crazyhouse', fen).fen());
+        });
+    }
+
+    itInvalidDrop('Piece not in pocket', fen1, 'N@d6');
+    itInvalidDrop('Piece of the opponent', fen1, 'B@d6');
+    itInvalidDrop('Drop on occupied square', fen1, 'P@e5');
+    itInvalidDrop('Pawn drop on 8th rank', fen1, 'P@d8');
+    itInvalidDrop('Pawn drop on 1st rank', '4k3/8/8/8/8/8/8/7K[p] b - - 0 1', 'P@a1');
+    itInvalidDrop('King drop', fen1, 'K@d6');
+    itInvalidDrop('White king left in check', '4k3/8/8/8/8/8/8/r3K3[N] w - - 0 1', 'N@h3');
+    itInvalidDrop('Black king left in check', '4k2R/8/8/8/8/8/8/4K3[n] b - - 0 1', 'N@a6');
+    itInvalidDrop('Drop in regular chess', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 0 1', 'P@d6');
+
+    it('Invalid drop (strict)', () => {
+        const position = new Position('crazyhouse', fen3);
+        assert.throws(() => position.notation('P@d7', true), exception.InvalidNotation);
+        assert.throws(() => position.notation('@d6+', true), exception.InvalidNotation);
+        assert.throws(() => position.longNotation('P@d7', true), exception.InvalidNotation);
+    });
+
+    function itInvalidUCIDrop(label, fen, move) {
+        it(label, () => {
+            const position = new Position('crazyhouse', fen);
+            assert.throws(() => position.uci(move), exception.InvalidNotation);
+        });
+    }
+
+    itInvalidUCIDrop('Invalid UCI drop (piece not in pocket)', fen1, 'N@d6');
+    itInvalidUCIDrop('Invalid UCI drop (occupied square)', fen1, 'P@e4');
+    itInvalidUCIDrop('Invalid UCI drop (king left in check)', '4k3/8/8/8/8/8/8/r3K3[N] w - - 0 1', 'N@h3');
+    itInvalidUCIDrop('Invalid UCI drop (king)', fen1, 'K@d6');
+    itInvalidUCIDrop('Invalid UCI drop (lowercase)', fen1, 'p@d6');
+
+    function itNoCoordinateNotation(label, method) {
+        it(label, () => {
+            const position = new Position('crazyhouse', fen1);
+            const md = position.notation('P@d6');
+            assert.throws(() => position[method](md), exception.IllegalArgument);
+        });
+    }
+
+    itNoCoordinateNotation('No ICCF notation for drops', 'iccf');
+    itNoCoordinateNotation('No Smith notation for drops', 'smith');
+    itNoCoordinateNotation('No descriptive notation for drops', 'descriptiveNotation');
+});
+
+
 describe('Invalid notation parsing overloads', () => {
 
     function itInvalidOverload(label, action) {
@@ -306,6 +1045,16 @@ describe('Invalid notation parsing overloads', () => {
     itInvalidOverload('Non-string argument on figurineNotation()', pos => pos.figurineNotation(null));
     itInvalidOverload('No argument on uci()', pos => pos.uci());
     itInvalidOverload('Non-string argument on uci()', pos => pos.uci({}));
+    itInvalidOverload('No argument on longNotation()', pos => pos.longNotation());
+    itInvalidOverload('Non-string argument on longNotation()', pos => pos.longNotation(42));
+    itInvalidOverload('No argument on iccf()', pos => pos.iccf());
+    itInvalidOverload('Non-string argument on iccf()', pos => pos.iccf([]));
+    itInvalidOverload('No argument on smith()', pos => pos.smith());
+    itInvalidOverload('Non-string argument on smith()', pos => pos.smith(true));
+    itInvalidOverload('No argument on descriptiveNotation()', pos => pos.descriptiveNotation());
+    itInvalidOverload('Non-string argument on descriptiveNotation()', pos => pos.descriptiveNotation(42));
+    itInvalidOverload('No argument on parseAnyMove()', pos => pos.parseAnyMove());
+    itInvalidOverload('Non-string argument on parseAnyMove()', pos => pos.parseAnyMove(42));
 });
 
 
@@ -360,3 +1109,149 @@ describe('Play null-move', () => {
     itNullMove('Legal null-move', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', true, 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR b KQkq - 0 1');
     itNullMove('Illegal null-move', 'r1bqkbnr/ppp2ppp/2B5/3pp3/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 0 1', false);
 });
+
+
+describe('Undo', () => {
+
+    it('Empty history', () => {
+        const position = new Position();
+        assert.deepEqual(position.history(), []);
+        assert.deepEqual(position.undo(), false);
+        assert.deepEqual(position.fen(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
+    });
+
+    it('Several moves', () => {
+        const position = new Position();
+        assert.deepEqual(position.play('e4'), true);
+        assert.deepEqual(position.playNullMove(), true);
+        assert.deepEqual(position.play('Nf3'), true);
+        assert.deepEqual(position.play('Nf3'), false);
+        assert.deepEqual(position.playNullMove(), true);
+        assert.deepEqual(position.history().map(move => move === null ? '--' : move.toString()), [ 'e2e4', '--', 'g1f3', '--' ]);
+        assert.deepEqual(position.undo(), true);
+        assert.deepEqual(position.undo(), true);
+        assert.deepEqual(position.fen(), 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 1');
+        assert.deepEqual(position.undo(), true);
+        assert.deepEqual(position.undo(), true);
+        assert.deepEqual(position.undo(), false);
+        assert.deepEqual(position.fen(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
+    });
+
+    it('Illegal null-move', () => {
+        const position = new Position('r1bqkbnr/ppp2ppp/2B5/3pp3/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 0 1');
+        assert.deepEqual(position.playNullMove(), false);
+        assert.deepEqual(position.history(), []);
+    });
+
+    it('Undo castling and capture', () => {
+        const position = new Position('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+        position.play('Rxa8+');
+        position.play('Ke7');
+        position.play('O-O');
+        assert.deepEqual(position.fen(), 'R6r/4k3/8/8/8/8/8/5RK1 b - - 0 1');
+        position.undo();
+        position.undo();
+        assert.deepEqual(position.fen(), 'R3k2r/8/8/8/8/8/8/4K2R b Kk - 0 1');
+        position.undo();
+        assert.deepEqual(position.fen(), 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+    });
+
+    it('Undo check (three-check)', () => {
+        const position = new Position('three-check', 'rnbqkbnr/ppppp1pp/8/5p2/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 1 +1+0');
+        const zobristKey = position.zobristKey();
+        position.play('Qh5+');
+        assert.deepEqual(position.checkCount('w'), 2);
+        position.undo();
+        assert.deepEqual(position.checkCount('w'), 1);
+        assert.deepEqual(position.zobristKey(), zobristKey);
+    });
+
+    it('Undo drop and capture (crazyhouse)', () => {
+        const position = new Position('crazyhouse', '4k3/1Q~6/8/8/4b3/8/Kpp5/8[N] b - - 0 1');
+        const zobristKey = position.zobristKey();
+        position.play('Bxb7');
+        position.play('N@d6+');
+        position.undo();
+        assert.deepEqual(position.fen(), '4k3/1b6/8/8/8/8/Kpp5/8[Np] w - - 0 1');
+        position.undo();
+        assert.deepEqual(position.fen(), '4k3/1Q~6/8/8/4b3/8/Kpp5/8[N] b - - 0 1');
+        assert.deepEqual(position.zobristKey(), zobristKey);
+    });
+
+    it('Undo promotion and moves of promoted pieces (crazyhouse)', () => {
+        const position = new Position('crazyhouse', 'r3k3/1P6/8/8/8/8/8/4K2R~[] w K - 0 1');
+        const zobristKey = position.zobristKey();
+        position.play('bxa8=Q+');
+        position.play('Ke7');
+        position.play('Qa7');
+        position.play('Kd6');
+        position.play('O-O');
+        assert.deepEqual(position.fen(), '8/Q~7/3k4/8/8/8/8/5R~K1[R] b - - 0 1');
+        position.undo();
+        position.undo();
+        position.undo();
+        assert.deepEqual(position.fen(), 'Q~7/4k3/8/8/8/8/8/4K2R~[R] w K - 0 1');
+        position.undo();
+        position.undo();
+        assert.deepEqual(position.fen(), 'r3k3/1P6/8/8/8/8/8/4K2R~[] w K - 0 1');
+        assert.deepEqual(position.zobristKey(), zobristKey);
+    });
+
+    it('History cleared by pocketCount()', () => {
+        const position = new Position('crazyhouse');
+        position.play('e4');
+        position.pocketCount('wn', 1);
+        assert.deepEqual(position.history(), []);
+        assert.deepEqual(position.undo(), false);
+    });
+
+    it('History cleared by checkCount()', () => {
+        const position = new Position('three-check');
+        position.play('e4');
+        position.checkCount('b', 1);
+        assert.deepEqual(position.history(), []);
+        assert.deepEqual(position.undo(), false);
+    });
+
+    it('History of copied position', () => {
+        const position = new Position();
+        position.play('e4');
+        const copy = new Position(position);
+        copy.play('e5');
+        assert.deepEqual(position.history().length, 1);
+        assert.deepEqual(copy.history().length, 1);
+        assert.deepEqual(copy.undo(), true);
+        assert.deepEqual(copy.undo(), false);
+        assert.deepEqual(copy.fen(), 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1');
+        assert.deepEqual(position.undo(), true);
+        assert.deepEqual(position.fen(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
+    });
+
+    function itHistoryCleared(label, action) {
+        it(label, () => {
+            const position = new Position();
+            position.play('e4');
+            action(position);
+            assert.deepEqual(position.history(), []);
+            assert.deepEqual(position.undo(), false);
+        });
+    }
+
+    itHistoryCleared('History cleared by clear()', position => position.clear());
+    itHistoryCleared('History cleared by reset()', position => position.reset());
+    itHistoryCleared('History cleared by reset960()', position => position.reset960(518));
+    itHistoryCleared('History cleared by resetAntichess()', position => position.resetAntichess());
+    itHistoryCleared('History cleared by resetHorde()', position => position.resetHorde());
+    itHistoryCleared('History cleared by resetThreeCheck()', position => position.resetThreeCheck());
+    itHistoryCleared('History cleared by resetKingOfTheHill()', position => position.resetKingOfTheHill());
+    itHistoryCleared('History cleared by resetRacingKings()', position => position.resetRacingKings());
+    itHistoryCleared('History cleared by resetCrazyhouse()', position => position.resetCrazyhouse());
+    itHistoryCleared('History cleared by fen()', position => position.fen('8/8/8/8/8/8/8/8 w - - 0 1'));
+    itHistoryCleared('History cleared by fen() (strict)', position => position.fen('8/8/8/8/8/8/8/8 w - - 0 1', true));
+    itHistoryCleared('History cleared by square() (empty)', position => position.square('e4', '-'));
+    itHistoryCleared('History cleared by square() (piece)', position => position.square('a3', 'wn'));
+    itHistoryCleared('History cleared by turn()', position => position.turn('w'));
+    itHistoryCleared('History cleared by castling()', position => position.castling('wk', false));
+    itHistoryCleared('History cleared by enPassant() (none)', position => position.enPassant('-'));
+    itHistoryCleared('History cleared by enPassant() (file)', position => position.enPassant('e'));
+});
@@ -210,7 +210,8 @@ describe('Move legality check', () => {
             });
         });
 
-        assert.deepEqual(moves.map(move => move.toString()).sort().join('/'), elem.moves);
+        const expectedMoves = elem.moves === '' ? [] : elem.moves.split('/').filter(move => !move.includes('@')); // Drops are not handled by `isMoveLegal()`.
+        assert.deepEqual(moves.map(move => move.toString()).sort().join('/'), expectedMoves.join('/'));
     });
 });
 
@@ -229,6 +230,57 @@ describe('Play', () => {
 });
 
 
+describe('Zobrist key after play', () => {
+    itForEach(elem => {
+        const initialPos = createPosition(elem);
+        initialPos.zobristKey(); // Ensure that the key is updated incrementally by `play()`.
+        for (const move of initialPos.moves()) {
+            const nextPos = new Position(initialPos);
+            nextPos.play(move);
+            assert.deepEqual(nextPos.zobristKey(), new Position(elem.variant, nextPos.fen()).zobristKey());
+        }
+    });
+});
+
+
+describe('Undo', () => {
+
+    function checkSameState(pos, expectedPos) {
+        assert.deepEqual(pos.fen(), expectedPos.fen());
+        assert.deepEqual(Position.isEqual(pos, expectedPos), true);
+        assert.deepEqual(pos.kingSquare('w'), expectedPos.kingSquare('w'));
+        assert.deepEqual(pos.kingSquare('b'), expectedPos.kingSquare('b'));
+        assert.deepEqual(pos.zobristKey(), expectedPos.zobristKey());
+    }
+
+    function itUndo(zobristKeyComputedBeforehand) {
+        itForEach(elem => {
+            const referencePos = createPosition(elem);
+            const pos = createPosition(elem);
+            if (zobristKeyComputedBeforehand) {
+                pos.zobristKey(); // Ensure that the key is restored by `undo()` after being updated incrementally by `play()`.
+            }
+            for (const move of pos.moves()) {
+                assert.deepEqual(pos.play(move), true);
+                assert.deepEqual(pos.history(), [ move ]);
+                assert.deepEqual(pos.undo(), true);
+                assert.deepEqual(pos.history(), []);
+                checkSameState(pos, referencePos);
+            }
+            if (pos.playNullMove()) {
+                assert.deepEqual(pos.history(), [ null ]);
+                assert.deepEqual(pos.undo(), true);
+                checkSameState(pos, referencePos);
+            }
+            assert.deepEqual(pos.undo(), false);
+        });
+    }
+
+    describe('Without prior computation of Zobrist key', () => { itUndo(false); });
+    describe('With prior computation of Zobrist key', () => { itUndo(true); });
+});
+
+
 describe('UCI notation generation', () => {
     itForEach(elem => {
         const pos = createPosition(elem);
@@ -255,24 +307,35 @@ describe('UCI notation parsing', () => {
         const pos = createPosition(elem);
         let moves = [];
 
+        // Catch the exceptions thrown by the parsing function.
+        function parseUCI(text) {
+            try {
+                const descriptor = pos.uci(text);
+                moves.push(descriptor.toString());
+            }
+            catch (e) {
+                if (!(e instanceof exception.InvalidNotation)) {
+                    throw e;
+                }
+            }
+        }
+
         // Try all the possible UCI notations...
         forEachSquare(from => {
             forEachSquare(to => {
                 for (const promo of PROMO) {
-                    const text = from + to + promo;
-                    try {
-                        const descriptor = pos.uci(text);
-                        moves.push(descriptor.toString());
-                    }
-                    catch (e) {
-                        if (!(e instanceof exception.InvalidNotation)) {
-                            throw e;
-                        }
-                    }
+                    parseUCI(from + to + promo);
                 }
             });
         });
 
+        // ... including drops.
+        forEachSquare(to => {
+            for (const piece of 'KQRBNP') {
+                parseUCI(piece + '@' + to);
+            }
+        });
+
         // Sort the moves and remove the duplicates.
         moves.sort();
         moves = moves.filter((move, index, tab) => index === 0 || move !== tab[index - 1]);
@@ -329,6 +392,14 @@ describe('Standard algebraic notation parsing', () => {
             }
         });
 
+        // Drops
+        forEachSquare(to => {
+            for (const piece of [ '', 'K', 'Q', 'R', 'B', 'N', 'P' ]) {
+                const text = piece + '@' + to;
+                parseNotation(text);
+            }
+        });
+
         // Sort the moves and remove the duplicates.
         moves.sort();
         moves = moves.filter((move, index, tab) => index === 0 || move !== tab[index - 1]);
@@ -336,3 +407,34 @@ describe('Standard algebraic notation parsing', () => {
         assert.deepEqual(moves.join('/'), elem.moves);
     });
 });
+
+
+describe('Long algebraic, ICCF and Smith notation round-trip', () => {
+    itForEach(elem => {
+        const pos = createPosition(elem);
+        for (const move of pos.moves()) {
+            assert.deepEqual(pos.longNotation(pos.longNotation(move), true), move);
+            if (move.isDrop()) {
+                assert.throws(() => pos.iccf(move), exception.IllegalArgument);
+                assert.throws(() => pos.smith(move), exception.IllegalArgument);
+                continue;
+            }
+            assert.deepEqual(pos.iccf(pos.iccf(pos.iccf(move), true)), pos.iccf(move)); // At Chess960, castling and a king move may have the same ICCF notation.
+            assert.deepEqual(pos.smith(pos.smith(move), true), move);
+        }
+    });
+});
+
+
+describe('Descriptive notation round-trip', () => {
+    itForEach(elem => {
+        const pos = createPosition(elem);
+        for (const move of pos.moves()) {
+            if (move.isDrop()) {
+                assert.throws(() => pos.descriptiveNotation(move), exception.IllegalArgument);
+                continue;
+            }
+            assert.deepEqual(pos.descriptiveNotation(pos.descriptiveNotation(move), true), move);
+        }
+    });
+});
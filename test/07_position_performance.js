@@ -68,3 +68,67 @@ describe('Recursive move generation', () => {
         }
     }
 });
+
+
+function perftTestData() {
+    return readCSV('perft.csv', fields => {
+        return {
+            variant: fields[0],
+            fen: fields[1],
+            nodes: fields.slice(2).map(value => parseInt(value)),
+        };
+    });
+}
+
+
+describe('Perft', () => {
+    for (const elem of perftTestData()) {
+        const initialPos = new Position(elem.variant, elem.fen);
+        for (let depth = 1; depth <= elem.nodes.length; ++depth) {
+            const expectedNodeCount = elem.nodes[depth - 1];
+            if (NODE_COUNT_MAX_MAX >= 0 && expectedNodeCount <= NODE_COUNT_MAX_MAX) {
+                it(`From ${elem.variant}:${elem.fen} at depth ${depth}`, () => {
+                    assert.deepEqual(initialPos.perft(depth), expectedNodeCount);
+                }).timeout(FIXED_TIMOUT + expectedNodeCount / SPEED_MIN);
+                it(`From ${elem.variant}:${elem.fen} at depth ${depth} (bulk counting)`, () => {
+                    assert.deepEqual(initialPos.perft(depth, true), expectedNodeCount);
+                }).timeout(FIXED_TIMOUT + expectedNodeCount / SPEED_MIN);
+            }
+        }
+    }
+
+    it('Depth 0', () => {
+        assert.deepEqual(new Position().perft(0), 1);
+    });
+
+    it('Illegal position', () => {
+        assert.deepEqual(new Position('8/8/8/8/8/8/8/8 w - - 0 1').perft(2), 0);
+    });
+});
+
+
+describe('Divide', () => {
+    for (const elem of perftTestData()) {
+        const initialPos = new Position(elem.variant, elem.fen);
+        it(`From ${elem.variant}:${elem.fen}`, () => {
+            const result = initialPos.divide(2);
+            assert.deepEqual(Object.keys(result).sort(), initialPos.moves().map(move => initialPos.uci(move)).sort());
+            assert.deepEqual(Object.values(result).reduce((a, b) => a + b, 0), elem.nodes[1]);
+        });
+    }
+
+    it('Per-move counts', () => {
+        const position = new Position('8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1');
+        assert.deepEqual(position.divide(1), {
+            a5a4: 1, a5a6: 1, b4a4: 1, b4b1: 1, b4b2: 1, b4b3: 1, b4c4: 1, b4d4: 1, b4e4: 1, b4f4: 1, e2e3: 1, e2e4: 1, g2g3: 1, g2g4: 1,
+        });
+        assert.deepEqual(position.divide(3, true).b4f4, position.divide(3).b4f4);
+    });
+
+    it('Chess960 castling', () => {
+        const position = new Position('chess960', '4k3/8/8/8/8/8/8/1R2K1R1 w GB - 0 1');
+        const result = position.divide(2);
+        assert.deepEqual(result.e1b1, 3);
+        assert.deepEqual(result.e1g1, 3);
+    });
+});
@@ -81,6 +81,7 @@ describe('Normal move', () => {
     itDescriptor('Is en-passant?', descriptor => assert.deepEqual(descriptor.isEnPassant(), false));
     itDescriptor('Is capture?'   , descriptor => assert.deepEqual(descriptor.isCapture(), false));
     itDescriptor('Is promotion?' , descriptor => assert.deepEqual(descriptor.isPromotion(), false));
+    itDescriptor('Is drop?'      , descriptor => assert.deepEqual(descriptor.isDrop(), false));
 
     itDescriptor('Square from'           , descriptor => assert.deepEqual(descriptor.from(), 'b1'));
     itDescriptor('Square to'             , descriptor => assert.deepEqual(descriptor.to(), 'a3'));
@@ -118,6 +119,7 @@ describe('Normal move with capture', () => {
     itDescriptor('Is en-passant?', descriptor => assert.deepEqual(descriptor.isEnPassant(), false));
     itDescriptor('Is capture?'   , descriptor => assert.deepEqual(descriptor.isCapture(), true));
     itDescriptor('Is promotion?' , descriptor => assert.deepEqual(descriptor.isPromotion(), false));
+    itDescriptor('Is drop?'      , descriptor => assert.deepEqual(descriptor.isDrop(), false));
 
     itDescriptor('Square from'           , descriptor => assert.deepEqual(descriptor.from(), 'c3'));
     itDescriptor('Square to'             , descriptor => assert.deepEqual(descriptor.to(), 'c7'));
@@ -155,6 +157,7 @@ describe('Castling move', () => {
     itDescriptor('Is en-passant?', descriptor => assert.deepEqual(descriptor.isEnPassant(), false));
     itDescriptor('Is capture?'   , descriptor => assert.deepEqual(descriptor.isCapture(), false));
     itDescriptor('Is promotion?' , descriptor => assert.deepEqual(descriptor.isPromotion(), false));
+    itDescriptor('Is drop?'      , descriptor => assert.deepEqual(descriptor.isDrop(), false));
 
     itDescriptor('Square from'           , descriptor => assert.deepEqual(descriptor.from(), 'e1'));
     itDescriptor('Square to'             , descriptor => assert.deepEqual(descriptor.to(), 'g1'));
@@ -192,6 +195,7 @@ describe('En-passant move', () => {
     itDescriptor('Is en-passant?', descriptor => assert.deepEqual(descriptor.isEnPassant(), true));
     itDescriptor('Is capture?'   , descriptor => assert.deepEqual(descriptor.isCapture(), true));
     itDescriptor('Is promotion?' , descriptor => assert.deepEqual(descriptor.isPromotion(), false));
+    itDescriptor('Is drop?'      , descriptor => assert.deepEqual(descriptor.isDrop(), false));
 
     itDescriptor('Square from'           , descriptor => assert.deepEqual(descriptor.from(), 'g5'));
     itDescriptor('Square to'             , descriptor => assert.deepEqual(descriptor.to(), 'f6'));
@@ -229,6 +233,7 @@ describe('Promotion move', () => {
     itDescriptor('Is en-passant?', descriptor => assert.deepEqual(descriptor.isEnPassant(), false));
     itDescriptor('Is capture?'   , descriptor => assert.deepEqual(descriptor.isCapture(), false));
     itDescriptor('Is promotion?' , descriptor => assert.deepEqual(descriptor.isPromotion(), true));
+    itDescriptor('Is drop?'      , descriptor => assert.deepEqual(descriptor.isDrop(), false));
 
     itDescriptor('Square from'           , descriptor => assert.deepEqual(descriptor.from(), 'a7'));
     itDescriptor('Square to'             , descriptor => assert.deepEqual(descriptor.to(), 'a8'));
@@ -266,6 +271,7 @@ describe('Promotion move with capture', () => {
     itDescriptor('Is en-passant?', descriptor => assert.deepEqual(descriptor.isEnPassant(), false));
     itDescriptor('Is capture?'   , descriptor => assert.deepEqual(descriptor.isCapture(), true));
     itDescriptor('Is promotion?' , descriptor => assert.deepEqual(descriptor.isPromotion(), true));
+    itDescriptor('Is drop?'      , descriptor => assert.deepEqual(descriptor.isDrop(), false));
 
     itDescriptor('Square from'           , descriptor => assert.deepEqual(descriptor.from(), 'a7'));
     itDescriptor('Square to'             , descriptor => assert.deepEqual(descriptor.to(), 'b8'));
@@ -283,3 +289,40 @@ describe('Promotion move with capture', () => {
 
     /* eslint-enable */
 });
+
+
+describe('Drop move', () => {
+
+    function itDescriptor(label, action) {
+        it(label, () => {
+            const position = new Position('crazyhouse', 'r1bqkb1r/pppp1ppp/2n2n2/4p3/4P3/8/PPPP1PPP/RNBQKBNR[Nb] w KQkq - 0 1');
+            const descriptor = position.notation('N@f3');
+            action(descriptor);
+        });
+    }
+
+    /* eslint-disable @stylistic/comma-spacing, @stylistic/no-multi-spaces */
+
+    itDescriptor('Is descriptor?', testIsMoveDescriptor);
+    itDescriptor('Is castling?'  , descriptor => assert.deepEqual(descriptor.isCastling(), false));
+    itDescriptor('Is en-passant?', descriptor => assert.deepEqual(descriptor.isEnPassant(), false));
+    itDescriptor('Is capture?'   , descriptor => assert.deepEqual(descriptor.isCapture(), false));
+    itDescriptor('Is promotion?' , descriptor => assert.deepEqual(descriptor.isPromotion(), false));
+    itDescriptor('Is drop?'      , descriptor => assert.deepEqual(descriptor.isDrop(), true));
+
+    itDescriptor('Square from'           , descriptor => assert.throws(() => descriptor.from(), exception.IllegalArgument));
+    itDescriptor('Square to'             , descriptor => assert.deepEqual(descriptor.to(), 'f3'));
+    itDescriptor('Color'                 , descriptor => assert.deepEqual(descriptor.color(), 'w'));
+    itDescriptor('Moving piece'          , descriptor => assert.deepEqual(descriptor.movingPiece(), 'n'));
+    itDescriptor('Moving colored piece'  , descriptor => assert.deepEqual(descriptor.movingColoredPiece(), 'wn'));
+    itDescriptor('Captured piece'        , descriptor => assert.throws(() => descriptor.capturedPiece(), exception.IllegalArgument));
+    itDescriptor('Captured colored piece', descriptor => assert.throws(() => descriptor.capturedColoredPiece(), exception.IllegalArgument));
+    itDescriptor('Rook from'             , descriptor => assert.throws(() => descriptor.rookFrom(), exception.IllegalArgument));
+    itDescriptor('Rook to'               , descriptor => assert.throws(() => descriptor.rookTo(), exception.IllegalArgument));
+    itDescriptor('En-passant square'     , descriptor => assert.throws(() => descriptor.enPassantSquare(), exception.IllegalArgument));
+    itDescriptor('Promotion'             , descriptor => assert.throws(() => descriptor.promotion(), exception.IllegalArgument));
+    itDescriptor('Colored promotion'     , descriptor => assert.throws(() => descriptor.coloredPromotion(), exception.IllegalArgument));
+    itDescriptor('To string'             , descriptor => assert.deepEqual(descriptor.toString(), 'N@f3'));
+
+    /* eslint-enable */
+});
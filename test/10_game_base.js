@@ -22,7 +22,7 @@
  * -------------------------------------------------------------------------- */
 
 
-const { exception, DateValue, Game, Position, Variation } = require('../dist/lib/index');
+const { exception, DateValue, Game, Position, Variation, pgnRead, pgnWrite } = require('../dist/lib/index');
 const assert = require('node:assert/strict');
 
 
@@ -79,6 +79,90 @@ describe('General game header', () => {
 });
 
 
+describe('Custom headers', () => {
+
+    it('Initial state', () => {
+        const game = new Game();
+        assert.deepEqual(game.headers(), []);
+        assert.deepEqual(game.header('TimeControl'), undefined);
+    });
+
+    it('Set & get', () => {
+        const game = new Game();
+        game.header('TimeControl', '40/7200:3600');
+        game.header('Board', 42);
+        game.header('UTCTime', '12:00:00');
+        assert.deepEqual(game.headers(), [ 'Board', 'TimeControl', 'UTCTime' ]);
+        assert.deepEqual(game.header('TimeControl'), '40/7200:3600');
+        assert.deepEqual(game.header('Board'), '42');
+    });
+
+    it('Erase', () => {
+        const game = new Game();
+        game.header('TimeControl', '40/7200:3600');
+        game.header('Board', '1');
+        game.header('UTCTime', '12:00:00');
+        game.header('TimeControl', undefined);
+        game.header('Board', null);
+        assert.deepEqual(game.headers(), [ 'UTCTime' ]);
+        assert.deepEqual(game.header('TimeControl'), undefined);
+    });
+
+    it('Clear headers', () => {
+        const game = new Game();
+        game.header('TimeControl', '40/7200:3600');
+        game.clearHeaders();
+        assert.deepEqual(game.headers(), []);
+    });
+
+    it('PGN round-trip', () => {
+        const game = new Game();
+        game.playerName('w', 'Alice');
+        game.header('WhiteFideId', '12345678');
+        game.header('Board', '3');
+        game.header('Link', 'https://lichess.org/abcdefgh');
+        const pgn = pgnWrite(game);
+        assert.deepEqual(pgn.split('\n').filter(line => line.startsWith('[')).slice(7), [
+            '[Board "3"]',
+            '[Link "https://lichess.org/abcdefgh"]',
+            '[WhiteFideId "12345678"]',
+        ]);
+        const game2 = pgnRead(pgn, 0);
+        assert.deepEqual(game2.headers(), [ 'Board', 'Link', 'WhiteFideId' ]);
+        assert.deepEqual(game2.header('Link'), 'https://lichess.org/abcdefgh');
+    });
+
+    it('PGN round-trip with empty value', () => {
+        const game = pgnRead('[White "Alice"]\n[Board ""]\n[TimeControl "40/7200"]\n\n1. e4 e5 *', 0);
+        assert.deepEqual(game.header('Board'), '');
+        const game2 = pgnRead(pgnWrite(game), 0);
+        assert.deepEqual(game2.headers(), [ 'Board', 'TimeControl' ]);
+        assert.deepEqual(game2.header('Board'), '');
+        assert.deepEqual(game2.header('TimeControl'), '40/7200');
+    });
+
+    it('Reserved headers not stored as custom headers', () => {
+        const game = pgnRead('[White "Alice"]\n[Result "1-0"]\n[SetUp "0"]\n[PlyCount "2"]\n[Board "5"]\n\n1. e4 e5 1-0', 0);
+        assert.deepEqual(game.headers(), [ 'Board' ]);
+    });
+
+    function itInvalidKey(label, key) {
+        it(label, () => {
+            const game = new Game();
+            assert.throws(() => game.header(key), exception.IllegalArgument);
+            assert.throws(() => game.header(key, 'value'), exception.IllegalArgument);
+        });
+    }
+
+    itInvalidKey('Empty key', '');
+    itInvalidKey('Key with space', 'Time Control');
+    itInvalidKey('Non-string key', 42);
+    itInvalidKey('Reserved key (White)', 'White');
+    itInvalidKey('Reserved key (FEN)', 'FEN');
+    itInvalidKey('Reserved key (PlyCount)', 'PlyCount');
+});
+
+
 describe('Result header', () => {
 
     it('Default value', () => {
@@ -561,6 +645,282 @@ describe('Tags', () => {
 });
 
 
+describe('Clock, elapsed move time and evaluation', () => {
+
+    function itOnNodeAndVariation(label, action) {
+
+        it(label + ' (node)', () => {
+            const game = new Game();
+            game.mainVariation().play('e4');
+            action(() => game.mainVariation().first());
+        });
+
+        it(label + ' (variation)', () => {
+            const game = new Game();
+            action(() => game.mainVariation());
+        });
+    }
+
+    function itTimeTag(label, tagValue, milliseconds) {
+        itOnNodeAndVariation(`Parse time ${label}`, nodeGetter => {
+            nodeGetter().tag('clk', tagValue);
+            nodeGetter().tag('emt', tagValue);
+            assert.deepEqual(nodeGetter().clock(), milliseconds);
+            assert.deepEqual(nodeGetter().elapsedMoveTime(), milliseconds);
+        });
+    }
+
+    itTimeTag('with hours', '1:05:23', 3923000);
+    itTimeTag('without hours', '5:03', 303000);
+    itTimeTag('with fraction', '0:00:09.5', 9500);
+    itTimeTag('with long fraction', '0:00:09.2345', 9235);
+    itTimeTag('with many hours', '123:00:00', 442800000);
+    itTimeTag('invalid 1', '1h05', undefined);
+    itTimeTag('invalid 2', '', undefined);
+    itTimeTag('invalid 3', '1:05:23:00', undefined);
+
+    function itSetTime(label, milliseconds, tagValue) {
+        itOnNodeAndVariation(`Format time ${label}`, nodeGetter => {
+            nodeGetter().clock(milliseconds);
+            nodeGetter().elapsedMoveTime(milliseconds);
+            assert.deepEqual(nodeGetter().tag('clk'), tagValue);
+            assert.deepEqual(nodeGetter().tag('emt'), tagValue);
+            assert.deepEqual(nodeGetter().clock(), milliseconds);
+            assert.deepEqual(nodeGetter().elapsedMoveTime(), milliseconds);
+        });
+    }
+
+    itSetTime('zero', 0, '0:00:00');
+    itSetTime('with hours', 3923000, '1:05:23');
+    itSetTime('with fraction 1', 9500, '0:00:09.5');
+    itSetTime('with fraction 2', 60042, '0:01:00.042');
+    itSetTime('with many hours', 442800000, '123:00:00');
+
+    function itEvaluationTag(label, tagValue, evaluation) {
+        itOnNodeAndVariation(`Parse evaluation ${label}`, nodeGetter => {
+            nodeGetter().tag('eval', tagValue);
+            assert.deepEqual(nodeGetter().evaluation(), evaluation);
+        });
+    }
+
+    itEvaluationTag('positive', '0.17', { cp: 17 });
+    itEvaluationTag('negative', '-1.5', { cp: -150 });
+    itEvaluationTag('explicit sign', '+3', { cp: 300 });
+    itEvaluationTag('negative zero', '-0.00', { cp: 0 });
+    itEvaluationTag('without integer part', '.25', { cp: 25 });
+    itEvaluationTag('with depth', '0.17,23', { cp: 17, depth: 23 });
+    itEvaluationTag('mate', '#3', { mate: 3 });
+    itEvaluationTag('mated', '#-12,40', { mate: -12, depth: 40 });
+    itEvaluationTag('invalid mate', '#0', undefined);
+    itEvaluationTag('invalid 1', 'abc', undefined);
+    itEvaluationTag('invalid 2', '0.17,', undefined);
+    itEvaluationTag('invalid 3', '#', undefined);
+
+    function itSetEvaluation(label, evaluation, tagValue) {
+        itOnNodeAndVariation(`Format evaluation ${label}`, nodeGetter => {
+            nodeGetter().evaluation(evaluation);
+            assert.deepEqual(nodeGetter().tag('eval'), tagValue);
+            assert.deepEqual(nodeGetter().evaluation(), evaluation);
+        });
+    }
+
+    itSetEvaluation('positive', { cp: 17 }, '0.17');
+    itSetEvaluation('negative', { cp: -5 }, '-0.05');
+    itSetEvaluation('large', { cp: 1234 }, '12.34');
+    itSetEvaluation('with depth', { cp: 0, depth: 18 }, '0.00,18');
+    itSetEvaluation('mate', { mate: 2 }, '#2');
+    itSetEvaluation('mated', { mate: -7, depth: 0 }, '#-7,0');
+
+    itOnNodeAndVariation('Erase', nodeGetter => {
+        nodeGetter().clock(1000);
+        nodeGetter().elapsedMoveTime(1000);
+        nodeGetter().evaluation({ cp: 10 });
+        assert.deepEqual(nodeGetter().tags(), [ 'clk', 'emt', 'eval' ]);
+        nodeGetter().clock(undefined);
+        nodeGetter().elapsedMoveTime(null);
+        nodeGetter().evaluation(undefined);
+        assert.deepEqual(nodeGetter().tags(), []);
+        assert.deepEqual(nodeGetter().clock(), undefined);
+        assert.deepEqual(nodeGetter().elapsedMoveTime(), undefined);
+        assert.deepEqual(nodeGetter().evaluation(), undefined);
+    });
+
+    it('Round-trip through PGN and POJO', () => {
+        const game = new Game();
+        const node = game.mainVariation().play('e4');
+        node.clock(5403100);
+        node.elapsedMoveTime(12000);
+        node.evaluation({ mate: -4, depth: 31 });
+        game.mainVariation().evaluation({ cp: 20 });
+
+        const pgn = pgnWrite(game);
+        assert(pgn.includes('{[%eval 0.20]} 1. e4 {[%clk 1:30:03.1][%emt 0:00:12][%eval #-4,31]} *'));
+        for (const otherGame of [ pgnRead(pgn, 0), Game.fromPOJO(game.pojo()) ]) {
+            const otherNode = otherGame.mainVariation().first();
+            assert.deepEqual(otherNode.clock(), 5403100);
+            assert.deepEqual(otherNode.elapsedMoveTime(), 12000);
+            assert.deepEqual(otherNode.evaluation(), { mate: -4, depth: 31 });
+            assert.deepEqual(otherGame.mainVariation().evaluation(), { cp: 20 });
+        }
+    });
+
+    function itInvalidValue(label, action) {
+
+        it(label + ' (node)', () => {
+            const game = new Game();
+            game.mainVariation().play('e4');
+            assert.throws(() => action(game.mainVariation().first()), exception.IllegalArgument);
+        });
+
+        it(label + ' (variation)', () => {
+            const game = new Game();
+            assert.throws(() => action(game.mainVariation()), exception.IllegalArgument);
+        });
+    }
+
+    itInvalidValue('Negative clock', node => node.clock(-1000));
+    itInvalidValue('Non-integer clock', node => node.clock(1.5));
+    itInvalidValue('Non-number elapsed move time', node => node.elapsedMoveTime('0:00:12'));
+    itInvalidValue('Non-object evaluation', node => node.evaluation(0.17));
+    itInvalidValue('Empty evaluation', node => node.evaluation({}));
+    itInvalidValue('Evaluation with both cp and mate', node => node.evaluation({ cp: 100, mate: 3 }));
+    itInvalidValue('Non-integer cp', node => node.evaluation({ cp: 1.5 }));
+    itInvalidValue('Null mate', node => node.evaluation({ mate: 0 }));
+    itInvalidValue('Invalid depth', node => node.evaluation({ cp: 12, depth: -1 }));
+});
+
+
+describe('Arrows and square highlights', () => {
+
+    function itOnNodeAndVariation(label, action) {
+
+        it(label + ' (node)', () => {
+            const game = new Game();
+            game.mainVariation().play('e4');
+            action(() => game.mainVariation().first());
+        });
+
+        it(label + ' (variation)', () => {
+            const game = new Game();
+            action(() => game.mainVariation());
+        });
+    }
+
+    itOnNodeAndVariation('Parse arrows', nodeGetter => {
+        nodeGetter().tag('cal', 'Gd2d4, Re7e5,Xa1a2,Bh1h9,Yc3c3');
+        assert.deepEqual(nodeGetter().arrows(), [
+            { color: 'G', squares: 'd2d4' },
+            { color: 'R', squares: 'e7e5' },
+            { color: 'Y', squares: 'c3c3' },
+        ]);
+    });
+
+    itOnNodeAndVariation('Parse square highlights', nodeGetter => {
+        nodeGetter().tag('csl', 'Rd5,Ge4 ,Gz1,B');
+        assert.deepEqual(nodeGetter().squareHighlights(), [ { color: 'R', square: 'd5' }, { color: 'G', square: 'e4' } ]);
+    });
+
+    itOnNodeAndVariation('No tags', nodeGetter => {
+        assert.deepEqual(nodeGetter().arrows(), []);
+        assert.deepEqual(nodeGetter().squareHighlights(), []);
+    });
+
+    itOnNodeAndVariation('Add & remove arrows', nodeGetter => {
+        nodeGetter().addArrow('G', 'd2d4');
+        nodeGetter().addArrow('R', 'e7e5');
+        nodeGetter().addArrow('B', 'g1f3');
+        assert.deepEqual(nodeGetter().tag('cal'), 'Gd2d4,Re7e5,Bg1f3');
+        nodeGetter().addArrow('Y', 'd2d4');
+        assert.deepEqual(nodeGetter().tag('cal'), 'Re7e5,Bg1f3,Yd2d4');
+        nodeGetter().removeArrow('g1f3');
+        nodeGetter().removeArrow('a1a8');
+        assert.deepEqual(nodeGetter().arrows(), [ { color: 'R', squares: 'e7e5' }, { color: 'Y', squares: 'd2d4' } ]);
+        nodeGetter().removeArrow('e7e5');
+        nodeGetter().removeArrow('d2d4');
+        assert.deepEqual(nodeGetter().tags(), []);
+    });
+
+    itOnNodeAndVariation('Add & remove square highlights', nodeGetter => {
+        nodeGetter().addSquareHighlight('R', 'd5');
+        nodeGetter().addSquareHighlight('G', 'e4');
+        nodeGetter().addSquareHighlight('B', 'd5');
+        assert.deepEqual(nodeGetter().tag('csl'), 'Ge4,Bd5');
+        nodeGetter().removeSquareHighlight('e4');
+        assert.deepEqual(nodeGetter().squareHighlights(), [ { color: 'B', square: 'd5' } ]);
+        nodeGetter().removeSquareHighlight('d5');
+        assert.deepEqual(nodeGetter().tags(), []);
+    });
+
+    itOnNodeAndVariation('Add & remove arrows with malformed items', nodeGetter => {
+        nodeGetter().tag('cal', 'Gd2d4, Xa1a2,Bh1h9 ,Re7e5');
+        nodeGetter().addArrow('Y', 'd2d4');
+        assert.deepEqual(nodeGetter().tag('cal'), 'Xa1a2,Bh1h9,Re7e5,Yd2d4');
+        nodeGetter().removeArrow('e7e5');
+        nodeGetter().removeArrow('d2d4');
+        assert.deepEqual(nodeGetter().tag('cal'), 'Xa1a2,Bh1h9');
+        assert.deepEqual(nodeGetter().arrows(), []);
+    });
+
+    itOnNodeAndVariation('Add & remove square highlights with malformed items', nodeGetter => {
+        nodeGetter().tag('csl', 'Rd5,Gz1,,B');
+        nodeGetter().addSquareHighlight('G', 'e4');
+        assert.deepEqual(nodeGetter().tag('csl'), 'Rd5,Gz1,B,Ge4');
+        nodeGetter().removeSquareHighlight('d5');
+        nodeGetter().removeSquareHighlight('e4');
+        assert.deepEqual(nodeGetter().tag('csl'), 'Gz1,B');
+        assert.deepEqual(nodeGetter().squareHighlights(), []);
+    });
+
+    itOnNodeAndVariation('Clear', nodeGetter => {
+        nodeGetter().addArrow('G', 'd2d4');
+        nodeGetter().addSquareHighlight('R', 'd5');
+        nodeGetter().tag('other', 'value');
+        nodeGetter().clearArrows();
+        nodeGetter().clearSquareHighlights();
+        assert.deepEqual(nodeGetter().tags(), [ 'other' ]);
+    });
+
+    it('Round-trip through PGN and POJO', () => {
+        const game = new Game();
+        const node = game.mainVariation().play('e4');
+        node.addArrow('G', 'e2e4');
+        node.addArrow('R', 'd8h4');
+        node.addSquareHighlight('Y', 'f7');
+        game.mainVariation().addSquareHighlight('B', 'e1');
+
+        const pgn = pgnWrite(game);
+        assert(pgn.includes('{[%csl Be1]} 1. e4 {[%cal Ge2e4,Rd8h4][%csl Yf7]} *'));
+        for (const otherGame of [ pgnRead(pgn, 0), Game.fromPOJO(game.pojo()) ]) {
+            const otherNode = otherGame.mainVariation().first();
+            assert.deepEqual(otherNode.arrows(), [ { color: 'G', squares: 'e2e4' }, { color: 'R', squares: 'd8h4' } ]);
+            assert.deepEqual(otherNode.squareHighlights(), [ { color: 'Y', square: 'f7' } ]);
+            assert.deepEqual(otherGame.mainVariation().squareHighlights(), [ { color: 'B', square: 'e1' } ]);
+        }
+    });
+
+    function itInvalidValue(label, action) {
+
+        it(label + ' (node)', () => {
+            const game = new Game();
+            game.mainVariation().play('e4');
+            assert.throws(() => action(game.mainVariation().first()), exception.IllegalArgument);
+        });
+
+        it(label + ' (variation)', () => {
+            const game = new Game();
+            assert.throws(() => action(game.mainVariation()), exception.IllegalArgument);
+        });
+    }
+
+    itInvalidValue('Invalid arrow color', node => node.addArrow('r', 'e2e4'));
+    itInvalidValue('Invalid arrow squares', node => node.addArrow('R', 'e2e9'));
+    itInvalidValue('Invalid arrow to remove', node => node.removeArrow('e2'));
+    itInvalidValue('Invalid highlight color', node => node.addSquareHighlight('Red', 'e4'));
+    itInvalidValue('Invalid highlight square', node => node.addSquareHighlight('R', 'e2e4'));
+    itInvalidValue('Invalid highlight to remove', node => node.removeSquareHighlight(undefined));
+});
+
+
 describe('ToString', () => {
 
     it('Node', () => {
@@ -748,6 +1108,8 @@ describe('Invalid initial position', () => {
     itInvalidInitialPosition('Not a position 1', game => game.initialPosition(42));
     itInvalidInitialPosition('Not a position 2', game => game.initialPosition('whatever'));
     itInvalidInitialPosition('Invalid full-move number', game => game.initialPosition(new Position(), 'not-a-number'));
+    itInvalidInitialPosition('Invalid fifty-move clock 1', game => game.initialPosition(new Position(), 1, 'not-a-number'));
+    itInvalidInitialPosition('Invalid fifty-move clock 2', game => game.initialPosition(new Position(), 1, -1));
 });
 
 
@@ -797,3 +1159,268 @@ describe('Figurine notation', () => {
         assert.deepEqual(node.figurineNotation(), '--');
     });
 });
+
+
+describe('Play with localized notation', () => {
+
+    it('Localized piece letters', () => {
+        const game = new Game();
+        const node = game.mainVariation().play('e4', 'de').play('e5', 'de').play('Sf3', 'de');
+        assert.deepEqual(node.notation(), 'Nf3');
+        assert.deepEqual(node.play('--', 'de').play('Lc4', 'de').notation(), 'Bc4');
+    });
+
+    it('Error message with localized piece letters', () => {
+        const game = new Game();
+        assert.throws(() => game.mainVariation().play('Sd5', 'de'), e => {
+            assert(e instanceof exception.InvalidNotation);
+            assert.deepEqual(e.message, 'No S can move to d5.');
+            return true;
+        });
+    });
+
+    it('Invalid locale', () => {
+        const game = new Game();
+        assert.throws(() => game.mainVariation().play('e4', 'german'), exception.IllegalArgument);
+    });
+});
+
+
+describe('Repetitions', () => {
+
+    function playMoves(node, moves) {
+        for (const move of moves) {
+            node = node.play(move);
+        }
+        return node;
+    }
+
+    function repetitionCounts(variation) {
+        return variation.nodes().map(node => node.repetitionCount());
+    }
+
+    it('No repetition', () => {
+        const game = new Game();
+        playMoves(game.mainVariation(), [ 'e4', 'e5', 'Nf3', 'Nc6' ]);
+        assert.deepEqual(repetitionCounts(game.mainVariation()), [ 1, 1, 1, 1 ]);
+    });
+
+    it('Knight dance', () => {
+        const game = new Game();
+        const node = playMoves(game.mainVariation(), [ 'Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1', 'Ng8' ]);
+        assert.deepEqual(repetitionCounts(game.mainVariation()), [ 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5 ]);
+        assert.deepEqual(node.isThreefoldRepetition(), true);
+        assert.deepEqual(node.isFivefoldRepetition(), true);
+        assert.deepEqual(node.previous().isThreefoldRepetition(), true);
+        assert.deepEqual(node.previous().isFivefoldRepetition(), false);
+        assert.deepEqual(game.mainVariation().first().isThreefoldRepetition(), false);
+    });
+
+    it('Initial position of a game', () => {
+        const game = new Game();
+        game.initialPosition(new Position('4k3/8/8/8/8/8/8/4K3 w - - 0 1'), 10);
+        playMoves(game.mainVariation(), [ 'Kd1', 'Kd8', 'Ke1', 'Ke8', 'Kd1', 'Kd8', 'Ke1', 'Ke8' ]);
+        assert.deepEqual(repetitionCounts(game.mainVariation()), [ 1, 1, 1, 2, 2, 2, 2, 3 ]);
+    });
+
+    it('Different side to move', () => {
+        const game = new Game();
+        game.initialPosition(new Position('4k3/8/8/8/8/8/8/R3K3 w - - 0 1'));
+        playMoves(game.mainVariation(), [ 'Ra2', 'Kd8', 'Ra1', 'Ke8', 'Ra3', 'Kd8', 'Ra2', 'Ke8', 'Ra1' ]);
+        assert.deepEqual(repetitionCounts(game.mainVariation()), [ 1, 1, 1, 2, 1, 1, 1, 1, 1 ]);
+    });
+
+    it('Lost castling rights', () => {
+        const game = new Game();
+        playMoves(game.mainVariation(), [ 'e4', 'e5', 'Ke2', 'Ke7', 'Ke1', 'Ke8', 'Ke2', 'Ke7', 'Ke1', 'Ke8' ]);
+        assert.deepEqual(repetitionCounts(game.mainVariation()), [ 1, 1, 1, 1, 1, 1, 1, 2, 2, 2 ]);
+    });
+
+    it('Ineffective en-passant flag', () => {
+        const game = new Game();
+        playMoves(game.mainVariation(), [ 'Nf3', 'd5', 'Ng1', 'Nf6', 'Nf3', 'Ng8', 'Ng1', 'Nf6', 'Nf3', 'Ng8' ]);
+        assert.deepEqual(repetitionCounts(game.mainVariation()), [ 1, 1, 1, 1, 1, 2, 2, 2, 2, 3 ]);
+    });
+
+    it('Effective en-passant flag', () => {
+        const game = new Game();
+        playMoves(game.mainVariation(), [ 'e4', 'Nf6', 'e5', 'd5', 'Nf3', 'Ng8', 'Ng1', 'Nf6', 'Nf3', 'Ng8', 'Ng1', 'Nf6' ]);
+        assert.deepEqual(repetitionCounts(game.mainVariation()), [ 1, 1, 1, 1, 1, 1, 1, 1, 2, 2, 2, 2 ]);
+    });
+
+    it('Null moves', () => {
+        const game = new Game();
+        playMoves(game.mainVariation(), [ 'e4', '--', '--', '--' ]);
+        assert.deepEqual(repetitionCounts(game.mainVariation()), [ 1, 1, 2, 2 ]);
+    });
+
+    it('Sub-variations', () => {
+        const game = new Game();
+        const node = playMoves(game.mainVariation(), [ 'Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6' ]);
+        const variation = node.addVariation();
+        playMoves(variation, [ 'Nc6', 'Ng1', 'Nb8', 'Nf3', 'Nc6', 'Ng1', 'Nb8' ]);
+        assert.deepEqual(repetitionCounts(variation), [ 1, 1, 3, 3, 2, 2, 4 ]);
+
+        const subVariation = variation.first().next().addVariation();
+        playMoves(subVariation, [ 'Nc3', 'Nb8', 'Nb1' ]);
+        assert.deepEqual(repetitionCounts(subVariation), [ 1, 1, 3 ]);
+    });
+
+    it('Irreversible moves', () => {
+        const game = new Game();
+        playMoves(game.mainVariation(), [ 'Nf3', 'Nf6', 'Ng1', 'Ng8', 'e4', 'e5', 'Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nc6', 'Nxe5', 'Nb8', 'Nf3', 'Nc6', 'Ng1', 'Nb8' ]);
+        assert.deepEqual(repetitionCounts(game.mainVariation()), [ 1, 1, 1, 2, 1, 1, 1, 1, 1, 2, 2, 1, 1, 1, 1, 1, 1, 1 ]);
+    });
+
+    it('Captures in crazyhouse', () => {
+        const game = new Game();
+        game.initialPosition(new Position('crazyhouse', '4k3/8/2n5/4n3/8/5N2/8/4K3[] w - - 0 1'));
+        playMoves(game.mainVariation(), [ 'Nxe5', 'Nxe5', 'N@f3', 'N@c6', 'Nxe5', 'Nxe5', 'N@f3', 'N@c6' ]);
+        assert.deepEqual(repetitionCounts(game.mainVariation()), [ 1, 1, 1, 2, 2, 2, 2, 3 ]);
+    });
+
+    it('After removing preceding moves', () => {
+        const game = new Game();
+        playMoves(game.mainVariation(), [ 'Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1', 'Ng8' ]);
+        assert.deepEqual(repetitionCounts(game.mainVariation()), [ 1, 1, 1, 2, 2, 2, 2, 3 ]);
+        game.mainVariation().first().next().removePrecedingMoves();
+        assert.deepEqual(repetitionCounts(game.mainVariation()), [ 1, 1, 1, 2, 2, 2, 2 ]);
+    });
+});
+
+
+describe('Termination status', () => {
+
+    function makeGame(variant, fen, moves) {
+        const game = new Game();
+        if (fen !== undefined) {
+            game.initialPosition(new Position(variant, fen));
+        }
+        let node = game.mainVariation();
+        for (const move of moves) {
+            node = node.play(move);
+        }
+        return game;
+    }
+
+    function dumpStatus(status) {
+        return status === undefined ? 'undefined' : `${status.reason}:${status.result}:${status.claimable}`;
+    }
+
+    function itTerminationStatus(label, variant, fen, moves, expectedStatus, expectedUSCFStatus) {
+        it(label, () => {
+            const game = makeGame(variant, fen, moves);
+            assert.deepEqual(dumpStatus(game.terminationStatus()), expectedStatus);
+            assert.deepEqual(dumpStatus(game.terminationStatus(true)), expectedUSCFStatus ?? expectedStatus);
+            if (moves.length > 0) {
+                assert.deepEqual(dumpStatus(game.mainVariation().nodes().at(-1).terminationStatus()), expectedStatus);
+            }
+        });
+    }
+
+    itTerminationStatus('Game in progress', 'regular', undefined, [ 'e4', 'e5' ], 'undefined');
+    itTerminationStatus('Empty game', 'regular', undefined, [], 'undefined');
+    itTerminationStatus('Illegal position', 'regular', '4k3/8/8/8/8/8/8/r3K3 b - - 0 1', [], 'undefined');
+    itTerminationStatus('Checkmate (black wins)', 'regular', undefined, [ 'f3', 'e5', 'g4', 'Qh4#' ], 'checkmate:0-1:false');
+    itTerminationStatus('Checkmate (white wins)', 'regular', '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1', [ 'Ra8#' ], 'checkmate:1-0:false');
+    itTerminationStatus('Checkmate (initial position)', 'regular', 'R5k1/5ppp/8/8/8/8/8/6K1 b - - 0 1', [], 'checkmate:1-0:false');
+    itTerminationStatus('Stalemate', 'regular', 'k7/8/8/1Q6/8/8/8/6K1 w - - 0 1', [ 'Qb6' ], 'stalemate:1/2-1/2:false');
+    itTerminationStatus('Dead position', 'regular', '4k3/8/8/8/8/8/3r4/4KB2 w - - 0 1', [ 'Kxd2' ], 'dead-position:1/2-1/2:false');
+    itTerminationStatus('Dead position (USCF only)', 'regular', '4k3/8/8/8/8/8/3r4/4KNN1 w - - 0 1', [ 'Kxd2' ], 'undefined',
+        'dead-position:1/2-1/2:false');
+    itTerminationStatus('Chess960 checkmate', 'chess960', '6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1', [ 'Ra8#' ], 'checkmate:1-0:false');
+    itTerminationStatus('Antichess (no pieces)', 'antichess', '8/8/8/8/8/8/r7/R7 b - - 0 1', [ 'Rxa1' ], 'no-pieces:1-0:false');
+    itTerminationStatus('Antichess (stalemate)', 'antichess', '8/8/8/8/p7/8/P7/8 w - - 0 1', [ 'a3' ], 'stalemate:0-1:false');
+    itTerminationStatus('Antichess (in progress)', 'antichess', '8/8/8/8/8/8/r6P/R7 b - - 0 1', [ 'Rxa1' ], 'undefined');
+    itTerminationStatus('Horde (all pawns captured)', 'horde', 'k7/8/8/8/8/8/8/r6P b - - 0 1', [ 'Rxh1' ], 'all-pawns-captured:0-1:false');
+    itTerminationStatus('Horde (checkmate)', 'horde', 'k7/8/2P5/8/8/8/8/1Q6 w - - 0 1', [ 'Qb7#' ], 'checkmate:1-0:false');
+    itTerminationStatus('Horde (stalemate)', 'horde', 'k7/8/8/8/8/8/p7/P7 w - - 0 1', [], 'stalemate:1/2-1/2:false');
+    itTerminationStatus('Three-check (third check)', 'three-check', 'rnbqkbnr/ppppp1pp/8/5p2/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 1 +2+0', [ 'Qh5+' ],
+        'third-check:1-0:false');
+    itTerminationStatus('Three-check (checkmate)', 'three-check', undefined, [ 'f3', 'e5', 'g4', 'Qh4#' ], 'checkmate:0-1:false');
+    itTerminationStatus('King of the hill (king on hill)', 'king-of-the-hill', '4k3/8/8/3p4/8/3K4/8/8 b - - 0 1', [ 'Kd7', 'Kd4' ], 'king-on-hill:1-0:false');
+    itTerminationStatus('Racing kings (white wins)', 'racing-kings', '8/K7/8/6k1/8/8/8/8 w - - 0 1', [ 'Ka8' ], 'king-on-last-rank:1-0:false');
+    itTerminationStatus('Racing kings (black may still arrive)', 'racing-kings', '8/K5k1/8/8/8/8/8/8 w - - 0 1', [ 'Ka8' ], 'undefined');
+    itTerminationStatus('Racing kings (draw)', 'racing-kings', '8/K5k1/8/8/8/8/8/8 w - - 0 1', [ 'Ka8', 'Kg8' ], 'king-on-last-rank:1/2-1/2:false');
+    itTerminationStatus('Crazyhouse (checkmate by drop)', 'crazyhouse', '6rk/6pp/8/8/8/8/8/K7[N] w - - 0 1', [ 'N@f7#' ], 'checkmate:1-0:false');
+    itTerminationStatus('Crazyhouse (check blocked by drop)', 'crazyhouse', '7k/6pp/8/8/8/8/8/K7[Rb] w - - 0 1', [ 'R@a8+' ], 'undefined');
+    itTerminationStatus('Crazyhouse (no insufficient material)', 'crazyhouse', 'k7/8/8/8/8/8/8/K7[] w - - 0 1', [], 'undefined');
+    itTerminationStatus('Threefold repetition', 'regular', undefined, [ 'Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1', 'Ng8' ],
+        'threefold-repetition:1/2-1/2:true');
+    itTerminationStatus('Fivefold repetition', 'regular', undefined, [ 'Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1', 'Ng8', 'Nf3', 'Nf6', 'Ng1', 'Ng8',
+        'Nf3', 'Nf6', 'Ng1', 'Ng8' ], 'fivefold-repetition:1/2-1/2:false');
+
+    it('Fifty-move & seventy-five-move rules', () => {
+
+        // Play 150 quiet moves without repeating any position.
+        const game = new Game();
+        game.initialPosition(new Position('r1b1k1nr/8/8/8/8/8/8/RNB1K1N1 w - - 0 1'));
+        const position = game.initialPosition();
+        const visited = new Set([ position.zobristKey() ]);
+        let node = game.mainVariation();
+        for (let ply = 0; ply < 150; ++ply) {
+            const move = position.moves().find(m => {
+                if (m.isCapture() || m.movingPiece() === 'p') {
+                    return false;
+                }
+                const nextPosition = new Position(position);
+                nextPosition.play(m);
+                return !visited.has(nextPosition.zobristKey()) && !nextPosition.isCheckmate() && !nextPosition.isStalemate();
+            });
+            node = node.play(position.notation(move));
+            position.play(move);
+            visited.add(position.zobristKey());
+        }
+
+        const nodes = game.mainVariation().nodes();
+        assert.deepEqual(nodes.slice(0, 99).every(n => n.terminationStatus() === undefined), true);
+        assert.deepEqual(dumpStatus(nodes[99].terminationStatus()), 'fifty-move-rule:1/2-1/2:true');
+        assert.deepEqual(dumpStatus(nodes[148].terminationStatus()), 'fifty-move-rule:1/2-1/2:true');
+        assert.deepEqual(dumpStatus(nodes[149].terminationStatus()), 'seventy-five-move-rule:1/2-1/2:false');
+    });
+
+    it('Fifty-move rule (empty main line)', () => {
+        const fen = 'r1b1k1nr/8/8/8/8/8/8/RNB1K1N1 w - - 100 60';
+        const game = new Game();
+        game.initialPosition(new Position(fen), 60, 100);
+        assert.deepEqual(game.initialFEN(), fen);
+        assert.deepEqual(dumpStatus(game.terminationStatus()), 'fifty-move-rule:1/2-1/2:true');
+        game.initialPosition(new Position(fen), 60);
+        assert.deepEqual(dumpStatus(game.terminationStatus()), 'undefined');
+    });
+
+    it('Fifty-move rule (empty main line, from FEN)', () => {
+        const fen = 'r1b1k1nr/8/8/8/8/8/8/RNB1K1N1 w - - 100 60';
+        const game = pgnRead(`[SetUp "1"]\n[FEN "${fen}"]\n\n*`, 0);
+        assert.deepEqual(dumpStatus(game.terminationStatus()), 'fifty-move-rule:1/2-1/2:true');
+        assert.deepEqual(pgnWrite(game).includes(`[FEN "${fen}"]`), true);
+        assert.deepEqual(dumpStatus(Game.fromPOJO(game.pojo()).terminationStatus()), 'fifty-move-rule:1/2-1/2:true');
+    });
+
+    it('Fifty-move clock at the beginning of the game', () => {
+        const game = new Game();
+        game.initialPosition(new Position(), 1, 3);
+        const node = game.mainVariation().play('Nf3');
+        assert.deepEqual(node.fiftyMoveClock(), 4);
+        assert.deepEqual(game.mainVariation().initialFEN(), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 3 1');
+        assert.deepEqual(game.pojo().initialPosition, 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 3 1');
+        node.play('Nf6').removePrecedingMoves();
+        assert.deepEqual(game.mainVariation().initialFiftyMoveClock(), 0);
+    });
+
+    it('Fill result and termination', () => {
+        const game = makeGame('regular', undefined, [ 'f3', 'e5', 'g4', 'Qh4#' ]);
+        assert.deepEqual(dumpStatus(game.fillResultAndTermination()), 'checkmate:0-1:false');
+        assert.deepEqual(game.result(), '0-1');
+        assert.deepEqual(game.termination(), 'normal');
+    });
+
+    it('Fill result and termination (game in progress)', () => {
+        const game = makeGame('regular', undefined, [ 'e4', 'e5' ]);
+        game.result('1-0');
+        game.termination('time forfeit');
+        assert.deepEqual(game.fillResultAndTermination(), undefined);
+        assert.deepEqual(game.result(), '1-0');
+        assert.deepEqual(game.termination(), 'time forfeit');
+    });
+});
@@ -51,6 +51,8 @@ function allHeaderFactory() {
     game.openingVariation('Dragon');
     game.openingSubVariation('Yugoslav Attack');
     game.termination('adjudication');
+    game.header('TimeControl', '40/7200:3600');
+    game.header('WhiteFideId', '4100018');
     game.result('0-1');
     return game;
 }
@@ -203,6 +205,44 @@ const oneGamefactories = {
         return game;
     },
 
+    'variant-three-check': () => {
+        const game = new Game();
+        game.event('Chess game variant - Three-check');
+        game.initialPosition(new Position('three-check', 'rnbqkbnr/ppppp1pp/8/5p2/4P3/8/PPPP1PPP/RNBQKBNR w KQkq - 0 1 +1+0'), 2);
+        game.mainVariation().play('Qh5+').play('g6').play('Qxg6+');
+        return game;
+    },
+
+    'variant-king-of-the-hill': () => {
+        const game = new Game();
+        game.event('Chess game variant - King of the Hill');
+        game.initialPosition(new Position('king-of-the-hill'));
+        return game;
+    },
+
+    'variant-racing-kings': () => {
+        const game = new Game();
+        game.event('Chess game variant - Racing Kings');
+        game.initialPosition(new Position('racing-kings'));
+        return game;
+    },
+
+    'variant-crazyhouse': () => {
+        const game = new Game();
+        game.event('Chess game variant - Crazyhouse');
+        game.initialPosition(new Position('crazyhouse'));
+
+        let current = game.mainVariation();
+        current = current.play('e4').play('d5').play('exd5').play('Qxd5').play('Nc3').play('Qa5');
+        current = current.play('P@d4');
+
+        const alternative = current.addVariation();
+        alternative.play('Bc4').play('P@e3');
+
+        current.play('P@e4');
+        return game;
+    },
+
     'annotations-1': () => {
         const game = new Game();
         game.event('Game with annotations 1');
@@ -756,17 +796,45 @@ describe('Write PGN', () => {
 
 describe('Write PGN with options', () => {
 
-    function itCheckOptions(filename, options) {
-        it(filename, () => {
-            const expectedText = readText(`games/${filename}/database-options.pgn`);
+    function itCheckOptions(filename, resourceName, options) {
+        it(`${filename} - ${resourceName}`, () => {
+            const expectedText = readText(`games/${filename}/${resourceName}.pgn`);
             const factory = oneGamefactories[filename];
             const game = factory();
             assert.deepEqual(pgnWrite(game, options), expectedText);
         });
     }
 
-    itCheckOptions('base', { withPlyCount: true });
-    itCheckOptions('custom-initial-position-1', { withPlyCount: true });
+    itCheckOptions('base', 'database-options', { withPlyCount: true });
+    itCheckOptions('custom-initial-position-1', 'database-options', { withPlyCount: true });
+    itCheckOptions('annotations-1', 'database-compact', { compact: true });
+    itCheckOptions('long-short-comments-variations-1', 'database-compact', { compact: true, maxLineLength: 20 });
+    itCheckOptions('annotations-1', 'database-no-comments', { withComments: false });
+    itCheckOptions('annotations-1', 'database-no-annotations', { withComments: false, withNags: false, withTags: false, withVariations: false });
+    itCheckOptions('annotations-1', 'database-figurine', { notation: 'figurine', repeatMoveNumberAfterComment: false });
+    itCheckOptions('long-short-comments-variations-1', 'database-no-variations', { withVariations: false, repeatMoveNumberAfterComment: false });
+    itCheckOptions('sub-variations', 'database-line-width', { maxLineLength: 40, notation: 'standard' });
+    itCheckOptions('variant-chess960', 'database-shredder', { castlingStyle: 'shredder' });
+    itCheckOptions('annotations-1', 'database-german', { notationLocale: 'de' });
+    itCheckOptions('annotations-2', 'database-french', { notationLocale: 'fr' });
+});
+
+
+describe('Write PGN with options (invalid arguments)', () => {
+
+    function itInvalidOptions(label, options) {
+        it(label, () => {
+            const game = oneGamefactories.base();
+            assert.throws(() => pgnWrite(game, options), exception.IllegalArgument);
+        });
+    }
+
+    itInvalidOptions('Null line length', { maxLineLength: 0 });
+    itInvalidOptions('Non-integer line length', { maxLineLength: 12.5 });
+    itInvalidOptions('Non-number line length', { maxLineLength: '80' });
+    itInvalidOptions('Invalid notation', { notation: 'descriptive' });
+    itInvalidOptions('Invalid castling style', { castlingStyle: 'HAha' });
+    itInvalidOptions('Invalid notation locale', { notationLocale: 'german' });
 });
 
 
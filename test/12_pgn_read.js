@@ -22,12 +22,13 @@
  * -------------------------------------------------------------------------- */
 
 
-const { exception, Database, pgnRead } = require('../dist/lib/index');
+const { exception, Database, Game, pgnRead, pgnReadStream, pgnWarnings } = require('../dist/lib/index');
 const dumpGame = require('./common/dumpgame');
 const readCSV = require('./common/readcsv');
 const readText = require('./common/readtext');
 const resourceExists = require('./common/resourceexists');
 const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
 
 
 function testData() {
@@ -214,6 +215,7 @@ describe('Read PGN - Wrong game index', () => {
     itInvalidGameIndex('Just after the last game (without last end-of-game)', 'missing-last-end-of-game', 2, 2, true);
     itInvalidGameIndex('NaN index', 'mini2', 2, NaN, false);
     itInvalidGameIndex('Non number index', 'mini2', 2, 'xyz', false);
+    itInvalidGameIndex('Undefined index', 'mini2', 2, undefined, false);
 });
 
 
@@ -248,3 +250,348 @@ describe('Read PGN - Database iterator', () => {
         itCheckIterator(elem.label, elem.pgn, elem.gameCount);
     }
 });
+
+
+describe('Read PGN - Stream', () => {
+
+    async function* stringChunks(text, chunkSize) {
+        for (let i = 0; i < text.length; i += chunkSize) {
+            yield text.substring(i, i + chunkSize);
+        }
+    }
+
+    function webStream(text, chunkSize) {
+        const bytes = Buffer.from(text, 'utf8');
+        let pos = 0;
+        return new ReadableStream({
+            pull(controller) {
+                if (pos >= bytes.length) {
+                    controller.close();
+                }
+                else {
+                    controller.enqueue(new Uint8Array(bytes.subarray(pos, pos + chunkSize)));
+                    pos += chunkSize;
+                }
+            },
+        });
+    }
+
+    function nodeStream(text, chunkSize) {
+        const bytes = Buffer.from(text, 'utf8');
+        const chunks = [];
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            chunks.push(bytes.subarray(i, i + chunkSize));
+        }
+        return Readable.from(chunks);
+    }
+
+    function itCheckStream(label, pgnName, expectedGameCount, sourceFactory) {
+        it(label, async () => {
+            let gameIndex = 0;
+            for await (const game of pgnReadStream(sourceFactory())) {
+
+                // Find the index of the next parsable item.
+                while (getItemType(pgnName, gameIndex) !== 'txt') {
+                    gameIndex++;
+                }
+
+                const expectedDescriptor = loadValidItemDescriptor(pgnName, gameIndex++);
+                assert.deepEqual(dumpGame(game).trim(), expectedDescriptor);
+            }
+
+            // Skip the remaining unparsable items.
+            while (gameIndex < expectedGameCount && getItemType(pgnName, gameIndex) !== 'txt') {
+                gameIndex++;
+            }
+
+            assert.deepEqual(gameIndex, expectedGameCount);
+        });
+    }
+
+    for (const elem of testData()) {
+        itCheckStream(`File ${elem.label} - Single string`, elem.label, elem.gameCount, () => stringChunks(elem.pgn, Math.max(elem.pgn.length, 1)));
+        itCheckStream(`File ${elem.label} - 1-character chunks`, elem.label, elem.gameCount, () => stringChunks(elem.pgn, 1));
+        itCheckStream(`File ${elem.label} - 1-byte chunks (web stream)`, elem.label, elem.gameCount, () => webStream(elem.pgn, 1));
+        itCheckStream(`File ${elem.label} - 7-byte chunks (Node.js stream)`, elem.label, elem.gameCount, () => nodeStream(elem.pgn, 7));
+    }
+
+    it('Incremental delivery', async () => {
+        const pgn = readText('pgns/mini2/database.pgn');
+        const gameEnd = pgn.indexOf('Qh2# 0-1') + 8;
+        let secondChunkRequested = false;
+        async function* source() {
+            yield pgn.substring(0, gameEnd + 1);
+            secondChunkRequested = true;
+            yield pgn.substring(gameEnd + 1);
+        }
+        const iterator = pgnReadStream(source())[Symbol.asyncIterator]();
+        const first = await iterator.next();
+        assert.deepEqual(first.done, false);
+        assert.deepEqual(secondChunkRequested, false);
+        assert.deepEqual(dumpGame(first.value).trim(), loadValidItemDescriptor('mini2', 0));
+        const second = await iterator.next();
+        assert.deepEqual(second.done, false);
+        assert.deepEqual(secondChunkRequested, true);
+        assert.deepEqual(dumpGame(second.value).trim(), loadValidItemDescriptor('mini2', 1));
+        assert.deepEqual((await iterator.next()).done, true);
+    });
+
+    it('Invalid source', () => {
+        assert.throws(() => pgnReadStream('1. e4 e5 *'), exception.IllegalArgument);
+        assert.throws(() => pgnReadStream(null), exception.IllegalArgument);
+        assert.throws(() => pgnReadStream([ '1. e4 e5 *' ]), exception.IllegalArgument);
+    });
+
+    it('Invalid chunk', async () => {
+        async function* source() {
+            yield '1. e4 ';
+            yield 42;
+        }
+        const iterator = pgnReadStream(source())[Symbol.asyncIterator]();
+        await assert.rejects(() => iterator.next(), exception.IllegalArgument);
+    });
+});
+
+
+describe('Read PGN - Notation locale', () => {
+
+    function mainLine(game) {
+        return game.mainVariation().nodes().map(node => node.notation()).join(' ');
+    }
+
+    const germanPGN = '1. e4 e5 2. Sf3 Sc6 3. Lb5 a6 4. Lxc6 dxc6 5. O-O Dd6 6. d4 exd4 7. Dxd4 Dxd4 8. Sxd4 Ld7 *\n\n1. e4 (1. Sf3) 1... e5 *';
+    const expectedMainLine = 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6 O-O Qd6 d4 exd4 Qxd4 Qxd4 Nxd4 Bd7';
+
+    it('Direct access', () => {
+        assert.deepEqual(mainLine(pgnRead(germanPGN, 0, { notationLocale: 'de' })), expectedMainLine);
+        assert.deepEqual(pgnRead(germanPGN, 1, { notationLocale: 'de' }).mainVariation().first().variations()[0].first().notation(), 'Nf3');
+    });
+
+    it('Database', () => {
+        const database = pgnRead(germanPGN, { notationLocale: 'de' });
+        assert.deepEqual(mainLine(database.game(1)), 'e4 e5');
+        assert.deepEqual(mainLine(database.game(0)), expectedMainLine);
+    });
+
+    it('Stream', async () => {
+        async function* source() {
+            yield germanPGN.substring(0, 30);
+            yield germanPGN.substring(30);
+        }
+        const games = [];
+        for await (const game of pgnReadStream(source(), { notationLocale: 'de' })) {
+            games.push(game);
+        }
+        assert.deepEqual(games.map(mainLine), [ expectedMainLine, 'e4 e5' ]);
+    });
+
+    it('French promotion', () => {
+        const game = pgnRead('[SetUp "1"]\n[FEN "8/1P6/8/8/8/8/8/K1k5 w - - 0 1"]\n\n1. b8=D Rd2 2. Dg3 *', 0, { notationLocale: 'fr' });
+        assert.deepEqual(mainLine(game), 'b8=Q Kd2 Qg3');
+    });
+
+    it('English piece letters with non-English locale', () => {
+        assert.throws(() => pgnRead('1. e4 e5 2. Bc4 *', 0, { notationLocale: 'de' }), exception.InvalidPGN);
+    });
+
+    it('Invalid move with non-English locale', () => {
+        const game = pgnRead('1. e4 e5 2. Sd5 *', 0, { notationLocale: 'de', lenient: true });
+        assert.deepEqual(mainLine(game), 'e4 e5');
+        assert.deepEqual(pgnWarnings(game)[0].message, 'Invalid move (Sd5). No S can move to d5.');
+    });
+
+    it('Invalid locale', () => {
+        assert.throws(() => pgnRead('1. e4 *', { notationLocale: 'xx' }), exception.IllegalArgument);
+        assert.throws(() => pgnRead('1. e4 *', 0, { notationLocale: 'toString' }), exception.IllegalArgument);
+        assert.throws(() => pgnReadStream([ '1. e4 *' ], { notationLocale: 42 }), exception.IllegalArgument);
+    });
+});
+
+
+describe('Read PGN - Lenient mode', () => {
+
+    function itCheckLenientPgnItem(label, pgn, pgnName, gameIndex) {
+        it(label, () => {
+
+            // TXT type => the result must be the same as in strict mode.
+            if (getItemType(pgnName, gameIndex) === 'txt') {
+                const game = pgnRead(pgn, gameIndex, { lenient: true });
+                assert.deepEqual(dumpGame(game).trim(), loadValidItemDescriptor(pgnName, gameIndex));
+                assert.deepEqual(pgnWarnings(game), []);
+            }
+
+            // ERR type => the first warning must correspond to the exception thrown in strict mode (unless the error cannot be recovered).
+            else {
+                const expectedDescriptor = loadErrorItemDescriptor(pgnName, gameIndex);
+                let error;
+                try {
+                    error = pgnWarnings(pgnRead(pgn, gameIndex, { lenient: true }))[0];
+                }
+                catch (e) {
+                    error = e;
+                }
+                assert(error instanceof exception.InvalidPGN);
+                assert.deepEqual(error.index, expectedDescriptor.index);
+                assert.deepEqual(error.lineNumber, expectedDescriptor.lineNumber);
+                assert.deepEqual(error.message, expectedDescriptor.message);
+            }
+        });
+    }
+
+    for (const elem of testData()) {
+        for (let gameIndex = 0; gameIndex < elem.gameCount; ++gameIndex) {
+            itCheckLenientPgnItem(`File ${elem.label} - Game ${gameIndex}`, elem.pgn, elem.label, gameIndex);
+        }
+    }
+
+    function mainLine(game) {
+        return game.mainVariation().nodes().map(node => node.notation()).join(' ');
+    }
+
+    function warningSummary(game) {
+        return pgnWarnings(game).map(warning => `${warning.index}:${warning.lineNumber}:${warning.message}`);
+    }
+
+    it('Invalid move in the main variation', () => {
+        const game = pgnRead('1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 4. Bxc6 dxc6 5. Kd5 {Comment} (5. O-O) Nf6 6. O-O 1-0', 0, { lenient: true });
+        assert.deepEqual(mainLine(game), 'e4 e5 Nf3 Nc6 Bb5 a6 Bxc6 dxc6');
+        assert.deepEqual(game.result(), '1-0');
+        assert.deepEqual(warningSummary(game), [ '46:1:Invalid move (Kd5). No K can move to d5.' ]);
+    });
+
+    it('Invalid move in a sub-variation', () => {
+        const game = pgnRead('1. e4 (1. d4 d5 2. Kd4 (2. c4) c6) 1... e5 2. Nf3 *', 0, { lenient: true });
+        assert.deepEqual(mainLine(game), 'e4 e5 Nf3');
+        const variations = game.mainVariation().first().variations();
+        assert.deepEqual(variations.length, 1);
+        assert.deepEqual(variations[0].nodes().map(node => node.notation()), [ 'd4', 'd5' ]);
+        assert.deepEqual(warningSummary(game), [ '19:1:Invalid move (Kd4). Capturing its own pieces is not legal.' ]);
+    });
+
+    it('Invalid move without end-of-game marker', () => {
+        const game = pgnRead('1. e4 e5 2. Ke3 Nf6', 0, { lenient: true });
+        assert.deepEqual(mainLine(game), 'e4 e5');
+        assert.deepEqual(game.result(), '*');
+        assert.deepEqual(warningSummary(game), [ '12:1:Invalid move (Ke3). No K can move to e3.' ]);
+    });
+
+    it('Unrecognized characters', () => {
+        const game = pgnRead('1. e4 ### e5 } 2. Nf3 *', 0, { lenient: true });
+        assert.deepEqual(mainLine(game), 'e4 e5 Nf3');
+        assert.deepEqual(warningSummary(game), [
+            '6:1:Unrecognized character or group of characters.',
+            '13:1:Unrecognized character or group of characters.',
+        ]);
+    });
+
+    it('Unbalanced variations', () => {
+        const game = pgnRead('1. e4 e5) 2. Nf3 (2. Nc3 Nf6 (2... Nc6 3. f4\n', 0, { lenient: true });
+        assert.deepEqual(mainLine(game), 'e4 e5 Nf3');
+        assert.deepEqual(game.result(), '*');
+        const variation = game.mainVariation().first().next().next().variations()[0];
+        assert.deepEqual(variation.nodes().map(node => node.notation()), [ 'Nc3', 'Nf6' ]);
+        assert.deepEqual(variation.first().next().variations()[0].nodes().map(node => node.notation()), [ 'Nc6', 'f4' ]);
+        assert.deepEqual(warningSummary(game), [
+            '8:1:Unexpected end of variation.',
+            '45:2:Unexpected end of game: there are pending variations.',
+        ]);
+    });
+
+    it('Unexpected beginning of variation', () => {
+        const game = pgnRead('1. e4 ((1. d4) 1. c4) e5 ((*', 0, { lenient: true });
+        assert.deepEqual(mainLine(game), 'e4 e5');
+        assert.deepEqual(game.mainVariation().first().variations().map(variation => variation.nodes().map(node => node.notation())), [ [ 'c4' ] ]);
+        assert.deepEqual(game.mainVariation().first().next().variations().map(variation => variation.nodes().length), [ 0 ]);
+        assert.deepEqual(warningSummary(game), [
+            '7:1:Unexpected begin of variation.',
+            '26:1:Unexpected begin of variation.',
+            '27:1:Unexpected end of game: there are pending variations.',
+        ]);
+    });
+
+    it('Malformed and misplaced headers', () => {
+        const pgn = '[White "Alice"]\n[Black]\n[Event "Some event"\n[Site "Somewhere"]\n[ "Value"]\n\n1. e4 [Round "3"] e5 *';
+        const game = pgnRead(pgn, 0, { lenient: true });
+        assert.deepEqual(game.playerName('w'), 'Alice');
+        assert.deepEqual(game.playerName('b'), undefined);
+        assert.deepEqual(game.event(), 'Some event');
+        assert.deepEqual(game.site(), 'Somewhere');
+        assert.deepEqual(game.round(), undefined);
+        assert.deepEqual(mainLine(game), 'e4 e5');
+        assert.deepEqual(warningSummary(game), [
+            '22:2:Missing or invalid PGN game header value.',
+            '44:4:Missing or invalid end of PGN game header.',
+            '65:5:Missing or invalid PGN game header ID.',
+            '81:7:Unexpected PGN game header.',
+        ]);
+    });
+
+    it('Unterminated comment', () => {
+        const game = pgnRead('1. e4 {Some comment\n\n2. Nf3', 0, { lenient: true });
+        assert.deepEqual(mainLine(game), 'e4');
+        assert.deepEqual(game.mainVariation().first().comment(), 'Some comment 2. Nf3');
+        assert.deepEqual(warningSummary(game), [ '7:1:Unrecognized character or group of characters.' ]);
+    });
+
+    it('Unterminated header value', () => {
+        const game = pgnRead('[White "Alice\n[Black "Bob"]\n\n1. e4 *', 0, { lenient: true });
+        assert.deepEqual(game.playerName('w'), 'Alice');
+        assert.deepEqual(game.playerName('b'), 'Bob');
+        assert.deepEqual(mainLine(game), 'e4');
+        assert.deepEqual(warningSummary(game), [
+            '8:1:Unrecognized character or group of characters.',
+            '14:2:Missing or invalid end of PGN game header.',
+        ]);
+    });
+
+    it('Truncated header', () => {
+        const game = pgnRead('[White "Alice"]\n[Black', 0, { lenient: true });
+        assert.deepEqual(game.playerName('w'), 'Alice');
+        assert.deepEqual(warningSummary(game), [ '22:2:Missing or invalid PGN game header value.' ]);
+    });
+
+    it('Unrecoverable error', () => {
+        assert.throws(() => pgnRead('[FEN "invalid"]\n\n1. e4 *', 0, { lenient: true }), exception.InvalidPGN);
+    });
+
+    it('Database', () => {
+        const database = pgnRead('1. e4 e5 2. Kd5 *\n\n1. d4 d5 *', { lenient: true });
+        assert.deepEqual(database.gameCount(), 2);
+        assert.deepEqual(mainLine(database.game(0)), 'e4 e5');
+        assert.deepEqual(pgnWarnings(database.game(0)).length, 1);
+        assert.deepEqual(mainLine(database.game(1)), 'd4 d5');
+        assert.deepEqual(pgnWarnings(database.game(1)), []);
+    });
+
+    it('Stream', async () => {
+        async function* source() {
+            yield '1. e4 e5 2. K';
+            yield 'd5 *\n\n1. d4 d5 *';
+        }
+        const games = [];
+        for await (const game of pgnReadStream(source(), { lenient: true })) {
+            games.push(game);
+        }
+        assert.deepEqual(games.map(mainLine), [ 'e4 e5', 'd4 d5' ]);
+        assert.deepEqual(games.map(game => pgnWarnings(game).length), [ 1, 0 ]);
+    });
+
+    it('Warnings in strict mode', () => {
+        assert.deepEqual(pgnWarnings(pgnRead('1. e4 e5 *', 0)), []);
+        assert.deepEqual(pgnWarnings(pgnRead('1. e4 e5 *', 0, { lenient: false })), []);
+        assert.deepEqual(pgnWarnings(new Game()), []);
+    });
+
+    it('Warnings of a non-game object', () => {
+        assert.throws(() => pgnWarnings('1. e4 e5 *'), exception.IllegalArgument);
+    });
+
+    it('Warnings attached to the game', () => {
+        const game = pgnRead('1. e4 Kd5 e5 *', 0, { lenient: true });
+        const warnings = game.pgnWarnings();
+        assert.deepEqual(warnings.map(warning => warning.message), [ 'Invalid move (Kd5). No K can move to d5.' ]);
+        warnings.pop();
+        assert.deepEqual(game.pgnWarnings().length, 1);
+        assert.deepEqual(pgnWarnings(game).length, 1);
+    });
+});
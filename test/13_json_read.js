@@ -125,6 +125,10 @@ describe('Read non-JSONified POJO', () => {
         black: {
             elo: undefined,
         },
+        headers: {
+            TimeControl: undefined,
+            Board: '3',
+        },
         mainVariation: [
             'e4',
             { notation: 'e5', variations: undefined },
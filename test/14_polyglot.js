@@ -0,0 +1,343 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+const { exception, Game, Position, PolyglotBook, pgnRead, polyglotWrite } = require('../dist/lib/index');
+const assert = require('node:assert/strict');
+
+
+describe('Polyglot key', () => {
+
+    // Reference values from http://hgm.nubati.net/book_format.html
+    function itPolyglotKey(label, moves, expectedKey) {
+        it(label, () => {
+            const position = new Position();
+            for (const move of moves) {
+                position.play(position.uci(move));
+            }
+            assert.deepEqual(position.polyglotKey(), expectedKey);
+        });
+    }
+
+    itPolyglotKey('Start position', [], 0x463b96181691fc9cn);
+    itPolyglotKey('After e4', [ 'e2e4' ], 0x823c9b50fd114196n);
+    itPolyglotKey('After e4 d5', [ 'e2e4', 'd7d5' ], 0x0756b94461c50fb0n);
+    itPolyglotKey('After e4 d5 e5', [ 'e2e4', 'd7d5', 'e4e5' ], 0x662fafb965db29d4n);
+    itPolyglotKey('After e4 d5 e5 f5', [ 'e2e4', 'd7d5', 'e4e5', 'f7f5' ], 0x22a48b5a8e47ff78n);
+    itPolyglotKey('After e4 d5 e5 f5 Ke2', [ 'e2e4', 'd7d5', 'e4e5', 'f7f5', 'e1e2' ], 0x652a607ca3f242c1n);
+    itPolyglotKey('After e4 d5 e5 f5 Ke2 Kf7', [ 'e2e4', 'd7d5', 'e4e5', 'f7f5', 'e1e2', 'e8f7' ], 0x00fdd303c946bdd9n);
+    itPolyglotKey('After a4 b5 h4 b4 c4', [ 'a2a4', 'b7b5', 'h2h4', 'b5b4', 'c2c4' ], 0x3c8123ea7b067637n);
+    itPolyglotKey('After a4 b5 h4 b4 c4 bxc3 Ra3', [ 'a2a4', 'b7b5', 'h2h4', 'b5b4', 'c2c4', 'b4c3', 'a1a3' ], 0x5c3f9b829b279560n);
+
+    it('Chess960 start position', () => {
+        assert.deepEqual(new Position('chess960', 518).polyglotKey(), 0x463b96181691fc9cn);
+    });
+
+    it('Chess960 castling flags', () => {
+        const position1 = new Position('chess960', 'rk5r/8/8/8/8/8/8/RK5R w HAha - 0 1');
+        const position2 = new Position('chess960', 'rk5r/8/8/8/8/8/8/RK5R w - - 0 1');
+        position2.castling('wh', true);
+        assert.notDeepEqual(position1.polyglotKey(), position2.polyglotKey());
+        position2.castling('wa', true);
+        position2.castling('bh', true);
+        position2.castling('ba', true);
+        assert.deepEqual(position1.polyglotKey(), position2.polyglotKey());
+    });
+
+    it('With en-passant flag but no capturing pawn', () => {
+        const position1 = new Position('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+        const position2 = new Position('rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq - 0 1');
+        assert.deepEqual(position1.polyglotKey(), position2.polyglotKey());
+    });
+});
+
+
+describe('Polyglot book', () => {
+
+    function encodeMove(uci) {
+        const from = (uci.charCodeAt(1) - 49) * 8 + uci.charCodeAt(0) - 97;
+        const to = (uci.charCodeAt(3) - 49) * 8 + uci.charCodeAt(2) - 97;
+        const promotion = uci.length > 4 ? ' nbrq'.indexOf(uci[4]) : 0;
+        return (promotion << 12) | (from << 6) | to;
+    }
+
+    function buildBook(entries) {
+        const data = new Uint8Array(entries.length * 16);
+        const view = new DataView(data.buffer);
+        entries.sort((e1, e2) => e1.key < e2.key ? -1 : e1.key > e2.key ? 1 : 0).forEach((entry, index) => {
+            view.setBigUint64(index * 16, entry.key);
+            view.setUint16(index * 16 + 8, typeof entry.move === 'string' ? encodeMove(entry.move) : entry.move);
+            view.setUint16(index * 16 + 10, entry.weight);
+            view.setUint32(index * 16 + 12, entry.learn ?? 0);
+        });
+        return data;
+    }
+
+    function dumpEntries(position, entries) {
+        return entries.map(entry => `${position.uci(entry.move)}:${entry.weight}:${entry.learn}`).join(' ');
+    }
+
+    const startPosition = new Position();
+    const castlingPosition = new Position('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1');
+    const castling960Position = new Position('chess960', 'rk5r/8/8/8/8/8/8/RK5R w HAha - 0 1');
+    const promotionPosition = new Position('8/1P5k/8/8/8/8/8/K7 w - - 0 1');
+    const book = new PolyglotBook(buildBook([
+        { key: startPosition.polyglotKey(), move: 'e2e4', weight: 100, learn: 7 },
+        { key: startPosition.polyglotKey(), move: 'd2d4', weight: 50 },
+        { key: startPosition.polyglotKey(), move: 'e2e5', weight: 10 }, // illegal move
+        { key: castlingPosition.polyglotKey(), move: 'e1h1', weight: 2 },
+        { key: castlingPosition.polyglotKey(), move: 'e1a1', weight: 1 },
+        { key: castling960Position.polyglotKey(), move: 'b1a1', weight: 3 },
+        { key: promotionPosition.polyglotKey(), move: 'b7b8q', weight: 4 },
+        { key: promotionPosition.polyglotKey(), move: 'b7b8n', weight: 5 },
+        { key: promotionPosition.polyglotKey(), move: encodeMove('b7b8') | (6 << 12), weight: 6 }, // invalid promotion
+        { key: 0n, move: 'a2a3', weight: 1 },
+        { key: 0xffffffffffffffffn, move: 'a2a3', weight: 1 },
+    ]));
+
+    it('Entry count', () => {
+        assert.deepEqual(book.entryCount(), 11);
+        assert.deepEqual(new PolyglotBook(new Uint8Array(0)).entryCount(), 0);
+    });
+
+    it('Regular moves', () => {
+        assert.deepEqual(dumpEntries(startPosition, book.entries(startPosition)), 'e2e4:100:7 d2d4:50:0');
+    });
+
+    it('Castling moves', () => {
+        const entries = book.entries(castlingPosition);
+        assert.deepEqual(dumpEntries(castlingPosition, entries), 'e1g1:2:0 e1c1:1:0');
+        assert.deepEqual(entries.map(entry => castlingPosition.notation(entry.move)), [ 'O-O', 'O-O-O' ]);
+    });
+
+    it('Castling moves (Chess960)', () => {
+        const entries = book.entries(castling960Position);
+        assert.deepEqual(dumpEntries(castling960Position, entries), 'b1a1:3:0');
+        assert.deepEqual(entries[0].move.isCastling(), true);
+    });
+
+    it('Promotions', () => {
+        assert.deepEqual(dumpEntries(promotionPosition, book.entries(promotionPosition)), 'b7b8q:4:0 b7b8n:5:0');
+    });
+
+    it('Position not in book', () => {
+        const position = new Position('8/8/8/8/8/8/8/K6k w - - 0 1');
+        assert.deepEqual(book.entries(position), []);
+    });
+
+    it('Empty book', () => {
+        assert.deepEqual(new PolyglotBook(new Uint8Array(0)).entries(startPosition), []);
+    });
+
+    it('Book backed by a sub-array', () => {
+        const data = buildBook([ { key: startPosition.polyglotKey(), move: 'g1f3', weight: 1 } ]);
+        const buffer = new Uint8Array(data.length + 32);
+        buffer.set(data, 16);
+        const subBook = new PolyglotBook(buffer.subarray(16, 16 + data.length));
+        assert.deepEqual(dumpEntries(startPosition, subBook.entries(startPosition)), 'g1f3:1:0');
+    });
+
+    it('Invalid data size', () => {
+        assert.throws(() => new PolyglotBook(new Uint8Array(15)), exception.IllegalArgument);
+    });
+
+    it('Invalid data type', () => {
+        assert.throws(() => new PolyglotBook('not a book'), exception.IllegalArgument);
+    });
+
+    it('Invalid position', () => {
+        assert.throws(() => book.entries('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'), exception.IllegalArgument);
+    });
+});
+
+
+describe('Polyglot book generation', () => {
+
+    const pgn = `
+[Result "1-0"]
+1. e4 e5 2. Nf3 (2. Bc4 Nf6) 2... Nc6 3. Bb5 1-0
+
+[Result "0-1"]
+1. e4 c5 2. Nf3 Nc6 3. Nd4 (3. Ng1 Nb8 4. Nf3) 0-1
+
+[Result "1/2-1/2"]
+1. d4 d5 2. -- Nf6 1/2-1/2
+
+[Result "*"]
+1. e4 e5 2. Nf3 Nf6 *
+
+[Result "1-0"]
+1. e4 e5 2. Nf3 Nc6 3. Bb5 {Invalid game} Bxz9 1-0
+
+[Variant "Antichess"]
+[Result "1-0"]
+1. e3 *
+`;
+    const database = pgnRead(pgn);
+
+    function dumpBook(data) {
+        const book = new PolyglotBook(data);
+        const result = [];
+        const visited = new Set();
+        function processPosition(position, path) {
+            const fen = position.fen();
+            if (visited.has(fen)) {
+                return;
+            }
+            visited.add(fen);
+            const entries = book.entries(position);
+            if (entries.length > 0) {
+                result.push(`${path}=> ${entries.map(entry => `${position.notation(entry.move)}:${entry.weight}`).join(' ')}`);
+            }
+            for (const entry of entries) {
+                const nextPosition = new Position(position);
+                nextPosition.play(entry.move);
+                processPosition(nextPosition, `${path}${position.notation(entry.move)} `);
+            }
+        }
+        processPosition(new Position(), '');
+        return result;
+    }
+
+    function isSorted(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        for (let offset = 16; offset < data.byteLength; offset += 16) {
+            if (view.getBigUint64(offset - 16) > view.getBigUint64(offset)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    it('Default options', () => {
+        const data = polyglotWrite(database);
+        assert.deepEqual(isSorted(data), true);
+        assert.deepEqual(dumpBook(data), [
+            '=> e4:3 d4:1',
+            'e4 => e5:2 c5:1',
+            'e4 e5 => Nf3:2',
+            'e4 e5 Nf3 => Nc6:1 Nf6:1',
+            'e4 e5 Nf3 Nc6 => Bb5:1',
+            'e4 c5 => Nf3:1',
+            'e4 c5 Nf3 => Nc6:1',
+            'e4 c5 Nf3 Nc6 => Nd4:1',
+            'd4 => d5:1',
+        ]);
+    });
+
+    it('With sub-variations', () => {
+        const data = polyglotWrite(database, { withSubVariations: true });
+        assert.deepEqual(isSorted(data), true);
+        assert.deepEqual(dumpBook(data), [
+            '=> e4:3 d4:1',
+            'e4 => e5:2 c5:1',
+            'e4 e5 => Nf3:2 Bc4:1',
+            'e4 e5 Nf3 => Nc6:1 Nf6:1',
+            'e4 e5 Nf3 Nc6 => Bb5:1',
+            'e4 e5 Bc4 => Nf6:1',
+            'e4 c5 => Nf3:1',
+            'e4 c5 Nf3 => Nc6:1',
+            'e4 c5 Nf3 Nc6 => Ng1:1 Nd4:1',
+            'e4 c5 Nf3 Nc6 Ng1 => Nb8:1',
+            'd4 => d5:1',
+        ]);
+    });
+
+    it('Max ply', () => {
+        assert.deepEqual(dumpBook(polyglotWrite(database, { maxPly: 2, withSubVariations: true })), [
+            '=> e4:3 d4:1',
+            'e4 => e5:2 c5:1',
+            'd4 => d5:1',
+        ]);
+        assert.deepEqual(polyglotWrite(database, { maxPly: 0 }).length, 0);
+    });
+
+    it('Min game count', () => {
+        assert.deepEqual(dumpBook(polyglotWrite(database, { minGameCount: 2 })), [
+            '=> e4:3',
+            'e4 => e5:2',
+            'e4 e5 => Nf3:2',
+        ]);
+    });
+
+    it('Result weighting', () => {
+        assert.deepEqual(dumpBook(polyglotWrite(database, { resultWeighting: true, maxPly: 3 })), [
+            '=> e4:3 d4:1',
+            'e4 => c5:2 e5:1',
+            'e4 c5 => Nf3:0',
+            'e4 e5 => Nf3:3',
+            'd4 => d5:1',
+        ]);
+    });
+
+    it('Castling & promotion encoding', () => {
+        const game = new Game();
+        game.initialPosition(new Position('r3k3/6P1/8/8/8/8/8/R3K2R w KQq - 0 1'));
+        game.mainVariation().play('O-O').play('O-O-O').play('g8=N');
+        const data = polyglotWrite([ game ]);
+        const view = new DataView(data.buffer);
+        assert.deepEqual([ 0, 1, 2 ].map(index => view.getUint16(index * 16 + 8)).sort((m1, m2) => m1 - m2), [
+            0x0107, // e1h1
+            0x0F38, // e8a8
+            0x1DBE, // g7g8n
+        ]);
+    });
+
+    it('Castling encoding (Chess960)', () => {
+        const game = new Game();
+        game.initialPosition(new Position('chess960', 'rk5r/8/8/8/8/8/8/RK5R w HAha - 0 1'));
+        game.mainVariation().play('O-O-O');
+        const data = polyglotWrite([ game ]);
+        const position = game.initialPosition();
+        assert.deepEqual(new PolyglotBook(data).entries(position).map(entry => position.notation(entry.move)), [ 'O-O-O' ]);
+        assert.deepEqual(new DataView(data.buffer).getUint16(8), 0x0040); // b1a1
+    });
+
+    it('Weight scaling', () => {
+        const game = pgnRead('1. e4 e5 1-0', 0);
+        const data = polyglotWrite([ ...Array(40000).fill(game), pgnRead('1. d4 d5 0-1', 0), pgnRead('1. c4 c5 1-0', 0) ], { resultWeighting: true, maxPly: 1 });
+        assert.deepEqual(dumpBook(data), [ '=> e4:65535 c4:2 d4:0' ]);
+    });
+
+    it('Empty game list', () => {
+        assert.deepEqual(polyglotWrite([]), new Uint8Array(0));
+    });
+
+    it('Invalid games', () => {
+        assert.throws(() => polyglotWrite(pgn), exception.IllegalArgument);
+        assert.throws(() => polyglotWrite([ database.game(0), 'not a game' ]), exception.IllegalArgument);
+    });
+
+    function itInvalidOptions(label, options) {
+        it(label, () => {
+            assert.throws(() => polyglotWrite(database, options), exception.IllegalArgument);
+        });
+    }
+
+    itInvalidOptions('Negative max ply', { maxPly: -3 });
+    itInvalidOptions('Non-integer max ply', { maxPly: 2.5 });
+    itInvalidOptions('Non-number max ply', { maxPly: 'x' });
+    itInvalidOptions('Null min game count', { minGameCount: 0 });
+    itInvalidOptions('Non-integer min game count', { minGameCount: 1.5 });
+    itInvalidOptions('Non-number min game count', { maxPly: 'x', minGameCount: 'y' });
+});
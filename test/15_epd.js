@@ -0,0 +1,186 @@
+/*!
+ * -------------------------------------------------------------------------- *
+ *                                                                            *
+ *    Kokopu - A JavaScript/TypeScript chess library.                         *
+ *    <https://www.npmjs.com/package/kokopu>                                  *
+ *    Copyright (C) 2018-2026  Yoann Le Montagner <yo35 -at- melix.net>       *
+ *                                                                            *
+ *    Kokopu is free software: you can redistribute it and/or                 *
+ *    modify it under the terms of the GNU Lesser General Public License      *
+ *    as published by the Free Software Foundation, either version 3 of       *
+ *    the License, or (at your option) any later version.                     *
+ *                                                                            *
+ *    Kokopu is distributed in the hope that it will be useful,               *
+ *    but WITHOUT ANY WARRANTY; without even the implied warranty of          *
+ *    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the            *
+ *    GNU Lesser General Public License for more details.                     *
+ *                                                                            *
+ *    You should have received a copy of the GNU Lesser General               *
+ *    Public License along with this program. If not, see                     *
+ *    <http://www.gnu.org/licenses/>.                                         *
+ *                                                                            *
+ * -------------------------------------------------------------------------- */
+
+
+const { exception, Position, epdRead, epdWrite } = require('../dist/lib/index');
+const assert = require('node:assert/strict');
+
+
+function dumpRecord(record) {
+    const result = { position: record.position.fen() };
+    for (const key in record) {
+        if (key === 'am' || key === 'bm' || key === 'pv') {
+            result[key] = record[key].map(move => move.toString());
+        }
+        else if (key !== 'position') {
+            result[key] = record[key];
+        }
+    }
+    return result;
+}
+
+
+describe('EPD read', () => {
+
+    function itEPDRead(label, text, variant, expected) {
+        it(label, () => {
+            assert.deepEqual(epdRead(text, variant).map(dumpRecord), expected);
+        });
+    }
+
+    itEPDRead('Best move and identifier', '2rr3k/pp3pp1/1nnqbN1p/3pN3/2pP4/2P3Q1/PPB4P/R4RK1 w - - bm Qg6; id "WAC.001";', undefined, [ {
+        position: '2rr3k/pp3pp1/1nnqbN1p/3pN3/2pP4/2P3Q1/PPB4P/R4RK1 w - - 0 1',
+        bm: [ 'g3g6' ],
+        id: 'WAC.001',
+    } ]);
+
+    itEPDRead('Several lines', '\n4k3/8/8/8/8/8/8/R3K3 w Q - bm Ra8+ O-O-O; am Kd2 Kf2;\r\n  \r\n4k3/8/8/8/8/8/8/4K3 b - - id test\n', undefined, [
+        { position: '4k3/8/8/8/8/8/8/R3K3 w Q - 0 1', am: [ 'e1d2', 'e1f2' ], bm: [ 'a1a8', 'e1c1O' ] },
+        { position: '4k3/8/8/8/8/8/8/4K3 b - - 0 1', id: 'test' },
+    ]);
+
+    itEPDRead('Analysis', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - acd 12; ce -35; hmvc 0; fmvn 1; pv e4 e5 Nf3 Nc6;', undefined, [ {
+        position: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+        acd: 12,
+        ce: -35,
+        hmvc: 0,
+        fmvn: 1,
+        pv: [ 'e2e4', 'e7e5', 'g1f3', 'b8c6' ],
+    } ]);
+
+    itEPDRead('Comments', '4k3/8/8/8/8/8/8/4K3 w - - c0 "first; comment"; c9 "";c1 second;', undefined, [ {
+        position: '4k3/8/8/8/8/8/8/4K3 w - - 0 1',
+        c0: 'first; comment',
+        c9: '',
+        c1: 'second',
+    } ]);
+
+    itEPDRead('Perft suite', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - ;D1 20 ;D2 400 ;D3 8902', undefined, [ {
+        position: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+        otherOperations: { D1: [ '20' ], D2: [ '400' ], D3: [ '8902' ] },
+    } ]);
+
+    itEPDRead('Unknown operations', '4k3/8/8/8/8/8/8/4K3 w - - noop; dm 3; tcsi "Some Interface" 1.0;', undefined, [ {
+        position: '4k3/8/8/8/8/8/8/4K3 w - - 0 1',
+        otherOperations: { noop: [], dm: [ '3' ], tcsi: [ '"Some Interface"', '1.0' ] },
+    } ]);
+
+    itEPDRead('Chess960', '4k3/8/8/8/8/8/8/1R2K1R1 w GB - bm O-O;', 'chess960', [ {
+        position: '4k3/8/8/8/8/8/8/1R2K1R1 w BG - 0 1',
+        bm: [ 'e1g1O' ],
+    } ]);
+
+    itEPDRead('Empty text', '', undefined, []);
+
+    function itInvalidEPD(label, text, expectedLineNumber, expectedMessage) {
+        it(label, () => {
+            assert.throws(() => epdRead(text), error => {
+                assert(error instanceof exception.InvalidEPD);
+                assert.deepEqual(error.lineNumber, expectedLineNumber);
+                assert.deepEqual(error.message, expectedMessage);
+                return true;
+            });
+        });
+    }
+
+    itInvalidEPD('Missing fields', '4k3/8/8/8/8/8/8/4K3 w -', 1, 'An EPD record must start with 4 space-separated fields.');
+    itInvalidEPD('Invalid position', '4k3/8/8/8/8/8/8/4K3 w - -\n4k3/8/8/8/8/8/8/4K3 x - -', 2,
+        'Invalid position fields. The 2nd field of a FEN string must be either `w` or `b`.');
+    itInvalidEPD('Invalid opcode', '4k3/8/8/8/8/8/8/4K3 w - - 1st 1;', 1, 'Invalid EPD opcode `1st`.');
+    itInvalidEPD('Duplicated opcode', '4k3/8/8/8/8/8/8/4K3 w - - id a; id b;', 1, 'EPD opcode `id` is used several times.');
+    itInvalidEPD('Unterminated string', '4k3/8/8/8/8/8/8/4K3 w - - id "abc;', 1, 'Unterminated string operand in EPD operation `id`.');
+    itInvalidEPD('Lonely quote', '4k3/8/8/8/8/8/8/4K3 w - - "', 1, 'Unterminated string operand in EPD operation ``.');
+    itInvalidEPD('Missing move', '4k3/8/8/8/8/8/8/4K3 w - - bm;', 1, 'Invalid operand(s) for EPD opcode `bm`.');
+    itInvalidEPD('Several strings', '4k3/8/8/8/8/8/8/4K3 w - - id a b;', 1, 'Invalid operand(s) for EPD opcode `id`.');
+    itInvalidEPD('Invalid counter', '4k3/8/8/8/8/8/8/4K3 w - - acd -3;', 1, 'Invalid operand(s) for EPD opcode `acd`.');
+    itInvalidEPD('Invalid evaluation', '4k3/8/8/8/8/8/8/4K3 w - - ce 1.5;', 1, 'Invalid operand(s) for EPD opcode `ce`.');
+    itInvalidEPD('Missing counter', '4k3/8/8/8/8/8/8/4K3 w - - hmvc;', 1, 'Invalid operand(s) for EPD opcode `hmvc`.');
+    itInvalidEPD('Invalid move', '4k3/8/8/8/8/8/8/4K3 w - - bm Kd1 Ke3;', 1, 'Invalid move in EPD operation `bm` (Ke3). No K can move to e3.');
+    itInvalidEPD('Invalid move in variation', '4k3/8/8/8/8/8/8/4K3 w - - pv Kd1 Kd2;', 1,
+        'Invalid move in EPD operation `pv` (Kd2). No K can move to d2.');
+
+    it('Invalid text', () => {
+        assert.throws(() => epdRead(42), exception.IllegalArgument);
+    });
+
+    it('Invalid variant', () => {
+        assert.throws(() => epdRead('4k3/8/8/8/8/8/8/4K3 w - -', 'not-a-variant'), exception.IllegalArgument);
+    });
+});
+
+
+describe('EPD write', () => {
+
+    function itEPDWrite(label, text, variant, expected) {
+        it(label, () => {
+            const records = epdRead(text, variant);
+            assert.deepEqual(epdWrite(records[0]), expected);
+            assert.deepEqual(epdWrite(records), expected + '\n');
+        });
+    }
+
+    itEPDWrite('Best move and identifier', '2rr3k/pp3pp1/1nnqbN1p/3pN3/2pP4/2P3Q1/PPB4P/R4RK1 w - - id "WAC.001"; bm Qg6',
+        undefined, '2rr3k/pp3pp1/1nnqbN1p/3pN3/2pP4/2P3Q1/PPB4P/R4RK1 w - - bm Qg6; id "WAC.001";');
+    itEPDWrite('Analysis', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - pv e4 e5 Nf3; ce +35; acd 12; fmvn 1; hmvc 0;', undefined,
+        'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - acd 12; ce 35; fmvn 1; hmvc 0; pv e4 e5 Nf3;');
+    itEPDWrite('Moves with check', '4k3/8/8/8/8/8/8/R3K3 w Q - am Kd2; bm Ra8 O-O-O', undefined, '4k3/8/8/8/8/8/8/R3K3 w Q - am Kd2; bm Ra8+ O-O-O;');
+    itEPDWrite('Comments', '4k3/8/8/8/8/8/8/4K3 w - - c1 second; c0 "first; comment"; c9 ""', undefined,
+        '4k3/8/8/8/8/8/8/4K3 w - - c0 "first; comment"; c1 "second"; c9 "";');
+    itEPDWrite('Perft suite', 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - ;D2 400 ;D1 20 ;noop', undefined,
+        'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - D1 20; D2 400; noop;');
+    itEPDWrite('Chess960', '4k3/8/8/8/8/8/8/1R2K1R1 w GB - bm O-O;', 'chess960',
+        '4k3/8/8/8/8/8/8/1R2K1R1 w BG - bm O-O;');
+
+    it('Manually built record', () => {
+        const position = new Position();
+        const record = { position: position, bm: [ position.notation('d4') ], id: 'start', otherOperations: { tcgs: [ '"hello world"' ] } };
+        assert.deepEqual(epdWrite(record), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - bm d4; id "start"; tcgs "hello world";');
+        assert.deepEqual(epdWrite([]), '');
+    });
+
+    function itInvalidRecord(label, recordBuilder) {
+        it(label, () => {
+            const position = new Position();
+            const record = recordBuilder(position);
+            assert.throws(() => epdWrite(record), exception.IllegalArgument);
+            assert.throws(() => epdWrite([ { position: position }, record ]), exception.IllegalArgument);
+        });
+    }
+
+    itInvalidRecord('Not an object', () => 42);
+    itInvalidRecord('Null', () => null);
+    itInvalidRecord('Missing position', () => ({ id: 'something' }));
+    itInvalidRecord('Invalid position', () => ({ position: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq -' }));
+    itInvalidRecord('String move', position => ({ position: position, bm: [ 'e4' ] }));
+    itInvalidRecord('Empty move list', position => ({ position: position, am: [] }));
+    itInvalidRecord('Non-array variation', position => ({ position: position, pv: position.notation('e4') }));
+    itInvalidRecord('String with double quotes', position => ({ position: position, id: 'a "quoted" word' }));
+    itInvalidRecord('Non-string comment', position => ({ position: position, c5: 5 }));
+    itInvalidRecord('Negative counter', position => ({ position: position, acd: -1 }));
+    itInvalidRecord('Non-integer evaluation', position => ({ position: position, ce: 0.5 }));
+    itInvalidRecord('Invalid other operations', position => ({ position: position, otherOperations: [ 'D1 20' ] }));
+    itInvalidRecord('Known opcode in other operations', position => ({ position: position, otherOperations: { bm: [ 'e4' ] } }));
+    itInvalidRecord('Invalid opcode in other operations', position => ({ position: position, otherOperations: { '2x': [] } }));
+    itInvalidRecord('Invalid operand in other operations', position => ({ position: position, otherOperations: { D1: [ '20 ;' ] } }));
+    itInvalidRecord('Non-array operands in other operations', position => ({ position: position, otherOperations: { D1: '20' } }));
+});
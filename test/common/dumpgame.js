@@ -159,6 +159,9 @@ module.exports = function (game) {
     dumpHeader('OpeningVariation', game.openingVariation());
     dumpHeader('OpeningSubVariation', game.openingSubVariation());
     dumpHeader('Termination', game.termination());
+    for (const key of game.headers()) {
+        dumpHeader(`Header[${key}]`, game.header(key));
+    }
     dumpVariant(game.variant());
     dumpInitialPosition(game.initialPosition());
     dumpInitialMoveNumber(game.initialFullMoveNumber());